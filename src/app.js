@@ -4,6 +4,8 @@ import audioRoutes from './routes/audioRoutes.js';
 import videoRoutes from './routes/videoRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import { authMiddleware } from './middleware/auth.js';
 import { AudioTranscriptionProcessor } from './durableObjects/AudioTranscriptionProcessor.js';
 
 const app = new Hono();
@@ -35,24 +37,35 @@ app.get('/api', (c) => {
       video: '/api/video/*',
       user: '/api/user/*',
       admin: '/api/admin/*',
+      webhooks: '/api/webhooks/*',
       health: '/health'
     },
     documentation: 'https://github.com/your-username/MatrixAI_Server'
   });
 });
 
+// Authentication - every feature route acts on the uid from a verified access token.
+// Admin routes additionally check the caller's role with requireAdminRole.
+app.use('/api/audio/*', authMiddleware);
+app.use('/api/video/*', authMiddleware);
+app.use('/api/user/*', authMiddleware);
+app.use('/api/admin/*', authMiddleware);
+
 // Register route modules
 app.route('/api/audio', audioRoutes);
 app.route('/api/video', videoRoutes);
 app.route('/api/user', userRoutes);
 app.route('/api/admin', adminRoutes);
 
+// Provider callbacks - no user session, each URL carries a token signed with WEBHOOK_SECRET
+app.route('/api/webhooks', webhookRoutes);
+
 // 404 handler
 app.notFound((c) => {
   return c.json({ 
     error: 'Not Found',
     message: 'The requested endpoint does not exist',
-    availableEndpoints: ['/health', '/api', '/api/audio/*', '/api/video/*', '/api/user/*', '/api/admin/*']
+    availableEndpoints: ['/health', '/api', '/api/audio/*', '/api/video/*', '/api/user/*', '/api/admin/*', '/api/webhooks/*']
   }, 404);
 });
 
@@ -11,4 +11,20 @@ export function getSupabaseClient(env) {
   }
   
   return createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY);
-} 
\ No newline at end of file
+}
+
+/**
+ * Initialize a Supabase client with the service role key
+ * Only for server-side operations that must bypass RLS, such as ledger RPCs.
+ * @param {Object} env - Environment variables from Cloudflare
+ * @returns {Object} Supabase client instance
+ */
+export function getSupabaseServiceClient(env) {
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_ROLE_KEY) {
+    throw new Error('Missing Supabase configuration. Please set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables.');
+  }
+
+  return createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { persistSession: false }
+  });
+}
@@ -1,140 +1,410 @@
-import { getSupabaseClient } from '../config/database.js';
-
-// Transcribe audio using Deepgram API
-const transcribeAudioWithDeepgram = async (audioUrl, language = "en-GB", env) => {
-  try {
-    const DEEPGRAM_API_URL = env.DEEPGRAM_API_URL;
-    const DEEPGRAM_API_KEY = env.DEEPGRAM_API_KEY;
-
-    const response = await fetch(`${DEEPGRAM_API_URL}?smart_format=true&language=${language}&model=whisper`, {
-      method: "POST",
-      headers: {
-        "Authorization": `Token ${DEEPGRAM_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        url: audioUrl,
-      }),
-    });
+import { retryDelaySeconds } from '../jobs/queue.js';
+import { TRANSCRIPTION_STAGES, transcriptionJob } from '../jobs/transcriptionJob.js';
+import { CANCEL_PROGRESS } from '../services/billing.js';
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("Deepgram API error:", errorText);
-      throw new Error(`Deepgram API error: ${response.status} ${response.statusText}`);
-    }
+/**
+ * Owner of one audio file's transcription
+ *
+ * One instance per audioid (idFromName). The job is kept in ctx.storage, so
+ * its progress survives eviction, and every attempt runs from an alarm:
+ *
+ * - POST /start records the job and sets an alarm for now; a second start
+ *   for the same audioid returns the existing job.
+ * - alarm() runs transcriptionJob once. A failure sets a new alarm with the
+ *   job queue's backoff until transcriptionJob.maxAttempts, then the audio is
+ *   marked failed and its coins are refunded. An alarm that finds the job
+ *   still running means the previous attempt was cut short; it counts as one.
+ * - In callback mode an attempt ends once the provider has the request; the
+ *   job waits in `awaiting_callback` with an alarm at its deadline, which
+ *   fails the job if the result never arrived.
+ * - POST /callback takes the provider's result from /api/webhooks/<provider>
+ *   and saves it, if the job is waiting for that request_id.
+ * - GET /status returns the job without its payload.
+ * - POST /cancel stops a job that has not started saving its results, marks
+ *   the audio cancelled and refunds it under the cancellation policy: a job
+ *   whose current attempt is at the provider, or awaiting its callback, counts
+ *   as started; a queued or retrying one as queued.
+ *
+ * Routes reach it through src/services/transcriptionProcessor.js.
+ */
 
-    const data = await response.json();
-    console.log("Deepgram API response:", JSON.stringify(data));
+const JOB_KEY = 'job';
 
-    // Extract the transcript from the Deepgram response
-    const transcript = data.results?.channels[0]?.alternatives[0]?.transcript || "";
-    
-    // Extract word-level data with timestamps
-    const words = data.results?.channels[0]?.alternatives[0]?.words || [];
-    
-    return {
-      transcription: transcript,
-      jsonResponse: words,
-    };
-  } catch (error) {
-    console.error("Error transcribing audio:", error);
-    return { transcription: "", jsonResponse: null };
-  }
+export const PROCESSOR_JOB_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  RETRYING: 'retrying',
+  AWAITING_CALLBACK: 'awaiting_callback',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Statuses a job can still leave
+const ACTIVE_STATUSES = [
+  PROCESSOR_JOB_STATUSES.QUEUED,
+  PROCESSOR_JOB_STATUSES.RUNNING,
+  PROCESSOR_JOB_STATUSES.RETRYING,
+  PROCESSOR_JOB_STATUSES.AWAITING_CALLBACK
+];
+
+/**
+ * Create the error a cancelled run is aborted with
+ * @returns {Error} Error with name CancelledError
+ */
+const cancelledError = () => {
+  const error = new Error('Transcription cancelled');
+  error.name = 'CancelledError';
+  return error;
 };
 
+/**
+ * Create the error of a callback that never arrived
+ * Not retried: the provider already retried its delivery.
+ * @returns {Error} Error with name PermanentJobError
+ */
+const callbackTimeoutError = () => {
+  const error = new Error('Transcription result was not delivered in time');
+  error.name = 'PermanentJobError';
+  return error;
+};
+
+/**
+ * JSON response
+ * @param {Object} body - Response body
+ * @param {number} [status] - HTTP status
+ * @returns {Response} Response
+ */
+const jsonResponse = (body, status = 200) => {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+};
+
+/**
+ * Public view of a job
+ * @param {Object} job - Stored job
+ * @returns {Object} Job without its payload
+ */
+const describeJob = (job) => ({
+  audioid: job.audioid,
+  status: job.status,
+  stage: job.stage,
+  attempts: job.attempts,
+  max_attempts: job.maxAttempts,
+  last_error: job.lastError,
+  next_attempt_at: job.nextAttemptAt,
+  callback_deadline: job.callbackDeadline ?? null,
+  created_at: job.createdAt,
+  updated_at: job.updatedAt,
+  completed_at: job.completedAt
+});
+
 export class AudioTranscriptionProcessor {
   constructor(ctx, env) {
     this.ctx = ctx;
     this.env = env;
     this.storage = ctx.storage;
+    // Job, abort controller and promise of the attempt running in this instance
+    this.job = null;
+    this.controller = null;
+    this.attempt = null;
   }
 
   async fetch(request) {
     const url = new URL(request.url);
-    
-    if (url.pathname === '/process' && request.method === 'POST') {
-      return this.processTranscription(request);
+
+    if (url.pathname === '/start' && request.method === 'POST') {
+      return this.start(request);
     }
-    
+
+    if (url.pathname === '/status' && request.method === 'GET') {
+      return this.status();
+    }
+
+    if (url.pathname === '/cancel' && request.method === 'POST') {
+      return this.cancel();
+    }
+
+    if (url.pathname === '/callback' && request.method === 'POST') {
+      return this.callback(request);
+    }
+
     return new Response('Not found', { status: 404 });
   }
 
-  async processTranscription(request) {
+  /**
+   * Load the job, preferring the copy of a running attempt
+   * @returns {Promise<Object|null>} Stored job
+   */
+  async loadJob() {
+    if (!this.job) {
+      this.job = (await this.storage.get(JOB_KEY)) || null;
+    }
+    return this.job;
+  }
+
+  /**
+   * Change the job and persist it
+   * @param {Object} fields - Fields to set
+   * @returns {Promise<Object>} Updated job
+   */
+  async saveJob(fields) {
+    this.job = { ...this.job, ...fields, updatedAt: new Date().toISOString() };
+    await this.storage.put(JOB_KEY, this.job);
+    return this.job;
+  }
+
+  async start(request) {
+    let payload;
     try {
-      const { uid, audioid, audioUrl, language, duration } = await request.json();
-      
-      console.log(`Starting background transcription for audioid: ${audioid}`);
-      
-      const supabase = getSupabaseClient(this.env);
-      
-      // Update status to processing
-      await supabase
-        .from('audio_metadata')
-        .update({ status: 'processing' })
-        .eq('uid', uid)
-        .eq('audioid', audioid);
-
-      // Add a small delay to ensure the upload response is sent first
-      await new Promise(resolve => setTimeout(resolve, 100));
-
-      // Transcribe the audio using Deepgram
-      const transcriptionResult = await transcribeAudioWithDeepgram(audioUrl, language, this.env);
-
-      if (!transcriptionResult.transcription) {
-        throw new Error("Failed to transcribe audio - empty transcription returned");
-      }
+      payload = await request.json();
+    } catch (error) {
+      return jsonResponse({ error: 'Invalid JSON body' }, 400);
+    }
 
-      console.log(`Transcription completed for audioid: ${audioid}, length: ${transcriptionResult.transcription.length}`);
-
-      // Update with transcription results
-      const { error: transcriptionUpdateError } = await supabase
-        .from('audio_metadata')
-        .update({ 
-          transcription: transcriptionResult.transcription,
-          words_data: transcriptionResult.jsonResponse,
-          status: 'completed'
-        })
-        .eq('uid', uid)
-        .eq('audioid', audioid);
-
-      if (transcriptionUpdateError) {
-        console.error('Error updating transcription results:', transcriptionUpdateError);
-        throw new Error('Failed to save transcription results');
-      }
+    if (!payload?.uid || !payload?.audioid || !payload?.audioUrl) {
+      return jsonResponse({ error: 'uid, audioid and audioUrl are required' }, 400);
+    }
+
+    const existing = await this.loadJob();
+    if (existing) {
+      return jsonResponse(describeJob(existing));
+    }
+
+    const now = new Date().toISOString();
+    this.job = {
+      audioid: payload.audioid,
+      payload,
+      status: PROCESSOR_JOB_STATUSES.QUEUED,
+      stage: null,
+      attempts: 0,
+      maxAttempts: transcriptionJob.maxAttempts,
+      lastError: null,
+      nextAttemptAt: now,
+      requestId: null,
+      callbackDeadline: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+    await this.storage.put(JOB_KEY, this.job);
+    await this.storage.setAlarm(Date.now());
+
+    console.log(`Transcription job started for audioid: ${payload.audioid}`);
+    return jsonResponse(describeJob(this.job), 202);
+  }
+
+  async status() {
+    const job = await this.loadJob();
+    if (!job) {
+      return jsonResponse({ error: 'Transcription job not found' }, 404);
+    }
+
+    return jsonResponse(describeJob(job));
+  }
+
+  async cancel() {
+    const job = await this.loadJob();
+    if (!job) {
+      return jsonResponse({ error: 'Transcription job not found' }, 404);
+    }
+
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      return jsonResponse({ error: `Transcription is already ${job.status}`, ...describeJob(job) }, 409);
+    }
+
+    if (job.stage === TRANSCRIPTION_STAGES.SAVING) {
+      return jsonResponse({ error: 'Transcription is already being saved', ...describeJob(job) }, 409);
+    }
+
+    // Only a running attempt that reached the provider, or a request the provider
+    // still holds, counts as started; a retrying job keeps the stage of its failed attempt
+    const started = job.status === PROCESSOR_JOB_STATUSES.AWAITING_CALLBACK
+      || (job.status === PROCESSOR_JOB_STATUSES.RUNNING && job.stage === TRANSCRIPTION_STAGES.TRANSCRIBING);
+    const progress = started ? CANCEL_PROGRESS.STARTED : CANCEL_PROGRESS.QUEUED;
+    const attempt = job.status === PROCESSOR_JOB_STATUSES.RUNNING && this.controller ? this.attempt : null;
+
+    // Aborted before anything is awaited, so the attempt cannot reach the saving stage first
+    if (attempt) {
+      this.controller.abort(cancelledError());
+    }
+
+    await this.saveJob({
+      status: PROCESSOR_JOB_STATUSES.CANCELLED,
+      lastError: 'Transcription cancelled',
+      nextAttemptAt: null,
+      completedAt: new Date().toISOString()
+    });
+    await this.storage.deleteAlarm();
 
-      console.log(`Successfully completed transcription for audioid: ${audioid}`);
-      
-      return new Response(JSON.stringify({ success: true }), {
-        headers: { 'Content-Type': 'application/json' }
+    // The audio is settled once the attempt has stopped writing to it
+    await attempt?.catch(() => {});
+    const refund = await this.settleCancelledJob(progress);
+
+    console.log(`Transcription job cancelled for audioid: ${job.audioid}`);
+    return jsonResponse({ ...describeJob(this.job), refund });
+  }
+
+  async callback(request) {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return jsonResponse({ error: 'Invalid JSON body' }, 400);
+    }
+
+    const job = await this.loadJob();
+    if (!job) {
+      return jsonResponse({ error: 'Transcription job not found' }, 404);
+    }
+
+    // Late, repeated or foreign deliveries; only the awaited request is saved
+    if (job.status !== PROCESSOR_JOB_STATUSES.AWAITING_CALLBACK || !body?.requestId || body.requestId !== job.requestId) {
+      return jsonResponse({ error: 'Transcription is not awaiting this callback', ...describeJob(job) }, 409);
+    }
+
+    // The saving stage is set before anything is awaited, so a cancel cannot slip in
+    await this.saveJob({
+      status: PROCESSOR_JOB_STATUSES.RUNNING,
+      stage: TRANSCRIPTION_STAGES.SAVING,
+      callbackDeadline: null
+    });
+    await this.storage.deleteAlarm();
+
+    console.log(`Transcription callback received for audioid: ${job.audioid}`);
+
+    try {
+      await transcriptionJob.finish(this.env, this.job, body.result, {
+        onProgress: (stage) => this.saveJob({ stage })
       });
 
+      await this.saveJob({
+        status: PROCESSOR_JOB_STATUSES.COMPLETED,
+        lastError: null,
+        completedAt: new Date().toISOString()
+      });
     } catch (error) {
-      console.error(`Error in background transcription:`, error);
-      
-      // Try to update status to failed if we have the audio info
-      try {
-        const { uid, audioid } = await request.json();
-        const supabase = getSupabaseClient(this.env);
-        
-        await supabase
-          .from('audio_metadata')
-          .update({ 
-            status: 'failed',
-            error_message: error.message
-          })
-          .eq('uid', uid)
-          .eq('audioid', audioid);
-      } catch (updateError) {
-        console.error('Error updating failed status:', updateError);
+      await this.handleFailedAttempt(error);
+    }
+
+    return jsonResponse(describeJob(this.job));
+  }
+
+  async alarm() {
+    const job = await this.loadJob();
+    if (!job || !ACTIVE_STATUSES.includes(job.status)) return;
+
+    if (job.status === PROCESSOR_JOB_STATUSES.AWAITING_CALLBACK) {
+      await this.handleFailedAttempt(callbackTimeoutError());
+      return;
+    }
+
+    if (job.status === PROCESSOR_JOB_STATUSES.RUNNING && job.attempts >= job.maxAttempts) {
+      await this.handleFailedAttempt(new Error('Transcription attempt was interrupted'));
+      return;
+    }
+
+    await this.saveJob({
+      status: PROCESSOR_JOB_STATUSES.RUNNING,
+      stage: null,
+      attempts: job.attempts + 1,
+      nextAttemptAt: null
+    });
+
+    console.log(`Running transcription for audioid: ${job.audioid} (attempt ${this.job.attempts}/${this.job.maxAttempts})`);
+
+    this.controller = new AbortController();
+    this.attempt = transcriptionJob.run(this.env, this.job, {
+      signal: this.controller.signal,
+      onProgress: (stage) => this.saveJob({ stage })
+    });
+
+    try {
+      const result = await this.attempt;
+
+      if (result?.awaitingCallback) {
+        const deadline = Date.now() + transcriptionJob.callbackTimeoutMs;
+        await this.saveJob({
+          status: PROCESSOR_JOB_STATUSES.AWAITING_CALLBACK,
+          requestId: result.awaitingCallback.requestId,
+          callbackDeadline: new Date(deadline).toISOString()
+        });
+        await this.storage.setAlarm(deadline);
+        return;
       }
-      
-      return new Response(JSON.stringify({ 
-        success: false, 
-        error: error.message 
-      }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
+
+      await this.saveJob({
+        status: PROCESSOR_JOB_STATUSES.COMPLETED,
+        lastError: null,
+        completedAt: new Date().toISOString()
       });
+    } catch (error) {
+      await this.handleFailedAttempt(error);
+    } finally {
+      this.controller = null;
+      this.attempt = null;
+    }
+  }
+
+  /**
+   * Retry a failed attempt later, or give up
+   * @param {Error} error - Error of the attempt
+   */
+  async handleFailedAttempt(error) {
+    // cancel() settles the audio
+    if (this.job.status === PROCESSOR_JOB_STATUSES.CANCELLED) return;
+
+    const message = error.message || String(error);
+
+    if (error.name === 'PermanentJobError' || this.job.attempts >= this.job.maxAttempts) {
+      console.error(`Transcription for audioid ${this.job.audioid} failed after ${this.job.attempts} attempt(s):`, message);
+      await this.saveJob({
+        status: PROCESSOR_JOB_STATUSES.FAILED,
+        lastError: message,
+        completedAt: new Date().toISOString()
+      });
+      await this.settleFailedJob(error);
+      return;
+    }
+
+    const delaySeconds = retryDelaySeconds(this.job.attempts);
+    console.warn(`Transcription for audioid ${this.job.audioid} failed (attempt ${this.job.attempts}), retrying in ${delaySeconds}s:`, message);
+
+    const nextAttemptAt = Date.now() + delaySeconds * 1000;
+    await this.saveJob({
+      status: PROCESSOR_JOB_STATUSES.RETRYING,
+      lastError: message,
+      nextAttemptAt: new Date(nextAttemptAt).toISOString()
+    });
+    await this.storage.setAlarm(nextAttemptAt);
+  }
+
+  /**
+   * Mark the audio failed and refund its coins
+   * @param {Error} error - Reason shown on the audio
+   */
+  async settleFailedJob(error) {
+    try {
+      await transcriptionJob.onDeadLetter(this.env, this.job, error);
+    } catch (settleError) {
+      console.error(`Error settling transcription for audioid ${this.job.audioid}:`, settleError);
+    }
+  }
+
+  /**
+   * Mark the audio cancelled and refund it under the cancellation policy
+   * @param {string} progress - A CANCEL_PROGRESS value
+   * @returns {Promise<Object|null>} { refund_percent, refunded_coins, charged_coins }, or null on error
+   */
+  async settleCancelledJob(progress) {
+    try {
+      const { refundPercent, refundedCoins, chargedCoins } = await transcriptionJob.onCancel(this.env, this.job, progress);
+      return { refund_percent: refundPercent, refunded_coins: refundedCoins, charged_coins: chargedCoins };
+    } catch (settleError) {
+      console.error(`Error settling cancelled transcription for audioid ${this.job.audioid}:`, settleError);
+      return null;
     }
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,159 @@
+import { getSupabaseClient } from '../config/database.js';
+import { CANCEL_PROGRESS } from '../services/billing.js';
+import { cancelVideoTask } from '../services/dashscopeVideo.js';
+import { cancelTranscription } from '../services/transcriptionProcessor.js';
+import { JOB_HANDLERS } from './handlers.js';
+import { findActiveJobs, getJob, jobIdFor, JOB_STATUSES, settleJob } from './queue.js';
+import { CANCELLABLE_AUDIO_STATUSES, transcriptionJob } from './transcriptionJob.js';
+import { CANCELLABLE_VIDEO_STATUSES, cancelVideo, videoJob } from './videoJob.js';
+
+/**
+ * Cancelling the jobs of an audio file or video
+ *
+ * Used by POST /api/audio/cancel and POST /api/video/cancel, and by the trash
+ * bin (src/services/trash.js), which cancels whatever still runs on media
+ * before it goes into the trash so the coin holds are settled right away
+ * instead of when they expire.
+ */
+
+/**
+ * Cancel the transcription of an audio file the caller has checked is unfinished
+ * @param {Object} env - Environment variables
+ * @param {Object} audio - { uid, audioid }
+ * @returns {Promise<Object>} { cancelled, job, refund?, error? } - cancelled is false if
+ *   the transcription has finished or is already saving its results
+ */
+export const cancelAudioTranscription = async (env, { uid, audioid }) => {
+  const result = await cancelTranscription(env, audioid);
+  if (result.cancelled || result.job) {
+    return result;
+  }
+
+  // The processor never got the job, so no provider work was done
+  const settled = await transcriptionJob.onCancel(env, { payload: { uid, audioid } }, CANCEL_PROGRESS.QUEUED);
+  return {
+    cancelled: true,
+    job: null,
+    refund: { refund_percent: settled.refundPercent, refunded_coins: settled.refundedCoins, charged_coins: settled.chargedCoins }
+  };
+};
+
+/**
+ * Cancel the video generation of a video the caller has checked is unfinished
+ * @param {Object} env - Environment variables
+ * @param {Object} video - { uid, videoId }
+ * @returns {Promise<Object>} { cancelled, taskCancelled, refund } or { cancelled: false, error }
+ */
+export const cancelVideoGeneration = async (env, { uid, videoId }) => {
+  // Stop polling; a run in flight finishes without scheduling another
+  const jobId = jobIdFor(videoJob.type, videoId);
+  const job = await getJob(env, jobId);
+  if (job && !(await settleJob(env, jobId, JOB_STATUSES.CANCELLED, 'Video generation cancelled'))) {
+    return { cancelled: false, error: 'Video generation has already finished' };
+  }
+
+  // Cancel the video before reading its task: a task submitted after this is cancelled by the job itself
+  const cancelled = await cancelVideo(env, { uid, videoId });
+  if (!cancelled) {
+    return { cancelled: false, error: 'Video generation has already finished' };
+  }
+
+  // DashScope only cancels tasks that have not started running; a running task counts as started
+  let progress = CANCEL_PROGRESS.QUEUED;
+  let taskCancelled = false;
+  if (cancelled.task_id && !cancelled.task_id.startsWith('temp_')) {
+    try {
+      taskCancelled = (await cancelVideoTask(cancelled.task_id, env)).cancelled;
+    } catch (error) {
+      console.error('Error cancelling DashScope task:', error);
+    }
+    progress = taskCancelled ? CANCEL_PROGRESS.QUEUED : CANCEL_PROGRESS.STARTED;
+  }
+
+  const refund = await videoJob.onCancel(env, { payload: { uid, videoId } }, progress);
+  return { cancelled: true, taskCancelled, refund };
+};
+
+/**
+ * Cancel the queued summaries and translations of an audio file
+ * @param {Object} env - Environment variables
+ * @param {Object} audio - { uid, audioid }
+ * @returns {Promise<number>} Jobs cancelled
+ */
+const cancelAudioTasks = async (env, { uid, audioid }) => {
+  const jobs = await findActiveJobs(env, { uid, types: ['summary', 'translation'], payload: { audioid } });
+
+  let cancelled = 0;
+  for (const job of jobs) {
+    // Lost to a run that just finished: that run keeps its charge
+    if (!(await settleJob(env, job.job_id, JOB_STATUSES.CANCELLED, 'Audio moved to the trash'))) continue;
+
+    const progress = job.status === JOB_STATUSES.RUNNING ? CANCEL_PROGRESS.STARTED : CANCEL_PROGRESS.QUEUED;
+    await JOB_HANDLERS[job.type].onCancel(env, job, progress);
+    cancelled += 1;
+  }
+
+  return cancelled;
+};
+
+/**
+ * Load the status of media that is not in the trash
+ * @param {Object} env - Environment variables
+ * @param {string} table - Metadata table
+ * @param {string} idColumn - ID column
+ * @param {string} uid - User ID
+ * @param {string} id - Media ID
+ * @returns {Promise<string|null>} Status, or null if there is no such media
+ */
+const fetchMediaStatus = async (env, table, idColumn, uid, id) => {
+  const { data, error } = await getSupabaseClient(env)
+    .from(table)
+    .select('status')
+    .eq('uid', uid)
+    .eq(idColumn, id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load ${id}: ${error.message}`);
+  }
+
+  return data?.status ?? null;
+};
+
+/**
+ * Cancel everything still running on an audio file: its transcription and
+ * its queued summaries and translations
+ * @param {Object} env - Environment variables
+ * @param {string} uid - User ID
+ * @param {string} audioid - Audio ID
+ */
+export const cancelAudioJobs = async (env, uid, audioid) => {
+  const status = await fetchMediaStatus(env, 'audio_metadata', 'audioid', uid, audioid);
+  if (!status) return;
+
+  if (CANCELLABLE_AUDIO_STATUSES.includes(status)) {
+    const result = await cancelAudioTranscription(env, { uid, audioid });
+    if (!result.cancelled) {
+      console.warn(`Transcription of ${audioid} could not be cancelled: ${result.error}`);
+    }
+  }
+
+  await cancelAudioTasks(env, { uid, audioid });
+};
+
+/**
+ * Cancel the generation of a video if it is still running
+ * @param {Object} env - Environment variables
+ * @param {string} uid - User ID
+ * @param {string} videoId - Video ID
+ */
+export const cancelVideoJobs = async (env, uid, videoId) => {
+  const status = await fetchMediaStatus(env, 'video_metadata', 'video_id', uid, videoId);
+  if (!CANCELLABLE_VIDEO_STATUSES.includes(status)) return;
+
+  const result = await cancelVideoGeneration(env, { uid, videoId });
+  if (!result.cancelled) {
+    console.warn(`Generation of ${videoId} could not be cancelled: ${result.error}`);
+  }
+};
@@ -0,0 +1,19 @@
+import { summaryJob } from './summaryJob.js';
+import { translationJob } from './translationJob.js';
+import { videoJob } from './videoJob.js';
+
+/**
+ * Job handlers run by the job queue (queue.js)
+ * Transcriptions are not queued: the AudioTranscriptionProcessor Durable
+ * Object runs transcriptionJob with the same interface.
+ *
+ * Handlers share one interface - { type, maxAttempts, timeoutMs,
+ * run(env, job), onDeadLetter(env, job, error) }. run() throws to retry,
+ * throws an error named PermanentJobError to give up, or returns
+ * { continueAfterSeconds, payload? } to run again later.
+ */
+export const JOB_HANDLERS = {
+  [summaryJob.type]: summaryJob,
+  [translationJob.type]: translationJob,
+  [videoJob.type]: videoJob
+};
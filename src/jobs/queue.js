@@ -0,0 +1,465 @@
+import { getSupabaseServiceClient } from '../config/database.js';
+import { getJobQueue } from '../services/jobQueue/index.js';
+import { JOB_HANDLERS } from './handlers.js';
+
+/**
+ * Durable job queue
+ *
+ * Background work (video generations, on-demand summaries and translations)
+ * is recorded in the `jobs` table (supabase/migrations/0017_job_queue.sql)
+ * and run by the processor Worker when the job queue transport delivers its
+ * message. The table is the source of truth, so a job survives an evicted
+ * isolate:
+ *
+ * - A job is claimed before it runs; a claim expires after the handler's
+ *   timeout, so a job whose worker died is picked up again.
+ * - A failed run is retried with exponential backoff until the handler's
+ *   maxAttempts; then the job is dead-lettered (status `dead`) and the
+ *   handler's onDeadLetter marks the record failed and refunds coins.
+ *   Errors named PermanentJobError are dead-lettered straight away.
+ * - A handler can return { continueAfterSeconds } to run again later without
+ *   using an attempt, e.g. to poll a provider.
+ * - The `requeue-jobs` scheduled task re-sends messages for jobs that are
+ *   overdue, in case a message was lost.
+ * - settleJob finishes a job from outside, e.g. when the user cancels it
+ *   (status `cancelled`); a run still in flight then leaves the row alone.
+ */
+
+export const JOB_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  RETRYING: 'retrying',
+  SUCCEEDED: 'succeeded',
+  DEAD: 'dead',
+  CANCELLED: 'cancelled'
+};
+
+// Statuses a job can still leave
+const ACTIVE_JOB_STATUSES = [JOB_STATUSES.QUEUED, JOB_STATUSES.RUNNING, JOB_STATUSES.RETRYING];
+
+// Retry delays: 30s, 1m, 2m, 4m ... capped at 15 minutes
+const BASE_RETRY_DELAY_SECONDS = 30;
+const MAX_RETRY_DELAY_SECONDS = 15 * 60;
+
+// A claim outlives the handler's timeout by this much before another worker may take over
+const CLAIM_GRACE_MS = 60 * 1000;
+
+// Overdue jobs only get a new message after this, so delayed deliveries are not duplicated
+const REQUEUE_GRACE_MS = 2 * 60 * 1000;
+
+// Jobs re-sent per sweep
+const REQUEUE_SWEEP_LIMIT = 100;
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Seconds
+ */
+export const retryDelaySeconds = (attempts) => {
+  return Math.min(BASE_RETRY_DELAY_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_SECONDS);
+};
+
+/**
+ * Longest one step of a job can take: every attempt runs to its limit and is
+ * retried after the full backoff. Coin holds must outlive the job's steps.
+ * @param {Object} handler - Job handler with maxAttempts and timeoutMs
+ * @param {number} [attemptMs] - Longest attempt, if it can wait beyond timeoutMs
+ * @returns {number} Seconds
+ */
+export const maxStepSeconds = (handler, attemptMs = handler.timeoutMs) => {
+  let seconds = 0;
+  for (let attempt = 1; attempt <= handler.maxAttempts; attempt++) {
+    seconds += (attemptMs + CLAIM_GRACE_MS) / 1000;
+    if (attempt < handler.maxAttempts) {
+      seconds += retryDelaySeconds(attempt);
+    }
+  }
+  return Math.ceil(seconds);
+};
+
+/**
+ * ID of the job for a resource - one job per video, or per coin hold of a summary or translation
+ * @param {string} type - Job type
+ * @param {string} resourceId - Video ID or hold ID
+ * @returns {string} Job ID
+ */
+export const jobIdFor = (type, resourceId) => `${type}:${resourceId}`;
+
+/**
+ * Send a job's message; a failure is logged and left to the requeue sweep
+ * @param {Object} env - Environment variables
+ * @param {string} jobId - Job ID
+ * @param {number} [delaySeconds] - Delay before delivery
+ * @returns {Promise<boolean>} Whether the message was sent
+ */
+const sendJobMessage = async (env, jobId, delaySeconds = 0) => {
+  try {
+    await getJobQueue(env).send(env, { jobId }, { delaySeconds });
+    return true;
+  } catch (error) {
+    console.error(`Could not send job ${jobId}; the requeue sweep will retry:`, error);
+    return false;
+  }
+};
+
+/**
+ * Update a job row
+ * @param {Object} env - Environment variables
+ * @param {string} jobId - Job ID
+ * @param {Object} fields - Fields to set
+ */
+const updateJob = async (env, jobId, fields) => {
+  const { error } = await getSupabaseServiceClient(env)
+    .from('jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('job_id', jobId);
+
+  if (error) {
+    throw new Error(`Failed to update job ${jobId}: ${error.message}`);
+  }
+};
+
+/**
+ * Record the outcome of a claimed run
+ * Only applies while the run still holds the job, so a job settled in the
+ * meantime (e.g. cancelled) is not revived.
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Claimed job
+ * @param {Object} fields - Fields to set
+ * @returns {Promise<boolean>} False if the job was settled during the run
+ */
+const updateClaimedJob = async (env, job, fields) => {
+  const { data, error } = await getSupabaseServiceClient(env)
+    .from('jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('job_id', job.job_id)
+    .eq('status', JOB_STATUSES.RUNNING)
+    .eq('attempts', job.attempts)
+    .select('job_id');
+
+  if (error) {
+    throw new Error(`Failed to update job ${job.job_id}: ${error.message}`);
+  }
+
+  if (!data.length) {
+    console.log(`Job ${job.job_id} was settled while it ran; its result is dropped`);
+  }
+
+  return data.length > 0;
+};
+
+/**
+ * Record a job and queue it
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Job
+ * @param {string} job.type - Handler type, a key of JOB_HANDLERS
+ * @param {string} job.uid - User ID
+ * @param {string} job.resourceId - Video ID, or hold ID of a summary or translation
+ * @param {Object} job.payload - Handler input
+ * @returns {Promise<Object>} Job row
+ * @throws {Error} If the job could not be recorded
+ */
+export const enqueueJob = async (env, { type, uid, resourceId, payload }) => {
+  const handler = JOB_HANDLERS[type];
+  if (!handler) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    job_id: jobIdFor(type, resourceId),
+    type,
+    uid,
+    resource_id: resourceId,
+    payload,
+    status: JOB_STATUSES.QUEUED,
+    attempts: 0,
+    max_attempts: handler.maxAttempts,
+    run_after: now,
+    created_at: now,
+    updated_at: now
+  };
+
+  const { error } = await getSupabaseServiceClient(env)
+    .from('jobs')
+    .insert(job);
+
+  if (error) {
+    throw new Error(`Failed to record job ${job.job_id}: ${error.message}`);
+  }
+
+  await sendJobMessage(env, job.job_id);
+  return job;
+};
+
+/**
+ * Load a job
+ * @param {Object} env - Environment variables
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job row, or null if missing
+ */
+export const getJob = async (env, jobId) => {
+  const { data, error } = await getSupabaseServiceClient(env)
+    .from('jobs')
+    .select('*')
+    .eq('job_id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load job ${jobId}: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Unfinished jobs of a user, e.g. the summaries and translations of one audio file
+ * @param {Object} env - Environment variables
+ * @param {Object} filter - Filter
+ * @param {string} filter.uid - User ID
+ * @param {Array<string>} filter.types - Job types
+ * @param {Object} [filter.payload] - Payload fields the jobs must have, e.g. { audioid }
+ * @returns {Promise<Array<Object>>} Job rows
+ */
+export const findActiveJobs = async (env, { uid, types, payload = {} }) => {
+  let query = getSupabaseServiceClient(env)
+    .from('jobs')
+    .select('*')
+    .eq('uid', uid)
+    .in('type', types)
+    .in('status', ACTIVE_JOB_STATUSES);
+
+  for (const [field, value] of Object.entries(payload)) {
+    query = query.eq(`payload->>${field}`, value);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load jobs of ${uid}: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Claim a job for one run
+ * Only a queued or retrying job, or a running one whose claim expired, can be
+ * claimed, and only by one worker: the update also matches the attempt count.
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Job row
+ * @param {Object} handler - Job handler
+ * @returns {Promise<Object|null>} Claimed job, or null if someone else has it
+ */
+const claimJob = async (env, job, handler) => {
+  const now = new Date();
+  const claimed = {
+    status: JOB_STATUSES.RUNNING,
+    attempts: job.attempts + 1,
+    locked_until: new Date(now.getTime() + handler.timeoutMs + CLAIM_GRACE_MS).toISOString(),
+    updated_at: now.toISOString()
+  };
+
+  const { data, error } = await getSupabaseServiceClient(env)
+    .from('jobs')
+    .update(claimed)
+    .eq('job_id', job.job_id)
+    .eq('attempts', job.attempts)
+    .or(`status.in.(${JOB_STATUSES.QUEUED},${JOB_STATUSES.RETRYING}),and(status.eq.${JOB_STATUSES.RUNNING},locked_until.lt.${now.toISOString()})`)
+    .select('job_id');
+
+  if (error) {
+    throw new Error(`Failed to claim job ${job.job_id}: ${error.message}`);
+  }
+
+  return data.length ? { ...job, ...claimed } : null;
+};
+
+/**
+ * Dead-letter a job and let its handler clean up
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Claimed job
+ * @param {Object} handler - Job handler
+ * @param {Error} error - Last error
+ */
+const deadLetterJob = async (env, job, handler, error) => {
+  console.error(`Job ${job.job_id} dead-lettered after ${job.attempts} attempt(s):`, error.message || error);
+
+  const updated = await updateClaimedJob(env, job, {
+    status: JOB_STATUSES.DEAD,
+    last_error: error.message || String(error),
+    locked_until: null,
+    completed_at: new Date().toISOString()
+  });
+  if (!updated) return;
+
+  try {
+    await handler.onDeadLetter(env, job, error);
+  } catch (cleanupError) {
+    console.error(`Error cleaning up dead job ${job.job_id}:`, cleanupError);
+  }
+};
+
+/**
+ * Run a job once - the consumer of every transport
+ * Messages for jobs that are finished, missing or claimed elsewhere are ignored.
+ * @param {Object} env - Environment variables
+ * @param {string} jobId - Job ID
+ * @returns {Promise<string|null>} Job status after the run, or null if nothing ran or the
+ *   job was settled while it ran
+ * @throws {Error} Only if the job table cannot be read or written
+ */
+export const processJobMessage = async (env, jobId) => {
+  const job = await getJob(env, jobId);
+  if (!job || !ACTIVE_JOB_STATUSES.includes(job.status)) {
+    return null;
+  }
+
+  const handler = JOB_HANDLERS[job.type];
+  if (!handler) {
+    await updateJob(env, jobId, { status: JOB_STATUSES.DEAD, last_error: `Unknown job type: ${job.type}` });
+    return JOB_STATUSES.DEAD;
+  }
+
+  const claimed = await claimJob(env, job, handler);
+  if (!claimed) return null;
+
+  console.log(`Running job ${jobId} (attempt ${claimed.attempts}/${claimed.max_attempts})`);
+
+  let result;
+  try {
+    result = await handler.run(env, claimed);
+  } catch (error) {
+    if (error.name === 'PermanentJobError' || claimed.attempts >= claimed.max_attempts) {
+      await deadLetterJob(env, claimed, handler, error);
+      return JOB_STATUSES.DEAD;
+    }
+
+    const delaySeconds = retryDelaySeconds(claimed.attempts);
+    console.warn(`Job ${jobId} failed (attempt ${claimed.attempts}), retrying in ${delaySeconds}s:`, error.message || error);
+
+    const updated = await updateClaimedJob(env, claimed, {
+      status: JOB_STATUSES.RETRYING,
+      last_error: error.message || String(error),
+      run_after: new Date(Date.now() + delaySeconds * 1000).toISOString(),
+      locked_until: null
+    });
+    if (!updated) return null;
+
+    await sendJobMessage(env, jobId, delaySeconds);
+    return JOB_STATUSES.RETRYING;
+  }
+
+  // The handler made progress and wants to run again later - that is not a failed attempt
+  if (result?.continueAfterSeconds !== undefined) {
+    const updated = await updateClaimedJob(env, claimed, {
+      status: JOB_STATUSES.QUEUED,
+      attempts: 0,
+      payload: result.payload ?? claimed.payload,
+      run_after: new Date(Date.now() + result.continueAfterSeconds * 1000).toISOString(),
+      locked_until: null
+    });
+    if (!updated) return null;
+
+    await sendJobMessage(env, jobId, result.continueAfterSeconds);
+    return JOB_STATUSES.QUEUED;
+  }
+
+  const updated = await updateClaimedJob(env, claimed, {
+    status: JOB_STATUSES.SUCCEEDED,
+    last_error: null,
+    locked_until: null,
+    completed_at: new Date().toISOString()
+  });
+  return updated ? JOB_STATUSES.SUCCEEDED : null;
+};
+
+/**
+ * Re-send messages for overdue jobs (scheduled sweep)
+ * Catches messages that were never sent or got lost, and runs whose worker died.
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} { requeued }
+ */
+export const requeueDueJobs = async (env) => {
+  const now = Date.now();
+  const overdue = new Date(now - REQUEUE_GRACE_MS).toISOString();
+
+  const { data: jobs, error } = await getSupabaseServiceClient(env)
+    .from('jobs')
+    .select('job_id')
+    .or(`and(status.in.(${JOB_STATUSES.QUEUED},${JOB_STATUSES.RETRYING}),run_after.lt.${overdue}),and(status.eq.${JOB_STATUSES.RUNNING},locked_until.lt.${new Date(now).toISOString()})`)
+    .order('run_after', { ascending: true })
+    .limit(REQUEUE_SWEEP_LIMIT);
+
+  if (error) {
+    throw new Error(`Failed to load overdue jobs: ${error.message}`);
+  }
+
+  let requeued = 0;
+  for (const { job_id: jobId } of jobs) {
+    if (await sendJobMessage(env, jobId)) requeued += 1;
+  }
+
+  return { requeued };
+};
+
+/**
+ * Finish a job from outside the queue, e.g. after the stuck-job reaper settled its record
+ * Pending messages for it are then ignored, and so is the result of a run in
+ * flight; jobs that already finished are left alone.
+ * @param {Object} env - Environment variables
+ * @param {string} jobId - Job ID
+ * @param {string} status - JOB_STATUSES.SUCCEEDED, JOB_STATUSES.DEAD or JOB_STATUSES.CANCELLED
+ * @param {string} [lastError] - Reason, for dead and cancelled jobs
+ * @returns {Promise<boolean>} False if the job is missing or already finished
+ */
+export const settleJob = async (env, jobId, status, lastError = null) => {
+  const { data, error } = await getSupabaseServiceClient(env)
+    .from('jobs')
+    .update({
+      status,
+      last_error: lastError,
+      locked_until: null,
+      completed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('job_id', jobId)
+    .in('status', ACTIVE_JOB_STATUSES)
+    .select('job_id');
+
+  if (error) {
+    throw new Error(`Failed to settle job ${jobId}: ${error.message}`);
+  }
+
+  return data.length > 0;
+};
+
+/**
+ * Put a dead-lettered job back in the queue with fresh attempts
+ * @param {Object} env - Environment variables
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} False if the job is not dead
+ */
+export const retryDeadJob = async (env, jobId) => {
+  const { data, error } = await getSupabaseServiceClient(env)
+    .from('jobs')
+    .update({
+      status: JOB_STATUSES.QUEUED,
+      attempts: 0,
+      run_after: new Date().toISOString(),
+      completed_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('job_id', jobId)
+    .eq('status', JOB_STATUSES.DEAD)
+    .select('job_id');
+
+  if (error) {
+    throw new Error(`Failed to requeue job ${jobId}: ${error.message}`);
+  }
+
+  if (!data.length) return false;
+
+  await sendJobMessage(env, jobId);
+  return true;
+};
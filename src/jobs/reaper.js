@@ -0,0 +1,265 @@
+import { getSupabaseClient, getSupabaseServiceClient } from '../config/database.js';
+import { extendJobHold, getJobHold } from '../services/billing.js';
+import { checkVideoStatus } from '../services/dashscopeVideo.js';
+import { getTranscriptionJob, startTranscription } from '../services/transcriptionProcessor.js';
+import { jobIdFor, JOB_STATUSES, settleJob } from './queue.js';
+import { transcriptionJob } from './transcriptionJob.js';
+import { completeVideo, MAX_GENERATION_MS, videoJob } from './videoJob.js';
+
+/**
+ * Stuck-job reaper
+ *
+ * Audio and videos whose background work died leave their rows in `pending`,
+ * `processing` or `generating` and their coins held. The `reap-stuck-jobs`
+ * scheduled task finds rows older than STUCK_JOB_MINUTES and settles them:
+ *
+ * - Audio: the AudioTranscriptionProcessor is asked for the job. One that is
+ *   still queued, running, retrying or awaiting a callback is left to it. A
+ *   job that was never started is resubmitted if its coin hold is still held,
+ *   after extending the hold by a full job lifetime; otherwise, and for jobs
+ *   that ended without updating the row, the audio is failed. Its coins are
+ *   refunded only if they were never captured: a job that completed was
+ *   charged for its transcript, and a cancelled one keeps the share the
+ *   cancellation policy charges.
+ * - Videos: rows that stopped being updated have their DashScope task checked
+ *   with checkVideoStatus; a finished video is stored and charged, a failed,
+ *   unknown or never submitted task is failed and refunded, and a running one
+ *   is given until MAX_GENERATION_MS. The queue job is settled to match.
+ *
+ * Runs that settled or failed on anything are stored in `stuck_job_reports`
+ * (supabase/migrations/0018_stuck_job_reports.sql) for GET /api/admin/stuckJobReports.
+ */
+
+export const DEFAULT_STUCK_JOB_MINUTES = 30;
+
+// Rows of each kind checked per run
+const REAP_LIMIT = 50;
+
+// Statuses of work that has not finished
+const STUCK_AUDIO_STATUSES = ['pending', 'processing'];
+const STUCK_VIDEO_STATUSES = ['pending', 'processing', 'generating'];
+
+// Active statuses of an AudioTranscriptionProcessor job
+const ACTIVE_TRANSCRIPTION_STATUSES = ['queued', 'running', 'retrying', 'awaiting_callback'];
+
+// Task IDs written by createVideo before the DashScope task exists
+const TEMP_TASK_ID_PREFIX = 'temp_';
+
+/**
+ * Age after which unfinished work counts as stuck
+ * @param {Object} env - Environment variables
+ * @returns {number} Minutes
+ */
+export const getStuckJobMinutes = (env) => {
+  const minutes = Number(env.STUCK_JOB_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_STUCK_JOB_MINUTES;
+};
+
+/**
+ * Whether a refundFailedJob result gave coins back
+ * @param {Object|null} result - Result of refundFailedJob
+ * @returns {boolean} True if a hold was released or a charge refunded
+ */
+const wasRefunded = (result) => Boolean(result?.success && !result.duplicate);
+
+/**
+ * Settle one stuck audio file
+ * @param {Object} env - Environment variables
+ * @param {Object} audio - audio_metadata row
+ * @returns {Promise<Object>} Report item { action, reason, refunded }
+ */
+const reapAudio = async (env, audio) => {
+  const job = await getTranscriptionJob(env, audio.audioid);
+
+  if (job && ACTIVE_TRANSCRIPTION_STATUSES.includes(job.status)) {
+    return { action: 'active', reason: `Transcription job is ${job.status} (attempt ${job.attempts}/${job.max_attempts})` };
+  }
+
+  // Resubmitting against an expired hold would transcribe without charging
+  const holdValid = !job && await extendJobHold(env, {
+    jobType: 'audio',
+    jobId: audio.audioid,
+    ttlSeconds: transcriptionJob.holdTtlSeconds()
+  });
+
+  if (holdValid) {
+    await startTranscription(env, {
+      uid: audio.uid,
+      audioid: audio.audioid,
+      audioUrl: audio.audio_url,
+      language: audio.language,
+      duration: audio.duration,
+      provider: audio.transcription_provider,
+      diarize: Boolean(audio.diarize),
+      summaryProvider: null
+    });
+    return { action: 'resubmitted', reason: 'Transcription job was never started' };
+  }
+
+  const reason = job
+    ? `Transcription job ended as ${job.status} without updating the audio`
+    : 'Transcription job was never started and its coin hold expired';
+
+  const failedJob = { payload: { uid: audio.uid, audioid: audio.audioid } };
+  const error = new Error(job?.last_error || reason);
+
+  // An ended job can no longer capture, so a hold that is not captured now never will be
+  const hold = job && await getJobHold(env, { jobType: 'audio', jobId: audio.audioid });
+  if (hold?.status === 'captured') {
+    await transcriptionJob.fail(env, failedJob, error);
+    return { action: 'failed', reason: `${reason}; its coins were already charged`, refunded: false };
+  }
+
+  const refund = await transcriptionJob.onDeadLetter(env, failedJob, error);
+  return { action: 'failed', reason, refunded: wasRefunded(refund) };
+};
+
+/**
+ * Fail a stuck video, refund it and stop its queue job
+ * @param {Object} env - Environment variables
+ * @param {Object} payload - { uid, videoId }
+ * @param {string} reason - Error shown on the video
+ * @returns {Promise<Object>} Report item
+ */
+const failVideo = async (env, payload, reason) => {
+  await settleJob(env, jobIdFor(videoJob.type, payload.videoId), JOB_STATUSES.DEAD, reason);
+  const refund = await videoJob.onDeadLetter(env, { payload }, new Error(reason));
+  return { action: 'failed', reason, refunded: wasRefunded(refund) };
+};
+
+/**
+ * Settle one stuck video
+ * @param {Object} env - Environment variables
+ * @param {Object} video - video_metadata row
+ * @returns {Promise<Object>} Report item { action, reason, refunded }
+ */
+const reapVideo = async (env, video) => {
+  const payload = { uid: video.uid, videoId: video.video_id };
+
+  if (!video.task_id || video.task_id.startsWith(TEMP_TASK_ID_PREFIX)) {
+    return failVideo(env, payload, 'Video generation was never submitted');
+  }
+
+  const statusResult = await checkVideoStatus(video.task_id, env);
+
+  if (statusResult.task_status === 'SUCCEEDED' && statusResult.video_url) {
+    await completeVideo(env, payload, statusResult);
+    await settleJob(env, jobIdFor(videoJob.type, video.video_id), JOB_STATUSES.SUCCEEDED);
+    return { action: 'completed', reason: 'DashScope task had finished' };
+  }
+
+  if (['PENDING', 'RUNNING'].includes(statusResult.task_status)
+    && Date.now() - new Date(video.created_at).getTime() < MAX_GENERATION_MS) {
+    return { action: 'active', reason: `DashScope task is ${statusResult.task_status}` };
+  }
+
+  return failVideo(env, payload, statusResult.task_status === 'FAILED'
+    ? 'Video generation failed on DashScope'
+    : `Video generation did not finish (DashScope task ${statusResult.task_status || 'unknown'})`);
+};
+
+/**
+ * Run a reap function over rows, recording one report item per row
+ * A row that throws is reported as an error and does not stop the others.
+ * @param {Array<Object>} rows - Rows to settle
+ * @param {Function} reap - Settles one row, returns a report item
+ * @param {Function} describe - Row to { type, id, uid, status }
+ * @returns {Promise<Array<Object>>} Report items
+ */
+const reapRows = async (rows, reap, describe) => {
+  const items = [];
+
+  for (const row of rows) {
+    try {
+      items.push({ ...describe(row), ...(await reap(row)) });
+    } catch (error) {
+      console.error(`Error reaping ${describe(row).type} ${describe(row).id}:`, error);
+      items.push({ ...describe(row), action: 'error', reason: error.message });
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Count report items per action
+ * @param {Array<Object>} items - Report items of one kind
+ * @returns {Object} { checked, <action>: count, refunded }
+ */
+const summarize = (items) => {
+  const summary = { checked: items.length, refunded: 0 };
+  for (const item of items) {
+    summary[item.action] = (summary[item.action] || 0) + 1;
+    if (item.refunded) summary.refunded += 1;
+  }
+  return summary;
+};
+
+/**
+ * Find and settle stuck audio and videos (scheduled task)
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Summary { threshold_minutes, audio, video }
+ */
+export const reapStuckJobs = async (env) => {
+  const supabase = getSupabaseClient(env);
+  const thresholdMinutes = getStuckJobMinutes(env);
+  const cutoff = new Date(Date.now() - thresholdMinutes * 60 * 1000).toISOString();
+
+  const { data: audioRows, error: audioError } = await supabase
+    .from('audio_metadata')
+    .select('uid, audioid, audio_url, language, duration, transcription_provider, diarize, status, uploaded_at')
+    .in('status', STUCK_AUDIO_STATUSES)
+    .is('deleted_at', null)
+    .lt('uploaded_at', cutoff)
+    .order('uploaded_at', { ascending: true })
+    .limit(REAP_LIMIT);
+
+  if (audioError) {
+    throw new Error(`Failed to load stuck audio: ${audioError.message}`);
+  }
+
+  // A video job updates its row on every poll, so a stale updated_at means nobody is working on it
+  const { data: videoRows, error: videoError } = await supabase
+    .from('video_metadata')
+    .select('uid, video_id, task_id, status, created_at, updated_at')
+    .in('status', STUCK_VIDEO_STATUSES)
+    .is('deleted_at', null)
+    .lt('updated_at', cutoff)
+    .order('updated_at', { ascending: true })
+    .limit(REAP_LIMIT);
+
+  if (videoError) {
+    throw new Error(`Failed to load stuck videos: ${videoError.message}`);
+  }
+
+  const audioItems = await reapRows(
+    audioRows,
+    (audio) => reapAudio(env, audio),
+    (audio) => ({ type: 'audio', id: audio.audioid, uid: audio.uid, status: audio.status })
+  );
+  const videoItems = await reapRows(
+    videoRows,
+    (video) => reapVideo(env, video),
+    (video) => ({ type: 'video', id: video.video_id, uid: video.uid, status: video.status })
+  );
+
+  const report = {
+    threshold_minutes: thresholdMinutes,
+    audio: summarize(audioItems),
+    video: summarize(videoItems),
+    items: [...audioItems, ...videoItems]
+  };
+
+  // Rows that were only found still working are not worth a report
+  if (report.items.some(item => item.action !== 'active')) {
+    const { error: reportError } = await getSupabaseServiceClient(env)
+      .from('stuck_job_reports')
+      .insert({ ...report, created_at: new Date().toISOString() });
+
+    if (reportError) {
+      console.error('Error storing stuck job report:', reportError);
+    }
+  }
+
+  return { threshold_minutes: thresholdMinutes, audio: report.audio, video: report.video };
+};
@@ -0,0 +1,58 @@
+import { retryStorageDeletions } from '../services/mediaDeletion.js';
+import { purgeExpiredTrash } from '../services/trash.js';
+import { expireStaleHolds } from '../services/billing.js';
+import { requeueDueJobs } from './queue.js';
+import { reapStuckJobs } from './reaper.js';
+
+/**
+ * Scheduled maintenance tasks
+ *
+ * Run by the cron trigger of the processor worker (src/worker.js,
+ * wrangler.processor.toml). Pages Functions have no cron support, so all
+ * periodic work is registered here.
+ */
+const scheduledTasks = [
+  {
+    name: 'expire-coin-holds',
+    run: async (env) => ({ expired: await expireStaleHolds(env) })
+  },
+  {
+    name: 'retry-storage-deletions',
+    run: retryStorageDeletions
+  },
+  {
+    name: 'purge-expired-trash',
+    run: purgeExpiredTrash
+  },
+  {
+    name: 'requeue-jobs',
+    run: requeueDueJobs
+  },
+  {
+    name: 'reap-stuck-jobs',
+    run: reapStuckJobs
+  }
+];
+
+/**
+ * Run every scheduled task
+ * A failing task is logged and does not stop the others.
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array>} One { name, success, result | error } entry per task
+ */
+export const runScheduledTasks = async (env) => {
+  const results = [];
+
+  for (const task of scheduledTasks) {
+    try {
+      const result = await task.run(env);
+      console.log(`Scheduled task ${task.name} completed:`, JSON.stringify(result));
+      results.push({ name: task.name, success: true, result });
+    } catch (error) {
+      console.error(`Scheduled task ${task.name} failed:`, error);
+      results.push({ name: task.name, success: false, error: error.message });
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,96 @@
+import { captureJobCoins, refundFailedJob, settleCancelledJob } from '../services/billing.js';
+import { resolveLlmProvider } from '../services/llm/index.js';
+import { failTranscriptSummary, generateTranscriptSummary } from '../services/transcriptSummary.js';
+import { maxStepSeconds } from './queue.js';
+
+/**
+ * On-demand summary job
+ *
+ * Regenerates the summary of a transcript for POST /api/audio/:audioid/summary,
+ * which holds the coins, claims the summary and queues the job with the
+ * payload { uid, audioid, provider, previous }, where provider is the LLM
+ * provider name and previous the summary_data kept if the job fails. The job's
+ * resource ID is the ID of the coin hold, one per request.
+ */
+
+/**
+ * Error that retrying cannot fix
+ * @param {string} message - Error message
+ * @returns {Error} Error with name PermanentJobError
+ */
+const permanentJobError = (message) => {
+  const error = new Error(message);
+  error.name = 'PermanentJobError';
+  return error;
+};
+
+export const summaryJob = {
+  type: 'summary',
+  maxAttempts: 3,
+  // Longest LLM timeout plus loading and saving the transcript
+  timeoutMs: 3 * 60 * 1000,
+
+  /**
+   * Seconds the coin hold must last: every attempt with its retries
+   * @returns {number} Seconds
+   */
+  holdTtlSeconds: () => maxStepSeconds(summaryJob),
+
+  /**
+   * Summarize the transcript and capture the coins
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Claimed job row
+   */
+  run: async (env, { resource_id: holdId, payload }) => {
+    let provider;
+    try {
+      provider = resolveLlmProvider(env, payload.provider);
+    } catch (error) {
+      throw permanentJobError(error.message);
+    }
+
+    if (!provider.isConfigured(env)) {
+      throw permanentJobError(`Summary provider ${provider.name} is not available`);
+    }
+
+    await generateTranscriptSummary(env, { uid: payload.uid, audioid: payload.audioid, provider });
+    await captureJobCoins(env, { jobType: 'summary', jobId: holdId });
+  },
+
+  /**
+   * Mark the summary failed and give the coins back
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Dead job row
+   * @param {Error} error - Last error
+   * @returns {Promise<Object|null>} Result of refundFailedJob
+   */
+  onDeadLetter: async (env, { resource_id: holdId, payload }, error) => {
+    await failTranscriptSummary(env, {
+      uid: payload.uid,
+      audioid: payload.audioid,
+      providerName: payload.provider,
+      previous: payload.previous
+    }, error);
+
+    return refundFailedJob(env, { uid: payload.uid, jobType: 'summary', jobId: holdId, transactionName: 'Transcript Summary Refund' });
+  },
+
+  /**
+   * Mark the summary failed and refund the share the cancellation policy
+   * allows, e.g. when its audio file is moved to the trash
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Cancelled job row
+   * @param {string} progress - A CANCEL_PROGRESS value
+   * @returns {Promise<Object>} Result of settleCancelledJob
+   */
+  onCancel: async (env, { resource_id: holdId, payload }, progress) => {
+    await failTranscriptSummary(env, {
+      uid: payload.uid,
+      audioid: payload.audioid,
+      providerName: payload.provider,
+      previous: payload.previous
+    }, new Error('Summary cancelled'));
+
+    return settleCancelledJob(env, { uid: payload.uid, jobType: 'summary', jobId: holdId, progress, transactionName: 'Transcript Summary Refund' });
+  }
+};
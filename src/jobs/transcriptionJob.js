@@ -0,0 +1,255 @@
+import { getSupabaseClient } from '../config/database.js';
+import { calculateAudioCoins, calculateSummaryCoins, captureJobCoins, refundFailedJob, settleCancelledJob } from '../services/billing.js';
+import { resolveLlmProvider } from '../services/llm/index.js';
+import { claimTranscriptSummary, runTranscriptSummary } from '../services/transcriptSummary.js';
+import { languageDetectionFields, resolveTranscriptionProvider, submitTranscription, transcribeAudio } from '../services/transcription/index.js';
+import { buildCallbackUrl } from '../services/webhooks.js';
+import { maxStepSeconds } from './queue.js';
+
+/**
+ * Transcription job
+ *
+ * Transcribes an uploaded audio file, saves the result and, when requested,
+ * summarizes it; then captures the coins held at upload. Run by the
+ * AudioTranscriptionProcessor Durable Object, which the upload routes start
+ * with the payload
+ * { uid, audioid, audioUrl, language, duration, provider, diarize, summaryProvider }.
+ *
+ * In callback mode (see src/services/webhooks.js) providers that support it
+ * are only sent the request; run() returns { awaitingCallback } and the result
+ * arrives through /api/webhooks/<provider>, which the processor hands to finish().
+ */
+
+// Progress stages reported through run()'s onProgress
+export const TRANSCRIPTION_STAGES = {
+  TRANSCRIBING: 'transcribing',
+  SAVING: 'saving'
+};
+
+// Statuses of an audio file whose transcription can still be cancelled
+export const CANCELLABLE_AUDIO_STATUSES = ['pending', 'processing'];
+
+/**
+ * Error that retrying cannot fix
+ * @param {string} message - Error message
+ * @returns {Error} Error with name PermanentJobError
+ */
+const permanentJobError = (message) => {
+  const error = new Error(message);
+  error.name = 'PermanentJobError';
+  return error;
+};
+
+/**
+ * Update the audio record of a job
+ * @param {Object} env - Environment variables
+ * @param {Object} payload - Job payload
+ * @param {Object} fields - Fields to set
+ */
+const updateAudio = async (env, { uid, audioid }, fields) => {
+  const { error } = await getSupabaseClient(env)
+    .from('audio_metadata')
+    .update(fields)
+    .eq('uid', uid)
+    .eq('audioid', audioid);
+
+  if (error) {
+    throw new Error(`Failed to update audio ${audioid}: ${error.message}`);
+  }
+};
+
+/**
+ * Save a transcription result, summarize it if requested and capture the coins
+ * @param {Object} env - Environment variables
+ * @param {Object} payload - Job payload
+ * @param {Object} transcriptionResult - Result in the common transcription schema
+ * @param {Object} [options] - Options
+ * @param {AbortSignal} [options.signal] - Checked once more before saving
+ * @param {Function} [options.onProgress] - Called with TRANSCRIPTION_STAGES.SAVING
+ */
+const saveTranscription = async (env, payload, transcriptionResult, { signal, onProgress } = {}) => {
+  if (!transcriptionResult.transcription) {
+    throw permanentJobError('Failed to transcribe audio - empty transcription returned');
+  }
+
+  console.log(`Transcription completed for audioid: ${payload.audioid}, length: ${transcriptionResult.transcription.length}`);
+
+  signal?.throwIfAborted();
+  await onProgress?.(TRANSCRIPTION_STAGES.SAVING);
+
+  // The provider's processed duration is the most reliable measurement
+  const finalDuration = transcriptionResult.duration || payload.duration;
+  const durationUpdate = transcriptionResult.duration
+    ? { duration: Math.ceil(finalDuration), measured_duration: finalDuration, duration_source: 'transcriber' }
+    : {};
+
+  await updateAudio(env, payload, {
+    transcription: transcriptionResult.transcription,
+    words_data: transcriptionResult.words,
+    segments_data: transcriptionResult.segments,
+    ...durationUpdate,
+    ...languageDetectionFields(payload.language, transcriptionResult),
+    status: 'completed',
+    error_message: null
+  });
+
+  // Summaries are best effort: a failed summary is recorded and not charged
+  let summarized = false;
+  if (payload.summaryProvider) {
+    try {
+      const summaryProvider = resolveLlmProvider(env, payload.summaryProvider);
+      const claimed = await claimTranscriptSummary(env, { uid: payload.uid, audioid: payload.audioid, provider: summaryProvider });
+      if (claimed) {
+        const summaryResult = await runTranscriptSummary(env, { uid: payload.uid, audioid: payload.audioid, provider: summaryProvider });
+        summarized = summaryResult.success;
+      }
+    } catch (error) {
+      console.error(`Summary for audioid ${payload.audioid} could not run:`, error);
+    }
+  }
+
+  // Settle the hold at the price of the measured duration
+  const finalCoins = calculateAudioCoins(finalDuration) + (summarized ? calculateSummaryCoins(finalDuration) : 0);
+  await captureJobCoins(env, { jobType: 'audio', jobId: payload.audioid, amount: finalCoins });
+
+  console.log(`Successfully completed transcription for audioid: ${payload.audioid}`);
+};
+
+export const transcriptionJob = {
+  type: 'transcription',
+  maxAttempts: 4,
+  // Longest provider timeout plus the optional summary
+  timeoutMs: 3 * 60 * 1000,
+  // A callback still missing by then fails the job; Deepgram retries its own deliveries
+  callbackTimeoutMs: 30 * 60 * 1000,
+
+  /**
+   * Seconds the coin hold must last: every attempt may wait for a callback
+   * @returns {number} Seconds
+   */
+  holdTtlSeconds: () => maxStepSeconds(transcriptionJob, transcriptionJob.timeoutMs + transcriptionJob.callbackTimeoutMs),
+
+  /**
+   * Transcribe the audio and settle its coins, or submit it in callback mode
+   * Once the SAVING stage is reported the run can no longer be cancelled.
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Claimed job, { payload }
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Cancels the run before its results are saved
+   * @param {Function} [options.onProgress] - Called with each TRANSCRIPTION_STAGES value
+   * @returns {Promise<Object|undefined>} { awaitingCallback: { requestId } } if the
+   *   provider will post the result
+   */
+  run: async (env, job, { signal, onProgress } = {}) => {
+    const { payload } = job;
+    const { audioid } = payload;
+
+    let provider;
+    try {
+      provider = resolveTranscriptionProvider(env, payload.provider);
+    } catch (error) {
+      throw permanentJobError(error.message);
+    }
+
+    // The processor Worker has its own secrets - a missing key will not appear by retrying
+    if (!provider.isConfigured(env)) {
+      throw permanentJobError(`Transcription provider ${provider.name} is not configured`);
+    }
+
+    console.log(`Starting background transcription for audioid: ${audioid}`);
+    await updateAudio(env, payload, { status: 'processing' });
+    await onProgress?.(TRANSCRIPTION_STAGES.TRANSCRIBING);
+
+    const callbackUrl = provider.supportsCallbacks ? await buildCallbackUrl(env, provider.name, audioid) : null;
+    if (callbackUrl) {
+      const { requestId } = await submitTranscription(env, provider, payload.audioUrl, {
+        language: payload.language,
+        diarize: payload.diarize,
+        callbackUrl,
+        signal
+      });
+
+      console.log(`Submitted ${provider.name} request ${requestId} for audioid: ${audioid}, awaiting callback`);
+
+      // A cancelled job ignores the callback when it comes
+      signal?.throwIfAborted();
+      return { awaitingCallback: { requestId } };
+    }
+
+    console.log(`Calling ${provider.name} for audioid: ${audioid}`);
+
+    // Transcribe the audio with the selected provider
+    const transcriptionResult = await transcribeAudio(env, provider, payload.audioUrl, {
+      language: payload.language,
+      durationHint: payload.duration,
+      diarize: payload.diarize,
+      signal
+    });
+
+    await saveTranscription(env, payload, transcriptionResult, { signal, onProgress });
+  },
+
+  /**
+   * Save a result the provider posted to its callback URL and settle the coins
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Job awaiting the callback, { payload }
+   * @param {Object} body - Callback body
+   * @param {Object} [options] - Options
+   * @param {Function} [options.onProgress] - Called with TRANSCRIPTION_STAGES.SAVING
+   */
+  finish: async (env, { payload }, body, { onProgress } = {}) => {
+    const provider = resolveTranscriptionProvider(env, payload.provider);
+
+    let transcriptionResult;
+    try {
+      transcriptionResult = provider.parseCallback(body);
+    } catch (error) {
+      throw permanentJobError(error.message);
+    }
+
+    await saveTranscription(env, payload, transcriptionResult, { onProgress });
+  },
+
+  /**
+   * Mark the audio failed without touching its coins
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Job, { payload }
+   * @param {Error} error - Reason shown on the audio
+   */
+  fail: async (env, { payload }, error) => {
+    await updateAudio(env, payload, {
+      status: 'failed',
+      error_message: error.message || 'Unknown error occurred during transcription'
+    });
+  },
+
+  /**
+   * Mark the audio failed and give the coins back
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Dead job row
+   * @param {Error} error - Last error
+   * @returns {Promise<Object|null>} Result of refundFailedJob
+   */
+  onDeadLetter: async (env, { payload }, error) => {
+    await transcriptionJob.fail(env, { payload }, error);
+
+    // Keyed on the original charge, so retries never pay twice
+    return refundFailedJob(env, { uid: payload.uid, jobType: 'audio', jobId: payload.audioid, transactionName: 'Audio Transcription Refund' });
+  },
+
+  /**
+   * Mark the audio cancelled and refund the share the cancellation policy allows
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Cancelled job, { payload }
+   * @param {string} progress - A CANCEL_PROGRESS value
+   * @returns {Promise<Object>} Result of settleCancelledJob
+   */
+  onCancel: async (env, { payload }, progress) => {
+    await updateAudio(env, payload, {
+      status: 'cancelled',
+      error_message: 'Transcription cancelled'
+    });
+
+    return settleCancelledJob(env, { uid: payload.uid, jobType: 'audio', jobId: payload.audioid, progress, transactionName: 'Audio Transcription Refund' });
+  }
+};
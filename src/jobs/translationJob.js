@@ -0,0 +1,86 @@
+import { captureJobCoins, refundFailedJob, settleCancelledJob } from '../services/billing.js';
+import { failTranslation, translateTranscript } from '../services/transcriptTranslation.js';
+import { resolveTranslationProvider } from '../services/translation/index.js';
+import { maxStepSeconds } from './queue.js';
+
+/**
+ * Translation job
+ *
+ * Translates a transcript for POST /api/audio/translate, which holds the
+ * coins, claims the translation row and queues the job with the payload
+ * { uid, audioid, language, sourceLanguage, provider }, where provider is the
+ * translation provider name. The job's resource ID is the ID of the coin
+ * hold, one per request.
+ */
+
+/**
+ * Error that retrying cannot fix
+ * @param {string} message - Error message
+ * @returns {Error} Error with name PermanentJobError
+ */
+const permanentJobError = (message) => {
+  const error = new Error(message);
+  error.name = 'PermanentJobError';
+  return error;
+};
+
+export const translationJob = {
+  type: 'translation',
+  maxAttempts: 3,
+  // Covers the provider batches of a long transcript
+  timeoutMs: 10 * 60 * 1000,
+
+  /**
+   * Seconds the coin hold must last: every attempt with its retries
+   * @returns {number} Seconds
+   */
+  holdTtlSeconds: () => maxStepSeconds(translationJob),
+
+  /**
+   * Translate the transcript and capture the coins
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Claimed job row
+   */
+  run: async (env, { resource_id: holdId, payload }) => {
+    let provider;
+    try {
+      provider = resolveTranslationProvider(env, payload.provider);
+    } catch (error) {
+      throw permanentJobError(error.message);
+    }
+
+    if (!provider.isConfigured(env)) {
+      throw permanentJobError(`Translation provider ${provider.name} is not available`);
+    }
+
+    await translateTranscript(env, { ...payload, provider });
+    await captureJobCoins(env, { jobType: 'translation', jobId: holdId });
+  },
+
+  /**
+   * Mark the translation failed and give the coins back
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Dead job row
+   * @param {Error} error - Last error
+   * @returns {Promise<Object|null>} Result of refundFailedJob
+   */
+  onDeadLetter: async (env, { resource_id: holdId, payload }, error) => {
+    await failTranslation(env, payload, error);
+
+    return refundFailedJob(env, { uid: payload.uid, jobType: 'translation', jobId: holdId, transactionName: 'Transcript Translation Refund' });
+  },
+
+  /**
+   * Mark the translation failed and refund the share the cancellation policy
+   * allows, e.g. when its audio file is moved to the trash
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Cancelled job row
+   * @param {string} progress - A CANCEL_PROGRESS value
+   * @returns {Promise<Object>} Result of settleCancelledJob
+   */
+  onCancel: async (env, { resource_id: holdId, payload }, progress) => {
+    await failTranslation(env, payload, new Error('Translation cancelled'));
+
+    return settleCancelledJob(env, { uid: payload.uid, jobType: 'translation', jobId: holdId, progress, transactionName: 'Transcript Translation Refund' });
+  }
+};
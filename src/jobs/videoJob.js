@@ -0,0 +1,254 @@
+import { getSupabaseClient } from '../config/database.js';
+import { captureJobCoins, refundFailedJob, settleCancelledJob } from '../services/billing.js';
+import { cancelVideoTask, checkVideoStatus, downloadAndUploadVideo, generateVideoWithDashScope } from '../services/dashscopeVideo.js';
+import { maxStepSeconds } from './queue.js';
+
+/**
+ * Video generation job
+ *
+ * Runs in short steps instead of one long poll: the first run submits the
+ * DashScope task and stores its task_id in the payload, and every later run
+ * checks the task once and asks to run again after POLL_INTERVAL_SECONDS
+ * until the video is ready. Queued by createVideo with the payload
+ * { uid, videoId, promptText, size }.
+ *
+ * POST /api/video/cancel settles the job as cancelled and marks the video
+ * cancelled with cancelVideo; a run still in flight leaves a cancelled video alone.
+ */
+
+// Delay between status checks
+const POLL_INTERVAL_SECONDS = 10;
+
+// A task still running this long after submission is given up
+export const MAX_GENERATION_MS = 20 * 60 * 1000;
+
+// Statuses of a video that can still be cancelled
+export const CANCELLABLE_VIDEO_STATUSES = ['pending', 'processing', 'generating'];
+
+/**
+ * Error that retrying cannot fix
+ * @param {string} message - Error message
+ * @returns {Error} Error with name PermanentJobError
+ */
+const permanentJobError = (message) => {
+  const error = new Error(message);
+  error.name = 'PermanentJobError';
+  return error;
+};
+
+/**
+ * Update the video record of a job, unless the video was cancelled
+ * @param {Object} env - Environment variables
+ * @param {Object} payload - Job payload
+ * @param {Object} fields - Fields to set
+ * @returns {Promise<boolean>} False if the video is cancelled or missing
+ */
+const updateVideo = async (env, { uid, videoId }, fields) => {
+  const { data, error } = await getSupabaseClient(env)
+    .from('video_metadata')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('uid', uid)
+    .eq('video_id', videoId)
+    .neq('status', 'cancelled')
+    .select('video_id');
+
+  if (error) {
+    throw new Error(`Failed to update video ${videoId}: ${error.message}`);
+  }
+
+  return data.length > 0;
+};
+
+/**
+ * Mark an unfinished video cancelled, so job runs leave it alone from now on
+ * The row lock orders this with submitTask storing the task_id: a task stored
+ * before is returned here, one stored after is cancelled by submitTask.
+ * @param {Object} env - Environment variables
+ * @param {Object} payload - { uid, videoId }
+ * @returns {Promise<Object|null>} { task_id } of the cancelled video, or null if it
+ *   had already finished or been cancelled
+ */
+export const cancelVideo = async (env, { uid, videoId }) => {
+  const { data, error } = await getSupabaseClient(env)
+    .from('video_metadata')
+    .update({
+      status: 'cancelled',
+      error_message: 'Video generation cancelled',
+      updated_at: new Date().toISOString()
+    })
+    .eq('uid', uid)
+    .eq('video_id', videoId)
+    .in('status', CANCELLABLE_VIDEO_STATUSES)
+    .select('task_id');
+
+  if (error) {
+    throw new Error(`Failed to cancel video ${videoId}: ${error.message}`);
+  }
+
+  return data[0] ?? null;
+};
+
+/**
+ * Submit the DashScope task
+ * @param {Object} env - Environment variables
+ * @param {Object} payload - Job payload
+ * @returns {Promise<Object|undefined>} Continue result with the task_id in the payload,
+ *   or undefined if the video was cancelled meanwhile
+ */
+const submitTask = async (env, payload) => {
+  const { videoId } = payload;
+
+  console.log(`Starting background video generation for videoId: ${videoId}`);
+  if (!(await updateVideo(env, payload, { status: 'processing' }))) {
+    return undefined;
+  }
+
+  const generationResult = await generateVideoWithDashScope(payload.promptText, payload.size, env);
+
+  if (!generationResult.task_id) {
+    throw new Error('Failed to initiate video generation - no task ID returned');
+  }
+
+  console.log(`Video generation initiated for videoId: ${videoId}, taskId: ${generationResult.task_id}`);
+
+  // Replace the temporary task_id created with the record
+  const updated = await updateVideo(env, payload, {
+    task_id: generationResult.task_id,
+    task_status: generationResult.task_status || 'PENDING',
+    request_id: generationResult.request_id,
+    status: 'generating'
+  });
+
+  if (!updated) {
+    // Cancelled while the task was being submitted
+    await cancelVideoTask(generationResult.task_id, env).catch(() => {});
+    return undefined;
+  }
+
+  return {
+    continueAfterSeconds: POLL_INTERVAL_SECONDS,
+    payload: { ...payload, taskId: generationResult.task_id, submittedAt: new Date().toISOString() }
+  };
+};
+
+/**
+ * Store the finished video and complete the record
+ * @param {Object} env - Environment variables
+ * @param {Object} payload - Job payload
+ * @param {Object} statusResult - Result of checkVideoStatus
+ */
+export const completeVideo = async (env, payload, statusResult) => {
+  const { uid, videoId } = payload;
+  const taskFields = {
+    status: 'completed',
+    task_status: statusResult.task_status,
+    submit_time: statusResult.submit_time,
+    scheduled_time: statusResult.scheduled_time,
+    end_time: statusResult.end_time,
+    orig_prompt: statusResult.orig_prompt,
+    actual_prompt: statusResult.actual_prompt
+  };
+
+  let updated;
+  try {
+    const supabaseVideoUrl = await downloadAndUploadVideo(statusResult.video_url, uid, videoId, getSupabaseClient(env));
+    updated = await updateVideo(env, payload, { ...taskFields, video_url: supabaseVideoUrl });
+  } catch (uploadError) {
+    console.error('Error uploading video to storage:', uploadError);
+
+    // Fallback: store the original URL if upload fails
+    updated = await updateVideo(env, payload, {
+      ...taskFields,
+      video_url: statusResult.video_url,
+      error_message: 'Video generated but not uploaded to storage'
+    });
+  }
+
+  // The cancellation settled the coins
+  if (!updated) {
+    console.log(`Video ${videoId} was cancelled before it finished`);
+    return;
+  }
+
+  await captureJobCoins(env, { jobType: 'video', jobId: videoId });
+  console.log(`Successfully completed video generation for videoId: ${videoId}`);
+};
+
+export const videoJob = {
+  type: 'video',
+  maxAttempts: 5,
+  // Covers downloading and storing the finished video
+  timeoutMs: 6 * 60 * 1000,
+
+  /**
+   * Seconds the coin hold must last: submitting, polling until
+   * MAX_GENERATION_MS and storing the video, each step with its retries
+   * @returns {number} Seconds
+   */
+  holdTtlSeconds: () => 2 * maxStepSeconds(videoJob) + MAX_GENERATION_MS / 1000,
+
+  /**
+   * Submit the task, or check it once and finish when it is done
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Claimed job row
+   * @returns {Promise<Object|undefined>} { continueAfterSeconds, payload } while the task runs,
+   *   undefined once it is done or the video was cancelled
+   */
+  run: async (env, job) => {
+    const { payload } = job;
+
+    if (!payload.taskId) {
+      return submitTask(env, payload);
+    }
+
+    const statusResult = await checkVideoStatus(payload.taskId, env);
+    if (!(await updateVideo(env, payload, { task_status: statusResult.task_status }))) {
+      return undefined;
+    }
+
+    if (statusResult.task_status === 'SUCCEEDED' && statusResult.video_url) {
+      console.log(`Video generation completed for videoId: ${payload.videoId}`);
+      await completeVideo(env, payload, statusResult);
+      return undefined;
+    }
+
+    if (statusResult.task_status === 'FAILED') {
+      throw permanentJobError('Video generation failed on DashScope');
+    }
+
+    if (Date.now() - new Date(payload.submittedAt).getTime() > MAX_GENERATION_MS) {
+      throw permanentJobError('Video generation timed out - process took longer than expected');
+    }
+
+    return { continueAfterSeconds: POLL_INTERVAL_SECONDS };
+  },
+
+  /**
+   * Mark the video failed and give the coins back
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Dead job row
+   * @param {Error} error - Last error
+   * @returns {Promise<Object|null>} Result of refundFailedJob
+   */
+  onDeadLetter: async (env, { payload }, error) => {
+    await updateVideo(env, payload, {
+      status: 'failed',
+      error_message: error.message || 'Unknown error occurred during video generation'
+    });
+
+    // Keyed on the original charge, so retries never pay twice
+    return refundFailedJob(env, { uid: payload.uid, jobType: 'video', jobId: payload.videoId, transactionName: 'Video Generation Refund' });
+  },
+
+  /**
+   * Refund the share the cancellation policy allows for a video marked
+   * cancelled with cancelVideo
+   * @param {Object} env - Environment variables
+   * @param {Object} job - Cancelled job, { payload }
+   * @param {string} progress - A CANCEL_PROGRESS value
+   * @returns {Promise<Object>} Result of settleCancelledJob
+   */
+  onCancel: async (env, { payload }, progress) => {
+    return settleCancelledJob(env, { uid: payload.uid, jobType: 'video', jobId: payload.videoId, progress, transactionName: 'Video Generation Refund' });
+  }
+};
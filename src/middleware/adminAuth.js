@@ -0,0 +1,78 @@
+import { getSupabaseServiceClient } from '../config/database.js';
+
+/**
+ * Admin roles stored in the `admin_users` table
+ * The table and the audit log are only readable with the service role key.
+ * - viewer: read-only access to aggregated content
+ * - support: user accounts, feedback and help requests
+ * - finance: coupons, orders and coin transactions
+ * - superadmin: every admin endpoint
+ */
+export const ADMIN_ROLES = ['viewer', 'support', 'finance', 'superadmin'];
+
+/**
+ * Record an admin access attempt in `admin_audit_log`
+ * Failures are logged but never block the request.
+ * @param {Object} supabase - Supabase service client
+ * @param {Object} entry - Audit entry
+ */
+const recordAdminAccess = async (supabase, entry) => {
+  try {
+    const { error } = await supabase
+      .from('admin_audit_log')
+      .insert([{ ...entry, created_at: new Date().toISOString() }]);
+
+    if (error) {
+      console.error('Error recording admin access:', error);
+    }
+  } catch (error) {
+    console.error('Error recording admin access:', error);
+  }
+};
+
+/**
+ * Guard middleware for admin endpoints
+ * Requires authMiddleware to have run first. The caller must have an active
+ * `admin_users` row whose role is one of `allowedRoles` (superadmin is always allowed).
+ * Every attempt, allowed or not, is written to the audit log.
+ * @param {...string} allowedRoles - Roles that may reach the endpoint
+ * @returns {Function} Hono middleware
+ */
+export const requireAdminRole = (...allowedRoles) => {
+  return async (c, next) => {
+    const uid = c.get('uid');
+    const supabase = getSupabaseServiceClient(c.env);
+
+    const auditEntry = {
+      admin_uid: uid,
+      method: c.req.method,
+      path: c.req.path,
+      query: new URL(c.req.url).search || null
+    };
+
+    const { data: adminUser, error } = await supabase
+      .from('admin_users')
+      .select('role, active')
+      .eq('uid', uid)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching admin role:', error);
+      return c.json({ error: 'Failed to verify admin permissions' }, 500);
+    }
+
+    const role = adminUser && adminUser.active !== false ? adminUser.role : null;
+    const allowed = role === 'superadmin' || (role !== null && allowedRoles.includes(role));
+
+    if (!allowed) {
+      await recordAdminAccess(supabase, { ...auditEntry, role, allowed: false, status: 403 });
+      return c.json({ error: 'Forbidden', message: 'Insufficient admin permissions' }, 403);
+    }
+
+    c.set('adminRole', role);
+
+    await next();
+
+    await recordAdminAccess(supabase, { ...auditEntry, role, allowed: true, status: c.res.status });
+  };
+};
@@ -0,0 +1,55 @@
+import { verifySupabaseToken } from '../utils/jwt.js';
+
+/**
+ * Authentication middleware
+ * Verifies the Supabase access token from the `Authorization: Bearer` header
+ * and stores the verified user id on the context as `uid`.
+ * @param {Object} c - Hono context object
+ * @param {Function} next - Next middleware
+ * @returns {Response|undefined} 401 response when the token is missing or invalid
+ */
+export const authMiddleware = async (c, next) => {
+  if (c.req.method === 'OPTIONS') {
+    return next();
+  }
+
+  const authHeader = c.req.header('Authorization') || '';
+  const [scheme, token] = authHeader.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return c.json({ error: 'Unauthorized', message: 'Missing bearer token' }, 401);
+  }
+
+  let payload;
+  try {
+    payload = await verifySupabaseToken(token, c.env);
+  } catch (error) {
+    if (error.name !== 'AuthenticationError') {
+      console.error('Error verifying access token:', error);
+    }
+    return c.json({ error: 'Unauthorized', message: 'Invalid or expired access token' }, 401);
+  }
+
+  c.set('uid', payload.sub);
+  c.set('authUser', payload);
+
+  await next();
+};
+
+/**
+ * Resolve the uid a handler should act on
+ * The verified uid from the token always wins; a client-supplied uid is only
+ * accepted when it matches.
+ * @param {Object} c - Hono context object
+ * @param {string} [claimedUid] - uid taken from the request body or URL
+ * @returns {string|null} Verified uid, or null if claimedUid belongs to another user
+ */
+export const resolveUid = (c, claimedUid) => {
+  const uid = c.get('uid');
+
+  if (claimedUid && claimedUid !== uid) {
+    return null;
+  }
+
+  return uid;
+};
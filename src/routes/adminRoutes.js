@@ -1,280 +1,527 @@
 import { Hono } from 'hono';
-import { getSupabaseClient } from '../config/database.js';
+import { getSupabaseClient, getSupabaseServiceClient } from '../config/database.js';
+import { getJob, retryDeadJob } from '../jobs/queue.js';
+import { requireAdminRole } from '../middleware/adminAuth.js';
+import { fetchPage, pageInfo, parseListParams } from '../utils/pagination.js';
 
 const adminRoutes = new Hono();
 
-// GET endpoint to fetch all user information
-adminRoutes.get('/fetchUserInfoAdmin', async (c) => {
+// Sorting and filters accepted by each admin list endpoint
+const LIST_SPECS = {
+  users: {
+    idColumn: 'uid',
+    sortFields: { created_at: 'created_at', name: 'name', email: 'email' },
+    defaultSort: '-created_at',
+    filters: { subscription_active: 'subscription_active' },
+    dateColumn: 'created_at'
+  },
+  feedback: {
+    idColumn: 'id',
+    sortFields: { created_at: 'created_at' },
+    defaultSort: '-created_at',
+    filters: { uid: 'uid' },
+    dateColumn: 'created_at'
+  },
+  help: {
+    idColumn: 'id',
+    sortFields: { created_at: 'created_at' },
+    defaultSort: '-created_at',
+    filters: { uid: 'uid' },
+    dateColumn: 'created_at'
+  },
+  images: {
+    idColumn: 'image_id',
+    sortFields: { created_at: 'created_at' },
+    defaultSort: '-created_at',
+    filters: { uid: 'uid' },
+    dateColumn: 'created_at'
+  },
+  audio: {
+    idColumn: 'audioid',
+    sortFields: { uploaded_at: 'uploaded_at', duration: 'duration' },
+    defaultSort: '-uploaded_at',
+    filters: { uid: 'uid', status: 'status', language: 'language' },
+    dateColumn: 'uploaded_at'
+  },
+  coupons: {
+    idColumn: 'id',
+    sortFields: { id: 'id', valid_till: 'valid_till' },
+    defaultSort: '-id',
+    filters: { active: 'active' },
+    dateColumn: 'valid_till'
+  },
+  transactions: {
+    idColumn: 'id',
+    sortFields: { time: 'time', coin_amount: 'coin_amount' },
+    defaultSort: '-time',
+    filters: { uid: 'uid', status: 'status', entry_type: 'entry_type' },
+    dateColumn: 'time'
+  },
+  orders: {
+    idColumn: 'id',
+    sortFields: { created_at: 'created_at', total_price: 'total_price' },
+    defaultSort: '-created_at',
+    filters: { uid: 'uid', status: 'status', plan_name: 'plan_name' },
+    dateColumn: 'created_at'
+  },
+  auditLog: {
+    idColumn: 'id',
+    sortFields: { created_at: 'created_at' },
+    defaultSort: '-created_at',
+    filters: { admin_uid: 'admin_uid', role: 'role', allowed: 'allowed' },
+    dateColumn: 'created_at'
+  },
+  jobs: {
+    idColumn: 'job_id',
+    sortFields: { created_at: 'created_at', updated_at: 'updated_at', attempts: 'attempts' },
+    defaultSort: '-created_at',
+    filters: { status: 'status', type: 'type', uid: 'uid' },
+    dateColumn: 'created_at'
+  },
+  stuckJobReports: {
+    idColumn: 'id',
+    sortFields: { created_at: 'created_at' },
+    defaultSort: '-created_at',
+    filters: {},
+    dateColumn: 'created_at'
+  }
+};
+
+// Group a page of rows by user, in the order each user first appears, e.g. [{ user, images: [...] }]
+const groupRowsByUser = (rows, users, key) => {
+  const userMap = {};
+  users.forEach(user => {
+    userMap[user.uid] = user;
+  });
+
+  const userIds = [...new Set(rows.map(row => row.uid))];
+  return userIds.map(uid => ({
+    user: userMap[uid],
+    [key]: rows.filter(row => row.uid === uid)
+  }));
+};
+
+// Fetch the users that appear on a page of rows
+const fetchPageUsers = (supabase, rows, columns) => {
+  return supabase
+    .from('users')
+    .select(columns)
+    .in('uid', [...new Set(rows.map(row => row.uid))]);
+};
+
+// GET endpoint to fetch a page of users
+adminRoutes.get('/fetchUserInfoAdmin', requireAdminRole('support'), async (c) => {
   try {
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), LIST_SPECS.users);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
     const supabase = getSupabaseClient(c.env);
 
-    const { data, error } = await supabase
-      .from('users')
-      .select('*');
+    const page = await fetchPage(supabase, {
+      table: 'users',
+      columns: '*',
+      spec: LIST_SPECS.users,
+      params: listParams
+    });
 
-    if (error) {
-      console.error('Error fetching users:', error);
+    if (page.error) {
+      console.error('Error fetching users:', page.error);
       return c.json({ error: 'Failed to fetch user information' }, 500);
     }
 
-    return c.json(data);
+    return c.json({ success: true, data: page.data, ...pageInfo(page, listParams) });
   } catch (error) {
     console.error('Error in fetchUserInfoAdmin:', error);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
 
-// GET endpoint to fetch all feedback
-adminRoutes.get('/getAllFeedback', async (c) => {
+// GET endpoint to fetch a page of feedback
+adminRoutes.get('/getAllFeedback', requireAdminRole('support', 'viewer'), async (c) => {
   try {
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), LIST_SPECS.feedback);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
     const supabase = getSupabaseClient(c.env);
 
-    const { data, error } = await supabase
-      .from('feedback')
-      .select('*');
+    const page = await fetchPage(supabase, {
+      table: 'feedback',
+      columns: '*',
+      spec: LIST_SPECS.feedback,
+      params: listParams
+    });
 
-    if (error) {
-      console.error('Error fetching feedback:', error);
+    if (page.error) {
+      console.error('Error fetching feedback:', page.error);
       return c.json({ error: 'Failed to fetch feedback' }, 500);
     }
 
-    return c.json(data);
+    return c.json({ success: true, data: page.data, ...pageInfo(page, listParams) });
   } catch (error) {
     console.error('Error in getAllFeedback:', error);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
 
-// GET endpoint to fetch all help requests
-adminRoutes.get('/getAllHelp', async (c) => {
+// GET endpoint to fetch a page of help requests
+adminRoutes.get('/getAllHelp', requireAdminRole('support'), async (c) => {
   try {
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), LIST_SPECS.help);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
     const supabase = getSupabaseClient(c.env);
 
-    const { data, error } = await supabase
-      .from('help_requests')
-      .select('*');
+    const page = await fetchPage(supabase, {
+      table: 'help_requests',
+      columns: '*',
+      spec: LIST_SPECS.help,
+      params: listParams
+    });
 
-    if (error) {
-      console.error('Error fetching help requests:', error);
+    if (page.error) {
+      console.error('Error fetching help requests:', page.error);
       return c.json({ error: 'Failed to fetch help requests' }, 500);
     }
 
-    return c.json(data);
+    return c.json({ success: true, data: page.data, ...pageInfo(page, listParams) });
   } catch (error) {
     console.error('Error in getAllHelp:', error);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
 
-// GET endpoint to fetch all generated images with user info
-adminRoutes.get('/getAllGeneratedImage', async (c) => {
+// GET endpoint to fetch a page of generated images, grouped by user
+adminRoutes.get('/getAllGeneratedImage', requireAdminRole('support', 'viewer'), async (c) => {
   try {
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), LIST_SPECS.images);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
     const supabase = getSupabaseClient(c.env);
 
-    // First, fetch all image data
-    const { data: imageData, error: imageError } = await supabase
-      .from('image_generate')
-      .select('uid, image_id, image_url, created_at, prompt_text');
+    // First, fetch a page of image data
+    const page = await fetchPage(supabase, {
+      table: 'image_generate',
+      columns: 'uid, image_id, image_url, created_at, prompt_text',
+      spec: LIST_SPECS.images,
+      params: listParams
+    });
 
-    if (imageError) {
-      console.error('Error fetching generated images:', imageError);
+    if (page.error) {
+      console.error('Error fetching generated images:', page.error);
       return c.json({ error: 'Failed to fetch generated images' }, 500);
     }
 
-    // Get unique user IDs
-    const userIds = [...new Set(imageData.map(image => image.uid))];
-    
-    // Fetch user info for all these UIDs
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('*')
-      .in('uid', userIds);
+    // Fetch user info for the UIDs on this page
+    const { data: userData, error: userError } = await fetchPageUsers(supabase, page.data, '*');
 
     if (userError) {
       console.error('Error fetching user information:', userError);
       return c.json({ error: 'Failed to fetch user information' }, 500);
     }
 
-    // Create a map of user information for quick lookup
-    const userMap = {};
-    userData.forEach(user => {
-      userMap[user.uid] = user;
-    });
-
-    // Group images by user
-    const organizedData = userIds.map(uid => {
-      const userImages = imageData.filter(image => image.uid === uid);
-      return {
-        user: userMap[uid],
-        images: userImages
-      };
+    return c.json({
+      success: true,
+      data: groupRowsByUser(page.data, userData, 'images'),
+      ...pageInfo(page, listParams)
     });
-
-    return c.json(organizedData);
   } catch (error) {
     console.error('Error in getAllGeneratedImage:', error);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
 
-// GET endpoint to fetch all audio conversions with user info
-adminRoutes.get('/getAllAudioConverted', async (c) => {
+// GET endpoint to fetch a page of audio conversions, grouped by user
+adminRoutes.get('/getAllAudioConverted', requireAdminRole('support', 'viewer'), async (c) => {
   try {
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), LIST_SPECS.audio);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
     const supabase = getSupabaseClient(c.env);
 
-    // First, fetch all audio data
-    const { data: audioData, error: audioError } = await supabase
-      .from('audio_metadata')
-      .select('audioid, uid, uploaded_at, duration, transcription, language, audio_name, audio_url');
+    // First, fetch a page of audio data
+    const page = await fetchPage(supabase, {
+      table: 'audio_metadata',
+      columns: 'audioid, uid, uploaded_at, duration, transcription, language, audio_name, audio_url, status',
+      spec: LIST_SPECS.audio,
+      params: listParams
+    });
 
-    if (audioError) {
-      console.error('Error fetching audio data:', audioError);
+    if (page.error) {
+      console.error('Error fetching audio data:', page.error);
       return c.json({ error: 'Failed to fetch audio data' }, 500);
     }
 
-    // Get unique user IDs
-    const userIds = [...new Set(audioData.map(audio => audio.uid))];
-    
-    // Fetch user info for all these UIDs
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('*')
-      .in('uid', userIds);
+    // Fetch user info for the UIDs on this page
+    const { data: userData, error: userError } = await fetchPageUsers(supabase, page.data, '*');
 
     if (userError) {
       console.error('Error fetching user information:', userError);
       return c.json({ error: 'Failed to fetch user information' }, 500);
     }
 
-    // Create a map of user information for quick lookup
-    const userMap = {};
-    userData.forEach(user => {
-      userMap[user.uid] = user;
-    });
-
-    // Group audio by user
-    const organizedData = userIds.map(uid => {
-      const userAudios = audioData.filter(audio => audio.uid === uid);
-      return {
-        user: userMap[uid],
-        audios: userAudios
-      };
+    return c.json({
+      success: true,
+      data: groupRowsByUser(page.data, userData, 'audios'),
+      ...pageInfo(page, listParams)
     });
-
-    return c.json(organizedData);
   } catch (error) {
     console.error('Error in getAllAudioConverted:', error);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
 
-// GET endpoint to fetch all coupons
-adminRoutes.get('/getAllCoupons', async (c) => {
+// GET endpoint to fetch a page of coupons
+adminRoutes.get('/getAllCoupons', requireAdminRole('finance', 'viewer'), async (c) => {
   try {
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), LIST_SPECS.coupons);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
     const supabase = getSupabaseClient(c.env);
 
-    const { data: couponsData, error: couponsError } = await supabase
-      .from('coupons')
-      .select('*');
+    const page = await fetchPage(supabase, {
+      table: 'coupons',
+      columns: '*',
+      spec: LIST_SPECS.coupons,
+      params: listParams
+    });
 
-    if (couponsError) {
-      console.error('Error fetching coupons:', couponsError);
+    if (page.error) {
+      console.error('Error fetching coupons:', page.error);
       return c.json({ error: 'Failed to fetch coupons' }, 500);
     }
 
-    return c.json({ success: true, data: couponsData });
+    return c.json({ success: true, data: page.data, ...pageInfo(page, listParams) });
   } catch (error) {
     console.error('Error in getAllCoupons:', error);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
 
-// GET endpoint to fetch all transactions organized by users
-adminRoutes.get('/getAllTransactions', async (c) => {
+// GET endpoint to fetch a page of transactions, grouped by user
+adminRoutes.get('/getAllTransactions', requireAdminRole('finance'), async (c) => {
   try {
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), LIST_SPECS.transactions);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
     const supabase = getSupabaseClient(c.env);
 
-    // Step 1: Fetch all users
-    const { data: usersData, error: usersError } = await supabase
-      .from('users')
-      .select('uid, name, email');
+    // Step 1: Fetch a page of transactions
+    const page = await fetchPage(supabase, {
+      table: 'user_transaction',
+      columns: '*',
+      spec: LIST_SPECS.transactions,
+      params: listParams
+    });
 
-    if (usersError) {
-      console.error('Error fetching users:', usersError);
-      return c.json({ error: 'Failed to fetch users' }, 500);
+    if (page.error) {
+      console.error('Error fetching transactions:', page.error);
+      return c.json({ error: 'Failed to fetch transactions' }, 500);
     }
 
-    // Step 2: Fetch all transactions
-    const { data: allTransactions, error: transactionsError } = await supabase
-      .from('user_transaction')
-      .select('*');
+    // Step 2: Fetch the users on this page
+    const { data: usersData, error: usersError } = await fetchPageUsers(supabase, page.data, 'uid, name, email');
 
-    if (transactionsError) {
-      console.error('Error fetching transactions:', transactionsError);
-      return c.json({ error: 'Failed to fetch transactions' }, 500);
+    if (usersError) {
+      console.error('Error fetching users:', usersError);
+      return c.json({ error: 'Failed to fetch users' }, 500);
     }
 
     // Step 3: Organize transactions by user
-    const organizedData = usersData.map(user => {
-      const userTransactions = allTransactions.filter(transaction => transaction.uid === user.uid);
-      return {
-        user: {
-          uid: user.uid,
-          name: user.name,
-          email: user.email
-        },
-        transactions: userTransactions
-      };
+    return c.json({
+      success: true,
+      data: groupRowsByUser(page.data, usersData, 'transactions'),
+      ...pageInfo(page, listParams)
     });
-
-    return c.json({ success: true, data: organizedData });
   } catch (error) {
     console.error('Error in getAllTransactions:', error);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
 
-// GET endpoint to fetch all orders organized by users
-adminRoutes.get('/getAllOrders', async (c) => {
+// GET endpoint to fetch a page of orders, grouped by user
+adminRoutes.get('/getAllOrders', requireAdminRole('finance'), async (c) => {
   try {
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), LIST_SPECS.orders);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
     const supabase = getSupabaseClient(c.env);
 
-    // Step 1: Fetch all users
-    const { data: usersData, error: usersError } = await supabase
-      .from('users')
-      .select('uid, name, email');
+    // Step 1: Fetch a page of orders
+    const page = await fetchPage(supabase, {
+      table: 'user_order',
+      columns: '*',
+      spec: LIST_SPECS.orders,
+      params: listParams
+    });
+
+    if (page.error) {
+      console.error('Error fetching orders:', page.error);
+      return c.json({ error: 'Failed to fetch orders' }, 500);
+    }
+
+    // Step 2: Fetch the users on this page
+    const { data: usersData, error: usersError } = await fetchPageUsers(supabase, page.data, 'uid, name, email');
 
     if (usersError) {
       console.error('Error fetching users:', usersError);
       return c.json({ error: 'Failed to fetch users' }, 500);
     }
 
-    // Step 2: Fetch all orders
-    const { data: allOrders, error: ordersError } = await supabase
-      .from('user_order')
-      .select('*');
+    // Step 3: Organize orders by user
+    return c.json({
+      success: true,
+      data: groupRowsByUser(page.data, usersData, 'orders'),
+      ...pageInfo(page, listParams)
+    });
+  } catch (error) {
+    console.error('Error in getAllOrders:', error);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
 
-    if (ordersError) {
-      console.error('Error fetching orders:', ordersError);
-      return c.json({ error: 'Failed to fetch orders' }, 500);
+// GET endpoint to fetch a page of the admin access audit log
+adminRoutes.get('/auditLog', requireAdminRole(), async (c) => {
+  try {
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), LIST_SPECS.auditLog);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
     }
 
-    // Step 3: Organize orders by user
-    const organizedData = usersData.map(user => {
-      const userOrders = allOrders.filter(order => order.uid === user.uid);
-      return {
-        user: {
-          uid: user.uid,
-          name: user.name,
-          email: user.email
-        },
-        orders: userOrders
-      };
+    const supabase = getSupabaseServiceClient(c.env);
+
+    const page = await fetchPage(supabase, {
+      table: 'admin_audit_log',
+      columns: '*',
+      spec: LIST_SPECS.auditLog,
+      params: listParams
     });
 
-    return c.json({ success: true, data: organizedData });
+    if (page.error) {
+      console.error('Error fetching audit log:', page.error);
+      return c.json({ error: 'Failed to fetch audit log' }, 500);
+    }
+
+    return c.json({ success: true, data: page.data, ...pageInfo(page, listParams) });
   } catch (error) {
-    console.error('Error in getAllOrders:', error);
+    console.error('Error in auditLog:', error);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// GET endpoint to fetch a page of background jobs - dead-lettered ones with ?status=dead
+adminRoutes.get('/jobs', requireAdminRole('support'), async (c) => {
+  try {
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), LIST_SPECS.jobs);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
+    const supabase = getSupabaseServiceClient(c.env);
+
+    const page = await fetchPage(supabase, {
+      table: 'jobs',
+      columns: '*',
+      spec: LIST_SPECS.jobs,
+      params: listParams
+    });
+
+    if (page.error) {
+      console.error('Error fetching jobs:', page.error);
+      return c.json({ error: 'Failed to fetch jobs' }, 500);
+    }
+
+    return c.json({ success: true, data: page.data, ...pageInfo(page, listParams) });
+  } catch (error) {
+    console.error('Error in jobs:', error);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// POST endpoint to run a dead-lettered job again with fresh attempts
+adminRoutes.post('/jobs/:jobId/retry', requireAdminRole('support'), async (c) => {
+  try {
+    const jobId = c.req.param('jobId');
+
+    const job = await getJob(c.env, jobId);
+    if (!job) {
+      return c.json({ error: 'Job not found' }, 404);
+    }
+
+    const retried = await retryDeadJob(c.env, jobId);
+    if (!retried) {
+      return c.json({ error: `Only dead jobs can be retried; this job is ${job.status}` }, 409);
+    }
+
+    return c.json({ success: true, job_id: jobId, status: 'queued' });
+  } catch (error) {
+    console.error('Error in retryJob:', error);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// GET endpoint to fetch a page of stuck-job reaper reports (see src/jobs/reaper.js)
+adminRoutes.get('/stuckJobReports', requireAdminRole('support'), async (c) => {
+  try {
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), LIST_SPECS.stuckJobReports);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
+    const supabase = getSupabaseServiceClient(c.env);
+
+    const page = await fetchPage(supabase, {
+      table: 'stuck_job_reports',
+      columns: '*',
+      spec: LIST_SPECS.stuckJobReports,
+      params: listParams
+    });
+
+    if (page.error) {
+      console.error('Error fetching stuck job reports:', page.error);
+      return c.json({ error: 'Failed to fetch stuck job reports' }, 500);
+    }
+
+    return c.json({ success: true, data: page.data, ...pageInfo(page, listParams) });
+  } catch (error) {
+    console.error('Error in stuckJobReports:', error);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
@@ -1,5 +1,74 @@
 import { Hono } from 'hono';
 import { getSupabaseClient } from '../config/database.js';
+import { cancelAudioTranscription } from '../jobs/cancellation.js';
+import { enqueueJob } from '../jobs/queue.js';
+import { summaryJob } from '../jobs/summaryJob.js';
+import { CANCELLABLE_AUDIO_STATUSES, transcriptionJob } from '../jobs/transcriptionJob.js';
+import { translationJob } from '../jobs/translationJob.js';
+import { resolveUid } from '../middleware/auth.js';
+import {
+  calculateAudioCoins,
+  calculateMindMapCoins,
+  calculateSummaryCoins,
+  calculateTranslationCoins,
+  captureJobCoins,
+  holdJobCoins,
+  refundFailedJob
+} from '../services/billing.js';
+import {
+  abortUploadSession,
+  appendUploadChunk,
+  audioFilePath,
+  checkAudioContentType,
+  claimUploadSession,
+  createUploadSession,
+  getUploadSession,
+  isUploadSessionExpired,
+  MAX_MULTIPART_UPLOAD_BYTES,
+  MAX_RESUMABLE_UPLOAD_BYTES,
+  settleUploadSession,
+  UPLOAD_STATUSES
+} from '../services/audioUploads.js';
+import { resolveLlmProvider } from '../services/llm/index.js';
+import { generateMindMap } from '../services/mindMap.js';
+import { getStorage } from '../services/storage/index.js';
+import { getTrashRetentionDays, purgeAfter, purgeMedia, restoreMedia, trashMedia } from '../services/trash.js';
+import { claimTranscriptSummary, failTranscriptSummary, SUMMARY_STATUSES } from '../services/transcriptSummary.js';
+import { getTranscriptionJob, startTranscription } from '../services/transcriptionProcessor.js';
+import { resolveTranscriptionProvider } from '../services/transcription/index.js';
+import { AUTO_LANGUAGE, buildSegments } from '../services/transcription/schema.js';
+import {
+  claimTranslation,
+  failTranslation,
+  getTranslation,
+  listTranslations,
+  TRANSLATION_STATUSES
+} from '../services/transcriptTranslation.js';
+import {
+  getTranscriptVersion,
+  listTranscriptVersions,
+  parseVersionSelector,
+  saveTranscriptVersion,
+  VERSION_SOURCES
+} from '../services/transcriptVersions.js';
+import { resolveTranslationProvider } from '../services/translation/index.js';
+import { measureAudioBuffer, probeAudioDuration } from '../utils/audioDuration.js';
+import { fetchPage, pageInfo, parseListParams } from '../utils/pagination.js';
+import {
+  buildCues,
+  DEFAULT_MAX_CHARS_PER_LINE,
+  DEFAULT_MAX_CUE_DURATION,
+  formatJsonCues,
+  formatSrt,
+  formatTxt,
+  formatVtt,
+  segmentsToWords,
+  SUBTITLE_FORMATS
+} from '../utils/subtitles.js';
+import { findWordHits, formatHighlight, parseSearchPhrases } from '../utils/transcriptSearch.js';
+import { normalizeLanguageCode, sanitizeString } from '../utils/validation.js';
+import { diffWords, realignWords } from '../utils/wordDiff.js';
+import { validateXmlGraph } from '../utils/xmlGraph.js';
 
 const audioRoutes = new Hono();
 
@@ -8,153 +77,279 @@ const generateAudioId = () => {
   return 'audio_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 };
 
-// Get audio duration from URL
-const getAudioDuration = async (audioUrl) => {
-  try {
-    // This is a placeholder - in production, you might want to use a more robust method
-    // For now, we'll return a default duration and update it later if needed
-    return 60; // Default 60 seconds
-  } catch (error) {
-    console.error('Error getting audio duration:', error);
-    return 60; // Default fallback
-  }
-};
+// Claimed and measured durations further apart than this (in seconds) are logged
+const DURATION_MISMATCH_TOLERANCE = 2;
 
-// Transcribe audio using Deepgram API
-const transcribeAudioWithDeepgram = async (audioUrl, language = "en-GB", env) => {
-  try {
-    const DEEPGRAM_API_URL = env.DEEPGRAM_API_URL;
-    const DEEPGRAM_API_KEY = env.DEEPGRAM_API_KEY;
+// Longest accepted search query
+const MAX_SEARCH_QUERY_LENGTH = 200;
 
-    if (!DEEPGRAM_API_URL || !DEEPGRAM_API_KEY) {
-      throw new Error('Deepgram API configuration missing. Please check DEEPGRAM_API_URL and DEEPGRAM_API_KEY environment variables.');
-    }
+// Sorting and filters accepted by /getAudio/:uid
+const AUDIO_LIST_SPEC = {
+  idColumn: 'audioid',
+  sortFields: { uploaded_at: 'uploaded_at', audio_name: 'audio_name', duration: 'duration' },
+  defaultSort: '-uploaded_at',
+  filters: { status: 'status', language: 'language' },
+  dateColumn: 'uploaded_at'
+};
 
-    console.log(`Starting Deepgram transcription for URL: ${audioUrl}, Language: ${language}`);
+// Sorting accepted by /trash
+const AUDIO_TRASH_LIST_SPEC = {
+  idColumn: 'audioid',
+  sortFields: { deleted_at: 'deleted_at', audio_name: 'audio_name' },
+  defaultSort: '-deleted_at',
+  dateColumn: 'deleted_at'
+};
 
-    // Add timeout for Deepgram API call (30 seconds)
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000);
+// Longest custom speaker name accepted by the speakers endpoint
+const MAX_SPEAKER_NAME_LENGTH = 100;
 
-    const response = await fetch(`${DEEPGRAM_API_URL}?smart_format=true&language=${language}&model=whisper`, {
-      method: "POST",
-      headers: {
-        "Authorization": `Token ${DEEPGRAM_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        url: audioUrl,
-      }),
-      signal: controller.signal
-    });
+// Parse an optional numeric query parameter within bounds; NaN when invalid
+const parseBoundedNumber = (value, fallback, min, max) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return number >= min && number <= max ? number : NaN;
+};
 
-    clearTimeout(timeoutId);
+// Display name of a diarized speaker, e.g. "Speaker 0" until renamed
+const speakerDisplayName = (speaker, speakerNames) => {
+  if (speaker === null || speaker === undefined) return null;
+  return speakerNames?.[speaker] || `Speaker ${speaker}`;
+};
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("Deepgram API error:", response.status, response.statusText, errorText);
-      throw new Error(`Deepgram API error: ${response.status} ${response.statusText} - ${errorText}`);
+// Map every speaker in the stored segments to its display name
+const buildSpeakerDirectory = (segments, speakerNames) => {
+  const directory = {};
+  for (const segment of segments || []) {
+    if (segment.speaker !== null && segment.speaker !== undefined) {
+      directory[segment.speaker] = speakerDisplayName(segment.speaker, speakerNames);
     }
+  }
+  return directory;
+};
 
-    const data = await response.json();
-    console.log("Deepgram API response received, processing...");
+// Stored segments with speaker ids resolved to display names
+const labelSegments = (segments, speakerNames) => {
+  return (segments || []).map(({ start, end, text, speaker }) => ({
+    speaker: speakerDisplayName(speaker, speakerNames),
+    speaker_id: speaker ?? null,
+    start,
+    end,
+    text
+  }));
+};
 
-    // Extract the transcript from the Deepgram response
-    const transcript = data.results?.channels[0]?.alternatives[0]?.transcript || "";
-    
-    // Extract word-level data with timestamps
-    const words = data.results?.channels[0]?.alternatives[0]?.words || [];
-    
-    console.log(`Transcription extracted: ${transcript.length} characters, ${words.length} words`);
-    
-    return {
-      transcription: transcript,
-      jsonResponse: words,
-    };
+// Parse a multipart form field sent as "true" or "false"; anything else is left for validation
+const parseFormBoolean = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+};
+
+// Validate the transcription options shared by every upload entry point
+// Returns { options } or { error, status }
+const parseTranscriptionOptions = (env, {
+  language: requestedLanguage = "en-GB",
+  duration,
+  provider: requestedProvider,
+  diarize = false,
+  summarize = false,
+  summaryProvider: requestedSummaryProvider
+}) => {
+  // "auto" lets the provider detect the spoken language
+  let language;
+  try {
+    language = requestedLanguage === AUTO_LANGUAGE ? AUTO_LANGUAGE : normalizeLanguageCode(requestedLanguage);
   } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error("Deepgram API timeout after 30 seconds");
-      throw new Error("Transcription timeout - audio file may be too large or Deepgram service is slow");
-    }
-    console.error("Error transcribing audio:", error.message || error);
-    throw error; // Re-throw the error instead of returning empty result
+    return { error: 'language must be a language code such as en-GB, or "auto"', status: 400 };
+  }
+
+  // The client's duration is only a fallback - billing uses the measured one when available
+  const claimedDuration = duration === undefined || duration === null || duration === '' ? null : Number(duration);
+  if (claimedDuration !== null && !(claimedDuration > 0)) {
+    return { error: 'Duration must be greater than 0', status: 400 };
   }
-};
 
-// Check if user has sufficient coins (without deducting)
-const checkUserCoins = async (supabase, uid, requiredCoins) => {
+  // Early validation of the transcription provider
+  let provider;
   try {
-    const { data: userData, error: userError } = await supabase
-      .from("users")
-      .select("user_coins")
-      .eq("uid", uid)
-      .single();
+    provider = resolveTranscriptionProvider(env, requestedProvider);
+  } catch (error) {
+    return { error: error.message, status: 400 };
+  }
 
-    if (userError || !userData) {
-      throw new Error("Failed to fetch user data");
+  if (!provider.isConfigured(env)) {
+    if (requestedProvider) {
+      return { error: `Transcription provider ${provider.name} is not available`, status: 400 };
     }
+    console.error(`Missing configuration for transcription provider ${provider.name}`);
+    return { error: 'Audio transcription service is not properly configured', status: 500 };
+  }
 
-    const userCoins = userData.user_coins;
-    
-    if (userCoins < requiredCoins) {
-      throw new Error("Insufficient coins. Please buy more coins.");
+  if (typeof diarize !== 'boolean') {
+    return { error: 'diarize must be a boolean', status: 400 };
+  }
+
+  if (diarize && !provider.supportsDiarization) {
+    return { error: `Transcription provider ${provider.name} does not support speaker diarization`, status: 400 };
+  }
+
+  if (typeof summarize !== 'boolean') {
+    return { error: 'summarize must be a boolean', status: 400 };
+  }
+
+  // The summary runs after transcription, so its provider is checked up front
+  let summaryProvider = null;
+  if (summarize) {
+    try {
+      summaryProvider = resolveLlmProvider(env, requestedSummaryProvider);
+    } catch (error) {
+      return { error: error.message, status: 400 };
     }
 
-    return { success: true, userCoins };
-  } catch (error) {
-    throw error;
+    if (!summaryProvider.isConfigured(env)) {
+      return { error: `Summary provider ${summaryProvider.name} is not available`, status: 400 };
+    }
   }
+
+  return { options: { language, claimedDuration, provider, diarize, summarize, summaryProvider } };
 };
 
-// Deduct coins from user account
-const deductCoins = async (uid, requiredCoins, env) => {
-  try {
-    const coinDeductionResponse = await fetch(`${env.BASE_URL || 'http://localhost:8787'}/api/user/subtractCoins`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        uid: uid,
-        coinAmount: requiredCoins,
-        transaction_name: "Audio Transcription"
-      }),
-    });
+// Reserve coins, create the audio record and hand its transcription to the processor
+// Shared by every upload entry point; returns the upload response
+const startTranscriptionJob = async (c, { uid, audioid, audioUrl, audioName, options, probe }) => {
+  const { language, claimedDuration, provider, diarize, summarize, summaryProvider } = options;
+  const measuredDuration = probe ? probe.duration : null;
+  const billableDuration = measuredDuration ?? claimedDuration;
 
-    if (!coinDeductionResponse.ok) {
-      const errorText = await coinDeductionResponse.text();
-      throw new Error(`Failed to deduct coins: ${errorText}`);
-    }
+  if (!billableDuration) {
+    return c.json({ error: 'Could not determine the audio duration. Please provide duration.' }, 400);
+  }
 
-    const coinDeductionResult = await coinDeductionResponse.json();
-    
-    if (!coinDeductionResult.success) {
-      throw new Error(coinDeductionResult.message || "Failed to deduct coins");
+  if (measuredDuration && claimedDuration && Math.abs(measuredDuration - claimedDuration) > DURATION_MISMATCH_TOLERANCE) {
+    console.warn(`Claimed duration ${claimedDuration}s does not match measured ${measuredDuration}s (${probe.format}) for ${audioUrl}`);
+  }
+
+  console.log(`Processing audio upload request: uid=${uid}, duration=${billableDuration}, language=${language}`);
+
+  const supabase = getSupabaseClient(c.env);
+
+  // Calculate required coins (see calculateAudioCoins and calculateSummaryCoins for pricing)
+  const summaryCoins = summarize ? calculateSummaryCoins(billableDuration) : 0;
+  const requiredCoins = calculateAudioCoins(billableDuration) + summaryCoins;
+
+  // Reserve coins while the job runs - captured on completion, released on failure
+  try {
+    await holdJobCoins(c.env, {
+      uid,
+      jobType: 'audio',
+      jobId: audioid,
+      amount: requiredCoins,
+      transactionName: "Audio Transcription",
+      ttlSeconds: transcriptionJob.holdTtlSeconds()
+    });
+  } catch (error) {
+    if (error.name === 'InsufficientCoinsError') {
+      return c.json({ error: error.message }, 400);
     }
+    console.error('Error reserving coins:', error);
+    return c.json({ error: 'Failed to reserve coins' }, 500);
+  }
+
+  // Create initial record with pending status
+  const { error: insertError } = await supabase
+    .from('audio_metadata')
+    .insert([{
+      uid,
+      audioid,
+      audio_name: audioName || 'Untitled Audio',
+      audio_url: audioUrl,
+      language,
+      status: 'pending',
+      uploaded_at: new Date().toISOString(),
+      transcription: null,
+      words_data: null,
+      duration: Math.ceil(billableDuration),
+      claimed_duration: claimedDuration,
+      measured_duration: measuredDuration,
+      duration_source: probe ? 'header' : 'client',
+      transcription_provider: provider.name,
+      diarize,
+      file_path: audioFilePath(uid, audioid)
+    }]);
+
+  if (insertError) {
+    console.error('Error creating audio record:', insertError);
+    await refundFailedJob(c.env, { uid, jobType: 'audio', jobId: audioid, transactionName: 'Audio Transcription Refund' });
+    return c.json({ error: 'Failed to create audio record' }, 500);
+  }
+
+  // The audio's AudioTranscriptionProcessor runs the transcription with retries
+  try {
+    await startTranscription(c.env, {
+      uid,
+      audioid,
+      audioUrl,
+      language,
+      duration: billableDuration,
+      provider: provider.name,
+      diarize,
+      summaryProvider: summaryProvider?.name ?? null
+    });
 
-    return { success: true };
+    console.log(`Audio transcription job started for audioid: ${audioid}`);
   } catch (error) {
-    throw error;
+    console.error('Error starting transcription job:', error);
+    // If the job could not be started, update status to failed
+    await supabase
+      .from('audio_metadata')
+      .update({ 
+        status: 'failed',
+        error_message: 'Failed to start transcription job'
+      })
+      .eq('uid', uid)
+      .eq('audioid', audioid);
+
+    await refundFailedJob(c.env, { uid, jobType: 'audio', jobId: audioid, transactionName: 'Audio Transcription Refund' });
+    
+    return c.json({ error: 'Failed to start transcription job' }, 500);
   }
+
+  // Return immediately with audioid - transcription happens in background
+  return c.json({ 
+    success: true,
+    audioid: audioid,
+    status: 'pending',
+    provider: provider.name,
+    language,
+    diarize,
+    summarize,
+    message: 'Audio upload successful. Transcription is being processed in the background.',
+    duration: billableDuration,
+    claimed_duration: claimedDuration,
+    measured_duration: measuredDuration,
+    required_coins: requiredCoins,
+    summary_coins: summaryCoins
+  });
 };
 
 // Upload audio URL and start background transcription using direct background processing
 audioRoutes.post('/uploadAudioUrl', async (c) => {
   try {
-    const { uid, audioUrl, audioName, language = "en-GB", duration } = await c.req.json();
+    const body = await c.req.json();
+    const { uid: claimedUid, audioUrl, audioName } = body;
 
-    if (!uid || !audioUrl) {
-      return c.json({ error: 'UID and audioUrl are required' }, 400);
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
     }
 
-    if (!duration || duration <= 0) {
-      return c.json({ error: 'Duration is required and must be greater than 0' }, 400);
+    if (!audioUrl) {
+      return c.json({ error: 'audioUrl is required' }, 400);
     }
 
-    // Early validation of Deepgram configuration
-    if (!c.env.DEEPGRAM_API_URL || !c.env.DEEPGRAM_API_KEY) {
-      console.error('Missing Deepgram configuration');
-      return c.json({ error: 'Audio transcription service is not properly configured' }, 500);
+    const { options, error, status } = parseTranscriptionOptions(c.env, body);
+    if (error) {
+      return c.json({ error }, status);
     }
 
     // Validate audio URL format
@@ -169,169 +364,292 @@ audioRoutes.post('/uploadAudioUrl', async (c) => {
       return c.json({ error: 'Audio URL is too long (maximum 255 characters)' }, 400);
     }
 
-    console.log(`Processing audio upload request: uid=${uid}, duration=${duration}, language=${language}`);
+    // Measure the real duration from the file's container headers
+    const probe = await probeAudioDuration(audioUrl);
 
-    const supabase = getSupabaseClient(c.env);
+    return await startTranscriptionJob(c, { uid, audioid: generateAudioId(), audioUrl, audioName, options, probe });
+  } catch (err) {
+    console.error('Error in uploadAudioUrl:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
 
-    // Calculate required coins with new logic:
-    // - Minimum 2 coins for audio less than 1 minute
-    // - 2 coins per minute, rounded up to whole numbers for longer audio
-    const requiredCoins = Math.max(2, Math.ceil(duration * 2));
+// Upload an audio file as multipart/form-data (field "file") and transcribe it
+// Other fields match uploadAudioUrl: audioName, language, duration, provider, diarize, summarize, summaryProvider
+audioRoutes.post('/upload', async (c) => {
+  try {
+    const uid = c.get('uid');
 
-    // Check if user has sufficient coins BEFORE creating the record
-    try {
-      await checkUserCoins(supabase, uid, requiredCoins);
-    } catch (error) {
-      return c.json({ error: error.message }, 400);
+    // Reject oversized bodies before buffering them; the form adds a little overhead
+    const contentLength = Number(c.req.header('Content-Length'));
+    if (contentLength > MAX_MULTIPART_UPLOAD_BYTES + 64 * 1024) {
+      return c.json({ error: `File is too large for a single upload (maximum ${MAX_MULTIPART_UPLOAD_BYTES / (1024 * 1024)} MB); use /upload/resumable` }, 413);
     }
 
-    // Deduct coins upfront
+    if (!(c.req.header('Content-Type') || '').startsWith('multipart/form-data')) {
+      return c.json({ error: 'Content-Type must be multipart/form-data' }, 400);
+    }
+
+    const form = await c.req.parseBody();
+    const file = form.file;
+
+    if (!file || typeof file === 'string') {
+      return c.json({ error: 'file is required' }, 400);
+    }
+
+    if (file.size === 0) {
+      return c.json({ error: 'file is empty' }, 400);
+    }
+
+    if (file.size > MAX_MULTIPART_UPLOAD_BYTES) {
+      return c.json({ error: `File is too large for a single upload (maximum ${MAX_MULTIPART_UPLOAD_BYTES / (1024 * 1024)} MB); use /upload/resumable` }, 413);
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+
+    let contentType;
     try {
-      await deductCoins(uid, requiredCoins, c.env);
-    } catch (error) {
-      return c.json({ error: error.message }, 400);
+      contentType = checkAudioContentType(file.type, bytes);
+    } catch (validationError) {
+      return c.json({ error: validationError.message }, 415);
+    }
+
+    const { options, error, status } = parseTranscriptionOptions(c.env, {
+      language: form.language || undefined,
+      duration: form.duration,
+      provider: form.provider || undefined,
+      diarize: parseFormBoolean(form.diarize ?? false),
+      summarize: parseFormBoolean(form.summarize ?? false),
+      summaryProvider: form.summaryProvider || undefined
+    });
+    if (error) {
+      return c.json({ error }, status);
     }
 
-    // Generate unique audio ID
     const audioid = generateAudioId();
+    const filePath = audioFilePath(uid, audioid);
+    const storage = getStorage(c.env);
 
-    // Generate file path based on uid and audioid (required by database)
-    const filePath = `${uid}/audio/${audioid}`;
+    await storage.putObject(c.env, filePath, bytes, { contentType });
 
-    // Create initial record with pending status
-    const { error: insertError } = await supabase
-      .from('audio_metadata')
-      .insert([{
+    let response;
+    try {
+      response = await startTranscriptionJob(c, {
         uid,
         audioid,
-        audio_name: audioName || 'Untitled Audio',
-        audio_url: audioUrl,
-        language,
-        status: 'pending',
-        uploaded_at: new Date().toISOString(),
-        transcription: null,
-        words_data: null,
-        duration: duration,
-        file_path: filePath
-      }]);
+        audioUrl: storage.getPublicUrl(c.env, filePath),
+        audioName: form.audioName || file.name,
+        options,
+        probe: await measureAudioBuffer(bytes, file.name)
+      });
+    } finally {
+      // No job was created, whether it was refused or threw - do not keep the file
+      if (!response?.ok) {
+        await storage.removeObjects(c.env, [filePath])
+          .catch(removeError => console.error('Error deleting unused upload:', removeError));
+      }
+    }
+
+    return response;
+  } catch (err) {
+    console.error('Error in upload:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Start a resumable upload for large files
+// Body: { size, contentType, audioName, ...the uploadAudioUrl options }; chunks are then sent with PUT
+audioRoutes.post('/upload/resumable', async (c) => {
+  try {
+    const uid = c.get('uid');
+    const body = await c.req.json();
+    const { size, contentType: declaredType, audioName } = body;
+
+    if (!Number.isInteger(size) || size <= 0) {
+      return c.json({ error: 'size must be the file size in bytes' }, 400);
+    }
 
-    if (insertError) {
-      console.error('Error creating audio record:', insertError);
-      return c.json({ error: 'Failed to create audio record' }, 500);
+    if (size > MAX_RESUMABLE_UPLOAD_BYTES) {
+      return c.json({ error: `File is too large (maximum ${MAX_RESUMABLE_UPLOAD_BYTES / (1024 * 1024 * 1024)} GB)` }, 413);
     }
 
-    // Start background transcription using direct background processing
+    let contentType;
     try {
-      // Get execution context for waitUntil
-      const executionCtx = c.executionCtx;
-      
-      // Create background processing function
-      const processTranscription = async () => {
-        try {
-          console.log(`Starting background transcription for audioid: ${audioid}`);
-          
-          // Update status to processing
-          const { error: statusUpdateError } = await supabase
-            .from('audio_metadata')
-            .update({ status: 'processing' })
-            .eq('uid', uid)
-            .eq('audioid', audioid);
-
-          if (statusUpdateError) {
-            console.error('Error updating status to processing:', statusUpdateError);
-            throw new Error('Failed to update processing status');
-          }
-
-          // Add a small delay to ensure the upload response is sent first
-          await new Promise(resolve => setTimeout(resolve, 100));
-
-          console.log(`Calling Deepgram API for audioid: ${audioid}`);
-          
-          // Transcribe the audio using Deepgram
-          const transcriptionResult = await transcribeAudioWithDeepgram(audioUrl, language, c.env);
-
-          if (!transcriptionResult.transcription) {
-            throw new Error("Failed to transcribe audio - empty transcription returned");
-          }
-
-          console.log(`Transcription completed for audioid: ${audioid}, length: ${transcriptionResult.transcription.length}`);
-
-          // Update with transcription results
-          const { error: transcriptionUpdateError } = await supabase
-            .from('audio_metadata')
-            .update({ 
-              transcription: transcriptionResult.transcription,
-              words_data: transcriptionResult.jsonResponse,
-              status: 'completed'
-            })
-            .eq('uid', uid)
-            .eq('audioid', audioid);
-
-          if (transcriptionUpdateError) {
-            console.error('Error updating transcription results:', transcriptionUpdateError);
-            throw new Error('Failed to save transcription results');
-          }
-
-          console.log(`Successfully completed transcription for audioid: ${audioid}`);
-          
-        } catch (error) {
-          console.error(`Error in background transcription for audioid: ${audioid}:`, error.message || error);
-          
-          // Update status to failed
-          try {
-            const { error: failedUpdateError } = await supabase
-              .from('audio_metadata')
-              .update({ 
-                status: 'failed',
-                error_message: error.message || 'Unknown error occurred during transcription'
-              })
-              .eq('uid', uid)
-              .eq('audioid', audioid);
-
-            if (failedUpdateError) {
-              console.error('Error updating failed status:', failedUpdateError);
-            }
-          } catch (updateError) {
-            console.error('Critical error: Could not update failure status:', updateError);
-          }
-        }
-      };
-      
-      // Start background processing
-      if (executionCtx && executionCtx.waitUntil) {
-        executionCtx.waitUntil(processTranscription());
-      } else {
-        // Fallback: fire and forget
-        processTranscription().catch(error => console.error('Background transcription error:', error));
+      contentType = checkAudioContentType(declaredType);
+    } catch (validationError) {
+      return c.json({ error: validationError.message }, 415);
+    }
+
+    const { options, error, status } = parseTranscriptionOptions(c.env, body);
+    if (error) {
+      return c.json({ error }, status);
+    }
+
+    // Stored by name and validated again on completion
+    const session = await createUploadSession(c.env, {
+      uid,
+      audioid: generateAudioId(),
+      audioName,
+      contentType,
+      size,
+      options: {
+        language: options.language,
+        duration: options.claimedDuration,
+        provider: options.provider.name,
+        diarize: options.diarize,
+        summarize: options.summarize,
+        summaryProvider: options.summaryProvider?.name
       }
-      
-      console.log(`Audio transcription job started for audioid: ${audioid}`);
+    });
+
+    return c.json({
+      upload_id: session.upload_id,
+      audioid: session.audioid,
+      size: session.size,
+      received_bytes: 0,
+      chunk_size: getStorage(c.env).resumableChunkBytes,
+      status: session.status,
+      expires_at: session.expires_at
+    }, 201);
+  } catch (err) {
+    console.error('Error starting resumable upload:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Upload progress of a resumable upload - where to resume after a dropped connection
+audioRoutes.get('/upload/resumable/:uploadId', async (c) => {
+  try {
+    const session = await getUploadSession(c.env, c.get('uid'), c.req.param('uploadId'));
+    if (!session) {
+      return c.json({ error: 'Upload not found' }, 404);
+    }
+
+    return c.json({
+      upload_id: session.upload_id,
+      audioid: session.audioid,
+      size: session.size,
+      received_bytes: session.received_bytes,
+      chunk_size: getStorage(c.env).resumableChunkBytes,
+      status: isUploadSessionExpired(session) ? 'expired' : session.status,
+      expires_at: session.expires_at
+    });
+  } catch (err) {
+    console.error('Error retrieving resumable upload:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Send one chunk as the raw request body, with its byte offset in the Upload-Offset header
+audioRoutes.put('/upload/resumable/:uploadId', async (c) => {
+  try {
+    const session = await getUploadSession(c.env, c.get('uid'), c.req.param('uploadId'));
+    if (!session) {
+      return c.json({ error: 'Upload not found' }, 404);
+    }
+
+    if (isUploadSessionExpired(session)) {
+      return c.json({ error: 'Upload has expired; start a new one' }, 410);
+    }
+
+    if (session.status !== UPLOAD_STATUSES.UPLOADING) {
+      return c.json({ error: `Upload is ${session.status}`, status: session.status }, 409);
+    }
+
+    const offset = Number(c.req.header('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return c.json({ error: 'Upload-Offset header must be the byte offset of the chunk' }, 400);
+    }
+
+    if (offset !== session.received_bytes) {
+      return c.json({ error: 'Upload-Offset does not match the bytes received', received_bytes: session.received_bytes }, 409);
+    }
+
+    const bytes = new Uint8Array(await c.req.arrayBuffer());
+
+    let progress;
+    try {
+      progress = await appendUploadChunk(c.env, session, offset, bytes);
     } catch (error) {
-      console.error('Error starting transcription job:', error);
-      // If background job fails to start, update status to failed
-      await supabase
-        .from('audio_metadata')
-        .update({ 
-          status: 'failed',
-          error_message: 'Failed to start transcription job'
-        })
-        .eq('uid', uid)
-        .eq('audioid', audioid);
-      
-      return c.json({ error: 'Failed to start transcription job' }, 500);
+      if (error.name === 'ValidationError') {
+        return c.json({ error: error.message }, 400);
+      }
+      if (error.name === 'UploadOffsetError') {
+        return c.json({ error: error.message, received_bytes: error.offset }, 409);
+      }
+      throw error;
     }
 
-    // Return immediately with audioid - transcription happens in background
-    return c.json({ 
-      success: true,
-      audioid: audioid,
-      status: 'pending',
-      message: 'Audio upload successful. Transcription is being processed in the background.',
-      required_coins: requiredCoins
+    return c.json({
+      upload_id: session.upload_id,
+      received_bytes: progress.received_bytes,
+      status: progress.status
     });
-    
   } catch (err) {
-    console.error('Error in uploadAudioUrl:', err);
+    console.error('Error uploading chunk:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Finish a resumable upload and start transcription; can be retried if it fails (e.g. not enough coins)
+audioRoutes.post('/upload/resumable/:uploadId/complete', async (c) => {
+  try {
+    const uid = c.get('uid');
+    const session = await getUploadSession(c.env, uid, c.req.param('uploadId'));
+    if (!session) {
+      return c.json({ error: 'Upload not found' }, 404);
+    }
+
+    if (session.status === UPLOAD_STATUSES.UPLOADING) {
+      return c.json({ error: 'Upload is not finished', received_bytes: session.received_bytes, size: session.size }, 409);
+    }
+
+    const { options, error, status } = parseTranscriptionOptions(c.env, session.options);
+    if (error) {
+      return c.json({ error }, status);
+    }
+
+    if (!(await claimUploadSession(c.env, session))) {
+      return c.json({ error: `Upload is ${session.status}`, status: session.status }, 409);
+    }
+
+    let response;
+    try {
+      const audioUrl = getStorage(c.env).getPublicUrl(c.env, session.file_path);
+      response = await startTranscriptionJob(c, {
+        uid,
+        audioid: session.audioid,
+        audioUrl,
+        audioName: session.audio_name,
+        options,
+        probe: await probeAudioDuration(audioUrl)
+      });
+    } finally {
+      await settleUploadSession(c.env, session, Boolean(response?.ok));
+    }
+
+    return response;
+  } catch (err) {
+    console.error('Error completing resumable upload:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Abort a resumable upload that has not been completed and discard its bytes
+audioRoutes.delete('/upload/resumable/:uploadId', async (c) => {
+  try {
+    const session = await getUploadSession(c.env, c.get('uid'), c.req.param('uploadId'));
+    if (!session) {
+      return c.json({ error: 'Upload not found' }, 404);
+    }
+
+    if (!(await abortUploadSession(c.env, session))) {
+      return c.json({ error: `Upload is ${session.status} and cannot be aborted`, status: session.status }, 409);
+    }
+
+    return c.json({ message: 'Upload aborted', upload_id: session.upload_id });
+  } catch (err) {
+    console.error('Error aborting resumable upload:', err);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
@@ -339,10 +657,15 @@ audioRoutes.post('/uploadAudioUrl', async (c) => {
 // Get audio status and transcription by audioid
 audioRoutes.post('/getAudioStatus', async (c) => {
   try {
-    const { uid, audioid } = await c.req.json();
+    const { uid: claimedUid, audioid } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
 
-    if (!uid || !audioid) {
-      return c.json({ error: 'Both UID and audioid are required' }, 400);
+    if (!audioid) {
+      return c.json({ error: 'audioid is required' }, 400);
     }
 
     const supabase = getSupabaseClient(c.env);
@@ -350,7 +673,7 @@ audioRoutes.post('/getAudioStatus', async (c) => {
     // Retrieve the audio metadata from the database
     const { data: audioData, error: fetchError } = await supabase
       .from('audio_metadata')
-      .select('audioid, audio_name, audio_url, language, status, transcription, words_data, duration, uploaded_at, error_message')
+      .select('audioid, audio_name, audio_url, language, detected_language, language_confidence, status, transcription, words_data, duration, uploaded_at, error_message')
       .eq('uid', uid)
       .eq('audioid', audioid)
       .single();
@@ -374,6 +697,8 @@ audioRoutes.post('/getAudioStatus', async (c) => {
         audio_name: audioData.audio_name,
         audio_url: audioData.audio_url,
         language: audioData.language,
+        detected_language: audioData.detected_language,
+        language_confidence: audioData.language_confidence,
         status: 'completed',
         uploaded_at: audioData.uploaded_at,
         duration: audioData.duration,
@@ -392,15 +717,33 @@ audioRoutes.post('/getAudioStatus', async (c) => {
         uploaded_at: audioData.uploaded_at,
         duration: audioData.duration
       });
-      
-    } else if (audioData.status === 'processing') {
+
+    } else if (audioData.status === 'cancelled') {
+      return c.json({
+        audioid: audioData.audioid,
+        audio_name: audioData.audio_name,
+        status: 'cancelled',
+        message: 'Audio transcription was cancelled',
+        uploaded_at: audioData.uploaded_at,
+        duration: audioData.duration
+      });
+    }
+
+    // Attempts and retries of a running transcription; the status is still useful without them
+    const job = await getTranscriptionJob(c.env, audioid).catch((error) => {
+      console.error('Error fetching transcription job:', error);
+      return null;
+    });
+
+    if (audioData.status === 'processing') {
       return c.json({
         audioid: audioData.audioid,
         audio_name: audioData.audio_name,
         status: 'processing',
         message: 'Audio transcription is currently being processed',
         uploaded_at: audioData.uploaded_at,
-        duration: audioData.duration
+        duration: audioData.duration,
+        job
       });
       
     } else {
@@ -410,7 +753,8 @@ audioRoutes.post('/getAudioStatus', async (c) => {
         status: 'pending',
         message: 'Audio transcription is queued for processing',
         uploaded_at: audioData.uploaded_at,
-        duration: audioData.duration
+        duration: audioData.duration,
+        job
       });
     }
     
@@ -420,13 +764,78 @@ audioRoutes.post('/getAudioStatus', async (c) => {
   }
 });
 
+// Cancel a transcription that has not finished; coins are refunded under the cancellation policy (see billing.js)
+audioRoutes.post('/cancel', async (c) => {
+  try {
+    const { uid: claimedUid, audioid } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!audioid) {
+      return c.json({ error: 'audioid is required' }, 400);
+    }
+
+    const { data: audioData, error: fetchError } = await getSupabaseClient(c.env)
+      .from('audio_metadata')
+      .select('audioid, status')
+      .eq('uid', uid)
+      .eq('audioid', audioid)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Error fetching audio data:', fetchError);
+      return c.json({ error: 'Failed to fetch audio data' }, 500);
+    }
+
+    if (!audioData) {
+      return c.json({ error: 'Audio not found' }, 404);
+    }
+
+    if (!CANCELLABLE_AUDIO_STATUSES.includes(audioData.status)) {
+      return c.json({ error: `Audio transcription is already ${audioData.status}` }, 409);
+    }
+
+    const result = await cancelAudioTranscription(c.env, { uid, audioid });
+    if (!result.cancelled) {
+      return c.json({ error: result.error, job: result.job }, 409);
+    }
+
+    return c.json({
+      audioid,
+      status: 'cancelled',
+      message: 'Audio transcription cancelled',
+      refund: result.refund
+    });
+  } catch (err) {
+    console.error('Error in cancel:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
 // Get full audio file details by UID and audio ID
 audioRoutes.post('/getAudioFile', async (c) => {
   try {
-    const { uid, audioid } = await c.req.json();
+    const { uid: claimedUid, audioid, version } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!audioid) {
+      return c.json({ error: 'Audio ID is required' }, 400);
+    }
 
-    if (!uid || !audioid) {
-      return c.json({ error: 'Both UID and Audio ID are required' }, 400);
+    // Latest edited transcript by default; 'original' for the machine output
+    let versionSelector;
+    try {
+      versionSelector = parseVersionSelector(version);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
     }
 
     const supabase = getSupabaseClient(c.env);
@@ -434,7 +843,7 @@ audioRoutes.post('/getAudioFile', async (c) => {
     // Query the database for audio metadata by UID and Audio ID
     const { data: audioMetadata, error: metadataError } = await supabase
       .from('audio_metadata')
-      .select('audioid, audio_name, duration, uploaded_at, transcription, xml_data, file_path, audio_url, language, words_data, status, error_message')
+      .select('audioid, audio_name, duration, claimed_duration, measured_duration, duration_source, uploaded_at, transcription, xml_data, file_path, audio_url, language, detected_language, language_confidence, words_data, segments_data, diarize, speaker_names, transcription_provider, current_version, summary_data, status, error_message')
       .eq('uid', uid)
       .eq('audioid', audioid)
       .single();
@@ -454,7 +863,13 @@ audioRoutes.post('/getAudioFile', async (c) => {
       audio_name: audioMetadata.audio_name,
       audio_url: audioMetadata.audio_url,
       language: audioMetadata.language,
+      detected_language: audioMetadata.detected_language,
+      language_confidence: audioMetadata.language_confidence,
       duration: audioMetadata.duration,
+      claimed_duration: audioMetadata.claimed_duration,
+      measured_duration: audioMetadata.measured_duration,
+      duration_source: audioMetadata.duration_source,
+      transcription_provider: audioMetadata.transcription_provider,
       uploaded_at: audioMetadata.uploaded_at,
       status: audioMetadata.status,
       file_path: audioMetadata.file_path,
@@ -463,14 +878,37 @@ audioRoutes.post('/getAudioFile', async (c) => {
 
     // Handle response based on status
     if (audioMetadata.status === 'completed' && audioMetadata.transcription) {
-      response.transcription = audioMetadata.transcription;
-      response.words_data = audioMetadata.words_data;
+      let transcript = { ...audioMetadata, version: audioMetadata.current_version || 1 };
+      if (versionSelector !== 'latest') {
+        transcript = await getTranscriptVersion(c.env, uid, audioid, versionSelector);
+        if (!transcript) {
+          return c.json({ error: 'Transcript version not found' }, 404);
+        }
+      }
+
+      response.version = transcript.version;
+      response.current_version = audioMetadata.current_version || 1;
+      response.transcription = transcript.transcription;
+      response.words_data = transcript.words_data;
+      response.segments = labelSegments(transcript.segments_data, audioMetadata.speaker_names);
+      if (audioMetadata.diarize) {
+        response.speakers = buildSpeakerDirectory(transcript.segments_data, audioMetadata.speaker_names);
+      }
+      if (audioMetadata.summary_data) {
+        response.summary = audioMetadata.summary_data;
+        // The transcript was edited after the summary was generated
+        response.summary_outdated = audioMetadata.summary_data.transcript_version !== undefined
+          && audioMetadata.summary_data.transcript_version !== response.current_version;
+      }
       response.message = 'Full transcription available';
       
     } else if (audioMetadata.status === 'failed') {
       response.error_message = audioMetadata.error_message;
       response.message = 'Transcription failed';
       
+    } else if (audioMetadata.status === 'cancelled') {
+      response.message = 'Transcription cancelled';
+
     } else if (audioMetadata.status === 'processing') {
       response.message = 'Transcription in progress';
       
@@ -486,75 +924,967 @@ audioRoutes.post('/getAudioFile', async (c) => {
   }
 });
 
-// Get all audio files for a user by UID
+// Get a page of a user's audio files, e.g. /getAudio/:uid?status=completed&sort=-duration&limit=20
 audioRoutes.get('/getAudio/:uid', async (c) => {
   try {
-    const uid = c.req.param('uid');
+    const uid = resolveUid(c, c.req.param('uid'));
 
     if (!uid) {
-      return c.json({ error: 'UID is required' }, 400);
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
     }
 
-    const supabase = getSupabaseClient(c.env);
-
-    // Query the database for audio metadata by UID
-    const { data, error } = await supabase
-      .from('audio_metadata')
-      .select('audioid, duration, uploaded_at, audio_name, audio_url, language, status')
-      .eq('uid', uid);
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), AUDIO_LIST_SPEC);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
 
-    if (error) {
-      console.error('Error retrieving audio metadata:', error);
+    const supabase = getSupabaseClient(c.env);
+
+    // Query the database for audio metadata by UID
+    const page = await fetchPage(supabase, {
+      table: 'audio_metadata',
+      columns: 'audioid, duration, uploaded_at, audio_name, audio_url, language, status',
+      spec: AUDIO_LIST_SPEC,
+      params: listParams,
+      scope: (query) => query.eq('uid', uid).is('deleted_at', null)
+    });
+
+    if (page.error) {
+      console.error('Error retrieving audio metadata:', page.error);
       return c.json({ error: 'Failed to retrieve audio metadata' }, 500);
     }
 
-    if (data.length === 0) {
+    const isFirstUnfilteredPage = !listParams.cursor && listParams.filters.length === 0 && !listParams.from && !listParams.to;
+    if (page.data.length === 0 && isFirstUnfilteredPage) {
       return c.json({ error: 'No audio data found for the given UID' }, 404);
     }
 
-    return c.json({ audioData: data });
+    return c.json({ audioData: page.data, ...pageInfo(page, listParams) });
   } catch (err) {
     console.error('Error processing request:', err);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
 
-// Remove audio file and metadata
+// Search the caller's audio names and transcriptions, e.g. /search?q="quarterly report" budget
+audioRoutes.get('/search', async (c) => {
+  try {
+    const uid = c.get('uid');
+    const query = (c.req.query('q') || '').trim();
+
+    if (!query) {
+      return c.json({ error: 'q is required' }, 400);
+    }
+
+    if (query.length > MAX_SEARCH_QUERY_LENGTH) {
+      return c.json({ error: `q must be at most ${MAX_SEARCH_QUERY_LENGTH} characters` }, 400);
+    }
+
+    const limit = parseBoundedNumber(c.req.query('limit'), 20, 1, 50);
+    const offset = parseBoundedNumber(c.req.query('offset'), 0, 0, 10000);
+
+    if (!Number.isInteger(limit) || !Number.isInteger(offset)) {
+      return c.json({ error: 'limit must be between 1 and 50 and offset between 0 and 10000' }, 400);
+    }
+
+    const supabase = getSupabaseClient(c.env);
+
+    const { data, error } = await supabase.rpc('search_audio', {
+      p_uid: uid,
+      p_query: query,
+      p_limit: limit,
+      p_offset: offset
+    });
+
+    if (error) {
+      console.error('Error searching audio:', error);
+      return c.json({ error: 'Failed to search audio' }, 500);
+    }
+
+    const phrases = parseSearchPhrases(query);
+    const results = data.map(row => {
+      const { hits, total } = findWordHits(row.words_data, phrases);
+      return {
+        audioid: row.audioid,
+        audio_name: row.audio_name,
+        uploaded_at: row.uploaded_at,
+        duration: row.duration,
+        language: row.language,
+        status: row.status,
+        rank: row.rank,
+        name_highlight: formatHighlight(row.name_highlight),
+        snippet: formatHighlight(row.snippet),
+        hits,
+        hit_count: total
+      };
+    });
+
+    return c.json({ query, limit, offset, results });
+  } catch (err) {
+    console.error('Error in search:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Move an audio file to the trash; it can be restored until it is purged
 audioRoutes.post('/removeAudio', async (c) => {
   try {
-    const { uid, audioid } = await c.req.json();
+    const { uid: claimedUid, audioid } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!audioid) {
+      return c.json({ error: 'audioid is required' }, 400);
+    }
+
+    // Trashed audio is purged after the retention period (see trash.js)
+    const result = await trashMedia(c.env, 'audio', uid, audioid);
+    if (!result.found) {
+      return c.json({ error: 'Audio not found' }, 404);
+    }
+
+    return c.json({
+      message: 'Audio moved to trash',
+      audioid,
+      deleted_at: result.deleted_at,
+      purge_after: purgeAfter(c.env, result.deleted_at)
+    });
+  } catch (err) {
+    console.error('Error processing request:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Get a page of the caller's trashed audio files, most recently trashed first
+audioRoutes.get('/trash', async (c) => {
+  try {
+    const uid = c.get('uid');
+
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), AUDIO_TRASH_LIST_SPEC);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
+    const page = await fetchPage(getSupabaseClient(c.env), {
+      table: 'audio_metadata',
+      columns: 'audioid, duration, uploaded_at, audio_name, language, status, deleted_at',
+      spec: AUDIO_TRASH_LIST_SPEC,
+      params: listParams,
+      scope: (query) => query.eq('uid', uid).not('deleted_at', 'is', null)
+    });
+
+    if (page.error) {
+      console.error('Error retrieving trashed audio:', page.error);
+      return c.json({ error: 'Failed to retrieve trashed audio' }, 500);
+    }
+
+    return c.json({
+      audioData: page.data.map(audio => ({ ...audio, purge_after: purgeAfter(c.env, audio.deleted_at) })),
+      retention_days: getTrashRetentionDays(c.env),
+      ...pageInfo(page, listParams)
+    });
+  } catch (err) {
+    console.error('Error listing trash:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Restore a trashed audio file
+audioRoutes.post('/restore', async (c) => {
+  try {
+    const { uid: claimedUid, audioid } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!audioid) {
+      return c.json({ error: 'audioid is required' }, 400);
+    }
+
+    const result = await restoreMedia(c.env, 'audio', uid, audioid);
+    if (!result.found) {
+      return c.json({ error: 'Audio not found' }, 404);
+    }
+
+    if (!result.changed) {
+      return c.json({ error: 'Audio is not in the trash' }, 409);
+    }
+
+    return c.json({ message: 'Audio restored', audioid });
+  } catch (err) {
+    console.error('Error restoring audio:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Permanently delete a trashed audio file with its transcript data and stored file
+audioRoutes.post('/purge', async (c) => {
+  try {
+    const { uid: claimedUid, audioid } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!audioid) {
+      return c.json({ error: 'audioid is required' }, 400);
+    }
+
+    const result = await purgeMedia(c.env, 'audio', uid, audioid);
+    if (!result) {
+      return c.json({ error: 'Audio not found in the trash' }, 404);
+    }
+
+    if (result.unfinished) {
+      return c.json({ error: 'Audio is still being processed, try again once it has finished' }, 409);
+    }
+
+    return c.json({ message: 'Audio deleted permanently', audioid, files_deleted: result.files_deleted });
+  } catch (err) {
+    console.error('Error purging audio:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Content-Disposition for a download, with an ASCII fallback and the UTF-8 name
+const attachmentDisposition = (name, extension) => {
+  const base = (name || 'transcript').replace(/[\\/:*?"<>|\r\n]+/g, '_').trim() || 'transcript';
+  const fileName = `${base}.${extension}`;
+  const asciiName = fileName.replace(/[^\x20-\x7E]/g, '_');
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+// Export the transcript as subtitles or text, e.g. /export/:audioid?format=vtt&maxCharsPerLine=32
+// ?language=de exports a completed translation instead of the transcript.
+audioRoutes.get('/export/:audioid', async (c) => {
+  try {
+    const uid = c.get('uid');
+    const audioid = c.req.param('audioid');
+    const format = (c.req.query('format') || 'srt').toLowerCase();
+
+    if (!SUBTITLE_FORMATS[format]) {
+      return c.json({ error: `format must be one of: ${Object.keys(SUBTITLE_FORMATS).join(', ')}` }, 400);
+    }
+
+    let versionSelector;
+    let language = null;
+    try {
+      versionSelector = parseVersionSelector(c.req.query('version'));
+      if (c.req.query('language')) {
+        language = normalizeLanguageCode(c.req.query('language'));
+      }
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
+    if (language && versionSelector !== 'latest') {
+      return c.json({ error: 'Translations are only exported for their own transcript version; omit version' }, 400);
+    }
+
+    const maxCharsPerLine = parseBoundedNumber(c.req.query('maxCharsPerLine'), DEFAULT_MAX_CHARS_PER_LINE, 10, 200);
+    const maxCueDuration = parseBoundedNumber(c.req.query('maxCueDuration'), DEFAULT_MAX_CUE_DURATION, 1, 60);
+
+    if (Number.isNaN(maxCharsPerLine) || Number.isNaN(maxCueDuration)) {
+      return c.json({ error: 'maxCharsPerLine must be between 10 and 200 and maxCueDuration between 1 and 60 seconds' }, 400);
+    }
+
+    const supabase = getSupabaseClient(c.env);
+
+    const { data: audioMetadata, error: fetchError } = await supabase
+      .from('audio_metadata')
+      .select('audioid, audio_name, language, duration, status, words_data, speaker_names, diarize')
+      .eq('uid', uid)
+      .eq('audioid', audioid)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Error retrieving audio metadata:', fetchError);
+      return c.json({ error: 'Failed to retrieve audio metadata' }, 500);
+    }
+
+    if (!audioMetadata) {
+      return c.json({ error: 'Audio not found' }, 404);
+    }
+
+    if (audioMetadata.status !== 'completed') {
+      return c.json({ error: 'Transcription is not completed yet' }, 400);
+    }
+
+    let words = audioMetadata.words_data;
+    if (language) {
+      const translation = await getTranslation(c.env, uid, audioid, language);
+      if (!translation) {
+        return c.json({ error: 'Translation not found' }, 404);
+      }
+      if (!translation.segments_data?.length) {
+        return c.json({ error: 'Translation is not completed yet' }, 400);
+      }
+      words = segmentsToWords(translation.segments_data);
+    } else if (versionSelector !== 'latest') {
+      const transcript = await getTranscriptVersion(c.env, uid, audioid, versionSelector);
+      if (!transcript) {
+        return c.json({ error: 'Transcript version not found' }, 404);
+      }
+      words = transcript.words_data;
+    }
+
+    if (!Array.isArray(words) || words.length === 0) {
+      return c.json({ error: 'No word timestamps available for this audio' }, 400);
+    }
+
+    const cues = buildCues(words, { maxCharsPerLine, maxCueDuration });
+    const speakerName = audioMetadata.diarize
+      ? (speaker) => speakerDisplayName(speaker, audioMetadata.speaker_names)
+      : null;
+
+    const { extension, contentType } = SUBTITLE_FORMATS[format];
+    let body;
+
+    if (format === 'srt') {
+      body = formatSrt(cues, speakerName);
+    } else if (format === 'vtt') {
+      body = formatVtt(cues, speakerName);
+    } else if (format === 'txt') {
+      body = formatTxt(cues, speakerName);
+    } else {
+      body = JSON.stringify({
+        audioid: audioMetadata.audioid,
+        title: audioMetadata.audio_name,
+        language: language || audioMetadata.language,
+        ...(language ? { source_language: audioMetadata.language } : {}),
+        duration: audioMetadata.duration,
+        cues: formatJsonCues(cues, speakerName)
+      }, null, 2);
+    }
+
+    return c.body(body, 200, {
+      'Content-Type': contentType,
+      'Content-Disposition': attachmentDisposition(
+        `${audioMetadata.audio_name || audioid}${language ? `.${language}` : ''}`,
+        extension
+      )
+    });
+  } catch (err) {
+    console.error('Error exporting transcript:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Rename diarized speakers, e.g. { "speakers": { "0": "Alice", "Speaker 1": "Bob" } }
+// A null or empty name restores the default "Speaker N" label.
+audioRoutes.put('/:audioid/speakers', async (c) => {
+  try {
+    const uid = c.get('uid');
+    const audioid = c.req.param('audioid');
+    const { speakers } = await c.req.json();
 
-    if (!uid || !audioid) {
-      return c.json({ error: 'UID and audioid are required' }, 400);
+    if (!speakers || typeof speakers !== 'object' || Array.isArray(speakers)) {
+      return c.json({ error: 'speakers must be an object mapping speakers to names' }, 400);
     }
 
     const supabase = getSupabaseClient(c.env);
 
-    // Delete the audio metadata from the database
-    const { error: dbError } = await supabase
+    const { data: audioMetadata, error: fetchError } = await supabase
+      .from('audio_metadata')
+      .select('status, diarize, segments_data, speaker_names')
+      .eq('uid', uid)
+      .eq('audioid', audioid)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Error retrieving audio metadata:', fetchError);
+      return c.json({ error: 'Failed to retrieve audio metadata' }, 500);
+    }
+
+    if (!audioMetadata) {
+      return c.json({ error: 'Audio not found' }, 404);
+    }
+
+    if (!audioMetadata.diarize) {
+      return c.json({ error: 'Speaker diarization was not enabled for this audio' }, 400);
+    }
+
+    if (audioMetadata.status !== 'completed') {
+      return c.json({ error: 'Transcription is not completed yet' }, 400);
+    }
+
+    const knownSpeakers = buildSpeakerDirectory(audioMetadata.segments_data, {});
+    const speakerNames = { ...(audioMetadata.speaker_names || {}) };
+
+    for (const [key, name] of Object.entries(speakers)) {
+      // Accept the speaker id ("0") or its default label ("Speaker 0")
+      const speaker = key.replace(/^speaker\s+/i, '');
+
+      if (!(speaker in knownSpeakers)) {
+        return c.json({ error: `Unknown speaker: ${key}` }, 400);
+      }
+
+      if (name === null || name === '') {
+        delete speakerNames[speaker];
+        continue;
+      }
+
+      const cleanName = sanitizeString(name);
+      if (!cleanName || cleanName.length > MAX_SPEAKER_NAME_LENGTH) {
+        return c.json({ error: `Speaker names must be non-empty strings of at most ${MAX_SPEAKER_NAME_LENGTH} characters` }, 400);
+      }
+
+      speakerNames[speaker] = cleanName;
+    }
+
+    const { error: updateError } = await supabase
       .from('audio_metadata')
-      .delete()
+      .update({ speaker_names: speakerNames })
       .eq('uid', uid)
       .eq('audioid', audioid);
 
-    if (dbError) {
-      console.error('Error deleting metadata:', dbError);
-      return c.json({ error: 'Failed to delete audio metadata' }, 500);
+    if (updateError) {
+      console.error('Error updating speaker names:', updateError);
+      return c.json({ error: 'Failed to update speaker names' }, 500);
     }
 
-    // Delete the audio file from Supabase Storage
-    const { error: storageError } = await supabase.storage
-      .from('user-uploads')
-      .remove([`${uid}/audio/${audioid}_*`]);
+    return c.json({
+      message: 'Speakers updated successfully',
+      speakers: buildSpeakerDirectory(audioMetadata.segments_data, speakerNames),
+      segments: labelSegments(audioMetadata.segments_data, speakerNames)
+    });
+  } catch (err) {
+    console.error('Error updating speakers:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Apply word patches { index, word, punctuated_word, start, end } to words_data; returns an error message or the new words
+const applyWordEdits = (words, edits) => {
+  const result = words.map(word => ({ ...word }));
+
+  for (const edit of edits) {
+    if (!edit || !Number.isInteger(edit.index) || edit.index < 0 || edit.index >= result.length) {
+      return { error: 'Each word edit needs an index within the transcript' };
+    }
+
+    const word = result[edit.index];
+
+    if (edit.word !== undefined || edit.punctuated_word !== undefined) {
+      const text = sanitizeString(edit.punctuated_word ?? edit.word);
+      if (!text || /\s/.test(text)) {
+        return { error: `Word ${edit.index} must be a single non-empty word` };
+      }
+      word.punctuated_word = text;
+      word.word = edit.word !== undefined ? sanitizeString(edit.word) || text : text;
+    }
+
+    for (const field of ['start', 'end']) {
+      if (edit[field] !== undefined) {
+        if (typeof edit[field] !== 'number' || !(edit[field] >= 0)) {
+          return { error: `Word ${edit.index} ${field} must be a non-negative number of seconds` };
+        }
+        word[field] = edit[field];
+      }
+    }
+
+    if (word.start > word.end) {
+      return { error: `Word ${edit.index} must not end before it starts` };
+    }
+  }
+
+  return { words: result };
+};
+
+// Save a corrected transcript as a new version
+// Send either the full corrected `transcription` (words are re-aligned, keeping the
+// timings of unchanged words) or `words`: [{ index, word, punctuated_word, start, end }].
+audioRoutes.put('/:audioid/transcript', async (c) => {
+  try {
+    const uid = c.get('uid');
+    const audioid = c.req.param('audioid');
+    const { transcription, words: wordEdits, baseVersion, note } = await c.req.json();
+
+    if ((transcription === undefined) === (wordEdits === undefined)) {
+      return c.json({ error: 'Provide either transcription or words' }, 400);
+    }
+
+    if (baseVersion !== undefined && (!Number.isInteger(baseVersion) || baseVersion < 1)) {
+      return c.json({ error: 'baseVersion must be a positive integer' }, 400);
+    }
+
+    const current = await getTranscriptVersion(c.env, uid, audioid);
+
+    if (!current) {
+      return c.json({ error: 'Audio not found' }, 404);
+    }
+
+    if (current.status !== 'completed' || !Array.isArray(current.words_data)) {
+      return c.json({ error: 'Transcription is not completed yet' }, 400);
+    }
+
+    let words;
+    if (transcription !== undefined) {
+      const text = typeof transcription === 'string' ? transcription.trim() : '';
+      if (!text) {
+        return c.json({ error: 'transcription must be a non-empty string' }, 400);
+      }
+      words = realignWords(current.words_data, text);
+    } else {
+      if (!Array.isArray(wordEdits) || wordEdits.length === 0) {
+        return c.json({ error: 'words must be a non-empty array of word edits' }, 400);
+      }
+      const edited = applyWordEdits(current.words_data, wordEdits);
+      if (edited.error) {
+        return c.json({ error: edited.error }, 400);
+      }
+      words = edited.words;
+    }
 
-    if (storageError) {
-      console.error('Error deleting audio file:', storageError);
-      return c.json({ error: 'Failed to delete audio file' }, 500);
+    const diff = diffWords(current.words_data, words);
+    if (diff.changes.length === 0 && diff.retimed.length === 0) {
+      return c.json({ error: 'The edit does not change the transcript' }, 400);
     }
 
-    return c.json({ message: 'Audio removed successfully' });
+    const result = await saveTranscriptVersion(c.env, {
+      uid,
+      audioid,
+      transcription: words.map(word => word.punctuated_word || word.word).join(' '),
+      words,
+      segments: buildSegments(words),
+      source: VERSION_SOURCES.EDIT,
+      note: typeof note === 'string' ? sanitizeString(note).slice(0, 500) : null,
+      baseVersion
+    });
+
+    if (!result.success) {
+      return c.json({ error: result.message, current_version: result.current_version }, result.conflict ? 409 : 404);
+    }
+
+    return c.json({
+      message: 'Transcript updated successfully',
+      version: result.version,
+      summary: diff.summary
+    });
   } catch (err) {
-    console.error('Error processing request:', err);
+    console.error('Error editing transcript:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// List transcript versions, newest first
+audioRoutes.get('/:audioid/versions', async (c) => {
+  try {
+    const uid = c.get('uid');
+    const audioid = c.req.param('audioid');
+
+    const result = await listTranscriptVersions(c.env, uid, audioid);
+
+    if (!result) {
+      return c.json({ error: 'Audio not found' }, 404);
+    }
+
+    return c.json({ audioid, ...result });
+  } catch (err) {
+    console.error('Error listing transcript versions:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Word-level diff between two versions, e.g. /:audioid/versions/diff?from=original&to=latest
+audioRoutes.get('/:audioid/versions/diff', async (c) => {
+  try {
+    const uid = c.get('uid');
+    const audioid = c.req.param('audioid');
+
+    let fromSelector;
+    let toSelector;
+    try {
+      fromSelector = parseVersionSelector(c.req.query('from') || 'original');
+      toSelector = parseVersionSelector(c.req.query('to'));
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      getTranscriptVersion(c.env, uid, audioid, fromSelector),
+      getTranscriptVersion(c.env, uid, audioid, toSelector)
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return c.json({ error: 'Transcript version not found' }, 404);
+    }
+
+    return c.json({
+      audioid,
+      from: fromVersion.version,
+      to: toVersion.version,
+      ...diffWords(fromVersion.words_data, toVersion.words_data)
+    });
+  } catch (err) {
+    console.error('Error diffing transcript versions:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Roll back by saving an earlier version as the new current version
+audioRoutes.post('/:audioid/versions/:version/rollback', async (c) => {
+  try {
+    const uid = c.get('uid');
+    const audioid = c.req.param('audioid');
+    const { baseVersion, note } = await c.req.json().catch(() => ({}));
+
+    let selector;
+    try {
+      selector = parseVersionSelector(c.req.param('version'));
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
+    const target = await getTranscriptVersion(c.env, uid, audioid, selector);
+
+    if (!target) {
+      return c.json({ error: 'Transcript version not found' }, 404);
+    }
+
+    if (target.version === target.current_version) {
+      return c.json({ error: `Version ${target.version} is already the current version` }, 400);
+    }
+
+    const result = await saveTranscriptVersion(c.env, {
+      uid,
+      audioid,
+      transcription: target.transcription,
+      words: target.words_data,
+      segments: target.segments_data,
+      source: VERSION_SOURCES.ROLLBACK,
+      basedOn: target.version,
+      note: typeof note === 'string' ? sanitizeString(note).slice(0, 500) : null,
+      baseVersion: Number.isInteger(baseVersion) ? baseVersion : undefined
+    });
+
+    if (!result.success) {
+      return c.json({ error: result.message, current_version: result.current_version }, result.conflict ? 409 : 404);
+    }
+
+    return c.json({
+      message: `Transcript rolled back to version ${target.version}`,
+      version: result.version
+    });
+  } catch (err) {
+    console.error('Error rolling back transcript:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Generate or regenerate the summary, key points, action items and chapters of the current transcript
+audioRoutes.post('/:audioid/summary', async (c) => {
+  try {
+    const uid = c.get('uid');
+    const audioid = c.req.param('audioid');
+    const { provider: requestedProvider } = await c.req.json().catch(() => ({}));
+
+    let provider;
+    try {
+      provider = resolveLlmProvider(c.env, requestedProvider);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
+    if (!provider.isConfigured(c.env)) {
+      return c.json({ error: `Summary provider ${provider.name} is not available` }, 400);
+    }
+
+    const supabase = getSupabaseClient(c.env);
+
+    const { data: audio, error: audioError } = await supabase
+      .from('audio_metadata')
+      .select('status, duration, summary_data')
+      .eq('uid', uid)
+      .eq('audioid', audioid)
+      .maybeSingle();
+
+    if (audioError) {
+      console.error('Error retrieving audio metadata:', audioError);
+      return c.json({ error: 'Failed to retrieve audio metadata' }, 500);
+    }
+
+    if (!audio) {
+      return c.json({ error: 'Audio file not found' }, 404);
+    }
+
+    if (audio.status !== 'completed') {
+      return c.json({ error: 'Transcription is not completed' }, 400);
+    }
+
+    const requiredCoins = calculateSummaryCoins(audio.duration);
+    const holdId = `${audioid}_${Date.now()}`;
+
+    // Reserve coins while the summary runs - captured on success, released once the job gives up
+    try {
+      await holdJobCoins(c.env, {
+        uid,
+        jobType: 'summary',
+        jobId: holdId,
+        amount: requiredCoins,
+        transactionName: 'Transcript Summary',
+        ttlSeconds: summaryJob.holdTtlSeconds()
+      });
+    } catch (error) {
+      if (error.name === 'InsufficientCoinsError') {
+        return c.json({ error: error.message }, 400);
+      }
+      throw error;
+    }
+
+    const refund = () => refundFailedJob(c.env, { uid, jobType: 'summary', jobId: holdId, transactionName: 'Transcript Summary Refund' });
+    const previous = audio.summary_data;
+
+    let claimed;
+    try {
+      claimed = await claimTranscriptSummary(c.env, { uid, audioid, provider, previous });
+    } catch (error) {
+      await refund();
+      throw error;
+    }
+
+    if (!claimed) {
+      await refund();
+      return c.json({ error: 'A summary is already being generated' }, 409);
+    }
+
+    try {
+      await enqueueJob(c.env, {
+        type: summaryJob.type,
+        uid,
+        resourceId: holdId,
+        payload: { uid, audioid, provider: provider.name, previous }
+      });
+    } catch (error) {
+      await refund();
+      await failTranscriptSummary(c.env, { uid, audioid, providerName: provider.name, previous }, error);
+      throw error;
+    }
+
+    return c.json({
+      success: true,
+      audioid,
+      status: SUMMARY_STATUSES.PROCESSING,
+      provider: provider.name,
+      required_coins: requiredCoins,
+      message: 'Summary is being generated in the background.'
+    }, 202);
+  } catch (err) {
+    console.error('Error starting summary:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Translate the current transcript into another language, e.g. { "audioid": "...", "language": "de" }
+audioRoutes.post('/translate', async (c) => {
+  try {
+    const { uid: claimedUid, audioid, language: requestedLanguage, provider: requestedProvider } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!audioid || !requestedLanguage) {
+      return c.json({ error: 'Missing required fields: audioid or language' }, 400);
+    }
+
+    let language;
+    let provider;
+    try {
+      language = normalizeLanguageCode(requestedLanguage);
+      provider = resolveTranslationProvider(c.env, requestedProvider);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
+    if (!provider.isConfigured(c.env)) {
+      return c.json({ error: `Translation provider ${provider.name} is not available` }, 400);
+    }
+
+    const supabase = getSupabaseClient(c.env);
+
+    const { data: audio, error: audioError } = await supabase
+      .from('audio_metadata')
+      .select('status, duration, language, detected_language')
+      .eq('uid', uid)
+      .eq('audioid', audioid)
+      .maybeSingle();
+
+    if (audioError) {
+      console.error('Error retrieving audio metadata:', audioError);
+      return c.json({ error: 'Failed to retrieve audio metadata' }, 500);
+    }
+
+    if (!audio) {
+      return c.json({ error: 'Audio file not found' }, 404);
+    }
+
+    if (audio.status !== 'completed') {
+      return c.json({ error: 'Transcription is not completed' }, 400);
+    }
+
+    // "auto" is not a language: use the detected one, or let the provider detect it.
+    // A bare target like "en" also matches a regional source like "en-GB".
+    const sourceLanguage = (audio.language === AUTO_LANGUAGE ? audio.detected_language : audio.language) || null;
+    const source = (sourceLanguage || '').toLowerCase();
+    if (source && (source === language.toLowerCase() || source.split('-')[0] === language)) {
+      return c.json({ error: `The transcript is already in ${language}` }, 400);
+    }
+
+    const requiredCoins = calculateTranslationCoins(audio.duration);
+    const holdId = `${audioid}_${language}_${Date.now()}`;
+
+    // Reserve coins while the translation runs - captured on success, released once the job gives up
+    try {
+      await holdJobCoins(c.env, {
+        uid,
+        jobType: 'translation',
+        jobId: holdId,
+        amount: requiredCoins,
+        transactionName: 'Transcript Translation',
+        ttlSeconds: translationJob.holdTtlSeconds()
+      });
+    } catch (error) {
+      if (error.name === 'InsufficientCoinsError') {
+        return c.json({ error: error.message }, 400);
+      }
+      throw error;
+    }
+
+    const refund = () => refundFailedJob(c.env, { uid, jobType: 'translation', jobId: holdId, transactionName: 'Transcript Translation Refund' });
+    const job = { uid, audioid, language, sourceLanguage, provider: provider.name };
+
+    let claimed;
+    try {
+      claimed = await claimTranslation(c.env, { ...job, provider });
+    } catch (error) {
+      await refund();
+      throw error;
+    }
+
+    if (!claimed) {
+      await refund();
+      return c.json({ error: `A translation into ${language} is already being generated` }, 409);
+    }
+
+    try {
+      await enqueueJob(c.env, { type: translationJob.type, uid, resourceId: holdId, payload: job });
+    } catch (error) {
+      await refund();
+      await failTranslation(c.env, job, error);
+      throw error;
+    }
+
+    return c.json({
+      success: true,
+      audioid,
+      language,
+      status: TRANSLATION_STATUSES.PROCESSING,
+      provider: provider.name,
+      required_coins: requiredCoins,
+      message: 'Translation is being generated in the background.'
+    }, 202);
+  } catch (err) {
+    console.error('Error starting translation:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// List the translations of a transcript, without their text
+audioRoutes.get('/:audioid/translations', async (c) => {
+  try {
+    const uid = c.get('uid');
+    const audioid = c.req.param('audioid');
+
+    const supabase = getSupabaseClient(c.env);
+
+    const { data: audio, error: audioError } = await supabase
+      .from('audio_metadata')
+      .select('current_version')
+      .eq('uid', uid)
+      .eq('audioid', audioid)
+      .maybeSingle();
+
+    if (audioError) {
+      console.error('Error retrieving audio metadata:', audioError);
+      return c.json({ error: 'Failed to retrieve audio metadata' }, 500);
+    }
+
+    if (!audio) {
+      return c.json({ error: 'Audio not found' }, 404);
+    }
+
+    const currentVersion = audio.current_version || 1;
+    const translations = await listTranslations(c.env, uid, audioid);
+
+    return c.json({
+      audioid,
+      current_version: currentVersion,
+      translations: translations.map(translation => ({
+        ...translation,
+        outdated: translation.transcript_version !== null && translation.transcript_version !== currentVersion
+      }))
+    });
+  } catch (err) {
+    console.error('Error listing translations:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Get one translation with its timed segments
+audioRoutes.get('/:audioid/translations/:language', async (c) => {
+  try {
+    const uid = c.get('uid');
+    const audioid = c.req.param('audioid');
+
+    let language;
+    try {
+      language = normalizeLanguageCode(c.req.param('language'));
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
+    const supabase = getSupabaseClient(c.env);
+
+    const { data: audio, error: audioError } = await supabase
+      .from('audio_metadata')
+      .select('current_version')
+      .eq('uid', uid)
+      .eq('audioid', audioid)
+      .maybeSingle();
+
+    if (audioError) {
+      console.error('Error retrieving audio metadata:', audioError);
+      return c.json({ error: 'Failed to retrieve audio metadata' }, 500);
+    }
+
+    if (!audio) {
+      return c.json({ error: 'Audio not found' }, 404);
+    }
+
+    const translation = await getTranslation(c.env, uid, audioid, language);
+    if (!translation) {
+      return c.json({ error: 'Translation not found' }, 404);
+    }
+
+    return c.json({
+      audioid,
+      ...translation,
+      outdated: translation.transcript_version !== null && translation.transcript_version !== (audio.current_version || 1)
+    });
+  } catch (err) {
+    console.error('Error retrieving translation:', err);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
@@ -562,10 +1892,15 @@ audioRoutes.post('/removeAudio', async (c) => {
 // Edit audio file name
 audioRoutes.post('/editAudio', async (c) => {
   try {
-    const { uid, audioid, updatedName } = await c.req.json();
+    const { uid: claimedUid, audioid, updatedName } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
 
-    if (!uid || !audioid || !updatedName) {
-      return c.json({ error: 'UID, audioid, and updated name are required' }, 400);
+    if (!audioid || !updatedName) {
+      return c.json({ error: 'audioid and updated name are required' }, 400);
     }
 
     const supabase = getSupabaseClient(c.env);
@@ -592,10 +1927,21 @@ audioRoutes.post('/editAudio', async (c) => {
 // Save XML graph data for audio
 audioRoutes.post('/sendXmlGraph', async (c) => {
   try {
-    const { uid, audioid, xmlData } = await c.req.json();
+    const { uid: claimedUid, audioid, xmlData } = await c.req.json();
 
-    if (!uid || !audioid || !xmlData) {
-      return c.json({ error: 'Missing required fields: uid, audioid, or xmlData' }, 400);
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!audioid || !xmlData) {
+      return c.json({ error: 'Missing required fields: audioid or xmlData' }, 400);
+    }
+
+    // Manual edits must still match the graph schema (see src/utils/xmlGraph.js)
+    const validation = validateXmlGraph(xmlData);
+    if (!validation.valid) {
+      return c.json({ error: 'xmlData does not match the XML graph schema', details: validation.errors }, 400);
     }
 
     const supabase = getSupabaseClient(c.env);
@@ -640,4 +1986,108 @@ audioRoutes.post('/sendXmlGraph', async (c) => {
   }
 });
 
+// Generate the XML graph (mind map) of the current transcript with an LLM and save it
+audioRoutes.post('/generateXmlGraph', async (c) => {
+  try {
+    const { uid: claimedUid, audioid, provider: requestedProvider } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!audioid) {
+      return c.json({ error: 'Audio ID is required' }, 400);
+    }
+
+    let provider;
+    try {
+      provider = resolveLlmProvider(c.env, requestedProvider);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
+    }
+
+    if (!provider.isConfigured(c.env)) {
+      return c.json({ error: `Mind map provider ${provider.name} is not available` }, 400);
+    }
+
+    const supabase = getSupabaseClient(c.env);
+
+    const { data: audio, error: audioError } = await supabase
+      .from('audio_metadata')
+      .select('status, duration, language')
+      .eq('uid', uid)
+      .eq('audioid', audioid)
+      .maybeSingle();
+
+    if (audioError) {
+      console.error('Error retrieving audio metadata:', audioError);
+      return c.json({ error: 'Failed to retrieve audio metadata' }, 500);
+    }
+
+    if (!audio) {
+      return c.json({ error: 'Audio file not found' }, 404);
+    }
+
+    if (audio.status !== 'completed') {
+      return c.json({ error: 'Transcription is not completed' }, 400);
+    }
+
+    const requiredCoins = calculateMindMapCoins(audio.duration);
+    const jobId = `${audioid}_${Date.now()}`;
+
+    // Reserve coins for the generation - captured once the graph is saved
+    try {
+      await holdJobCoins(c.env, {
+        uid,
+        jobType: 'mindmap',
+        jobId,
+        amount: requiredCoins,
+        transactionName: 'Mind Map Generation'
+      });
+    } catch (error) {
+      if (error.name === 'InsufficientCoinsError') {
+        return c.json({ error: error.message }, 400);
+      }
+      throw error;
+    }
+
+    let graph;
+    try {
+      graph = await generateMindMap(c.env, provider, { uid, audioid, duration: audio.duration, language: audio.language });
+
+      const { error: updateError } = await supabase
+        .from('audio_metadata')
+        .update({ xml_data: graph.xml })
+        .eq('uid', uid)
+        .eq('audioid', audioid);
+
+      if (updateError) {
+        throw new Error(`Failed to save XML graph: ${updateError.message}`);
+      }
+    } catch (error) {
+      console.error(`Error generating XML graph for audioid: ${audioid}:`, error.message || error);
+      await refundFailedJob(c.env, { uid, jobType: 'mindmap', jobId, transactionName: 'Mind Map Generation Refund' });
+      return c.json({ error: 'Failed to generate XML graph', details: error.message }, 500);
+    }
+
+    await captureJobCoins(c.env, { jobType: 'mindmap', jobId });
+
+    return c.json({
+      message: 'XML graph generated successfully',
+      audioid,
+      provider: provider.name,
+      model: graph.model,
+      transcript_version: graph.transcriptVersion,
+      topic_count: graph.topicCount,
+      truncated: graph.truncated,
+      required_coins: requiredCoins,
+      xml_data: graph.xml
+    });
+  } catch (error) {
+    console.error('Error in generateXmlGraph:', error);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
 export default audioRoutes; 
\ No newline at end of file
@@ -1,13 +1,38 @@
 import { Hono } from 'hono';
 import { getSupabaseClient } from '../config/database.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
-import { validateRequiredFields, validateUID } from '../utils/validation.js';
+import { validateUID } from '../utils/validation.js';
+import { resolveUid } from '../middleware/auth.js';
+import { requireAdminRole } from '../middleware/adminAuth.js';
+import { chargeCoins, grantCoins } from '../services/billing.js';
+import { fetchPage, pageInfo, parseListParams } from '../utils/pagination.js';
 
 const userRoutes = new Hono();
 
+// Sorting and filters accepted by /getUserOrder
+const ORDER_LIST_SPEC = {
+  idColumn: 'id',
+  sortFields: { created_at: 'created_at', total_price: 'total_price' },
+  defaultSort: '-created_at',
+  filters: { status: 'status', plan_name: 'plan_name' },
+  dateColumn: 'created_at'
+};
+
+// Sorting and filters accepted by /AllTransactions
+const TRANSACTION_LIST_SPEC = {
+  idColumn: 'id',
+  sortFields: { time: 'time', coin_amount: 'coin_amount' },
+  defaultSort: '-time',
+  filters: { status: 'status', entry_type: 'entry_type' },
+  dateColumn: 'time'
+};
+
 // Example: Get user profile
 userRoutes.get('/profile/:uid', asyncHandler(async (c) => {
-  const uid = c.req.param('uid');
+  const uid = resolveUid(c, c.req.param('uid'));
+  if (!uid) {
+    return c.json({ error: 'UID does not match the authenticated user' }, 403);
+  }
   validateUID(uid);
   
   const supabase = getSupabaseClient(c.env);
@@ -22,24 +47,28 @@ userRoutes.get('/profile/:uid', asyncHandler(async (c) => {
 // Example: Update user profile
 userRoutes.post('/profile/update', asyncHandler(async (c) => {
   const data = await c.req.json();
-  validateRequiredFields(data, ['uid']);
+  const uid = resolveUid(c, data.uid);
+  if (!uid) {
+    return c.json({ error: 'UID does not match the authenticated user' }, 403);
+  }
   
   const supabase = getSupabaseClient(c.env);
   
   // Add your user update logic here
   return c.json({ 
     message: 'User profile update endpoint ready',
-    data: data 
+    data: { ...data, uid } 
   });
 }));
 
 // Get coupons for a user
 userRoutes.post('/getCoupon', async (c) => {
   try {
-    const { uid } = await c.req.json();
+    const { uid: claimedUid } = await c.req.json();
 
+    const uid = resolveUid(c, claimedUid);
     if (!uid) {
-      return c.json({ error: 'UID is required' }, 400);
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
     }
 
     const supabase = getSupabaseClient(c.env);
@@ -86,8 +115,8 @@ userRoutes.post('/getCoupon', async (c) => {
   }
 });
 
-// Add a new coupon
-userRoutes.post('/AddCoupon', async (c) => {
+// Add a new coupon (finance admins only)
+userRoutes.post('/AddCoupon', requireAdminRole('finance'), async (c) => {
   try {
     const { couponName, couponAmount, durationInMinutes, uids, forEveryone, onlyNewUsers } = await c.req.json();
 
@@ -127,8 +156,8 @@ userRoutes.post('/AddCoupon', async (c) => {
   }
 });
 
-// Activate/deactivate a coupon
-userRoutes.post('/activateCoupon', async (c) => {
+// Activate/deactivate a coupon (finance admins only)
+userRoutes.post('/activateCoupon', requireAdminRole('finance'), async (c) => {
   try {
     const { couponId, durationInMinutes, active } = await c.req.json();
 
@@ -161,10 +190,15 @@ userRoutes.post('/activateCoupon', async (c) => {
 // Add user to a coupon
 userRoutes.post('/addUserCoupon', async (c) => {
   try {
-    const { uid, couponId } = await c.req.json();
+    const { uid: claimedUid, couponId } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
 
-    if (!uid || !couponId) {
-      return c.json({ error: 'UID and couponId are required' }, 400);
+    if (!couponId) {
+      return c.json({ error: 'couponId is required' }, 400);
     }
 
     const supabase = getSupabaseClient(c.env);
@@ -208,13 +242,24 @@ userRoutes.post('/addUserCoupon', async (c) => {
   }
 });
 
-// Buy subscription
+// Buy subscription. orderId is the payment's order ID: the order row is keyed
+// on it before coins are granted, so a retried purchase is granted once and
+// finishes whatever steps the first attempt did not.
 userRoutes.post('/BuySubscription', async (c) => {
   try {
-    const { uid, plan, totalPrice, couponId } = await c.req.json();
+    const { uid: claimedUid, plan, totalPrice, couponId, orderId } = await c.req.json();
 
-    if (!uid || !plan || !totalPrice) {
-      return c.json({ error: 'Missing required fields: uid, plan, totalPrice' }, 400);
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!plan || !totalPrice || !orderId) {
+      return c.json({ error: 'Missing required fields: plan, totalPrice, orderId' }, 400);
+    }
+
+    if (typeof orderId !== 'string' && typeof orderId !== 'number') {
+      return c.json({ error: 'orderId must be a string or number' }, 400);
     }
 
     const supabase = getSupabaseClient(c.env);
@@ -236,7 +281,7 @@ userRoutes.post('/BuySubscription', async (c) => {
     // Step 2: Fetch user details
     const { data: userData, error: userError } = await supabase
       .from('users')
-      .select('subscription_active, user_plan, plan_valid_till, user_coins')
+      .select('subscription_active, user_plan, plan_valid_till')
       .eq('uid', uid)
       .single();
 
@@ -245,14 +290,34 @@ userRoutes.post('/BuySubscription', async (c) => {
       return c.json({ error: 'Failed to fetch user information' }, 500);
     }
 
-    const { subscription_active, plan_valid_till, user_coins } = userData;
+    const { subscription_active, plan_valid_till } = userData;
+
+    // Step 3: Find an earlier attempt with this orderId
+    const { data: existingOrder, error: existingOrderError } = await supabase
+      .from('user_order')
+      .select('uid, plan_name, plan_valid_till, status')
+      .eq('order_id', String(orderId))
+      .maybeSingle();
+
+    if (existingOrderError) {
+      console.error('Error fetching order:', existingOrderError);
+      return c.json({ error: 'Failed to fetch order' }, 500);
+    }
+
+    if (existingOrder && (existingOrder.uid !== uid || existingOrder.plan_name !== plan)) {
+      return c.json({ error: 'orderId was already used for another purchase' }, 409);
+    }
+
+    if (existingOrder?.status === 'active') {
+      return c.json({ success: true, message: 'Subscription already purchased', duplicate: true });
+    }
 
-    // Step 3: Calculate plan validity and coin expiry
+    // Step 4: Calculate plan validity and coin expiry
     let planValidTill, coinsExpiry;
     const now = new Date();
 
     if (plan === 'Addon') {
-      if (!subscription_active || !plan_valid_till) {
+      if (!existingOrder && (!subscription_active || !plan_valid_till)) {
         return c.json({ error: 'Addon plan can only be purchased with an active subscription' }, 400);
       }
 
@@ -267,17 +332,61 @@ userRoutes.post('/BuySubscription', async (c) => {
       coinsExpiry = planValidTill;
     }
 
-    // Step 4: Update user based on plan type
-    if (plan === 'Addon') {
-      const updatedCoins = (user_coins || 0) + coins;
+    // A retry keeps the validity the first attempt recorded
+    if (existingOrder) {
+      planValidTill = existingOrder.plan_valid_till;
+      if (plan !== 'Yearly') {
+        coinsExpiry = planValidTill;
+      }
+    }
+
+    // Step 5: Record the order as pending. Every later step is idempotent,
+    // so a retry of a pending order picks up where the first attempt stopped.
+    if (!existingOrder) {
+      const { error: orderError } = await supabase
+        .from('user_order')
+        .insert([{
+          uid,
+          order_id: String(orderId),
+          plan_name: plan,
+          total_price: totalPrice,
+          coins_added: coins,
+          plan_valid_till: planValidTill,
+          coupon_id: couponId || null,
+          status: 'pending'
+        }]);
+
+      if (orderError?.code === '23505') {
+        return c.json({ error: 'This order is already being processed, please retry' }, 409);
+      }
+
+      if (orderError) {
+        console.error('Error creating order:', orderError);
+        return c.json({ error: 'Failed to create order' }, 500);
+      }
+    }
+
+    // Step 6: Record the coin grant in the ledger. Addons add to the balance,
+    // a new subscription period replaces it. Replaying the same orderId
+    // returns the original grant instead of granting twice.
+    await grantCoins(c.env, {
+      uid,
+      amount: coins,
+      transactionName: `Subscription: ${plan}`,
+      replaceBalance: plan !== 'Addon',
+      idempotencyKey: `purchase:${uid}:${orderId}`,
+      referenceId: String(orderId)
+    });
 
+    // Step 7: Update subscription details based on plan type
+    if (plan === 'Addon') {
       const { error: updateError } = await supabase
         .from('users')
-        .update({ user_coins: updatedCoins, coins_expiry: coinsExpiry })
+        .update({ coins_expiry: coinsExpiry })
         .eq('uid', uid);
 
       if (updateError) {
-        console.error('Error updating user coins:', updateError);
+        console.error('Error updating coin expiry:', updateError);
         return c.json({ error: 'Failed to update user coins' }, 500);
       }
     } else {
@@ -286,7 +395,6 @@ userRoutes.post('/BuySubscription', async (c) => {
         .update({
           subscription_active: true,
           user_plan: plan,
-          user_coins: coins,
           plan_valid_till: planValidTill,
           coins_expiry: coinsExpiry,
           last_coin_addition: now.toISOString()
@@ -299,22 +407,15 @@ userRoutes.post('/BuySubscription', async (c) => {
       }
     }
 
-    // Step 5: Insert order into user_order table
+    // Step 8: Mark the order as completed
     const { error: orderError } = await supabase
       .from('user_order')
-      .insert([{
-        uid,
-        plan_name: plan,
-        total_price: totalPrice,
-        coins_added: coins,
-        plan_valid_till: planValidTill,
-        coupon_id: couponId || null,
-        status: 'active'
-      }]);
+      .update({ status: 'active' })
+      .eq('order_id', String(orderId));
 
     if (orderError) {
-      console.error('Error creating order:', orderError);
-      return c.json({ error: 'Failed to create order' }, 500);
+      console.error('Error completing order:', orderError);
+      return c.json({ error: 'Failed to complete order' }, 500);
     }
 
     return c.json({ success: true, message: 'Subscription purchased successfully' });
@@ -324,137 +425,124 @@ userRoutes.post('/BuySubscription', async (c) => {
   }
 });
 
-// Get user orders
+// Get a page of the user's orders; list params (limit, cursor, sort, filters) go in the body or query
 userRoutes.post('/getUserOrder', async (c) => {
   try {
-    const { uid } = await c.req.json();
+    const body = await c.req.json();
+    const { uid: claimedUid } = body;
 
+    const uid = resolveUid(c, claimedUid);
     if (!uid) {
-      return c.json({ error: 'UID is required' }, 400);
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    let listParams;
+    try {
+      listParams = parseListParams({ ...c.req.query(), ...body }, ORDER_LIST_SPEC);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
     }
 
     const supabase = getSupabaseClient(c.env);
 
-    const { data: orders, error: ordersError } = await supabase
-      .from('user_order')
-      .select('*')
-      .eq('uid', uid);
+    const page = await fetchPage(supabase, {
+      table: 'user_order',
+      columns: '*',
+      spec: ORDER_LIST_SPEC,
+      params: listParams,
+      scope: (query) => query.eq('uid', uid)
+    });
 
-    if (ordersError) {
-      console.error('Error fetching orders:', ordersError);
+    if (page.error) {
+      console.error('Error fetching orders:', page.error);
       return c.json({ error: 'Failed to fetch orders' }, 500);
     }
 
-    return c.json({ success: true, data: orders });
+    return c.json({ success: true, data: page.data, ...pageInfo(page, listParams) });
   } catch (error) {
     console.error('Error in getUserOrder:', error);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
 
-// Subtract coins from user
-userRoutes.post('/subtractCoins', async (c) => {
+// Subtract coins from a user (finance admins only).
+// Feature routes charge coins in-process through the billing service; this
+// endpoint is kept for manual adjustments.
+userRoutes.post('/subtractCoins', requireAdminRole('finance'), async (c) => {
   try {
-    const { uid, coinAmount, transaction_name } = await c.req.json();
+    const { uid, coinAmount, transaction_name, reference_id } = await c.req.json();
 
     if (!uid || !coinAmount || !transaction_name) {
       return c.json({ error: 'Missing required fields: uid, coinAmount, transaction_name' }, 400);
     }
 
-    const supabase = getSupabaseClient(c.env);
-
-    // Step 1: Fetch user details
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('user_coins')
-      .eq('uid', uid)
-      .single();
-
-    if (userError) {
-      console.error('Error fetching user:', userError);
-      return c.json({ error: 'Failed to fetch user information' }, 500);
-    }
-
-    const { user_coins } = userData;
-
-    // Step 2: Check if the user has enough coins
-    if (user_coins < coinAmount) {
-      // Log failed transaction
-      const { error: transactionError } = await supabase
-        .from('user_transaction')
-        .insert([{
-          uid,
-          transaction_name,
-          coin_amount: coinAmount,
-          remaining_coins: user_coins,
-          status: 'failed',
-          time: new Date().toISOString()
-        }]);
-
-      if (transactionError) {
-        console.error('Error logging failed transaction:', transactionError);
-      }
-
-      return c.json({ success: false, message: 'Insufficient coins. Please buy more coins.' }, 400);
+    if (!Number.isInteger(coinAmount) || coinAmount <= 0) {
+      return c.json({ error: 'coinAmount must be a positive integer' }, 400);
     }
 
-    // Step 3: Subtract coins from the user's balance
-    const updatedCoins = user_coins - coinAmount;
-    const { error: updateError } = await supabase
-      .from('users')
-      .update({ user_coins: updatedCoins })
-      .eq('uid', uid);
-
-    if (updateError) {
-      console.error('Error updating user coins:', updateError);
-      return c.json({ error: 'Failed to update user coins' }, 500);
-    }
+    const idempotencyKey = c.req.header('Idempotency-Key');
 
-    // Step 4: Log successful transaction
-    const { error: transactionError } = await supabase
-      .from('user_transaction')
-      .insert([{
+    let result;
+    try {
+      result = await chargeCoins(c.env, {
         uid,
-        transaction_name,
-        coin_amount: coinAmount,
-        remaining_coins: updatedCoins,
-        status: 'success',
-        time: new Date().toISOString()
-      }]);
-
-    if (transactionError) {
-      console.error('Error logging transaction:', transactionError);
+        amount: coinAmount,
+        transactionName: transaction_name,
+        referenceId: reference_id,
+        idempotencyKey: idempotencyKey ? `debit:${uid}:${idempotencyKey}` : null
+      });
+    } catch (error) {
+      if (error.name === 'InsufficientCoinsError') {
+        return c.json({ success: false, message: error.message }, 400);
+      }
+      throw error;
     }
 
-    return c.json({ success: true, message: 'Coins subtracted successfully' });
+    return c.json({
+      success: true,
+      message: result.duplicate ? 'Coins already subtracted' : 'Coins subtracted successfully',
+      remaining_coins: result.remainingCoins
+    });
   } catch (error) {
     console.error('Error in subtractCoins:', error);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
 
-// Get all transactions for a user
+// Get a page of the user's transactions; list params go in the body or query
 userRoutes.post('/AllTransactions', async (c) => {
   try {
-    const { uid } = await c.req.json();
+    const body = await c.req.json();
+    const { uid: claimedUid } = body;
 
+    const uid = resolveUid(c, claimedUid);
     if (!uid) {
-      return c.json({ error: 'UID is required' }, 400);
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    let listParams;
+    try {
+      listParams = parseListParams({ ...c.req.query(), ...body }, TRANSACTION_LIST_SPEC);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
     }
 
     const supabase = getSupabaseClient(c.env);
 
-    const { data: transactions, error: transactionsError } = await supabase
-      .from('user_transaction')
-      .select('*')
-      .eq('uid', uid);
+    const page = await fetchPage(supabase, {
+      table: 'user_transaction',
+      columns: '*',
+      spec: TRANSACTION_LIST_SPEC,
+      params: listParams,
+      scope: (query) => query.eq('uid', uid)
+    });
 
-    if (transactionsError) {
-      console.error('Error fetching transactions:', transactionsError);
+    if (page.error) {
+      console.error('Error fetching transactions:', page.error);
       return c.json({ error: 'Failed to fetch transactions' }, 500);
     }
 
-    return c.json({ success: true, data: transactions });
+    return c.json({ success: true, data: page.data, ...pageInfo(page, listParams) });
   } catch (error) {
     console.error('Error in AllTransactions:', error);
     return c.json({ error: 'Internal server error' }, 500);
@@ -464,17 +552,18 @@ userRoutes.post('/AllTransactions', async (c) => {
 // Get user info
 userRoutes.post('/userinfo', async (c) => {
   try {
-    const { uid } = await c.req.json();
+    const { uid: claimedUid } = await c.req.json();
 
+    const uid = resolveUid(c, claimedUid);
     if (!uid) {
-      return c.json({ error: 'UID is required' }, 400);
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
     }
 
     const supabase = getSupabaseClient(c.env);
 
     const { data: userData, error } = await supabase
       .from('users')
-      .select('name, age, gender, email, dp_url, subscription_active')
+      .select('name, age, gender, email, dp_url, subscription_active, user_coins, held_coins')
       .eq('uid', uid)
       .single();
 
@@ -483,7 +572,21 @@ userRoutes.post('/userinfo', async (c) => {
       return c.json({ error: 'Failed to fetch user information' }, 500);
     }
 
-    return c.json({ success: true, data: userData });
+    // Coins reserved by running jobs are not spendable until released
+    const { user_coins, held_coins, ...profile } = userData;
+    const heldCoins = held_coins || 0;
+
+    return c.json({
+      success: true,
+      data: {
+        ...profile,
+        coins: {
+          total: user_coins || 0,
+          held: heldCoins,
+          available: Math.max((user_coins || 0) - heldCoins, 0)
+        }
+      }
+    });
   } catch (error) {
     console.error('Error in userinfo:', error);
     return c.json({ error: 'Internal server error' }, 500);
@@ -493,10 +596,11 @@ userRoutes.post('/userinfo', async (c) => {
 // Edit user info
 userRoutes.post('/edituser', async (c) => {
   try {
-    const { uid, name, age, gender, dp_url } = await c.req.json();
+    const { uid: claimedUid, name, age, gender, dp_url } = await c.req.json();
 
+    const uid = resolveUid(c, claimedUid);
     if (!uid) {
-      return c.json({ error: 'UID is required' }, 400);
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
     }
 
     const supabase = getSupabaseClient(c.env);
@@ -1,5 +1,12 @@
 import { Hono } from 'hono';
 import { getSupabaseClient } from '../config/database.js';
+import { cancelVideoGeneration } from '../jobs/cancellation.js';
+import { enqueueJob } from '../jobs/queue.js';
+import { CANCELLABLE_VIDEO_STATUSES, videoJob } from '../jobs/videoJob.js';
+import { resolveUid } from '../middleware/auth.js';
+import { VIDEO_GENERATION_COINS, holdJobCoins, refundFailedJob } from '../services/billing.js';
+import { getTrashRetentionDays, purgeAfter, purgeMedia, restoreMedia, trashMedia } from '../services/trash.js';
+import { fetchPage, pageInfo, parseListParams } from '../utils/pagination.js';
 
 const videoRoutes = new Hono();
 
@@ -8,235 +15,35 @@ const generateVideoId = () => {
   return 'video_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 };
 
-// Download video and upload to Supabase storage
-const downloadAndUploadVideo = async (videoUrl, uid, videoId, supabase) => {
-  try {
-    console.log('Downloading video from:', videoUrl);
-    
-    // Download the video file with timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 300000); // 5 minutes timeout
-    
-    const response = await fetch(videoUrl, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'MatrixAI-VideoProcessor/1.0'
-      }
-    });
-    
-    clearTimeout(timeoutId);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to download video: ${response.status} ${response.statusText}`);
-    }
-    
-    const videoBuffer = await response.arrayBuffer();
-    
-    // Create file path: users/{uid}/videos/{videoId}.mp4
-    const filePath = `users/${uid}/videos/${videoId}.mp4`;
-    
-    console.log('Uploading video to Supabase storage:', filePath);
-    
-    // Upload to Supabase storage
-    const { data: storageData, error: storageError } = await supabase.storage
-      .from('user-uploads')
-      .upload(filePath, videoBuffer, { 
-        contentType: 'video/mp4',
-        upsert: true // Allow overwriting if file exists
-      });
-
-    if (storageError) {
-      console.error('Storage upload error:', storageError);
-      throw new Error(`Failed to upload video to storage: ${storageError.message}`);
-    }
-
-    console.log('Video uploaded successfully to storage:', storageData);
-    
-    // Get the public URL
-    const { data: urlData } = supabase.storage
-      .from('user-uploads')
-      .getPublicUrl(filePath);
-        
-    return urlData.publicUrl;
-    
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error("Video download timeout after 5 minutes");
-      throw new Error("Video download timeout - video file may be too large or service is slow");
-    }
-    console.error('Error downloading and uploading video:', error);
-    throw error;
-  }
-};
-
-// Generate video using DashScope API
-const generateVideoWithDashScope = async (promptText, size, env) => {
-  try {
-    const DASHSCOPE_API_KEY = env.DASHSCOPEVIDEO_API_KEY;
-
-    if (!DASHSCOPE_API_KEY) {
-      throw new Error('DashScope API configuration missing. Please check DASHSCOPEVIDEO_API_KEY environment variable.');
-    }
-
-    console.log(`Starting DashScope video generation for prompt: ${promptText}, Size: ${size}`);
-
-    // Add timeout for DashScope API call (60 seconds)
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 60000);
-
-    const response = await fetch('https://dashscope.aliyuncs.com/api/v1/services/aigc/video-generation/video-synthesis', {
-      method: "POST",
-      headers: {
-        'X-DashScope-Async': 'enable',
-        'Authorization': `Bearer ${DASHSCOPE_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: "wanx2.1-t2v-turbo",
-        input: {
-          prompt: promptText
-        },
-        parameters: {
-          size: size
-        }
-      }),
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error("DashScope API error:", response.status, response.statusText, errorText);
-      throw new Error(`DashScope API error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    console.log("DashScope API response received, processing...");
-
-    const { request_id, output } = data;
-    const taskId = output?.task_id;
-    const taskStatus = output?.task_status;
-    
-    console.log(`Video generation initiated: taskId=${taskId}, status=${taskStatus}`);
-    
-    return {
-      request_id,
-      task_id: taskId,
-      task_status: taskStatus,
-    };
-  } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error("DashScope API timeout after 60 seconds");
-      throw new Error("Video generation timeout - DashScope service is slow");
-    }
-    console.error("Error generating video:", error.message || error);
-    throw error;
-  }
-};
-
-// Check video generation status using DashScope API
-const checkVideoStatus = async (taskId, env) => {
-  try {
-    const DASHSCOPE_API_KEY = env.DASHSCOPEVIDEO_API_KEY;
-
-    if (!DASHSCOPE_API_KEY) {
-      throw new Error('DashScope API configuration missing.');
-    }
-
-    const response = await fetch(`https://dashscope.aliyuncs.com/api/v1/tasks/${taskId}`, {
-      headers: {
-        'Authorization': `Bearer ${DASHSCOPE_API_KEY}`,
-      },
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`DashScope status check error: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    const { output } = data;
-    
-    return {
-      task_status: output?.task_status,
-      video_url: output?.video_url,
-      submit_time: output?.submit_time,
-      scheduled_time: output?.scheduled_time,
-      end_time: output?.end_time,
-      orig_prompt: output?.orig_prompt,
-      actual_prompt: output?.actual_prompt
-    };
-  } catch (error) {
-    console.error("Error checking video status:", error.message || error);
-    throw error;
-  }
-};
-
-// Check if user has sufficient coins (without deducting)
-const checkUserCoins = async (supabase, uid, requiredCoins) => {
-  try {
-    const { data: userData, error: userError } = await supabase
-      .from("users")
-      .select("user_coins")
-      .eq("uid", uid)
-      .single();
-
-    if (userError || !userData) {
-      throw new Error("Failed to fetch user data");
-    }
-
-    const userCoins = userData.user_coins;
-    
-    if (userCoins < requiredCoins) {
-      throw new Error("Insufficient coins. Please buy more coins.");
-    }
-
-    return { success: true, userCoins };
-  } catch (error) {
-    throw error;
-  }
+// Sorting and filters accepted by /getAllVideos/:uid
+const VIDEO_LIST_SPEC = {
+  idColumn: 'video_id',
+  sortFields: { created_at: 'created_at', updated_at: 'updated_at' },
+  defaultSort: '-created_at',
+  filters: { status: 'status', video_style: 'video_style' },
+  dateColumn: 'created_at'
 };
 
-// Deduct coins from user account
-const deductCoins = async (uid, requiredCoins, env) => {
-  try {
-    const coinDeductionResponse = await fetch(`${env.BASE_URL || 'http://localhost:8787'}/api/user/subtractCoins`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        uid: uid,
-        coinAmount: requiredCoins,
-        transaction_name: "Video Generation"
-      }),
-    });
-
-    if (!coinDeductionResponse.ok) {
-      const errorText = await coinDeductionResponse.text();
-      throw new Error(`Failed to deduct coins: ${errorText}`);
-    }
-
-    const coinDeductionResult = await coinDeductionResponse.json();
-    
-    if (!coinDeductionResult.success) {
-      throw new Error(coinDeductionResult.message || "Failed to deduct coins");
-    }
-
-    return { success: true };
-  } catch (error) {
-    throw error;
-  }
+// Sorting accepted by /trash
+const VIDEO_TRASH_LIST_SPEC = {
+  idColumn: 'video_id',
+  sortFields: { deleted_at: 'deleted_at', created_at: 'created_at' },
+  defaultSort: '-deleted_at',
+  dateColumn: 'deleted_at'
 };
 
 // Create video and start background processing
 videoRoutes.post('/createVideo', async (c) => {
   try {
-    const { uid, promptText, size, imageUrl, ratio, duration, videoStyle } = await c.req.json();
+    const { uid: claimedUid, promptText, size, imageUrl, ratio, duration, videoStyle } = await c.req.json();
 
-    if (!uid || !promptText) {
-      return c.json({ error: 'UID and promptText are required' }, 400);
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!promptText) {
+      return c.json({ error: 'promptText is required' }, 400);
     }
 
     // Set default values to match database schema
@@ -261,26 +68,30 @@ videoRoutes.post('/createVideo', async (c) => {
 
     const supabase = getSupabaseClient(c.env);
 
-    // Fixed cost: 25 coins for video generation
-    const requiredCoins = 25;
+    // Fixed cost for video generation
+    const requiredCoins = VIDEO_GENERATION_COINS;
 
-    // Check if user has sufficient coins BEFORE creating the record
-    try {
-      await checkUserCoins(supabase, uid, requiredCoins);
-    } catch (error) {
-      return c.json({ error: error.message }, 400);
-    }
+    // Generate unique video ID
+    const videoId = generateVideoId();
 
-    // Deduct coins upfront
+    // Reserve coins while the job runs - captured on completion, released on failure
     try {
-      await deductCoins(uid, requiredCoins, c.env);
+      await holdJobCoins(c.env, {
+        uid,
+        jobType: 'video',
+        jobId: videoId,
+        amount: requiredCoins,
+        transactionName: "Video Generation",
+        ttlSeconds: videoJob.holdTtlSeconds()
+      });
     } catch (error) {
-      return c.json({ error: error.message }, 400);
+      if (error.name === 'InsufficientCoinsError') {
+        return c.json({ error: error.message }, 400);
+      }
+      console.error('Error reserving coins:', error);
+      return c.json({ error: 'Failed to reserve coins' }, 500);
     }
 
-    // Generate unique video ID
-    const videoId = generateVideoId();
-
     // Generate file path based on uid and videoId
     const filePath = `${uid}/videos/${videoId}`;
 
@@ -318,193 +129,23 @@ videoRoutes.post('/createVideo', async (c) => {
 
     if (insertError) {
       console.error('Error creating video record:', insertError);
+      await refundFailedJob(c.env, { uid, jobType: 'video', jobId: videoId, transactionName: 'Video Generation Refund' });
       return c.json({ error: 'Failed to create video record' }, 500);
     }
 
-    // Start background video generation using direct background processing
+    // Queue the generation - the processor Worker submits it and polls DashScope (see src/jobs/videoJob.js)
     try {
-      // Get execution context for waitUntil
-      const executionCtx = c.executionCtx;
-      
-      // Create background processing function
-      const processVideoGeneration = async () => {
-        try {
-          console.log(`Starting background video generation for videoId: ${videoId}`);
-          
-          // Update status to processing
-          const { error: statusUpdateError } = await supabase
-            .from('video_metadata')
-            .update({ 
-              status: 'processing',
-              updated_at: new Date().toISOString()
-            })
-            .eq('uid', uid)
-            .eq('video_id', videoId);
-
-          if (statusUpdateError) {
-            console.error('Error updating status to processing:', statusUpdateError);
-            throw new Error('Failed to update processing status');
-          }
-
-          // Add a small delay to ensure the upload response is sent first
-          await new Promise(resolve => setTimeout(resolve, 100));
-
-          console.log(`Calling DashScope API for videoId: ${videoId}`);
-          
-          // Generate the video using DashScope
-          const generationResult = await generateVideoWithDashScope(promptText, videoSize, c.env);
-
-          if (!generationResult.task_id) {
-            throw new Error("Failed to initiate video generation - no task ID returned");
-          }
-
-          console.log(`Video generation initiated for videoId: ${videoId}, taskId: ${generationResult.task_id}`);
-
-          // Update with generation task details - replace temp task_id with real one
-          const { error: taskUpdateError } = await supabase
-            .from('video_metadata')
-            .update({ 
-              task_id: generationResult.task_id, // Replace temp task_id with real one
-              task_status: generationResult.task_status || 'PENDING',
-              request_id: generationResult.request_id,
-              status: 'generating',
-              updated_at: new Date().toISOString()
-            })
-            .eq('uid', uid)
-            .eq('video_id', videoId);
-
-          if (taskUpdateError) {
-            console.error('Error updating task details:', taskUpdateError);
-            throw new Error('Failed to save task details');
-          }
-
-          // Poll for video completion
-          const maxPollingTime = 300000; // 5 minutes max
-          const pollingInterval = 10000; // 10 seconds
-          const startTime = Date.now();
-          
-          while (Date.now() - startTime < maxPollingTime) {
-            await new Promise(resolve => setTimeout(resolve, pollingInterval));
-            
-            try {
-              const statusResult = await checkVideoStatus(generationResult.task_id, c.env);
-              
-              // Update task status in database
-              await supabase
-                .from('video_metadata')
-                .update({ 
-                  task_status: statusResult.task_status,
-                  updated_at: new Date().toISOString()
-                })
-                .eq('uid', uid)
-                .eq('video_id', videoId);
-              
-              if (statusResult.task_status === 'SUCCEEDED' && statusResult.video_url) {
-                console.log(`Video generation completed for videoId: ${videoId}`);
-                
-                try {
-                  // Download and upload to Supabase storage
-                  const supabaseVideoUrl = await downloadAndUploadVideo(statusResult.video_url, uid, videoId, supabase);
-                  
-                  // Update with final results
-                  const { error: finalUpdateError } = await supabase
-                    .from('video_metadata')
-                    .update({ 
-                      video_url: supabaseVideoUrl,
-                      status: 'completed',
-                      task_status: statusResult.task_status,
-                      submit_time: statusResult.submit_time,
-                      scheduled_time: statusResult.scheduled_time,
-                      end_time: statusResult.end_time,
-                      orig_prompt: statusResult.orig_prompt,
-                      actual_prompt: statusResult.actual_prompt,
-                      updated_at: new Date().toISOString()
-                    })
-                    .eq('uid', uid)
-                    .eq('video_id', videoId);
-
-                  if (finalUpdateError) {
-                    console.error('Error updating final results:', finalUpdateError);
-                    throw new Error('Failed to save final results');
-                  }
-                  
-                  console.log(`Successfully completed video generation for videoId: ${videoId}`);
-                  return;
-                  
-                } catch (uploadError) {
-                  console.error('Error uploading video to storage:', uploadError);
-                  
-                  // Fallback: store the original URL if upload fails
-                  await supabase
-                    .from('video_metadata')
-                    .update({ 
-                      video_url: statusResult.video_url,
-                      status: 'completed',
-                      task_status: statusResult.task_status,
-                      submit_time: statusResult.submit_time,
-                      scheduled_time: statusResult.scheduled_time,
-                      end_time: statusResult.end_time,
-                      orig_prompt: statusResult.orig_prompt,
-                      actual_prompt: statusResult.actual_prompt,
-                      error_message: 'Video generated but not uploaded to storage',
-                      updated_at: new Date().toISOString()
-                    })
-                    .eq('uid', uid)
-                    .eq('video_id', videoId);
-                  
-                  console.log(`Video generation completed with external URL for videoId: ${videoId}`);
-                  return;
-                }
-              } else if (statusResult.task_status === 'FAILED') {
-                throw new Error("Video generation failed on DashScope");
-              }
-              // Continue polling if still in progress
-              
-            } catch (statusError) {
-              console.error('Error checking video status:', statusError);
-              // Continue polling unless it's a critical error
-            }
-          }
-          
-          // If we reach here, polling timed out
-          throw new Error("Video generation timed out - process took longer than expected");
-          
-        } catch (error) {
-          console.error(`Error in background video generation for videoId: ${videoId}:`, error.message || error);
-          
-          // Update status to failed
-          try {
-            const { error: failedUpdateError } = await supabase
-              .from('video_metadata')
-              .update({ 
-                status: 'failed',
-                error_message: error.message || 'Unknown error occurred during video generation',
-                updated_at: new Date().toISOString()
-              })
-              .eq('uid', uid)
-              .eq('video_id', videoId);
-
-            if (failedUpdateError) {
-              console.error('Error updating failed status:', failedUpdateError);
-            }
-          } catch (updateError) {
-            console.error('Critical error: Could not update failure status:', updateError);
-          }
-        }
-      };
-      
-      // Start background processing
-      if (executionCtx && executionCtx.waitUntil) {
-        executionCtx.waitUntil(processVideoGeneration());
-      } else {
-        // Fallback: fire and forget
-        processVideoGeneration().catch(error => console.error('Background video generation error:', error));
-      }
-      
-      console.log(`Video generation job started for videoId: ${videoId}`);
+      await enqueueJob(c.env, {
+        type: 'video',
+        uid,
+        resourceId: videoId,
+        payload: { uid, videoId, promptText, size: videoSize }
+      });
+
+      console.log(`Video generation job queued for videoId: ${videoId}`);
     } catch (error) {
-      console.error('Error starting video generation job:', error);
-      // If background job fails to start, update status to failed
+      console.error('Error queueing video generation job:', error);
+      // If the job could not be queued, update status to failed
       await supabase
         .from('video_metadata')
         .update({ 
@@ -514,6 +155,8 @@ videoRoutes.post('/createVideo', async (c) => {
         })
         .eq('uid', uid)
         .eq('video_id', videoId);
+
+      await refundFailedJob(c.env, { uid, jobType: 'video', jobId: videoId, transactionName: 'Video Generation Refund' });
       
       return c.json({ error: 'Failed to start video generation job' }, 500);
     }
@@ -536,10 +179,15 @@ videoRoutes.post('/createVideo', async (c) => {
 // Get video status by videoId
 videoRoutes.post('/getVideoStatus', async (c) => {
   try {
-    const { uid, videoId } = await c.req.json();
+    const { uid: claimedUid, videoId } = await c.req.json();
 
-    if (!uid || !videoId) {
-      return c.json({ error: 'Both UID and videoId are required' }, 400);
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!videoId) {
+      return c.json({ error: 'videoId is required' }, 400);
     }
 
     const supabase = getSupabaseClient(c.env);
@@ -611,6 +259,16 @@ videoRoutes.post('/getVideoStatus', async (c) => {
         task_id: videoData.task_id
       });
       
+    } else if (videoData.status === 'cancelled') {
+      return c.json({
+        videoId: videoData.video_id,
+        prompt_text: videoData.prompt_text,
+        status: 'cancelled',
+        message: 'Video generation was cancelled',
+        created_at: videoData.created_at,
+        updated_at: videoData.updated_at
+      });
+
     } else if (videoData.status === 'generating') {
       return c.json({
         videoId: videoData.video_id,
@@ -651,13 +309,72 @@ videoRoutes.post('/getVideoStatus', async (c) => {
   }
 });
 
+// Cancel a video generation that has not finished; coins are refunded under the cancellation policy (see billing.js)
+videoRoutes.post('/cancel', async (c) => {
+  try {
+    const { uid: claimedUid, videoId } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!videoId) {
+      return c.json({ error: 'videoId is required' }, 400);
+    }
+
+    const { data: videoData, error: fetchError } = await getSupabaseClient(c.env)
+      .from('video_metadata')
+      .select('video_id, status')
+      .eq('uid', uid)
+      .eq('video_id', videoId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Error fetching video data:', fetchError);
+      return c.json({ error: 'Failed to fetch video data' }, 500);
+    }
+
+    if (!videoData) {
+      return c.json({ error: 'Video not found' }, 404);
+    }
+
+    if (!CANCELLABLE_VIDEO_STATUSES.includes(videoData.status)) {
+      return c.json({ error: `Video generation is already ${videoData.status}` }, 409);
+    }
+
+    const result = await cancelVideoGeneration(c.env, { uid, videoId });
+    if (!result.cancelled) {
+      return c.json({ error: result.error }, 409);
+    }
+
+    return c.json({
+      success: true,
+      videoId,
+      status: 'cancelled',
+      message: 'Video generation cancelled',
+      taskCancelled: result.taskCancelled,
+      refund: result.refund
+    });
+  } catch (err) {
+    console.error('Error in cancel:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
 // Get full video details by UID and video ID
 videoRoutes.post('/getVideo', async (c) => {
   try {
-    const { uid, videoId } = await c.req.json();
+    const { uid: claimedUid, videoId } = await c.req.json();
 
-    if (!uid || !videoId) {
-      return c.json({ error: 'Both UID and videoId are required' }, 400);
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!videoId) {
+      return c.json({ error: 'videoId is required' }, 400);
     }
 
     const supabase = getSupabaseClient(c.env);
@@ -706,6 +423,9 @@ videoRoutes.post('/getVideo', async (c) => {
       response.error_message = videoMetadata.error_message;
       response.message = 'Video generation failed';
       
+    } else if (videoMetadata.status === 'cancelled') {
+      response.message = 'Video generation cancelled';
+
     } else if (videoMetadata.status === 'generating') {
       response.message = 'Video generation in progress';
       
@@ -724,21 +444,28 @@ videoRoutes.post('/getVideo', async (c) => {
   }
 });
 
-// Get all videos for a user by UID
+// Get a page of a user's videos, most recent first, e.g. /getAllVideos/:uid?status=completed&limit=20
 videoRoutes.get('/getAllVideos/:uid', async (c) => {
   try {
-    const uid = c.req.param('uid');
+    const uid = resolveUid(c, c.req.param('uid'));
 
     if (!uid) {
-      return c.json({ error: 'UID is required' }, 400);
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), VIDEO_LIST_SPEC);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
     }
 
     const supabase = getSupabaseClient(c.env);
 
     // Query the database for video metadata by UID
-    const { data: videosData, error: dbError } = await supabase
-      .from('video_metadata')
-      .select(`
+    const page = await fetchPage(supabase, {
+      table: 'video_metadata',
+      columns: `
         video_id,
         prompt_text,
         size,
@@ -760,9 +487,12 @@ videoRoutes.get('/getAllVideos/:uid', async (c) => {
         status,
         error_message,
         file_path
-      `)
-      .eq('uid', uid)
-      .order('created_at', { ascending: false }); // Most recent first
+      `,
+      spec: VIDEO_LIST_SPEC,
+      params: listParams,
+      scope: (query) => query.eq('uid', uid).is('deleted_at', null)
+    });
+    const { data: videosData, error: dbError } = page;
 
     if (dbError) {
       console.error('Error retrieving video metadata:', dbError);
@@ -773,7 +503,8 @@ videoRoutes.get('/getAllVideos/:uid', async (c) => {
       return c.json({ 
         message: 'No videos found for this user',
         videos: [],
-        totalCount: 0
+        totalCount: 0,
+        ...pageInfo(page, listParams)
       });
     }
 
@@ -811,6 +542,8 @@ videoRoutes.get('/getAllVideos/:uid', async (c) => {
         statusDisplay = 'Processing';
       } else if (video.status === 'failed') {
         statusDisplay = 'Failed';
+      } else if (video.status === 'cancelled') {
+        statusDisplay = 'Cancelled';
       } else if (video.status === 'pending') {
         statusDisplay = 'Pending';
       }
@@ -844,14 +577,15 @@ videoRoutes.get('/getAllVideos/:uid', async (c) => {
       };
     });
 
-    // Group videos by status for summary
+    // Group this page's videos by status for summary
     const statusSummary = {
       total: processedVideos.length,
       ready: processedVideos.filter(v => v.isReady).length,
       generating: processedVideos.filter(v => v.status === 'generating').length,
       processing: processedVideos.filter(v => v.status === 'processing').length,
       pending: processedVideos.filter(v => v.status === 'pending').length,
-      failed: processedVideos.filter(v => v.status === 'failed').length
+      failed: processedVideos.filter(v => v.status === 'failed').length,
+      cancelled: processedVideos.filter(v => v.status === 'cancelled').length
     };
 
     return c.json({
@@ -859,7 +593,8 @@ videoRoutes.get('/getAllVideos/:uid', async (c) => {
       uid: uid,
       summary: statusSummary,
       videos: processedVideos,
-      totalCount: processedVideos.length
+      totalCount: processedVideos.length,
+      ...pageInfo(page, listParams)
     });
 
   } catch (error) {
@@ -871,43 +606,139 @@ videoRoutes.get('/getAllVideos/:uid', async (c) => {
   }
 });
 
-// Remove video file and metadata
+// Move a video to the trash; it can be restored until it is purged
 videoRoutes.post('/removeVideo', async (c) => {
   try {
-    const { uid, videoId } = await c.req.json();
+    const { uid: claimedUid, videoId } = await c.req.json();
 
-    if (!uid || !videoId) {
-      return c.json({ error: 'UID and videoId are required' }, 400);
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
     }
 
-    const supabase = getSupabaseClient(c.env);
+    if (!videoId) {
+      return c.json({ error: 'videoId is required' }, 400);
+    }
 
-    // Delete the video metadata from the database
-    const { error: dbError } = await supabase
-      .from('video_metadata')
-      .delete()
-      .eq('uid', uid)
-      .eq('video_id', videoId);
+    // Trashed videos are purged after the retention period (see trash.js)
+    const result = await trashMedia(c.env, 'video', uid, videoId);
+    if (!result.found) {
+      return c.json({ error: 'Video not found' }, 404);
+    }
 
-    if (dbError) {
-      console.error('Error deleting video metadata:', dbError);
-      return c.json({ error: 'Failed to delete video metadata' }, 500);
+    return c.json({
+      message: 'Video moved to trash',
+      videoId,
+      deleted_at: result.deleted_at,
+      purge_after: purgeAfter(c.env, result.deleted_at)
+    });
+  } catch (err) {
+    console.error('Error processing request:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Get a page of the caller's trashed videos, most recently trashed first
+videoRoutes.get('/trash', async (c) => {
+  try {
+    const uid = c.get('uid');
+
+    let listParams;
+    try {
+      listParams = parseListParams(c.req.query(), VIDEO_TRASH_LIST_SPEC);
+    } catch (error) {
+      return c.json({ error: error.message }, 400);
     }
 
-    // Delete the video file from Supabase Storage
-    const { error: storageError } = await supabase.storage
-      .from('user-uploads')
-      .remove([`users/${uid}/videos/${videoId}.mp4`]);
+    const page = await fetchPage(getSupabaseClient(c.env), {
+      table: 'video_metadata',
+      columns: 'video_id, prompt_text, video_style, video_url, status, created_at, deleted_at',
+      spec: VIDEO_TRASH_LIST_SPEC,
+      params: listParams,
+      scope: (query) => query.eq('uid', uid).not('deleted_at', 'is', null)
+    });
 
-    if (storageError) {
-      console.error('Error deleting video file:', storageError);
-      // Don't return error here as metadata is already deleted
-      console.warn('Video file deletion failed but metadata was removed successfully');
+    if (page.error) {
+      console.error('Error retrieving trashed videos:', page.error);
+      return c.json({ error: 'Failed to retrieve trashed videos' }, 500);
     }
 
-    return c.json({ message: 'Video removed successfully' });
+    return c.json({
+      videos: page.data.map(video => ({
+        videoId: video.video_id,
+        promptText: video.prompt_text,
+        videoStyle: video.video_style,
+        videoUrl: video.video_url,
+        status: video.status,
+        createdAt: video.created_at,
+        deletedAt: video.deleted_at,
+        purgeAfter: purgeAfter(c.env, video.deleted_at)
+      })),
+      retentionDays: getTrashRetentionDays(c.env),
+      ...pageInfo(page, listParams)
+    });
   } catch (err) {
-    console.error('Error processing request:', err);
+    console.error('Error listing trash:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Restore a trashed video
+videoRoutes.post('/restore', async (c) => {
+  try {
+    const { uid: claimedUid, videoId } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!videoId) {
+      return c.json({ error: 'videoId is required' }, 400);
+    }
+
+    const result = await restoreMedia(c.env, 'video', uid, videoId);
+    if (!result.found) {
+      return c.json({ error: 'Video not found' }, 404);
+    }
+
+    if (!result.changed) {
+      return c.json({ error: 'Video is not in the trash' }, 409);
+    }
+
+    return c.json({ message: 'Video restored', videoId });
+  } catch (err) {
+    console.error('Error restoring video:', err);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+// Permanently delete a trashed video and its stored file
+videoRoutes.post('/purge', async (c) => {
+  try {
+    const { uid: claimedUid, videoId } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
+
+    if (!videoId) {
+      return c.json({ error: 'videoId is required' }, 400);
+    }
+
+    const result = await purgeMedia(c.env, 'video', uid, videoId);
+    if (!result) {
+      return c.json({ error: 'Video not found in the trash' }, 404);
+    }
+
+    if (result.unfinished) {
+      return c.json({ error: 'Video is still being processed, try again once it has finished' }, 409);
+    }
+
+    return c.json({ message: 'Video deleted permanently', videoId, filesDeleted: result.files_deleted });
+  } catch (err) {
+    console.error('Error purging video:', err);
     return c.json({ error: 'Internal server error' }, 500);
   }
 });
@@ -915,10 +746,15 @@ videoRoutes.post('/removeVideo', async (c) => {
 // Edit video prompt text
 videoRoutes.post('/editVideo', async (c) => {
   try {
-    const { uid, videoId, updatedPrompt } = await c.req.json();
+    const { uid: claimedUid, videoId, updatedPrompt } = await c.req.json();
+
+    const uid = resolveUid(c, claimedUid);
+    if (!uid) {
+      return c.json({ error: 'UID does not match the authenticated user' }, 403);
+    }
 
-    if (!uid || !videoId || !updatedPrompt) {
-      return c.json({ error: 'UID, videoId, and updated prompt are required' }, 400);
+    if (!videoId || !updatedPrompt) {
+      return c.json({ error: 'videoId and updated prompt are required' }, 400);
     }
 
     const supabase = getSupabaseClient(c.env);
@@ -0,0 +1,45 @@
+import { Hono } from 'hono';
+import { TRANSCRIPTION_PROVIDERS } from '../services/transcription/index.js';
+import { deliverTranscriptionCallback } from '../services/transcriptionProcessor.js';
+import { verifyCallback } from '../services/webhooks.js';
+
+const webhookRoutes = new Hono();
+
+// Deepgram callback for a transcription submitted in callback mode.
+// The URL carries the audioid and a token signed with WEBHOOK_SECRET.
+webhookRoutes.post('/deepgram', async (c) => {
+  try {
+    const audioid = c.req.query('id');
+    const token = c.req.query('token');
+
+    if (!(await verifyCallback(c.env, 'deepgram', audioid, token))) {
+      return c.json({ error: 'Invalid callback signature' }, 401);
+    }
+
+    let body;
+    try {
+      body = await c.req.json();
+    } catch {
+      return c.json({ error: 'Callback body must be JSON' }, 400);
+    }
+
+    const requestId = TRANSCRIPTION_PROVIDERS.deepgram.callbackRequestId(body);
+    if (!requestId) {
+      return c.json({ error: 'Callback has no request_id' }, 400);
+    }
+
+    const delivery = await deliverTranscriptionCallback(c.env, audioid, { requestId, result: body });
+
+    // Stale callbacks are acknowledged too, otherwise Deepgram keeps retrying them
+    if (!delivery.accepted) {
+      console.warn(`Ignoring Deepgram callback ${requestId} for audioid ${audioid}: ${delivery.error}`);
+    }
+
+    return c.json({ received: true, accepted: delivery.accepted });
+  } catch (error) {
+    console.error('Error in deepgram webhook:', error);
+    return c.json({ error: 'Internal server error' }, 500);
+  }
+});
+
+export default webhookRoutes;
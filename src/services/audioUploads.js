@@ -0,0 +1,281 @@
+import { getSupabaseClient } from '../config/database.js';
+import { detectAudioFormat } from '../utils/audioDuration.js';
+import { getStorage } from './storage/index.js';
+
+/**
+ * Direct audio uploads
+ *
+ * Audio can be sent to the server instead of being uploaded to storage by the
+ * client first. Small files come in one multipart request; large ones use a
+ * resumable session (supabase/migrations/0014_audio_uploads.sql): the client
+ * sends fixed-size chunks with their byte offset, can ask for the offset after
+ * a dropped connection, and completes the session to start transcription.
+ * Either way the file is stored at `${uid}/audio/${audioid}`.
+ */
+
+// Largest file accepted in one multipart request - the Worker buffers it
+export const MAX_MULTIPART_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+// Largest file accepted by a resumable session (Deepgram's limit)
+export const MAX_RESUMABLE_UPLOAD_BYTES = 2 * 1024 * 1024 * 1024;
+
+// Unfinished sessions are abandoned after this long
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+export const UPLOAD_STATUSES = {
+  UPLOADING: 'uploading',
+  UPLOADED: 'uploaded',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  ABORTED: 'aborted'
+};
+
+// Accepted MIME types and the container their bytes must have (null: not sniffed)
+const AUDIO_CONTENT_TYPES = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/vnd.wave': 'wav',
+  'audio/mp4': 'mp4',
+  'audio/m4a': 'mp4',
+  'audio/x-m4a': 'mp4',
+  'audio/aac': null,
+  'audio/ogg': 'ogg',
+  'audio/opus': 'ogg',
+  'audio/flac': 'flac',
+  'audio/x-flac': 'flac',
+  'audio/webm': null
+};
+
+/**
+ * Create a validation error
+ * @param {string} message - Error message
+ * @returns {Error} Error with name ValidationError
+ */
+const validationError = (message) => {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+};
+
+/**
+ * Path of an uploaded audio file in storage
+ * @param {string} uid - User ID
+ * @param {string} audioid - Audio ID
+ * @returns {string} Object path
+ */
+export const audioFilePath = (uid, audioid) => `${uid}/audio/${audioid}`;
+
+/**
+ * Check a declared MIME type, and the file's first bytes when available
+ * @param {string} contentType - Declared MIME type, parameters allowed
+ * @param {Uint8Array} [head] - First bytes of the file
+ * @returns {string} MIME type without parameters
+ * @throws {Error} ValidationError if the type is not accepted or the bytes do not match it
+ */
+export const checkAudioContentType = (contentType, head) => {
+  const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+  if (!(mimeType in AUDIO_CONTENT_TYPES)) {
+    throw validationError(`Unsupported audio type: ${mimeType || 'unknown'}. Accepted: ${Object.keys(AUDIO_CONTENT_TYPES).join(', ')}`);
+  }
+
+  const expectedFormat = AUDIO_CONTENT_TYPES[mimeType];
+  if (head && expectedFormat && detectAudioFormat(head) !== expectedFormat) {
+    throw validationError(`File content does not match its type ${mimeType}`);
+  }
+
+  return mimeType;
+};
+
+/**
+ * Start a resumable upload session
+ * @param {Object} env - Environment variables
+ * @param {Object} upload - Upload details
+ * @param {string} upload.uid - User ID
+ * @param {string} upload.audioid - Audio ID the file will get
+ * @param {string} [upload.audioName] - Display name
+ * @param {string} upload.contentType - MIME type, checked with checkAudioContentType
+ * @param {number} upload.size - Total size in bytes
+ * @param {Object} upload.options - Transcription options applied on completion
+ * @returns {Promise<Object>} Session row
+ */
+export const createUploadSession = async (env, { uid, audioid, audioName, contentType, size, options }) => {
+  const storage = getStorage(env);
+  const filePath = audioFilePath(uid, audioid);
+  const storageSession = await storage.createResumableUpload(env, filePath, { size, contentType });
+
+  const session = {
+    upload_id: crypto.randomUUID(),
+    uid,
+    audioid,
+    file_path: filePath,
+    audio_name: audioName || null,
+    content_type: contentType,
+    size,
+    received_bytes: 0,
+    storage_session: storageSession,
+    options,
+    status: UPLOAD_STATUSES.UPLOADING,
+    created_at: new Date().toISOString(),
+    expires_at: new Date(Date.now() + UPLOAD_SESSION_TTL_MS).toISOString()
+  };
+
+  const { error } = await getSupabaseClient(env)
+    .from('audio_uploads')
+    .insert(session);
+
+  if (error) {
+    await storage.abortResumableUpload(env, storageSession).catch(() => {});
+    throw new Error(`Failed to create upload session: ${error.message}`);
+  }
+
+  return session;
+};
+
+/**
+ * Load an upload session of a user
+ * @param {Object} env - Environment variables
+ * @param {string} uid - User ID
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object|null>} Session row, or null if missing
+ */
+export const getUploadSession = async (env, uid, uploadId) => {
+  const { data, error } = await getSupabaseClient(env)
+    .from('audio_uploads')
+    .select('*')
+    .eq('uid', uid)
+    .eq('upload_id', uploadId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load upload session: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Whether a session can no longer receive chunks
+ * @param {Object} session - Session row
+ * @returns {boolean} True once expired
+ */
+export const isUploadSessionExpired = (session) => {
+  return session.status === UPLOAD_STATUSES.UPLOADING && new Date(session.expires_at).getTime() < Date.now();
+};
+
+/**
+ * Move a session between statuses, only if it is still in the expected one
+ * @param {Object} env - Environment variables
+ * @param {Object} session - Session row
+ * @param {string} from - Expected current status
+ * @param {Object} fields - Fields to set, including status
+ * @returns {Promise<boolean>} False if another request changed the session first
+ */
+const transitionUploadSession = async (env, session, from, fields) => {
+  const { data, error } = await getSupabaseClient(env)
+    .from('audio_uploads')
+    .update(fields)
+    .eq('upload_id', session.upload_id)
+    .eq('status', from)
+    .select('upload_id');
+
+  if (error) {
+    throw new Error(`Failed to update upload session: ${error.message}`);
+  }
+
+  return data.length > 0;
+};
+
+/**
+ * Append a chunk at the given offset
+ * Every chunk but the last must be exactly the storage provider's chunk size.
+ * @param {Object} env - Environment variables
+ * @param {Object} session - Session row in the `uploading` status
+ * @param {number} offset - Byte offset the chunk starts at
+ * @param {Uint8Array} bytes - Chunk
+ * @returns {Promise<Object>} { received_bytes, status }
+ * @throws {Error} ValidationError for a bad chunk, UploadOffsetError for the wrong offset
+ */
+export const appendUploadChunk = async (env, session, offset, bytes) => {
+  const storage = getStorage(env);
+  const end = offset + bytes.byteLength;
+
+  if (bytes.byteLength === 0) {
+    throw validationError('Chunk is empty');
+  }
+
+  if (end > session.size) {
+    throw validationError(`Chunk ends at byte ${end}, after the declared size of ${session.size}`);
+  }
+
+  if (end < session.size && bytes.byteLength !== storage.resumableChunkBytes) {
+    throw validationError(`Every chunk but the last must be ${storage.resumableChunkBytes} bytes`);
+  }
+
+  // The first chunk carries the file header - reject files that are not the declared type early
+  if (offset === 0) {
+    checkAudioContentType(session.content_type, bytes);
+  }
+
+  const receivedBytes = await storage.appendResumableChunk(env, session.storage_session, offset, bytes);
+  const status = receivedBytes >= session.size ? UPLOAD_STATUSES.UPLOADED : UPLOAD_STATUSES.UPLOADING;
+
+  const { error } = await getSupabaseClient(env)
+    .from('audio_uploads')
+    .update({ received_bytes: receivedBytes, status })
+    .eq('upload_id', session.upload_id);
+
+  if (error) {
+    throw new Error(`Failed to record upload progress: ${error.message}`);
+  }
+
+  return { received_bytes: receivedBytes, status };
+};
+
+/**
+ * Claim a fully uploaded session for transcription
+ * @param {Object} env - Environment variables
+ * @param {Object} session - Session row
+ * @returns {Promise<boolean>} False if it is not fully uploaded or already claimed
+ */
+export const claimUploadSession = (env, session) => {
+  return transitionUploadSession(env, session, UPLOAD_STATUSES.UPLOADED, { status: UPLOAD_STATUSES.PROCESSING });
+};
+
+/**
+ * Settle a claimed session once transcription was (or could not be) started
+ * A session that failed to start goes back to `uploaded` so completion can be retried.
+ * @param {Object} env - Environment variables
+ * @param {Object} session - Session row
+ * @param {boolean} started - Whether the transcription job was created
+ */
+export const settleUploadSession = async (env, session, started) => {
+  await transitionUploadSession(env, session, UPLOAD_STATUSES.PROCESSING, {
+    status: started ? UPLOAD_STATUSES.COMPLETED : UPLOAD_STATUSES.UPLOADED
+  });
+};
+
+/**
+ * Abort an unfinished or unclaimed session and discard its bytes
+ * @param {Object} env - Environment variables
+ * @param {Object} session - Session row
+ * @returns {Promise<boolean>} False if it was already claimed, completed or aborted
+ */
+export const abortUploadSession = async (env, session) => {
+  if (![UPLOAD_STATUSES.UPLOADING, UPLOAD_STATUSES.UPLOADED].includes(session.status)) return false;
+
+  const aborted = await transitionUploadSession(env, session, session.status, { status: UPLOAD_STATUSES.ABORTED });
+  if (!aborted) return false;
+
+  const storage = getStorage(env);
+  if (session.status === UPLOAD_STATUSES.UPLOADING) {
+    await storage.abortResumableUpload(env, session.storage_session);
+  } else {
+    await storage.removeObjects(env, [session.file_path]);
+  }
+
+  return true;
+};
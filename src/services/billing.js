@@ -0,0 +1,375 @@
+import {
+  captureHold,
+  createHold,
+  creditCoins,
+  debitCoins,
+  expireHolds,
+  extendHold,
+  getHold,
+  refundEntry,
+  releaseHold,
+  resetCoins
+} from './ledger.js';
+
+/**
+ * Billing service
+ *
+ * The single entry point route modules use to price work and move coins.
+ * Runs in-process on top of the coin ledger - no HTTP round trip.
+ */
+
+// Fixed cost of one video generation
+export const VIDEO_GENERATION_COINS = 25;
+
+// Shortest hold lifetime; holds that are never captured or released are expired by the scheduled sweep
+export const DEFAULT_HOLD_TTL_SECONDS = 60 * 60;
+
+// How far a cancelled job got: QUEUED before any provider work, STARTED once the provider was working on it
+export const CANCEL_PROGRESS = {
+  QUEUED: 'queued',
+  STARTED: 'started'
+};
+
+// Share of the held coins returned on cancellation, overridable with
+// CANCEL_REFUND_QUEUED_PERCENT and CANCEL_REFUND_STARTED_PERCENT
+const DEFAULT_CANCEL_REFUND_PERCENT = {
+  [CANCEL_PROGRESS.QUEUED]: 100,
+  [CANCEL_PROGRESS.STARTED]: 50
+};
+
+/**
+ * Coins required to transcribe audio of the given duration
+ * 2 coins per started minute, minimum 2.
+ * @param {number} duration - Audio duration in seconds (as sent to uploadAudioUrl and reported by Deepgram)
+ * @returns {number} Required coins
+ */
+export const calculateAudioCoins = (duration) => {
+  return Math.max(2, Math.ceil(duration / 60) * 2);
+};
+
+/**
+ * Coins required to summarize the transcript of audio of the given duration
+ * Minimum 5 coins, then 1 coin per started minute.
+ * @param {number} duration - Audio duration in seconds
+ * @returns {number} Required coins
+ */
+export const calculateSummaryCoins = (duration) => {
+  return Math.max(5, Math.ceil(duration / 60));
+};
+
+/**
+ * Coins required to generate the mind map of audio of the given duration
+ * Priced like a summary: one LLM pass over the transcript.
+ * @param {number} duration - Audio duration in seconds
+ * @returns {number} Required coins
+ */
+export const calculateMindMapCoins = (duration) => {
+  return calculateSummaryCoins(duration);
+};
+
+/**
+ * Coins required to translate the transcript of audio of the given duration
+ * Same rate as a summary, per target language.
+ * @param {number} duration - Audio duration in seconds
+ * @returns {number} Required coins
+ */
+export const calculateTranslationCoins = (duration) => {
+  return calculateSummaryCoins(duration);
+};
+
+/**
+ * Idempotency key of the charge for a background job
+ * @param {string} jobType - 'audio', 'video', 'summary', 'mindmap' or 'translation'
+ * @param {string} jobId - audioid or video_id
+ * @returns {string} Charge key
+ */
+export const jobChargeKey = (jobType, jobId) => `${jobType}:${jobId}`;
+
+/**
+ * Create an insufficient-coins error
+ * @param {string} message - Error message
+ * @returns {Error} Error with name InsufficientCoinsError
+ */
+const insufficientCoinsError = (message) => {
+  const error = new Error(message || 'Insufficient coins. Please buy more coins.');
+  error.name = 'InsufficientCoinsError';
+  return error;
+};
+
+/**
+ * Charge coins for a piece of work
+ * @param {Object} env - Environment variables
+ * @param {Object} charge - Charge details
+ * @param {string} charge.uid - User ID
+ * @param {number} charge.amount - Coins to charge
+ * @param {string} charge.transactionName - Name shown in the user's transaction history
+ * @param {string} [charge.referenceId] - Record the charge belongs to (audioid, video_id...)
+ * @param {string} [charge.idempotencyKey] - Retries with the same key are charged once
+ * @returns {Promise<Object>} Ledger result
+ * @throws {Error} InsufficientCoinsError if the balance does not cover the amount
+ */
+export const chargeCoins = async (env, { uid, amount, transactionName, referenceId, idempotencyKey }) => {
+  const result = await debitCoins(env, {
+    uid,
+    amount,
+    transactionName,
+    referenceId,
+    idempotencyKey
+  });
+
+  if (!result.success) {
+    throw insufficientCoinsError(result.message);
+  }
+
+  return result;
+};
+
+/**
+ * Refund the coins taken by chargeCoins for a job that did not complete
+ * Safe to call repeatedly: the charge is refunded once, later calls report a duplicate.
+ * @param {Object} env - Environment variables
+ * @param {Object} refund - Refund details
+ * @param {string} refund.uid - User ID
+ * @param {string} refund.idempotencyKey - Key the original charge was made with
+ * @param {string} refund.transactionName - Name shown in the user's transaction history
+ * @param {string} [refund.referenceId] - Record the refund belongs to (audioid, video_id...)
+ * @returns {Promise<Object>} Ledger result with refundedCoins
+ */
+export const refundCharge = (env, { uid, idempotencyKey, transactionName, referenceId }) => {
+  return refundEntry(env, {
+    uid,
+    chargeKey: idempotencyKey,
+    transactionName,
+    referenceId
+  });
+};
+
+/**
+ * Reserve coins for a background job when it is queued
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Job details
+ * @param {string} job.uid - User ID
+ * @param {string} job.jobType - 'audio', 'video', 'summary', 'mindmap' or 'translation'
+ * @param {string} job.jobId - audioid or video_id
+ * @param {number} job.amount - Coins to reserve
+ * @param {string} job.transactionName - Name of the debit created on capture
+ * @param {number} [job.ttlSeconds] - Longest the job can run (its handler's holdTtlSeconds());
+ *   the hold lasts at least COIN_HOLD_TTL_SECONDS
+ * @returns {Promise<Object>} Ledger result with availableCoins
+ * @throws {Error} InsufficientCoinsError if the available balance does not cover the amount
+ */
+export const holdJobCoins = async (env, { uid, jobType, jobId, amount, transactionName, ttlSeconds = 0 }) => {
+  const result = await createHold(env, {
+    uid,
+    amount,
+    transactionName,
+    holdKey: jobChargeKey(jobType, jobId),
+    referenceId: jobId,
+    ttlSeconds: Math.max(Number(env.COIN_HOLD_TTL_SECONDS) || DEFAULT_HOLD_TTL_SECONDS, Math.ceil(ttlSeconds))
+  });
+
+  if (!result.success) {
+    throw insufficientCoinsError(result.message);
+  }
+
+  return result;
+};
+
+/**
+ * Keep the hold of a background job that is about to run again
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Job details
+ * @param {string} job.jobType - 'audio', 'video', 'summary', 'mindmap' or 'translation'
+ * @param {string} job.jobId - audioid or video_id
+ * @param {number} job.ttlSeconds - Seconds from now the hold must last at least
+ * @returns {Promise<boolean>} False if the hold was already settled or expired, so a
+ *   new run could not be charged
+ */
+export const extendJobHold = async (env, { jobType, jobId, ttlSeconds }) => {
+  const result = await extendHold(env, jobChargeKey(jobType, jobId), Math.ceil(ttlSeconds));
+
+  if (!result.success) {
+    console.warn(`Could not extend the hold of ${jobType} job ${jobId}: ${result.message}`);
+  }
+
+  return result.success;
+};
+
+/**
+ * Load the hold of a background job
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Job details
+ * @param {string} job.jobType - 'audio', 'video', 'summary', 'mindmap' or 'translation'
+ * @param {string} job.jobId - audioid or video_id
+ * @returns {Promise<Object|null>} { amount, status, capturedAmount }, or null if the job has no hold
+ */
+export const getJobHold = (env, { jobType, jobId }) => getHold(env, jobChargeKey(jobType, jobId));
+
+/**
+ * Capture the hold of a completed background job
+ * Never throws, so a billing hiccup cannot fail finished work; errors are logged
+ * and an uncaptured hold is eventually expired by the sweep.
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Completed job
+ * @param {string} job.jobType - 'audio', 'video', 'summary', 'mindmap' or 'translation'
+ * @param {string} job.jobId - audioid or video_id
+ * @param {number} [job.amount] - Final amount; defaults to the held amount
+ * @returns {Promise<Object|null>} Ledger result with capturedCoins, or null on error
+ */
+export const captureJobCoins = async (env, { jobType, jobId, amount }) => {
+  try {
+    const result = await captureHold(env, jobChargeKey(jobType, jobId), amount);
+
+    if (!result.success) {
+      console.warn(`Could not capture coins for ${jobType} job ${jobId}: ${result.message}`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error(`Error capturing coins for ${jobType} job ${jobId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Give the coins back for a background job that ended in `failed`
+ * Releases the job's hold; if the hold was already captured (or the job was
+ * charged directly) the debit is refunded instead.
+ * Never throws, so it can be called from failure handlers; errors are logged.
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Failed job
+ * @param {string} job.uid - User ID
+ * @param {string} job.jobType - 'audio', 'video', 'summary', 'mindmap' or 'translation'
+ * @param {string} job.jobId - audioid or video_id
+ * @param {string} job.transactionName - Name shown in the user's transaction history
+ * @returns {Promise<Object|null>} Ledger result, or null if the refund could not be made
+ */
+export const refundFailedJob = async (env, { uid, jobType, jobId, transactionName }) => {
+  try {
+    const release = await releaseHold(env, jobChargeKey(jobType, jobId));
+
+    if (release.success) {
+      console.log(`Released ${release.releasedCoins} held coins for ${jobType} job: ${jobId}`);
+      return release;
+    }
+
+    if (release.status && release.status !== 'captured') {
+      // Already released or expired - nothing was ever debited
+      return release;
+    }
+
+    const result = await refundCharge(env, {
+      uid,
+      idempotencyKey: jobChargeKey(jobType, jobId),
+      transactionName,
+      referenceId: jobId
+    });
+
+    if (result.success && !result.duplicate) {
+      console.log(`Refunded ${result.refundedCoins} coins for ${jobType} job: ${jobId}`);
+    } else if (!result.success) {
+      console.warn(`No refund issued for ${jobType} job ${jobId}: ${result.message}`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error(`Error refunding coins for ${jobType} job ${jobId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Percentage of the held coins refunded when a job is cancelled
+ * @param {Object} env - Environment variables
+ * @param {string} progress - A CANCEL_PROGRESS value
+ * @returns {number} Percentage between 0 and 100
+ */
+export const getCancelRefundPercent = (env, progress) => {
+  const configured = progress === CANCEL_PROGRESS.QUEUED
+    ? env.CANCEL_REFUND_QUEUED_PERCENT
+    : env.CANCEL_REFUND_STARTED_PERCENT;
+  const percent = configured === undefined || configured === '' ? NaN : Number(configured);
+
+  return Number.isFinite(percent)
+    ? Math.min(Math.max(percent, 0), 100)
+    : DEFAULT_CANCEL_REFUND_PERCENT[progress] ?? DEFAULT_CANCEL_REFUND_PERCENT[CANCEL_PROGRESS.STARTED];
+};
+
+/**
+ * Settle the hold of a cancelled background job under the cancellation policy
+ * The refunded share of the hold is released and the rest is captured, rounded
+ * in the user's favour. Nothing left to charge means a full refund through
+ * refundFailedJob.
+ * Never throws, like refundFailedJob; errors are logged.
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Cancelled job
+ * @param {string} job.uid - User ID
+ * @param {string} job.jobType - 'audio', 'video', 'summary' or 'translation'
+ * @param {string} job.jobId - audioid, video_id or hold ID
+ * @param {string} job.progress - A CANCEL_PROGRESS value
+ * @param {string} job.transactionName - Name shown in the user's transaction history for a refund
+ * @returns {Promise<Object>} { refundPercent, refundedCoins, chargedCoins }
+ */
+export const settleCancelledJob = async (env, { uid, jobType, jobId, progress, transactionName }) => {
+  const refundPercent = getCancelRefundPercent(env, progress);
+  const settled = { refundPercent, refundedCoins: 0, chargedCoins: 0 };
+
+  try {
+    const hold = refundPercent < 100 ? await getHold(env, jobChargeKey(jobType, jobId)) : null;
+
+    // A captured hold means the job finished first; it keeps its charge
+    if (hold && hold.status !== 'held') {
+      console.warn(`No held coins to settle for cancelled ${jobType} job ${jobId} (hold is ${hold.status})`);
+      return settled;
+    }
+
+    const chargedCoins = hold ? Math.floor(hold.amount * (100 - refundPercent) / 100) : 0;
+
+    if (chargedCoins === 0) {
+      const result = await refundFailedJob(env, { uid, jobType, jobId, transactionName });
+      if (result?.success && !result.duplicate) {
+        settled.refundedCoins = result.releasedCoins ?? result.refundedCoins ?? 0;
+      }
+      return settled;
+    }
+
+    const capture = await captureJobCoins(env, { jobType, jobId, amount: chargedCoins });
+
+    if (capture?.success) {
+      settled.chargedCoins = capture.capturedCoins;
+      settled.refundedCoins = hold.amount - capture.capturedCoins;
+      console.log(`Cancelled ${jobType} job ${jobId}: charged ${settled.chargedCoins}, refunded ${settled.refundedCoins} coins`);
+    }
+
+    return settled;
+  } catch (error) {
+    console.error(`Error settling coins for cancelled ${jobType} job ${jobId}:`, error);
+    return settled;
+  }
+};
+
+/**
+ * Grant purchased coins
+ * @param {Object} env - Environment variables
+ * @param {Object} grant - Grant details
+ * @param {string} grant.uid - User ID
+ * @param {number} grant.amount - Coins to grant
+ * @param {string} grant.transactionName - Name shown in the user's transaction history
+ * @param {boolean} [grant.replaceBalance] - Set the balance instead of adding to it (new subscription period)
+ * @param {string} [grant.idempotencyKey] - Retries with the same key are granted once
+ * @param {string} [grant.referenceId] - Related record, e.g. the payment's order ID
+ * @returns {Promise<Object>} Ledger result
+ */
+export const grantCoins = (env, { uid, amount, transactionName, replaceBalance = false, idempotencyKey, referenceId }) => {
+  const entry = { uid, amount, transactionName, idempotencyKey, referenceId };
+  return replaceBalance ? resetCoins(env, entry) : creditCoins(env, entry);
+};
+
+/**
+ * Expire holds that were never captured or released (scheduled sweep)
+ * @param {Object} env - Environment variables
+ * @returns {Promise<number>} Number of holds expired
+ */
+export const expireStaleHolds = (env) => {
+  return expireHolds(env);
+};
@@ -0,0 +1,227 @@
+/**
+ * DashScope video generation
+ *
+ * Text-to-video tasks run asynchronously at DashScope: a task is submitted,
+ * its status is checked until it succeeds or fails, and the finished video is
+ * copied to the `user-uploads` bucket. Env: DASHSCOPEVIDEO_API_KEY.
+ */
+
+/**
+ * Download a generated video and copy it to Supabase Storage
+ * @param {string} videoUrl - DashScope result URL
+ * @param {string} uid - User ID
+ * @param {string} videoId - Video ID
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<string>} Public URL of the stored copy
+ */
+export const downloadAndUploadVideo = async (videoUrl, uid, videoId, supabase) => {
+  try {
+    console.log('Downloading video from:', videoUrl);
+    
+    // Download the video file with timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 300000); // 5 minutes timeout
+    
+    const response = await fetch(videoUrl, {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': 'MatrixAI-VideoProcessor/1.0'
+      }
+    });
+    
+    clearTimeout(timeoutId);
+    
+    if (!response.ok) {
+      throw new Error(`Failed to download video: ${response.status} ${response.statusText}`);
+    }
+    
+    const videoBuffer = await response.arrayBuffer();
+    
+    // Create file path: users/{uid}/videos/{videoId}.mp4
+    const filePath = `users/${uid}/videos/${videoId}.mp4`;
+    
+    console.log('Uploading video to Supabase storage:', filePath);
+    
+    // Upload to Supabase storage
+    const { data: storageData, error: storageError } = await supabase.storage
+      .from('user-uploads')
+      .upload(filePath, videoBuffer, { 
+        contentType: 'video/mp4',
+        upsert: true // Allow overwriting if file exists
+      });
+
+    if (storageError) {
+      console.error('Storage upload error:', storageError);
+      throw new Error(`Failed to upload video to storage: ${storageError.message}`);
+    }
+
+    console.log('Video uploaded successfully to storage:', storageData);
+    
+    // Get the public URL
+    const { data: urlData } = supabase.storage
+      .from('user-uploads')
+      .getPublicUrl(filePath);
+        
+    return urlData.publicUrl;
+    
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.error("Video download timeout after 5 minutes");
+      throw new Error("Video download timeout - video file may be too large or service is slow");
+    }
+    console.error('Error downloading and uploading video:', error);
+    throw error;
+  }
+};
+
+/**
+ * Submit a text-to-video task to DashScope
+ * @param {string} promptText - Prompt
+ * @param {string} size - Resolution, e.g. 1280*720
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} { request_id, task_id, task_status }
+ */
+export const generateVideoWithDashScope = async (promptText, size, env) => {
+  try {
+    const DASHSCOPE_API_KEY = env.DASHSCOPEVIDEO_API_KEY;
+
+    if (!DASHSCOPE_API_KEY) {
+      throw new Error('DashScope API configuration missing. Please check DASHSCOPEVIDEO_API_KEY environment variable.');
+    }
+
+    console.log(`Starting DashScope video generation for prompt: ${promptText}, Size: ${size}`);
+
+    // Add timeout for DashScope API call (60 seconds)
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 60000);
+
+    const response = await fetch('https://dashscope.aliyuncs.com/api/v1/services/aigc/video-generation/video-synthesis', {
+      method: "POST",
+      headers: {
+        'X-DashScope-Async': 'enable',
+        'Authorization': `Bearer ${DASHSCOPE_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        model: "wanx2.1-t2v-turbo",
+        input: {
+          prompt: promptText
+        },
+        parameters: {
+          size: size
+        }
+      }),
+      signal: controller.signal
+    });
+
+    clearTimeout(timeoutId);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error("DashScope API error:", response.status, response.statusText, errorText);
+      throw new Error(`DashScope API error: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    console.log("DashScope API response received, processing...");
+
+    const { request_id, output } = data;
+    const taskId = output?.task_id;
+    const taskStatus = output?.task_status;
+    
+    console.log(`Video generation initiated: taskId=${taskId}, status=${taskStatus}`);
+    
+    return {
+      request_id,
+      task_id: taskId,
+      task_status: taskStatus,
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.error("DashScope API timeout after 60 seconds");
+      throw new Error("Video generation timeout - DashScope service is slow");
+    }
+    console.error("Error generating video:", error.message || error);
+    throw error;
+  }
+};
+
+/**
+ * Check a DashScope video task
+ * @param {string} taskId - DashScope task ID
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Task status, video_url and timing fields
+ */
+export const checkVideoStatus = async (taskId, env) => {
+  try {
+    const DASHSCOPE_API_KEY = env.DASHSCOPEVIDEO_API_KEY;
+
+    if (!DASHSCOPE_API_KEY) {
+      throw new Error('DashScope API configuration missing.');
+    }
+
+    const response = await fetch(`https://dashscope.aliyuncs.com/api/v1/tasks/${taskId}`, {
+      headers: {
+        'Authorization': `Bearer ${DASHSCOPE_API_KEY}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`DashScope status check error: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    const { output } = data;
+    
+    return {
+      task_status: output?.task_status,
+      video_url: output?.video_url,
+      submit_time: output?.submit_time,
+      scheduled_time: output?.scheduled_time,
+      end_time: output?.end_time,
+      orig_prompt: output?.orig_prompt,
+      actual_prompt: output?.actual_prompt
+    };
+  } catch (error) {
+    console.error("Error checking video status:", error.message || error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a DashScope video task
+ * DashScope only cancels tasks that are still PENDING; a running task finishes
+ * and is billed by DashScope regardless.
+ * @param {string} taskId - DashScope task ID
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} { cancelled, message } - cancelled is false if DashScope refused
+ */
+export const cancelVideoTask = async (taskId, env) => {
+  try {
+    const DASHSCOPE_API_KEY = env.DASHSCOPEVIDEO_API_KEY;
+
+    if (!DASHSCOPE_API_KEY) {
+      throw new Error('DashScope API configuration missing.');
+    }
+
+    const response = await fetch(`https://dashscope.aliyuncs.com/api/v1/tasks/${taskId}/cancel`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${DASHSCOPE_API_KEY}`,
+      },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.warn(`DashScope did not cancel task ${taskId}: ${response.status} ${errorText}`);
+      return { cancelled: false, message: errorText || response.statusText };
+    }
+
+    console.log(`DashScope task cancelled: ${taskId}`);
+    return { cancelled: true, message: null };
+  } catch (error) {
+    console.error("Error cancelling video task:", error.message || error);
+    throw error;
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Cloudflare Queues transport
+ *
+ * Sends messages to the queue bound as JOB_QUEUE (wrangler.toml and
+ * wrangler.processor.toml). The processor Worker consumes them in its
+ * `queue` handler (src/worker.js).
+ */
+
+// Longest delay Cloudflare Queues accepts
+const MAX_DELAY_SECONDS = 12 * 60 * 60;
+
+export const cloudflareJobQueue = {
+  name: 'cloudflare',
+
+  /**
+   * @param {Object} env - Environment variables
+   * @returns {boolean} Whether the transport can be used
+   */
+  isConfigured: (env) => Boolean(env.JOB_QUEUE && typeof env.JOB_QUEUE.send === 'function'),
+
+  /**
+   * Send a message
+   * @param {Object} env - Environment variables
+   * @param {Object} message - Message body, e.g. { jobId }
+   * @param {Object} [options] - Options
+   * @param {number} [options.delaySeconds] - Delay before delivery
+   */
+  send: async (env, message, { delaySeconds = 0 } = {}) => {
+    const delay = Math.min(Math.max(Math.ceil(delaySeconds), 0), MAX_DELAY_SECONDS);
+    await env.JOB_QUEUE.send(message, delay ? { delaySeconds: delay } : undefined);
+  }
+};
@@ -0,0 +1,41 @@
+import { cloudflareJobQueue } from './cloudflare.js';
+import { memoryJobQueue } from './memory.js';
+
+/**
+ * Job queue transports
+ *
+ * A transport only delivers "run job <jobId>" messages, optionally delayed;
+ * job state lives in the `jobs` table (see src/jobs/queue.js), so a lost
+ * message delays a job but never loses it. Transports share one interface -
+ * { name, isConfigured(env), send(env, message, { delaySeconds }) }.
+ * Cloudflare Queues is used unless JOB_QUEUE_PROVIDER picks another one,
+ * e.g. `memory` for local development and tests.
+ */
+
+export const DEFAULT_JOB_QUEUE_PROVIDER = 'cloudflare';
+
+export const JOB_QUEUE_PROVIDERS = {
+  [cloudflareJobQueue.name]: cloudflareJobQueue,
+  [memoryJobQueue.name]: memoryJobQueue
+};
+
+/**
+ * Get the configured job queue transport
+ * @param {Object} env - Environment variables
+ * @returns {Object} Transport
+ * @throws {Error} If the transport does not exist or is not configured
+ */
+export const getJobQueue = (env) => {
+  const name = env.JOB_QUEUE_PROVIDER || DEFAULT_JOB_QUEUE_PROVIDER;
+  const provider = JOB_QUEUE_PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown job queue provider: ${name}`);
+  }
+
+  if (!provider.isConfigured(env)) {
+    throw new Error(`Job queue provider ${name} is not configured`);
+  }
+
+  return provider;
+};
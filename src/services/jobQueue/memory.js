@@ -0,0 +1,71 @@
+import { processJobMessage } from '../../jobs/queue.js';
+
+/**
+ * In-memory queue transport for local development and tests
+ *
+ * Messages are processed in the same isolate: each one is run by a timer once
+ * its delay has passed, or all at once with drain() so tests do not wait.
+ * Only available when ENVIRONMENT is `development`.
+ */
+
+const pending = new Set();
+
+/**
+ * Run one message and forget it
+ * @param {Object} entry - { env, message, timer }
+ */
+const deliver = async (entry) => {
+  clearTimeout(entry.timer);
+  pending.delete(entry);
+  await processJobMessage(entry.env, entry.message.jobId);
+};
+
+export const memoryJobQueue = {
+  name: 'memory',
+
+  /**
+   * @param {Object} env - Environment variables
+   * @returns {boolean} Whether the transport can be used
+   */
+  isConfigured: (env) => env.ENVIRONMENT === 'development',
+
+  /**
+   * Queue a message
+   * @param {Object} env - Environment variables
+   * @param {Object} message - Message body, e.g. { jobId }
+   * @param {Object} [options] - Options
+   * @param {number} [options.delaySeconds] - Delay before delivery
+   */
+  send: async (env, message, { delaySeconds = 0 } = {}) => {
+    const entry = { env, message, dueAt: Date.now() + delaySeconds * 1000 };
+    entry.timer = setTimeout(() => {
+      deliver(entry).catch(error => console.error('In-memory job queue error:', error));
+    }, delaySeconds * 1000);
+    pending.add(entry);
+  },
+
+  /**
+   * Messages waiting for delivery (tests only)
+   * @returns {Array<Object>} { message, dueAt }
+   */
+  pendingMessages: () => [...pending].map(({ message, dueAt }) => ({ message, dueAt })),
+
+  /**
+   * Deliver every queued message now, including ones queued while draining (tests only)
+   * Delays are ignored, so retries and polling steps run straight away;
+   * maxRounds stops jobs that keep re-queueing themselves.
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxRounds] - Most delivery rounds (default 20)
+   * @returns {Promise<number>} Messages delivered
+   */
+  drain: async ({ maxRounds = 20 } = {}) => {
+    let delivered = 0;
+    for (let round = 0; round < maxRounds && pending.size; round++) {
+      for (const entry of [...pending]) {
+        await deliver(entry);
+        delivered += 1;
+      }
+    }
+    return delivered;
+  }
+};
@@ -0,0 +1,258 @@
+import { getSupabaseServiceClient } from '../config/database.js';
+
+/**
+ * Coin ledger
+ *
+ * All balance changes go through Postgres functions (supabase/migrations/).
+ * `apply_coin_entry` changes `users.user_coins` with one conditional UPDATE and
+ * appends the matching `user_transaction` row atomically, so concurrent debits
+ * can never overspend. Holds reserve coins in `users.held_coins` until captured.
+ */
+
+export const LEDGER_ENTRY_TYPES = {
+  DEBIT: 'debit',
+  CREDIT: 'credit',
+  RESET: 'reset',
+  REFUND: 'refund'
+};
+
+/**
+ * Call a ledger RPC with the service role client
+ * @param {Object} env - Environment variables
+ * @param {string} fn - Postgres function name
+ * @param {Object} params - RPC parameters
+ * @returns {Promise<*>} RPC result
+ */
+const callLedgerRpc = async (env, fn, params) => {
+  const supabase = getSupabaseServiceClient(env);
+
+  const { data, error } = await supabase.rpc(fn, params);
+
+  if (error) {
+    console.error(`Ledger RPC ${fn} failed:`, error);
+    throw new Error(`Ledger operation ${fn} failed: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Apply a single ledger entry
+ * @param {Object} env - Environment variables
+ * @param {Object} entry - Ledger entry
+ * @param {string} entry.uid - User ID
+ * @param {string} entry.entryType - debit, credit or reset (refunds go through refundEntry)
+ * @param {number} entry.amount - Coin amount (non-negative integer)
+ * @param {string} entry.transactionName - Human readable transaction name
+ * @param {string} [entry.idempotencyKey] - Replaying the same key never applies twice
+ * @param {string} [entry.referenceId] - Related record (audioid, video_id, order...)
+ * @returns {Promise<Object>} { success, duplicate, remainingCoins, message }
+ */
+export const applyCoinEntry = async (env, { uid, entryType, amount, transactionName, idempotencyKey, referenceId }) => {
+  if (!Number.isInteger(amount) || amount < 0) {
+    const error = new Error('Coin amount must be a non-negative integer');
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  const data = await callLedgerRpc(env, 'apply_coin_entry', {
+    p_uid: uid,
+    p_entry_type: entryType,
+    p_amount: amount,
+    p_transaction_name: transactionName,
+    p_idempotency_key: idempotencyKey || null,
+    p_reference_id: referenceId || null
+  });
+
+  return {
+    success: data.success,
+    duplicate: data.duplicate,
+    remainingCoins: data.remaining_coins,
+    message: data.message
+  };
+};
+
+/**
+ * Refund a previous debit in full
+ * The refund is keyed on the original charge, so it is applied at most once.
+ * @param {Object} env - Environment variables
+ * @param {Object} refund - Refund details
+ * @param {string} refund.uid - User ID
+ * @param {string} refund.chargeKey - Idempotency key of the debit being refunded
+ * @param {string} refund.transactionName - Human readable transaction name
+ * @param {string} [refund.referenceId] - Related record (defaults to the charge's reference)
+ * @returns {Promise<Object>} { success, duplicate, refundedCoins, remainingCoins, message }
+ */
+export const refundEntry = async (env, { uid, chargeKey, transactionName, referenceId }) => {
+  const data = await callLedgerRpc(env, 'refund_coin_entry', {
+    p_uid: uid,
+    p_charge_key: chargeKey,
+    p_transaction_name: transactionName,
+    p_reference_id: referenceId || null
+  });
+
+  return {
+    success: data.success,
+    duplicate: data.duplicate,
+    refundedCoins: data.refunded_coins,
+    remainingCoins: data.remaining_coins,
+    message: data.message
+  };
+};
+
+/**
+ * Subtract coins if the balance covers the amount
+ * @param {Object} env - Environment variables
+ * @param {Object} entry - See applyCoinEntry
+ * @returns {Promise<Object>} Ledger result; success is false when coins are insufficient
+ */
+export const debitCoins = (env, entry) => {
+  return applyCoinEntry(env, { ...entry, entryType: LEDGER_ENTRY_TYPES.DEBIT });
+};
+
+/**
+ * Add coins to the balance
+ * @param {Object} env - Environment variables
+ * @param {Object} entry - See applyCoinEntry
+ * @returns {Promise<Object>} Ledger result
+ */
+export const creditCoins = (env, entry) => {
+  return applyCoinEntry(env, { ...entry, entryType: LEDGER_ENTRY_TYPES.CREDIT });
+};
+
+/**
+ * Set the balance to an absolute amount (subscription renewals)
+ * @param {Object} env - Environment variables
+ * @param {Object} entry - See applyCoinEntry
+ * @returns {Promise<Object>} Ledger result
+ */
+export const resetCoins = (env, entry) => {
+  return applyCoinEntry(env, { ...entry, entryType: LEDGER_ENTRY_TYPES.RESET });
+};
+
+/**
+ * Reserve coins for a job without debiting them
+ * The reservation counts against the available balance until it is captured,
+ * released or expires (supabase/migrations/0004_coin_holds.sql).
+ * @param {Object} env - Environment variables
+ * @param {Object} hold - Hold details
+ * @param {string} hold.uid - User ID
+ * @param {number} hold.amount - Coins to reserve
+ * @param {string} hold.transactionName - Name of the debit created on capture
+ * @param {string} hold.holdKey - Unique key; the captured debit uses it as idempotency key
+ * @param {string} [hold.referenceId] - Related record (audioid, video_id...)
+ * @param {number} [hold.ttlSeconds] - Seconds until the hold expires
+ * @returns {Promise<Object>} { success, duplicate, status, availableCoins, message }
+ */
+export const createHold = async (env, { uid, amount, transactionName, holdKey, referenceId, ttlSeconds }) => {
+  const data = await callLedgerRpc(env, 'create_coin_hold', {
+    p_uid: uid,
+    p_amount: amount,
+    p_transaction_name: transactionName,
+    p_hold_key: holdKey,
+    p_reference_id: referenceId || null,
+    p_ttl_seconds: ttlSeconds
+  });
+
+  return {
+    success: data.success,
+    duplicate: data.duplicate,
+    status: data.status,
+    availableCoins: data.available_coins,
+    message: data.message
+  };
+};
+
+/**
+ * Capture a hold as a debit
+ * @param {Object} env - Environment variables
+ * @param {string} holdKey - Key the hold was created with
+ * @param {number} [amount] - Final amount; defaults to the held amount
+ * @returns {Promise<Object>} { success, duplicate, capturedCoins, remainingCoins, message }
+ */
+export const captureHold = async (env, holdKey, amount) => {
+  const data = await callLedgerRpc(env, 'capture_coin_hold', {
+    p_hold_key: holdKey,
+    p_amount: amount ?? null
+  });
+
+  return {
+    success: data.success,
+    duplicate: data.duplicate,
+    capturedCoins: data.captured_coins,
+    remainingCoins: data.remaining_coins,
+    message: data.message
+  };
+};
+
+/**
+ * Release a hold, returning the reserved coins
+ * @param {Object} env - Environment variables
+ * @param {string} holdKey - Key the hold was created with
+ * @returns {Promise<Object>} { success, status, releasedCoins, message } - status is the hold's
+ *   state after the call, e.g. 'captured' if it was already settled
+ */
+export const releaseHold = async (env, holdKey) => {
+  const data = await callLedgerRpc(env, 'release_coin_hold', {
+    p_hold_key: holdKey,
+    p_status: 'released'
+  });
+
+  return {
+    success: data.success,
+    status: data.status,
+    releasedCoins: data.released_coins,
+    message: data.message
+  };
+};
+
+/**
+ * Push a hold's expiry out, if it is still held
+ * @param {Object} env - Environment variables
+ * @param {string} holdKey - Key the hold was created with
+ * @param {number} ttlSeconds - Seconds from now the hold must last at least
+ * @returns {Promise<Object>} { success, status, expiresAt, message } - success is false
+ *   if the hold is missing, settled or past its expiry
+ */
+export const extendHold = async (env, holdKey, ttlSeconds) => {
+  const data = await callLedgerRpc(env, 'extend_coin_hold', {
+    p_hold_key: holdKey,
+    p_ttl_seconds: ttlSeconds
+  });
+
+  return {
+    success: data.success,
+    status: data.status,
+    expiresAt: data.expires_at,
+    message: data.message
+  };
+};
+
+/**
+ * Load a hold
+ * @param {Object} env - Environment variables
+ * @param {string} holdKey - Key the hold was created with
+ * @returns {Promise<Object|null>} { amount, status, capturedAmount }, or null if there is no hold
+ */
+export const getHold = async (env, holdKey) => {
+  const { data, error } = await getSupabaseServiceClient(env)
+    .from('coin_holds')
+    .select('amount, status, captured_amount')
+    .eq('hold_key', holdKey)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load hold ${holdKey}: ${error.message}`);
+  }
+
+  return data && { amount: data.amount, status: data.status, capturedAmount: data.captured_amount };
+};
+
+/**
+ * Release every hold whose expiry has passed
+ * @param {Object} env - Environment variables
+ * @returns {Promise<number>} Number of holds expired
+ */
+export const expireHolds = async (env) => {
+  return callLedgerRpc(env, 'expire_coin_holds', {});
+};
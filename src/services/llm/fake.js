@@ -0,0 +1,62 @@
+/**
+ * Fake LLM provider for local development and tests
+ *
+ * Answers summary and mind map prompts with one deterministic JSON object
+ * built from the timestamped transcript lines ("[12.5] text") in the last
+ * user message; each feature reads the keys it needs.
+ * Only available when ENVIRONMENT is `development`.
+ */
+
+// Transcript lines per fake chapter
+const LINES_PER_CHAPTER = 5;
+
+export const fakeLlmProvider = {
+  name: 'fake',
+  timeoutMs: 5000,
+
+  /**
+   * @param {Object} env - Environment variables
+   * @returns {boolean} Whether the provider can be used
+   */
+  isConfigured: (env) => env.ENVIRONMENT === 'development',
+
+  /**
+   * Build a JSON answer from the prompt
+   * @param {Object} env - Environment variables
+   * @param {Array} messages - Chat messages { role, content }
+   * @returns {Promise<Object>} { content, model, usage }
+   */
+  complete: async (env, messages) => {
+    const prompt = messages[messages.length - 1]?.content || '';
+    const lines = [...prompt.matchAll(/^\[(\d+(?:\.\d+)?)\]\s*(.*)$/gm)]
+      .map(([, start, text]) => ({ start: Number(start), text: text.trim() }));
+
+    const chapters = lines
+      .filter((_, index) => index % LINES_PER_CHAPTER === 0)
+      .map((line, index) => ({
+        title: `Part ${index + 1}`,
+        start: line.start,
+        summary: line.text
+      }));
+
+    const content = JSON.stringify({
+      summary: lines.slice(0, 2).map(line => line.text).join(' ') || 'Fake summary.',
+      key_points: lines.slice(0, 3).map(line => line.text),
+      action_items: [{ text: 'Review the fake summary', owner: null, due: null, start: lines[0]?.start ?? null }],
+      chapters,
+      title: 'Fake mind map',
+      note: null,
+      start: 0,
+      end: lines.length ? lines[lines.length - 1].start : 0,
+      children: chapters.map(chapter => ({
+        title: chapter.title,
+        note: chapter.summary,
+        start: chapter.start,
+        end: null,
+        children: []
+      }))
+    });
+
+    return { content, model: 'fake', usage: null };
+  }
+};
@@ -0,0 +1,68 @@
+import { fakeLlmProvider } from './fake.js';
+import { openaiChatProvider, qwenProvider } from './openaiCompatible.js';
+
+/**
+ * LLM service
+ *
+ * Chat providers share one interface - { name, timeoutMs, isConfigured(env),
+ * complete(env, messages, options) } - and return { content, model, usage }.
+ * The provider is picked per request, falling back to LLM_PROVIDER and then Qwen.
+ */
+
+export const DEFAULT_LLM_PROVIDER = 'qwen';
+
+export const LLM_PROVIDERS = {
+  [qwenProvider.name]: qwenProvider,
+  [openaiChatProvider.name]: openaiChatProvider,
+  [fakeLlmProvider.name]: fakeLlmProvider
+};
+
+/**
+ * Pick the LLM provider for a job
+ * @param {Object} env - Environment variables
+ * @param {string} [requested] - Provider name sent by the client
+ * @returns {Object} Provider
+ * @throws {Error} ValidationError if the provider does not exist
+ */
+export const resolveLlmProvider = (env, requested) => {
+  const name = requested || env.LLM_PROVIDER || DEFAULT_LLM_PROVIDER;
+  const provider = LLM_PROVIDERS[name];
+
+  if (!provider) {
+    const error = new Error(`Unknown LLM provider: ${name}`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  return provider;
+};
+
+/**
+ * Run a chat completion with a provider, enforcing its timeout
+ * @param {Object} env - Environment variables
+ * @param {Object} provider - Provider from resolveLlmProvider
+ * @param {Array} messages - Chat messages { role, content }
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.json] - Ask for a JSON object response
+ * @returns {Promise<Object>} { content, model, usage }
+ */
+export const completeChat = async (env, provider, messages, { json = false } = {}) => {
+  if (!provider.isConfigured(env)) {
+    throw new Error(`LLM provider ${provider.name} is not configured`);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), provider.timeoutMs);
+
+  try {
+    return await provider.complete(env, messages, { json, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.error(`${provider.name} completion timeout after ${provider.timeoutMs / 1000} seconds`);
+      throw new Error('LLM timeout - the language model service is slow');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
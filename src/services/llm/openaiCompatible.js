@@ -0,0 +1,122 @@
+/**
+ * OpenAI-compatible chat providers
+ *
+ * Both providers call POST /chat/completions with a bearer key.
+ * - `qwen` uses DashScope's compatible mode, the account already used for video
+ *   generation. Env: DASHSCOPE_API_KEY (falls back to DASHSCOPEVIDEO_API_KEY),
+ *   QWEN_API_URL, QWEN_MODEL (default qwen-plus).
+ * - `openai` works with any OpenAI-compatible server.
+ *   Env: LLM_API_URL, LLM_API_KEY, LLM_MODEL (default gpt-4o-mini).
+ */
+
+const DEFAULT_QWEN_API_URL = 'https://dashscope.aliyuncs.com/compatible-mode/v1/chat/completions';
+const DEFAULT_QWEN_MODEL = 'qwen-plus';
+const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+
+/**
+ * Call a /chat/completions endpoint
+ * @param {Object} request - Request details
+ * @param {string} request.label - Provider name for error messages
+ * @param {string} request.url - Endpoint URL
+ * @param {string} request.apiKey - Bearer key
+ * @param {string} request.model - Model name
+ * @param {Array} request.messages - Chat messages { role, content }
+ * @param {boolean} [request.json] - Ask for a JSON object response
+ * @param {AbortSignal} [request.signal] - Abort signal
+ * @returns {Promise<Object>} { content, model, usage }
+ */
+const requestChatCompletion = async ({ label, url, apiKey, model, messages, json, signal }) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      temperature: 0.2,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`${label} API error:`, response.status, response.statusText, errorText);
+    throw new Error(`${label} API error: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  const content = data.choices?.[0]?.message?.content;
+
+  if (!content) {
+    throw new Error(`${label} returned an empty completion`);
+  }
+
+  return {
+    content,
+    model: data.model || model,
+    usage: data.usage || null
+  };
+};
+
+export const qwenProvider = {
+  name: 'qwen',
+  timeoutMs: 120000,
+
+  /**
+   * @param {Object} env - Environment variables
+   * @returns {boolean} Whether the provider can be used
+   */
+  isConfigured: (env) => Boolean(env.DASHSCOPE_API_KEY || env.DASHSCOPEVIDEO_API_KEY),
+
+  /**
+   * Run a chat completion
+   * @param {Object} env - Environment variables
+   * @param {Array} messages - Chat messages { role, content }
+   * @param {Object} options - Options
+   * @param {boolean} [options.json] - Ask for a JSON object response
+   * @param {AbortSignal} [options.signal] - Abort signal
+   * @returns {Promise<Object>} { content, model, usage }
+   */
+  complete: (env, messages, { json, signal }) => requestChatCompletion({
+    label: 'DashScope',
+    url: env.QWEN_API_URL || DEFAULT_QWEN_API_URL,
+    apiKey: env.DASHSCOPE_API_KEY || env.DASHSCOPEVIDEO_API_KEY,
+    model: env.QWEN_MODEL || DEFAULT_QWEN_MODEL,
+    messages,
+    json,
+    signal
+  })
+};
+
+export const openaiChatProvider = {
+  name: 'openai',
+  timeoutMs: 120000,
+
+  /**
+   * @param {Object} env - Environment variables
+   * @returns {boolean} Whether the provider can be used
+   */
+  isConfigured: (env) => Boolean(env.LLM_API_URL && env.LLM_API_KEY),
+
+  /**
+   * Run a chat completion
+   * @param {Object} env - Environment variables
+   * @param {Array} messages - Chat messages { role, content }
+   * @param {Object} options - Options
+   * @param {boolean} [options.json] - Ask for a JSON object response
+   * @param {AbortSignal} [options.signal] - Abort signal
+   * @returns {Promise<Object>} { content, model, usage }
+   */
+  complete: (env, messages, { json, signal }) => requestChatCompletion({
+    label: 'LLM',
+    url: env.LLM_API_URL,
+    apiKey: env.LLM_API_KEY,
+    model: env.LLM_MODEL || DEFAULT_OPENAI_MODEL,
+    messages,
+    json,
+    signal
+  })
+};
@@ -0,0 +1,69 @@
+import { buildSegments } from '../transcription/schema.js';
+
+/**
+ * Prompt helpers shared by the transcript LLM features
+ */
+
+// Transcript characters sent to the model; longer transcripts are cut at a segment boundary
+export const MAX_TRANSCRIPT_PROMPT_CHARS = 60000;
+
+/**
+ * Render a transcript as "[start seconds] Speaker N: text" lines
+ * Falls back to segments built from the words, then to the plain transcript.
+ * @param {Object} transcript - { transcription, words_data, segments_data }
+ * @returns {Object} { text, truncated }
+ */
+export const formatTranscriptForPrompt = ({ transcription, words_data: words, segments_data: storedSegments }) => {
+  const segments = storedSegments?.length ? storedSegments : buildSegments(words || []);
+
+  if (segments.length === 0) {
+    const text = String(transcription || '');
+    return {
+      text: `[0.0] ${text.slice(0, MAX_TRANSCRIPT_PROMPT_CHARS)}`,
+      truncated: text.length > MAX_TRANSCRIPT_PROMPT_CHARS
+    };
+  }
+
+  const lines = [];
+  let length = 0;
+
+  for (const segment of segments) {
+    const speaker = segment.speaker !== null && segment.speaker !== undefined ? `Speaker ${segment.speaker}: ` : '';
+    const line = `[${Number(segment.start).toFixed(1)}] ${speaker}${segment.text}`;
+    if (length + line.length > MAX_TRANSCRIPT_PROMPT_CHARS) {
+      return { text: lines.join('\n'), truncated: true };
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+
+  return { text: lines.join('\n'), truncated: false };
+};
+
+/**
+ * Parse a JSON completion, tolerating a Markdown code fence around it
+ * @param {string} content - Completion content
+ * @returns {Object} Parsed JSON
+ * @throws {Error} If the content is not JSON
+ */
+export const parseJsonCompletion = (content) => {
+  try {
+    return JSON.parse(String(content).trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    throw new Error('LLM returned invalid JSON');
+  }
+};
+
+/**
+ * Parse a model timestamp: seconds, or "mm:ss" / "hh:mm:ss"
+ * @param {number|string} value - Timestamp
+ * @returns {number|null} Seconds or null
+ */
+export const parseTimestamp = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const parts = value.trim().split(':').map(Number);
+  if (parts.some(part => !Number.isFinite(part))) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
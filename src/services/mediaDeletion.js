@@ -0,0 +1,216 @@
+import { getSupabaseClient, getSupabaseServiceClient } from '../config/database.js';
+import { getStorage } from './storage/index.js';
+
+/**
+ * Permanent deletion of audio files and videos
+ *
+ * Deletes the metadata row, the rows derived from it (transcript versions,
+ * translations, upload sessions) and the stored object. Exports are rendered
+ * on request and never stored, so there is nothing else to delete. Trashed
+ * media (see trash.js) end up here when purged.
+ *
+ * The metadata row goes first: if anything after it fails, the worst case is
+ * an unreferenced file, never metadata pointing at a missing one. Files that
+ * cannot be deleted right away are queued in `storage_deletions`
+ * (supabase/migrations/0015_storage_deletions.sql) and retried by the
+ * scheduled sweep.
+ */
+
+// Tables keyed by (uid, audioid) that only exist for an audio file
+const AUDIO_DERIVED_TABLES = ['transcript_versions', 'transcript_translations', 'audio_uploads'];
+
+// Queued deletions retried per sweep
+const DELETION_SWEEP_LIMIT = 100;
+
+/**
+ * Keep the stored objects that are in the user's own folders
+ * Paths come from URLs a client may have supplied, so one pointing at someone
+ * else's file can never get it deleted.
+ * @param {string} uid - User ID
+ * @param {Array<string|null>} paths - Candidate object paths
+ * @returns {Array<string>} Unique owned paths
+ */
+const ownObjectPaths = (uid, paths) => {
+  const ownPrefixes = [`${uid}/`, `users/${uid}/`];
+
+  return [...new Set(paths.filter(path => path && ownPrefixes.some(prefix => path.startsWith(prefix)) && !path.includes('..')))];
+};
+
+/**
+ * Stored objects that belong to an audio file
+ * The object is found from audio_url, which covers files the client uploaded
+ * itself as well as /upload, and from file_path.
+ * @param {Object} env - Environment variables
+ * @param {string} uid - User ID
+ * @param {Object} audio - audio_metadata row with audio_url and file_path
+ * @returns {Array<string>} Object paths
+ */
+export const audioObjectPaths = (env, uid, audio) => {
+  return ownObjectPaths(uid, [getStorage(env).getObjectPath(env, audio.audio_url), audio.file_path]);
+};
+
+/**
+ * Stored objects that belong to a video
+ * Generated videos are copied to users/<uid>/videos/<video_id>.mp4; video_url
+ * points there unless the copy failed.
+ * @param {Object} env - Environment variables
+ * @param {string} uid - User ID
+ * @param {Object} video - video_metadata row with video_id, video_url and file_path
+ * @returns {Array<string>} Object paths
+ */
+export const videoObjectPaths = (env, uid, video) => {
+  return ownObjectPaths(uid, [
+    getStorage(env).getObjectPath(env, video.video_url),
+    `users/${uid}/videos/${video.video_id}.mp4`,
+    video.file_path
+  ]);
+};
+
+/**
+ * Delete stored objects, queueing them for the sweep if that fails
+ * @param {Object} env - Environment variables
+ * @param {string} uid - User ID
+ * @param {string} mediaId - Audio or video ID, recorded with queued deletions
+ * @param {Array<string>} paths - Object paths
+ * @returns {Promise<boolean>} True if deleted now, false if queued
+ */
+const removeMediaObjects = async (env, uid, mediaId, paths) => {
+  if (!paths.length) return true;
+
+  try {
+    await getStorage(env).removeObjects(env, paths);
+    return true;
+  } catch (error) {
+    console.error(`Error deleting files of ${mediaId}, queueing for retry:`, error);
+
+    const { error: queueError } = await getSupabaseClient(env)
+      .from('storage_deletions')
+      .upsert(paths.map(file_path => ({ file_path, uid, media_id: mediaId, last_error: error.message })), { onConflict: 'file_path' });
+
+    if (queueError) {
+      console.error(`Could not queue files of ${mediaId} for deletion (${paths.join(', ')}):`, queueError);
+    }
+    return false;
+  }
+};
+
+/**
+ * Delete an audio file and everything stored for it
+ * @param {Object} env - Environment variables
+ * @param {string} uid - User ID
+ * @param {string} audioid - Audio ID
+ * @param {Function} [scope] - Adds conditions the row must meet, e.g. q => q.not('deleted_at', 'is', null)
+ * @returns {Promise<Object|null>} { file_paths, files_deleted }, or null if no such audio
+ */
+export const deleteAudio = async (env, uid, audioid, scope = (query) => query) => {
+  const supabase = getSupabaseClient(env);
+
+  // Deleting returns the row, so the paths are read in the same statement
+  const { data: deleted, error: deleteError } = await scope(supabase
+    .from('audio_metadata')
+    .delete()
+    .eq('uid', uid)
+    .eq('audioid', audioid))
+    .select('audio_url, file_path');
+
+  if (deleteError) {
+    throw new Error(`Failed to delete audio metadata: ${deleteError.message}`);
+  }
+
+  if (!deleted.length) return null;
+
+  // Derived rows only matter through the metadata row, so failures here are logged, not fatal.
+  // transcript_versions is only open to the service role.
+  const serviceClient = getSupabaseServiceClient(env);
+  for (const table of AUDIO_DERIVED_TABLES) {
+    const { error } = await serviceClient
+      .from(table)
+      .delete()
+      .eq('uid', uid)
+      .eq('audioid', audioid);
+
+    if (error) {
+      console.error(`Error deleting ${table} rows of ${audioid}:`, error);
+    }
+  }
+
+  const filePaths = audioObjectPaths(env, uid, deleted[0]);
+  const filesDeleted = await removeMediaObjects(env, uid, audioid, filePaths);
+
+  return { file_paths: filePaths, files_deleted: filesDeleted };
+};
+
+/**
+ * Delete a video and its stored file
+ * @param {Object} env - Environment variables
+ * @param {string} uid - User ID
+ * @param {string} videoId - Video ID
+ * @param {Function} [scope] - Adds conditions the row must meet
+ * @returns {Promise<Object|null>} { file_paths, files_deleted }, or null if no such video
+ */
+export const deleteVideo = async (env, uid, videoId, scope = (query) => query) => {
+  const { data: deleted, error: deleteError } = await scope(getSupabaseClient(env)
+    .from('video_metadata')
+    .delete()
+    .eq('uid', uid)
+    .eq('video_id', videoId))
+    .select('video_id, video_url, file_path');
+
+  if (deleteError) {
+    throw new Error(`Failed to delete video metadata: ${deleteError.message}`);
+  }
+
+  if (!deleted.length) return null;
+
+  const filePaths = videoObjectPaths(env, uid, deleted[0]);
+  const filesDeleted = await removeMediaObjects(env, uid, videoId, filePaths);
+
+  return { file_paths: filePaths, files_deleted: filesDeleted };
+};
+
+/**
+ * Retry queued file deletions (scheduled sweep)
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} { deleted, failed }
+ */
+export const retryStorageDeletions = async (env) => {
+  const supabase = getSupabaseClient(env);
+
+  const { data: queued, error } = await supabase
+    .from('storage_deletions')
+    .select('file_path, attempts')
+    .order('created_at', { ascending: true })
+    .limit(DELETION_SWEEP_LIMIT);
+
+  if (error) {
+    throw new Error(`Failed to load queued deletions: ${error.message}`);
+  }
+
+  if (!queued.length) return { deleted: 0, failed: 0 };
+
+  const paths = queued.map(entry => entry.file_path);
+
+  try {
+    await getStorage(env).removeObjects(env, paths);
+  } catch (removeError) {
+    // Keep them queued; attempts shows files that keep failing
+    for (const entry of queued) {
+      await supabase
+        .from('storage_deletions')
+        .update({ attempts: entry.attempts + 1, last_error: removeError.message, attempted_at: new Date().toISOString() })
+        .eq('file_path', entry.file_path);
+    }
+    return { deleted: 0, failed: queued.length };
+  }
+
+  const { error: dequeueError } = await supabase
+    .from('storage_deletions')
+    .delete()
+    .in('file_path', paths);
+
+  if (dequeueError) {
+    console.error('Error removing completed deletions from the queue:', dequeueError);
+  }
+
+  return { deleted: queued.length, failed: 0 };
+};
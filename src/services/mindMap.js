@@ -0,0 +1,134 @@
+import { buildXmlGraph, validateXmlGraph } from '../utils/xmlGraph.js';
+import { completeChat } from './llm/index.js';
+import { formatTranscriptForPrompt, parseJsonCompletion, parseTimestamp } from './llm/prompts.js';
+import { getTranscriptVersion } from './transcriptVersions.js';
+
+/**
+ * Mind map generation
+ *
+ * Asks an LLM for a hierarchical topic tree of the current transcript as JSON,
+ * normalizes it and serializes it as an XML graph (see src/utils/xmlGraph.js).
+ * The model never writes XML itself, so its output cannot break the document.
+ */
+
+// Topic levels below the root topic
+const MAX_DEPTH = 4;
+
+const MAX_CHILDREN = 8;
+const MAX_TOPICS = 150;
+const MAX_TITLE_LENGTH = 120;
+const MAX_NOTE_LENGTH = 500;
+
+const SYSTEM_PROMPT = [
+  'You turn transcripts of audio recordings into mind maps.',
+  'Each transcript line starts with its start time in seconds in square brackets.',
+  'Reply with a JSON object for the root topic: { "title", "note", "start", "end", "children" },',
+  'where children is an array of topics of the same shape.',
+  `Use at most ${MAX_DEPTH} levels below the root and ${MAX_CHILDREN} children per topic.`,
+  'Titles are short noun phrases; note is an optional one-sentence detail or null;',
+  'start and end are the seconds where the topic is discussed.',
+  'Only use information from the transcript. Write in the language of the transcript.'
+].join(' ');
+
+/**
+ * Round a model timestamp into [0, duration]
+ * @param {*} value - Timestamp
+ * @param {number|null} duration - Audio duration in seconds
+ * @returns {number|null} Seconds with two decimals, or null
+ */
+const normalizeTime = (value, duration) => {
+  const seconds = parseTimestamp(value);
+  if (seconds === null) return null;
+  const clamped = Math.min(Math.max(seconds, 0), duration || seconds);
+  return Math.round(clamped * 100) / 100;
+};
+
+/**
+ * Trim text to a maximum length
+ * @param {*} value - Text
+ * @param {number} maxLength - Maximum length
+ * @returns {string|null} Text or null if empty
+ */
+const clip = (value, maxLength) => {
+  if (typeof value !== 'string') return null;
+  const text = value.replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+/**
+ * Normalize the model's topic tree, dropping untitled topics and enforcing the limits
+ * @param {Object} root - Root topic from the model
+ * @param {number|null} duration - Audio duration in seconds
+ * @returns {Object} { tree, topicCount }
+ * @throws {Error} If the root topic has no title
+ */
+const normalizeTopicTree = (root, duration) => {
+  let topicCount = 0;
+
+  const normalize = (topic, depth) => {
+    const title = clip(topic?.title, MAX_TITLE_LENGTH);
+    if (!title || topicCount >= MAX_TOPICS) return null;
+    topicCount++;
+
+    let start = normalizeTime(topic.start, duration);
+    let end = normalizeTime(topic.end, duration);
+    if (start !== null && end !== null && start > end) [start, end] = [end, start];
+
+    const children = depth < MAX_DEPTH && Array.isArray(topic.children)
+      ? topic.children.slice(0, MAX_CHILDREN).map(child => normalize(child, depth + 1)).filter(Boolean)
+      : [];
+
+    return { title, note: clip(topic.note, MAX_NOTE_LENGTH), start, end, children };
+  };
+
+  const tree = normalize(root, 0);
+  if (!tree) {
+    throw new Error('LLM response is missing the root topic');
+  }
+
+  return { tree, topicCount };
+};
+
+/**
+ * Generate the XML graph of an audio file's current transcript
+ * @param {Object} env - Environment variables
+ * @param {Object} provider - LLM provider from resolveLlmProvider
+ * @param {Object} audio - Audio details
+ * @param {string} audio.uid - User ID
+ * @param {string} audio.audioid - Audio ID
+ * @param {number} [audio.duration] - Audio duration in seconds, bounds topic times
+ * @param {string} [audio.language] - Transcript language
+ * @returns {Promise<Object>} { xml, topicCount, transcriptVersion, model, truncated }
+ */
+export const generateMindMap = async (env, provider, { uid, audioid, duration, language }) => {
+  const transcript = await getTranscriptVersion(env, uid, audioid, 'latest');
+  if (!transcript?.transcription) {
+    throw new Error('Transcript is not available');
+  }
+
+  const prompt = formatTranscriptForPrompt(transcript);
+
+  console.log(`Starting ${provider.name} mind map for audioid: ${audioid}`);
+
+  const completion = await completeChat(env, provider, [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `Language: ${language || 'unknown'}\n\nTranscript:\n${prompt.text}` }
+  ], { json: true });
+
+  const { tree, topicCount } = normalizeTopicTree(parseJsonCompletion(completion.content), Number(duration) || null);
+  const xml = buildXmlGraph(tree, { audioid, generated_by: provider.name });
+
+  const validation = validateXmlGraph(xml);
+  if (!validation.valid) {
+    throw new Error(`Generated graph failed validation: ${validation.errors.join('; ')}`);
+  }
+
+  return {
+    xml,
+    topicCount,
+    transcriptVersion: transcript.version,
+    model: completion.model,
+    truncated: prompt.truncated
+  };
+};
@@ -0,0 +1,40 @@
+import { memoryStorage } from './memory.js';
+import { supabaseStorage } from './supabase.js';
+
+/**
+ * File storage
+ *
+ * Providers share one interface - { name, resumableChunkBytes, isConfigured(env),
+ * putObject, removeObjects, getPublicUrl, getObjectPath, createResumableUpload,
+ * appendResumableChunk, getResumableOffset, abortResumableUpload }. Supabase
+ * Storage is used unless STORAGE_PROVIDER picks another one, e.g. `memory`
+ * for local tests.
+ */
+
+export const DEFAULT_STORAGE_PROVIDER = 'supabase';
+
+export const STORAGE_PROVIDERS = {
+  [supabaseStorage.name]: supabaseStorage,
+  [memoryStorage.name]: memoryStorage
+};
+
+/**
+ * Get the configured storage provider
+ * @param {Object} env - Environment variables
+ * @returns {Object} Provider
+ * @throws {Error} If the provider does not exist or is not configured
+ */
+export const getStorage = (env) => {
+  const name = env.STORAGE_PROVIDER || DEFAULT_STORAGE_PROVIDER;
+  const provider = STORAGE_PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown storage provider: ${name}`);
+  }
+
+  if (!provider.isConfigured(env)) {
+    throw new Error(`Storage provider ${name} is not configured`);
+  }
+
+  return provider;
+};
@@ -0,0 +1,160 @@
+/**
+ * In-memory storage stand-in for local development and tests
+ *
+ * Keeps objects and resumable sessions in module state, so they live as long
+ * as the isolate. URLs use the memory:// scheme, which only the fake
+ * transcription provider can read. Only available when ENVIRONMENT is
+ * `development`.
+ */
+
+const objects = new Map();
+const sessions = new Map();
+
+/**
+ * Error for a chunk that does not start where the upload stopped
+ * @param {number} offset - Bytes received
+ * @returns {Error} Error with name UploadOffsetError
+ */
+const offsetError = (offset) => {
+  const error = new Error(`Upload offset mismatch; the server has ${offset} bytes`);
+  error.name = 'UploadOffsetError';
+  error.offset = offset;
+  return error;
+};
+
+/**
+ * Look up a resumable session
+ * @param {string} session - Session URL
+ * @returns {Object} Session state
+ * @throws {Error} If the session does not exist
+ */
+const findSession = (session) => {
+  const state = sessions.get(session);
+  if (!state) {
+    throw new Error('Resumable upload not found');
+  }
+  return state;
+};
+
+export const memoryStorage = {
+  name: 'memory',
+  // Small chunks keep local tests fast
+  resumableChunkBytes: 256 * 1024,
+
+  /**
+   * @param {Object} env - Environment variables
+   * @returns {boolean} Whether the provider can be used
+   */
+  isConfigured: (env) => env.ENVIRONMENT === 'development',
+
+  /**
+   * Store an object, replacing any existing one
+   * @param {Object} env - Environment variables
+   * @param {string} path - Object path
+   * @param {ArrayBuffer|Uint8Array} bytes - Contents
+   * @param {Object} options - Options
+   * @param {string} options.contentType - MIME type
+   */
+  putObject: async (env, path, bytes, { contentType }) => {
+    objects.set(path, { bytes: new Uint8Array(bytes), contentType });
+  },
+
+  /**
+   * Delete objects
+   * @param {Object} env - Environment variables
+   * @param {Array<string>} paths - Object paths
+   */
+  removeObjects: async (env, paths) => {
+    paths.forEach(path => objects.delete(path));
+  },
+
+  /**
+   * memory:// URL of an object
+   * @param {Object} env - Environment variables
+   * @param {string} path - Object path
+   * @returns {string} URL
+   */
+  getPublicUrl: (env, path) => `memory://user-uploads/${path}`,
+
+  /**
+   * Object path of a memory:// URL - the inverse of getPublicUrl
+   * @param {Object} env - Environment variables
+   * @param {string} url - Audio URL
+   * @returns {string|null} Object path, or null for other URLs
+   */
+  getObjectPath: (env, url) => {
+    const prefix = 'memory://user-uploads/';
+    return typeof url === 'string' && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  },
+
+  /**
+   * Read a stored object (tests only)
+   * @param {string} path - Object path
+   * @returns {Object|null} { bytes, contentType } or null
+   */
+  getObject: (path) => objects.get(path) || null,
+
+  /**
+   * Start a resumable upload
+   * @param {Object} env - Environment variables
+   * @param {string} path - Object path
+   * @param {Object} options - Options
+   * @param {number} options.size - Total size in bytes
+   * @param {string} options.contentType - MIME type
+   * @returns {Promise<string>} Session URL
+   */
+  createResumableUpload: async (env, path, { size, contentType }) => {
+    const session = `memory://uploads/${crypto.randomUUID()}`;
+    sessions.set(session, { path, size, contentType, chunks: [], offset: 0 });
+    return session;
+  },
+
+  /**
+   * Append a chunk; the object is stored once the last byte arrives
+   * @param {Object} env - Environment variables
+   * @param {string} session - Session URL
+   * @param {number} offset - Byte offset the chunk starts at
+   * @param {Uint8Array} bytes - Chunk
+   * @returns {Promise<number>} New offset
+   * @throws {Error} UploadOffsetError if the offset is not where the upload stopped
+   */
+  appendResumableChunk: async (env, session, offset, bytes) => {
+    const state = findSession(session);
+    if (offset !== state.offset) {
+      throw offsetError(state.offset);
+    }
+
+    state.chunks.push(new Uint8Array(bytes));
+    state.offset += bytes.byteLength;
+
+    if (state.offset >= state.size) {
+      const file = new Uint8Array(state.offset);
+      let position = 0;
+      for (const chunk of state.chunks) {
+        file.set(chunk, position);
+        position += chunk.length;
+      }
+      objects.set(state.path, { bytes: file, contentType: state.contentType });
+      state.chunks = [];
+    }
+
+    return state.offset;
+  },
+
+  /**
+   * Bytes received so far by a resumable upload
+   * @param {Object} env - Environment variables
+   * @param {string} session - Session URL
+   * @returns {Promise<number>} Offset
+   */
+  getResumableOffset: async (env, session) => findSession(session).offset,
+
+  /**
+   * Discard an unfinished resumable upload
+   * @param {Object} env - Environment variables
+   * @param {string} session - Session URL
+   */
+  abortResumableUpload: async (env, session) => {
+    sessions.delete(session);
+  }
+};
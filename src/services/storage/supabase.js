@@ -0,0 +1,217 @@
+import { getSupabaseClient } from '../../config/database.js';
+
+/**
+ * Supabase Storage provider
+ *
+ * Objects live in the `user-uploads` bucket. Resumable uploads use Supabase's
+ * TUS endpoint (/storage/v1/upload/resumable), so chunks are streamed straight
+ * into storage and never reassembled in the Worker.
+ * Env: SUPABASE_URL, SUPABASE_ANON_KEY.
+ */
+
+const BUCKET = 'user-uploads';
+const TUS_VERSION = '1.0.0';
+
+/**
+ * Headers of every TUS request
+ * @param {Object} env - Environment variables
+ * @returns {Object} Headers
+ */
+const tusHeaders = (env) => ({
+  'Authorization': `Bearer ${env.SUPABASE_ANON_KEY}`,
+  'apikey': env.SUPABASE_ANON_KEY,
+  'Tus-Resumable': TUS_VERSION
+});
+
+/**
+ * Error for a chunk that does not start where the upload stopped
+ * @param {number} offset - Bytes the server has
+ * @returns {Error} Error with name UploadOffsetError
+ */
+const offsetError = (offset) => {
+  const error = new Error(`Upload offset mismatch; the server has ${offset} bytes`);
+  error.name = 'UploadOffsetError';
+  error.offset = offset;
+  return error;
+};
+
+/**
+ * Throw a descriptive error for a failed TUS response
+ * @param {string} action - What was attempted
+ * @param {Response} response - Fetch response
+ */
+const throwTusError = async (action, response) => {
+  const errorText = await response.text();
+  console.error(`Supabase resumable upload error (${action}):`, response.status, errorText);
+  throw new Error(`Failed to ${action}: ${response.status} ${response.statusText} - ${errorText}`);
+};
+
+export const supabaseStorage = {
+  name: 'supabase',
+  // Supabase only accepts resumable chunks of exactly 6 MB, except the last one
+  resumableChunkBytes: 6 * 1024 * 1024,
+
+  /**
+   * @param {Object} env - Environment variables
+   * @returns {boolean} Whether the provider can be used
+   */
+  isConfigured: (env) => Boolean(env.SUPABASE_URL && env.SUPABASE_ANON_KEY),
+
+  /**
+   * Store an object, replacing any existing one
+   * @param {Object} env - Environment variables
+   * @param {string} path - Object path in the bucket
+   * @param {ArrayBuffer|Uint8Array} bytes - Contents
+   * @param {Object} options - Options
+   * @param {string} options.contentType - MIME type
+   */
+  putObject: async (env, path, bytes, { contentType }) => {
+    const { error } = await getSupabaseClient(env).storage
+      .from(BUCKET)
+      .upload(path, bytes, { contentType, upsert: true });
+
+    if (error) {
+      throw new Error(`Failed to store ${path}: ${error.message}`);
+    }
+  },
+
+  /**
+   * Delete objects
+   * @param {Object} env - Environment variables
+   * @param {Array<string>} paths - Object paths in the bucket
+   */
+  removeObjects: async (env, paths) => {
+    const { error } = await getSupabaseClient(env).storage
+      .from(BUCKET)
+      .remove(paths);
+
+    if (error) {
+      throw new Error(`Failed to delete ${paths.join(', ')}: ${error.message}`);
+    }
+  },
+
+  /**
+   * Public URL of an object, as fetched by the transcription providers
+   * @param {Object} env - Environment variables
+   * @param {string} path - Object path in the bucket
+   * @returns {string} URL
+   */
+  getPublicUrl: (env, path) => {
+    const { data } = getSupabaseClient(env).storage.from(BUCKET).getPublicUrl(path);
+    return data.publicUrl;
+  },
+
+  /**
+   * Object path of a URL pointing into the bucket - the inverse of getPublicUrl
+   * @param {Object} env - Environment variables
+   * @param {string} url - Audio URL
+   * @returns {string|null} Object path, or null for URLs outside the bucket
+   */
+  getObjectPath: (env, url) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    // Public and signed URLs only differ in this segment
+    const match = parsed.pathname.match(/^\/storage\/v1\/object\/(?:public|sign|authenticated)\/([^/]+)\/(.+)$/);
+    if (!match || parsed.origin !== new URL(env.SUPABASE_URL).origin || match[1] !== BUCKET) return null;
+
+    return decodeURIComponent(match[2]);
+  },
+
+  /**
+   * Start a resumable upload
+   * @param {Object} env - Environment variables
+   * @param {string} path - Object path in the bucket
+   * @param {Object} options - Options
+   * @param {number} options.size - Total size in bytes
+   * @param {string} options.contentType - MIME type
+   * @returns {Promise<string>} Session URL passed to the other resumable calls
+   */
+  createResumableUpload: async (env, path, { size, contentType }) => {
+    const endpoint = `${env.SUPABASE_URL}/storage/v1/upload/resumable`;
+    const metadata = Object.entries({ bucketName: BUCKET, objectName: path, contentType })
+      .map(([key, value]) => `${key} ${btoa(value)}`)
+      .join(',');
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        ...tusHeaders(env),
+        'Upload-Length': String(size),
+        'Upload-Metadata': metadata,
+        'x-upsert': 'true'
+      }
+    });
+
+    if (response.status !== 201) {
+      await throwTusError('start resumable upload', response);
+    }
+
+    return new URL(response.headers.get('Location'), endpoint).toString();
+  },
+
+  /**
+   * Append a chunk to a resumable upload
+   * @param {Object} env - Environment variables
+   * @param {string} session - Session URL
+   * @param {number} offset - Byte offset the chunk starts at
+   * @param {Uint8Array} bytes - Chunk
+   * @returns {Promise<number>} New offset
+   * @throws {Error} UploadOffsetError if the offset is not where the upload stopped
+   */
+  appendResumableChunk: async (env, session, offset, bytes) => {
+    const response = await fetch(session, {
+      method: 'PATCH',
+      headers: {
+        ...tusHeaders(env),
+        'Upload-Offset': String(offset),
+        'Content-Type': 'application/offset+octet-stream'
+      },
+      body: bytes
+    });
+
+    if (response.status === 409) {
+      throw offsetError(await supabaseStorage.getResumableOffset(env, session));
+    }
+
+    if (response.status !== 204) {
+      await throwTusError('upload chunk', response);
+    }
+
+    return Number(response.headers.get('Upload-Offset'));
+  },
+
+  /**
+   * Bytes received so far by a resumable upload
+   * @param {Object} env - Environment variables
+   * @param {string} session - Session URL
+   * @returns {Promise<number>} Offset
+   */
+  getResumableOffset: async (env, session) => {
+    const response = await fetch(session, { method: 'HEAD', headers: tusHeaders(env) });
+
+    if (!response.ok) {
+      await throwTusError('read upload offset', response);
+    }
+
+    return Number(response.headers.get('Upload-Offset'));
+  },
+
+  /**
+   * Discard an unfinished resumable upload
+   * @param {Object} env - Environment variables
+   * @param {string} session - Session URL
+   */
+  abortResumableUpload: async (env, session) => {
+    const response = await fetch(session, { method: 'DELETE', headers: tusHeaders(env) });
+
+    // 404: already expired or finished
+    if (!response.ok && response.status !== 404) {
+      await throwTusError('abort resumable upload', response);
+    }
+  }
+};
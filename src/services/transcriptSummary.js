@@ -0,0 +1,275 @@
+import { getSupabaseClient } from '../config/database.js';
+import { completeChat } from './llm/index.js';
+import { formatTranscriptForPrompt, MAX_TRANSCRIPT_PROMPT_CHARS, parseJsonCompletion, parseTimestamp } from './llm/prompts.js';
+import { getTranscriptVersion } from './transcriptVersions.js';
+
+/**
+ * Transcript summaries
+ *
+ * Produces a summary, key points, action items and time-coded chapters for the
+ * current transcript with an LLM provider and stores them in
+ * `audio_metadata.summary_data` (supabase/migrations/0011_transcript_summaries.sql):
+ *
+ *   {
+ *     status: 'processing' | 'completed' | 'failed',
+ *     provider, model, transcript_version, truncated, requested_at, generated_at, error,
+ *     summary: '...',
+ *     key_points: ['...'],
+ *     action_items: [{ text, owner, due, start }],
+ *     chapters: [{ title, summary, start, end }]
+ *   }
+ *
+ * A failed regeneration keeps the previous result next to the error. Billing is
+ * left to the caller.
+ */
+
+export const SUMMARY_STATUSES = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// A summary still processing after this long is assumed lost and may be restarted;
+// outlasts every attempt of the summary job (src/jobs/summaryJob.js)
+const PROCESSING_TIMEOUT_MS = 20 * 60 * 1000;
+
+const MAX_KEY_POINTS = 10;
+const MAX_ACTION_ITEMS = 20;
+const MAX_CHAPTERS = 20;
+
+const SYSTEM_PROMPT = [
+  'You summarize transcripts of audio recordings.',
+  'Each transcript line starts with its start time in seconds in square brackets.',
+  'Reply with a JSON object with these keys:',
+  '"summary": a concise paragraph;',
+  `"key_points": up to ${MAX_KEY_POINTS} short strings;`,
+  `"action_items": up to ${MAX_ACTION_ITEMS} objects { "text", "owner", "due", "start" } where owner and due are null unless stated and start is the time in seconds the item was mentioned;`,
+  `"chapters": up to ${MAX_CHAPTERS} objects { "title", "summary", "start" } in order, where start is the time in seconds the chapter begins and the first chapter starts at 0.`,
+  'Only use information from the transcript. Write in the language of the transcript.'
+].join(' ');
+
+/**
+ * Non-empty trimmed string or null
+ * @param {*} value - Value
+ * @returns {string|null} String or null
+ */
+const cleanText = (value) => {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  return text || null;
+};
+
+/**
+ * Validate and normalize the model's JSON answer
+ * @param {string} content - Completion content
+ * @param {number} duration - Audio duration in seconds, bounds chapter times
+ * @returns {Object} { summary, key_points, action_items, chapters }
+ * @throws {Error} If the answer is not usable
+ */
+const parseSummaryResponse = (content, duration) => {
+  const data = parseJsonCompletion(content);
+
+  const summary = cleanText(data?.summary);
+  if (!summary) {
+    throw new Error('LLM response is missing the summary');
+  }
+
+  const clampTime = (value) => {
+    const seconds = parseTimestamp(value);
+    if (seconds === null) return null;
+    return Math.min(Math.max(seconds, 0), duration || seconds);
+  };
+
+  const keyPoints = (Array.isArray(data.key_points) ? data.key_points : [])
+    .map(cleanText)
+    .filter(Boolean)
+    .slice(0, MAX_KEY_POINTS);
+
+  const actionItems = (Array.isArray(data.action_items) ? data.action_items : [])
+    .map(item => (typeof item === 'string' ? { text: item } : item || {}))
+    .map(item => ({
+      text: cleanText(item.text),
+      owner: cleanText(item.owner),
+      due: cleanText(item.due),
+      start: clampTime(item.start)
+    }))
+    .filter(item => item.text)
+    .slice(0, MAX_ACTION_ITEMS);
+
+  const chapters = (Array.isArray(data.chapters) ? data.chapters : [])
+    .map(chapter => ({
+      title: cleanText(chapter?.title),
+      summary: cleanText(chapter?.summary),
+      start: clampTime(chapter?.start)
+    }))
+    .filter(chapter => chapter.title && chapter.start !== null)
+    .sort((a, b) => a.start - b.start)
+    .filter((chapter, index, sorted) => index === 0 || chapter.start > sorted[index - 1].start)
+    .slice(0, MAX_CHAPTERS)
+    .map((chapter, index, sorted) => ({
+      ...chapter,
+      end: index + 1 < sorted.length ? sorted[index + 1].start : (duration || chapter.start)
+    }));
+
+  return { summary, key_points: keyPoints, action_items: actionItems, chapters };
+};
+
+/**
+ * Mark a summary as processing, unless one already is
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Summary job
+ * @param {string} job.uid - User ID
+ * @param {string} job.audioid - Audio ID
+ * @param {Object} job.provider - LLM provider
+ * @param {Object} [job.previous] - Current summary_data, kept until the new result is saved
+ * @returns {Promise<boolean>} False if another summary is still processing
+ */
+export const claimTranscriptSummary = async (env, { uid, audioid, provider, previous }) => {
+  const supabase = getSupabaseClient(env);
+  const staleBefore = new Date(Date.now() - PROCESSING_TIMEOUT_MS).toISOString();
+
+  const { data, error } = await supabase
+    .from('audio_metadata')
+    .update({
+      summary_data: {
+        ...(previous || {}),
+        status: SUMMARY_STATUSES.PROCESSING,
+        provider: provider.name,
+        requested_at: new Date().toISOString(),
+        error: null
+      }
+    })
+    .eq('uid', uid)
+    .eq('audioid', audioid)
+    .or(`summary_data.is.null,summary_data->>status.neq.${SUMMARY_STATUSES.PROCESSING},summary_data->>requested_at.lt.${staleBefore}`)
+    .select('audioid');
+
+  if (error) {
+    throw new Error(`Failed to start summary: ${error.message}`);
+  }
+
+  return data.length > 0;
+};
+
+/**
+ * Save summary_data of an audio file
+ * @param {Object} env - Environment variables
+ * @param {string} uid - User ID
+ * @param {string} audioid - Audio ID
+ * @param {Object} summaryData - summary_data to store
+ */
+const saveSummaryData = async (env, uid, audioid, summaryData) => {
+  const { error } = await getSupabaseClient(env)
+    .from('audio_metadata')
+    .update({ summary_data: summaryData })
+    .eq('uid', uid)
+    .eq('audioid', audioid);
+
+  if (error) {
+    throw new Error(`Failed to save summary: ${error.message}`);
+  }
+};
+
+/**
+ * Summarize the current transcript and save the result
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Summary job
+ * @param {string} job.uid - User ID
+ * @param {string} job.audioid - Audio ID
+ * @param {Object} job.provider - LLM provider
+ * @returns {Promise<Object>} Saved summary_data
+ * @throws {Error} If the summary could not be generated or saved; nothing is saved then
+ */
+export const generateTranscriptSummary = async (env, { uid, audioid, provider }) => {
+  const transcript = await getTranscriptVersion(env, uid, audioid, 'latest');
+  if (!transcript?.transcription) {
+    throw new Error('Transcript is not available');
+  }
+
+  const { data: audio, error: audioError } = await getSupabaseClient(env)
+    .from('audio_metadata')
+    .select('duration, language')
+    .eq('uid', uid)
+    .eq('audioid', audioid)
+    .single();
+
+  if (audioError) {
+    throw new Error(`Failed to load audio: ${audioError.message}`);
+  }
+
+  const prompt = formatTranscriptForPrompt(transcript);
+
+  if (prompt.truncated) {
+    console.warn(`Transcript of ${audioid} was truncated to ${MAX_TRANSCRIPT_PROMPT_CHARS} characters for summarization`);
+  }
+
+  console.log(`Starting ${provider.name} summary for audioid: ${audioid}`);
+
+  const completion = await completeChat(env, provider, [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `Language: ${audio.language || 'unknown'}\n\nTranscript:\n${prompt.text}` }
+  ], { json: true });
+
+  const result = parseSummaryResponse(completion.content, Number(audio.duration) || null);
+  const summaryData = {
+    status: SUMMARY_STATUSES.COMPLETED,
+    provider: provider.name,
+    model: completion.model,
+    transcript_version: transcript.version,
+    truncated: prompt.truncated,
+    generated_at: new Date().toISOString(),
+    error: null,
+    ...result
+  };
+
+  await saveSummaryData(env, uid, audioid, summaryData);
+  console.log(`Summary completed for audioid: ${audioid}`);
+  return summaryData;
+};
+
+/**
+ * Mark a summary failed, keeping the previous result
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Summary job
+ * @param {string} job.uid - User ID
+ * @param {string} job.audioid - Audio ID
+ * @param {string} job.providerName - LLM provider name
+ * @param {Object} [job.previous] - summary_data before the job was claimed
+ * @param {Error} error - Reason
+ */
+export const failTranscriptSummary = async (env, { uid, audioid, providerName, previous }, error) => {
+  await saveSummaryData(env, uid, audioid, {
+    ...(previous || {}),
+    status: SUMMARY_STATUSES.FAILED,
+    provider: providerName,
+    error: error.message || 'Unknown error occurred during summarization'
+  });
+};
+
+/**
+ * Summarize the current transcript once, saving the result or the failure
+ * Never throws; failures are saved in summary_data and logged.
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Summary job
+ * @param {string} job.uid - User ID
+ * @param {string} job.audioid - Audio ID
+ * @param {Object} job.provider - LLM provider
+ * @param {Object} [job.previous] - summary_data before the job was claimed
+ * @returns {Promise<Object>} { success, summary } or { success: false, error }
+ */
+export const runTranscriptSummary = async (env, { uid, audioid, provider, previous }) => {
+  try {
+    const summary = await generateTranscriptSummary(env, { uid, audioid, provider });
+    return { success: true, summary };
+  } catch (error) {
+    console.error(`Error summarizing audioid: ${audioid}:`, error.message || error);
+
+    try {
+      await failTranscriptSummary(env, { uid, audioid, providerName: provider.name, previous }, error);
+    } catch (saveError) {
+      console.error('Critical error: Could not save summary failure:', saveError);
+    }
+
+    return { success: false, error: error.message };
+  }
+};
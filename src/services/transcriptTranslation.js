@@ -0,0 +1,213 @@
+import { getSupabaseClient } from '../config/database.js';
+import { translateTexts } from './translation/index.js';
+import { buildSegments } from './transcription/schema.js';
+import { getTranscriptVersion } from './transcriptVersions.js';
+
+/**
+ * Transcript translations
+ *
+ * Translates the current transcript segment by segment and stores one row per
+ * target language in `transcript_translations`
+ * (supabase/migrations/0012_transcript_translations.sql). Every translated
+ * segment keeps the start, end and speaker of its source segment, so
+ * subtitles can be exported in the target language.
+ *
+ * A failed retranslation keeps the previous segments next to the error.
+ * Billing is left to the caller.
+ */
+
+export const TRANSLATION_STATUSES = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// A translation still processing after this long is assumed lost and may be restarted;
+// outlasts every attempt of the translation job (src/jobs/translationJob.js)
+const PROCESSING_TIMEOUT_MS = 45 * 60 * 1000;
+
+// Columns returned when listing translations, without the translated text
+const SUMMARY_COLUMNS = 'language, source_language, status, provider, model, transcript_version, error, requested_at, completed_at';
+
+/**
+ * Mark a translation as processing, unless one into the same language already is
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Translation job
+ * @param {string} job.uid - User ID
+ * @param {string} job.audioid - Audio ID
+ * @param {string} job.language - Target language code
+ * @param {string|null} job.sourceLanguage - Language of the transcript
+ * @param {Object} job.provider - Translation provider
+ * @returns {Promise<boolean>} False if the same translation is still processing
+ */
+export const claimTranslation = async (env, { uid, audioid, language, sourceLanguage, provider }) => {
+  const supabase = getSupabaseClient(env);
+  const claim = {
+    status: TRANSLATION_STATUSES.PROCESSING,
+    source_language: sourceLanguage,
+    provider: provider.name,
+    requested_at: new Date().toISOString(),
+    error: null
+  };
+
+  const { error: insertError } = await supabase
+    .from('transcript_translations')
+    .insert({ uid, audioid, language, ...claim });
+
+  if (!insertError) return true;
+
+  // 23505: a translation into this language exists - take it over unless it is running
+  if (insertError.code !== '23505') {
+    throw new Error(`Failed to start translation: ${insertError.message}`);
+  }
+
+  const staleBefore = new Date(Date.now() - PROCESSING_TIMEOUT_MS).toISOString();
+
+  const { data, error } = await supabase
+    .from('transcript_translations')
+    .update(claim)
+    .eq('uid', uid)
+    .eq('audioid', audioid)
+    .eq('language', language)
+    .or(`status.neq.${TRANSLATION_STATUSES.PROCESSING},requested_at.lt.${staleBefore}`)
+    .select('language');
+
+  if (error) {
+    throw new Error(`Failed to start translation: ${error.message}`);
+  }
+
+  return data.length > 0;
+};
+
+/**
+ * Update the translation row of a job
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Translation job, { uid, audioid, language }
+ * @param {Object} fields - Fields to set
+ */
+const updateTranslation = async (env, { uid, audioid, language }, fields) => {
+  const { error } = await getSupabaseClient(env)
+    .from('transcript_translations')
+    .update(fields)
+    .eq('uid', uid)
+    .eq('audioid', audioid)
+    .eq('language', language);
+
+  if (error) {
+    throw new Error(`Failed to save translation: ${error.message}`);
+  }
+};
+
+/**
+ * Translate the current transcript and save the result
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Translation job
+ * @param {string} job.uid - User ID
+ * @param {string} job.audioid - Audio ID
+ * @param {string} job.language - Target language code
+ * @param {string|null} job.sourceLanguage - Language of the transcript
+ * @param {Object} job.provider - Translation provider
+ * @returns {Promise<Object>} { segmentCount }
+ * @throws {Error} If the translation could not be generated or saved; nothing is saved then
+ */
+export const translateTranscript = async (env, { uid, audioid, language, sourceLanguage, provider }) => {
+  const transcript = await getTranscriptVersion(env, uid, audioid, 'latest');
+  if (!transcript?.transcription) {
+    throw new Error('Transcript is not available');
+  }
+
+  const segments = (transcript.segments_data?.length ? transcript.segments_data : buildSegments(transcript.words_data || []))
+    .filter(segment => String(segment.text || '').trim());
+
+  if (segments.length === 0) {
+    throw new Error('Transcript has no timed segments to translate');
+  }
+
+  const result = await translateTexts(env, provider, segments.map(segment => segment.text.trim()), {
+    source: sourceLanguage,
+    target: language
+  });
+
+  const translatedSegments = segments.map((segment, index) => ({
+    start: segment.start,
+    end: segment.end,
+    speaker: segment.speaker ?? null,
+    text: result.texts[index]
+  }));
+
+  await updateTranslation(env, { uid, audioid, language }, {
+    status: TRANSLATION_STATUSES.COMPLETED,
+    model: result.model,
+    transcript_version: transcript.version,
+    transcription: translatedSegments.map(segment => segment.text).filter(Boolean).join(' '),
+    segments_data: translatedSegments,
+    error: null,
+    completed_at: new Date().toISOString()
+  });
+
+  console.log(`Translation into ${language} completed for audioid: ${audioid}`);
+  return { segmentCount: translatedSegments.length };
+};
+
+/**
+ * Mark a translation failed, keeping the previous segments
+ * @param {Object} env - Environment variables
+ * @param {Object} job - Translation job, { uid, audioid, language }
+ * @param {Error} error - Reason
+ */
+export const failTranslation = async (env, job, error) => {
+  await updateTranslation(env, job, {
+    status: TRANSLATION_STATUSES.FAILED,
+    error: error.message || 'Unknown error occurred during translation'
+  });
+};
+
+/**
+ * Get one translation with its segments
+ * @param {Object} env - Environment variables
+ * @param {string} uid - User ID
+ * @param {string} audioid - Audio ID
+ * @param {string} language - Target language code
+ * @returns {Promise<Object|null>} Translation row or null
+ */
+export const getTranslation = async (env, uid, audioid, language) => {
+  const supabase = getSupabaseClient(env);
+
+  const { data, error } = await supabase
+    .from('transcript_translations')
+    .select(`${SUMMARY_COLUMNS}, transcription, segments_data`)
+    .eq('uid', uid)
+    .eq('audioid', audioid)
+    .eq('language', language)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load translation: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * List the translations of an audio file, without their text
+ * @param {Object} env - Environment variables
+ * @param {string} uid - User ID
+ * @param {string} audioid - Audio ID
+ * @returns {Promise<Array>} Translations ordered by language
+ */
+export const listTranslations = async (env, uid, audioid) => {
+  const supabase = getSupabaseClient(env);
+
+  const { data, error } = await supabase
+    .from('transcript_translations')
+    .select(SUMMARY_COLUMNS)
+    .eq('uid', uid)
+    .eq('audioid', audioid)
+    .order('language', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to list translations: ${error.message}`);
+  }
+
+  return data || [];
+};
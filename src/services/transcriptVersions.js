@@ -0,0 +1,171 @@
+import { getSupabaseServiceClient } from '../config/database.js';
+
+/**
+ * Transcript versions
+ *
+ * `audio_metadata` holds the current transcript; edits and rollbacks are saved
+ * through the `save_transcript_version` function
+ * (supabase/migrations/0008_transcript_versions.sql), which snapshots the
+ * machine output as version 1 on the first edit. The table and the function
+ * are only open to the service role, so every query here is scoped to the uid
+ * of the verified access token.
+ */
+
+export const VERSION_SOURCES = {
+  MACHINE: 'machine',
+  EDIT: 'edit',
+  ROLLBACK: 'rollback'
+};
+
+/**
+ * Parse a version selector
+ * @param {string|number} [value] - 'latest' (default), 'original' or a version number
+ * @returns {string|number} 'latest', 'original' or a positive integer
+ * @throws {Error} ValidationError if the selector is invalid
+ */
+export const parseVersionSelector = (value) => {
+  if (value === undefined || value === null || value === '' || value === 'latest') return 'latest';
+  if (value === 'original') return 'original';
+
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    const error = new Error('version must be "latest", "original" or a positive integer');
+    error.name = 'ValidationError';
+    throw error;
+  }
+  return version;
+};
+
+/**
+ * Load the current transcript of an audio file
+ * @param {Object} supabase - Supabase client
+ * @param {string} uid - User ID
+ * @param {string} audioid - Audio ID
+ * @returns {Promise<Object|null>} audio_metadata row or null
+ */
+const fetchCurrentTranscript = async (supabase, uid, audioid) => {
+  const { data, error } = await supabase
+    .from('audio_metadata')
+    .select('status, uploaded_at, current_version, transcription, words_data, segments_data')
+    .eq('uid', uid)
+    .eq('audioid', audioid)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load transcript: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Get one version of a transcript
+ * Before the first edit the current transcript is the original, version 1.
+ * @param {Object} env - Environment variables
+ * @param {string} uid - User ID
+ * @param {string} audioid - Audio ID
+ * @param {string|number} [selector] - From parseVersionSelector
+ * @returns {Promise<Object|null>} { version, current_version, source, status, transcription,
+ *   words_data, segments_data }, or null if the audio or version does not exist
+ */
+export const getTranscriptVersion = async (env, uid, audioid, selector = 'latest') => {
+  const supabase = getSupabaseServiceClient(env);
+  const current = await fetchCurrentTranscript(supabase, uid, audioid);
+  if (!current) return null;
+
+  const currentVersion = current.current_version || 1;
+  const version = selector === 'latest' ? currentVersion : selector === 'original' ? 1 : selector;
+
+  if (version === currentVersion) {
+    return {
+      version,
+      current_version: currentVersion,
+      source: currentVersion === 1 ? VERSION_SOURCES.MACHINE : null,
+      status: current.status,
+      transcription: current.transcription,
+      words_data: current.words_data,
+      segments_data: current.segments_data
+    };
+  }
+
+  const { data, error } = await supabase
+    .from('transcript_versions')
+    .select('version, source, transcription, words_data, segments_data')
+    .eq('uid', uid)
+    .eq('audioid', audioid)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load transcript version: ${error.message}`);
+  }
+
+  return data ? { ...data, current_version: currentVersion, status: current.status } : null;
+};
+
+/**
+ * List the versions of a transcript, newest first
+ * @param {Object} env - Environment variables
+ * @param {string} uid - User ID
+ * @param {string} audioid - Audio ID
+ * @returns {Promise<Object|null>} { current_version, versions } or null if the audio does not exist
+ */
+export const listTranscriptVersions = async (env, uid, audioid) => {
+  const supabase = getSupabaseServiceClient(env);
+  const current = await fetchCurrentTranscript(supabase, uid, audioid);
+  if (!current) return null;
+
+  const { data, error } = await supabase
+    .from('transcript_versions')
+    .select('version, source, based_on, note, created_at')
+    .eq('uid', uid)
+    .eq('audioid', audioid)
+    .order('version', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to list transcript versions: ${error.message}`);
+  }
+
+  const versions = data.length > 0
+    ? data
+    : [{ version: 1, source: VERSION_SOURCES.MACHINE, based_on: null, note: null, created_at: current.uploaded_at }];
+
+  return { current_version: current.current_version || 1, versions };
+};
+
+/**
+ * Save a new current version
+ * @param {Object} env - Environment variables
+ * @param {Object} version - Version details
+ * @param {string} version.uid - User ID
+ * @param {string} version.audioid - Audio ID
+ * @param {string} version.transcription - Transcript text
+ * @param {Array} version.words - words_data
+ * @param {Array} version.segments - segments_data
+ * @param {string} version.source - VERSION_SOURCES.EDIT or VERSION_SOURCES.ROLLBACK
+ * @param {number} [version.basedOn] - Version a rollback restores
+ * @param {string} [version.note] - Free-form description of the change
+ * @param {number} [version.baseVersion] - Reject the save if the current version has moved on
+ * @returns {Promise<Object>} { success, version } or { success: false, conflict, current_version, message }
+ */
+export const saveTranscriptVersion = async (env, { uid, audioid, transcription, words, segments, source, basedOn, note, baseVersion }) => {
+  const supabase = getSupabaseServiceClient(env);
+
+  const { data, error } = await supabase.rpc('save_transcript_version', {
+    p_uid: uid,
+    p_audioid: audioid,
+    p_transcription: transcription,
+    p_words_data: words,
+    p_segments_data: segments,
+    p_source: source,
+    p_based_on: basedOn ?? null,
+    p_note: note || null,
+    p_base_version: baseVersion ?? null
+  });
+
+  if (error) {
+    throw new Error(`Failed to save transcript version: ${error.message}`);
+  }
+
+  return data;
+};
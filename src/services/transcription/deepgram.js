@@ -0,0 +1,161 @@
+import { AUTO_LANGUAGE, buildSegments, normalizeWord } from './schema.js';
+
+/**
+ * Deepgram provider
+ *
+ * Sends the audio URL to Deepgram's pre-recorded API, which fetches the file itself.
+ * With a callback URL (submit) Deepgram answers with a request_id straight away
+ * and posts the same response body to the URL when it is done.
+ * Env: DEEPGRAM_API_URL, DEEPGRAM_API_KEY, DEEPGRAM_MODEL (default whisper).
+ */
+
+const DEFAULT_DEEPGRAM_MODEL = 'whisper';
+
+/**
+ * Query parameters of a transcription request
+ * @param {Object} env - Environment variables
+ * @param {Object} options - Options
+ * @param {string} options.language - BCP-47 language code, or AUTO_LANGUAGE to detect it
+ * @param {boolean} [options.diarize] - Label words and segments with speakers
+ * @returns {URLSearchParams} Parameters
+ */
+const buildParams = (env, { language, diarize }) => {
+  const params = new URLSearchParams({
+    smart_format: 'true',
+    model: env.DEEPGRAM_MODEL || DEFAULT_DEEPGRAM_MODEL
+  });
+
+  if (language === AUTO_LANGUAGE) {
+    params.set('detect_language', 'true');
+  } else {
+    params.set('language', language);
+  }
+
+  if (diarize) {
+    // Utterances are Deepgram's speaker turns; they become the segments
+    params.set('diarize', 'true');
+    params.set('utterances', 'true');
+  }
+
+  return params;
+};
+
+/**
+ * Send a transcription request
+ * @param {Object} env - Environment variables
+ * @param {string} audioUrl - Public audio URL
+ * @param {URLSearchParams} params - Query parameters
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<Object>} Response body
+ */
+const postRequest = async (env, audioUrl, params, signal) => {
+  const response = await fetch(`${env.DEEPGRAM_API_URL}?${params}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Token ${env.DEEPGRAM_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ url: audioUrl }),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('Deepgram API error:', response.status, response.statusText, errorText);
+    throw new Error(`Deepgram API error: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Map a Deepgram response body to the common schema
+ * @param {Object} data - Response or callback body
+ * @returns {Object} Result in the common schema
+ */
+const toResult = (data) => {
+  const channel = data.results?.channels?.[0] || {};
+  const alternative = channel.alternatives?.[0] || {};
+  const words = (alternative.words || []).map(normalizeWord);
+  const utterances = data.results?.utterances || [];
+  const segments = utterances.length
+    ? utterances.map(({ start, end, transcript, speaker }) => ({ start, end, text: transcript, speaker: speaker ?? null }))
+    : buildSegments(words);
+
+  return {
+    provider: 'deepgram',
+    transcription: alternative.transcript || '',
+    words,
+    segments,
+    duration: data.metadata?.duration ?? null,
+    language: channel.detected_language ?? null,
+    language_confidence: channel.language_confidence ?? null
+  };
+};
+
+export const deepgramProvider = {
+  name: 'deepgram',
+  timeoutMs: 30000,
+  supportsDiarization: true,
+  supportsCallbacks: true,
+
+  /**
+   * @param {Object} env - Environment variables
+   * @returns {boolean} Whether the provider can be used
+   */
+  isConfigured: (env) => Boolean(env.DEEPGRAM_API_URL && env.DEEPGRAM_API_KEY),
+
+  /**
+   * Transcribe an audio URL
+   * @param {Object} env - Environment variables
+   * @param {string} audioUrl - Public audio URL
+   * @param {Object} options - Options
+   * @param {string} options.language - BCP-47 language code, or AUTO_LANGUAGE to detect it
+   * @param {boolean} [options.diarize] - Label words and segments with speakers
+   * @param {AbortSignal} [options.signal] - Abort signal
+   * @returns {Promise<Object>} Result in the common schema
+   */
+  transcribe: async (env, audioUrl, { language, diarize, signal }) => {
+    return toResult(await postRequest(env, audioUrl, buildParams(env, { language, diarize }), signal));
+  },
+
+  /**
+   * Start a transcription whose result Deepgram posts to a callback URL
+   * @param {Object} env - Environment variables
+   * @param {string} audioUrl - Public audio URL
+   * @param {Object} options - Options, as for transcribe
+   * @param {string} options.callbackUrl - URL Deepgram posts the result to
+   * @returns {Promise<Object>} { requestId } - echoed as metadata.request_id in the callback
+   */
+  submit: async (env, audioUrl, { language, diarize, callbackUrl, signal }) => {
+    const params = buildParams(env, { language, diarize });
+    params.set('callback', callbackUrl);
+
+    const data = await postRequest(env, audioUrl, params, signal);
+    if (!data.request_id) {
+      throw new Error('Deepgram did not return a request_id for the callback request');
+    }
+
+    return { requestId: data.request_id };
+  },
+
+  /**
+   * Request ID of a callback body
+   * @param {Object} body - Callback body
+   * @returns {string|null} request_id
+   */
+  callbackRequestId: (body) => body?.metadata?.request_id ?? body?.request_id ?? null,
+
+  /**
+   * Read the result a callback delivered
+   * @param {Object} body - Callback body
+   * @returns {Object} Result in the common schema
+   * @throws {Error} If Deepgram reported an error instead of a result
+   */
+  parseCallback: (body) => {
+    if (!body?.results) {
+      throw new Error(`Deepgram callback without results: ${body?.err_msg || body?.error || 'unknown error'}`);
+    }
+    return toResult(body);
+  }
+};
@@ -0,0 +1,65 @@
+import { AUTO_LANGUAGE, buildSegments, normalizeWord } from './schema.js';
+
+/**
+ * Fake provider for local development and tests
+ *
+ * Returns a deterministic transcript without calling any external service.
+ * Only available when ENVIRONMENT is `development`.
+ */
+
+const FAKE_SENTENCE = 'This is a fake transcription generated for local testing.'.split(' ');
+
+// Seconds per fake word
+const FAKE_WORD_SECONDS = 0.5;
+
+const DEFAULT_FAKE_DURATION = 10;
+
+export const fakeProvider = {
+  name: 'fake',
+  timeoutMs: 5000,
+  supportsDiarization: true,
+  supportsCallbacks: false,
+
+  /**
+   * @param {Object} env - Environment variables
+   * @returns {boolean} Whether the provider can be used
+   */
+  isConfigured: (env) => env.ENVIRONMENT === 'development',
+
+  /**
+   * Produce a transcript covering the expected duration
+   * @param {Object} env - Environment variables
+   * @param {string} audioUrl - Audio URL (unused)
+   * @param {Object} options - Options
+   * @param {string} options.language - Language code, echoed back; AUTO_LANGUAGE "detects" English
+   * @param {number} [options.durationHint] - Expected duration in seconds
+   * @param {boolean} [options.diarize] - Alternate two speakers sentence by sentence
+   * @returns {Promise<Object>} Result in the common schema
+   */
+  transcribe: async (env, audioUrl, { language, durationHint, diarize }) => {
+    const duration = durationHint || DEFAULT_FAKE_DURATION;
+    const wordCount = Math.max(1, Math.floor(duration / FAKE_WORD_SECONDS));
+
+    const words = Array.from({ length: wordCount }, (_, i) => {
+      const punctuated = FAKE_SENTENCE[i % FAKE_SENTENCE.length];
+      return normalizeWord({
+        word: punctuated.replace(/[^\w']/g, '').toLowerCase(),
+        punctuated_word: punctuated,
+        start: i * FAKE_WORD_SECONDS,
+        end: (i + 1) * FAKE_WORD_SECONDS,
+        confidence: 1,
+        speaker: diarize ? Math.floor(i / FAKE_SENTENCE.length) % 2 : null
+      });
+    });
+
+    return {
+      provider: 'fake',
+      transcription: words.map(word => word.punctuated_word).join(' '),
+      words,
+      segments: buildSegments(words),
+      duration,
+      language: language === AUTO_LANGUAGE ? 'en' : language || null,
+      language_confidence: language === AUTO_LANGUAGE ? 1 : null
+    };
+  }
+};
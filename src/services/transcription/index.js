@@ -0,0 +1,171 @@
+import { deepgramProvider } from './deepgram.js';
+import { fakeProvider } from './fake.js';
+import { openaiWhisperProvider } from './openaiWhisper.js';
+import { AUTO_LANGUAGE } from './schema.js';
+
+/**
+ * Transcription service
+ *
+ * Providers share one interface - { name, timeoutMs, supportsDiarization,
+ * supportsCallbacks, isConfigured(env), transcribe(env, audioUrl, options) } - and
+ * return the common schema described in schema.js. Providers with
+ * supportsCallbacks also implement submit(env, audioUrl, options),
+ * callbackRequestId(body) and parseCallback(body) for callback mode (see
+ * src/services/webhooks.js). The provider is picked per request, falling back
+ * to TRANSCRIPTION_PROVIDER and then Deepgram.
+ */
+
+export const DEFAULT_TRANSCRIPTION_PROVIDER = 'deepgram';
+
+export const TRANSCRIPTION_PROVIDERS = {
+  [deepgramProvider.name]: deepgramProvider,
+  [openaiWhisperProvider.name]: openaiWhisperProvider,
+  [fakeProvider.name]: fakeProvider
+};
+
+/**
+ * Pick the provider for a job
+ * @param {Object} env - Environment variables
+ * @param {string} [requested] - Provider name sent by the client
+ * @returns {Object} Provider
+ * @throws {Error} ValidationError if the provider does not exist
+ */
+export const resolveTranscriptionProvider = (env, requested) => {
+  const name = requested || env.TRANSCRIPTION_PROVIDER || DEFAULT_TRANSCRIPTION_PROVIDER;
+  const provider = TRANSCRIPTION_PROVIDERS[name];
+
+  if (!provider) {
+    const error = new Error(`Unknown transcription provider: ${name}`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  return provider;
+};
+
+/**
+ * Check that a provider can take a job with these options
+ * @param {Object} env - Environment variables
+ * @param {Object} provider - Provider from resolveTranscriptionProvider
+ * @param {boolean} diarize - Whether speakers were requested
+ * @throws {Error} If the provider is not configured or cannot diarize
+ */
+const assertProviderUsable = (env, provider, diarize) => {
+  if (!provider.isConfigured(env)) {
+    throw new Error(`Transcription provider ${provider.name} is not configured`);
+  }
+
+  if (diarize && !provider.supportsDiarization) {
+    throw new Error(`Transcription provider ${provider.name} does not support speaker diarization`);
+  }
+};
+
+/**
+ * Run a provider call under the provider's timeout
+ * @param {Object} provider - Provider
+ * @param {AbortSignal} [signal] - Cancels the call; its reason is thrown
+ * @param {Function} call - Receives the signal to pass to the provider
+ * @returns {Promise<*>} Result of the call
+ */
+const withProviderTimeout = async (provider, signal, call) => {
+  signal?.throwIfAborted();
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), provider.timeoutMs);
+  const onCancel = () => controller.abort();
+  signal?.addEventListener('abort', onCancel, { once: true });
+
+  try {
+    return await call(controller.signal);
+  } catch (error) {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    if (error.name === 'AbortError') {
+      console.error(`${provider.name} transcription timeout after ${provider.timeoutMs / 1000} seconds`);
+      throw new Error('Transcription timeout - audio file may be too large or the transcription service is slow');
+    }
+    console.error('Error transcribing audio:', error.message || error);
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onCancel);
+  }
+};
+
+/**
+ * Transcribe audio with a provider, enforcing its timeout
+ * @param {Object} env - Environment variables
+ * @param {Object} provider - Provider from resolveTranscriptionProvider
+ * @param {string} audioUrl - Public audio URL
+ * @param {Object} [options] - Options
+ * @param {string} [options.language] - BCP-47 language code, or AUTO_LANGUAGE to detect it
+ * @param {number} [options.durationHint] - Expected duration in seconds
+ * @param {boolean} [options.diarize] - Label words and segments with speakers
+ * @param {AbortSignal} [options.signal] - Cancels the transcription; its reason is thrown
+ * @returns {Promise<Object>} Result in the common schema
+ */
+export const transcribeAudio = async (env, provider, audioUrl, { language = 'en-GB', durationHint, diarize = false, signal } = {}) => {
+  assertProviderUsable(env, provider, diarize);
+
+  console.log(`Starting ${provider.name} transcription for URL: ${audioUrl}, Language: ${language}`);
+
+  const result = await withProviderTimeout(provider, signal, (providerSignal) => provider.transcribe(env, audioUrl, {
+    language,
+    durationHint,
+    diarize,
+    signal: providerSignal
+  }));
+
+  console.log(`Transcription extracted: ${result.transcription.length} characters, ${result.words.length} words`);
+  if (language === AUTO_LANGUAGE) {
+    console.log(`Detected language: ${result.language || 'unknown'} (confidence ${result.language_confidence ?? 'n/a'})`);
+  }
+  return result;
+};
+
+/**
+ * Start a transcription whose result the provider posts to a callback URL
+ * Only the submission is bound by the provider's timeout, so long audio is
+ * not cut short.
+ * @param {Object} env - Environment variables
+ * @param {Object} provider - Provider with supportsCallbacks
+ * @param {string} audioUrl - Public audio URL
+ * @param {Object} options - Options, as for transcribeAudio
+ * @param {string} options.callbackUrl - URL from buildCallbackUrl
+ * @returns {Promise<Object>} { requestId } to match the callback against
+ */
+export const submitTranscription = async (env, provider, audioUrl, { language = 'en-GB', diarize = false, callbackUrl, signal }) => {
+  assertProviderUsable(env, provider, diarize);
+
+  if (!provider.supportsCallbacks) {
+    throw new Error(`Transcription provider ${provider.name} does not support callbacks`);
+  }
+
+  console.log(`Submitting ${provider.name} transcription for URL: ${audioUrl}, Language: ${language}`);
+
+  return withProviderTimeout(provider, signal, (providerSignal) => provider.submit(env, audioUrl, {
+    language,
+    diarize,
+    callbackUrl,
+    signal: providerSignal
+  }));
+};
+
+/**
+ * audio_metadata fields recording the detected language of a finished job
+ * Empty unless the job asked for detection; `language` is then replaced by the
+ * detected one so later features see the real language.
+ * @param {string} requestedLanguage - Language the job was started with
+ * @param {Object} result - Transcription result in the common schema
+ * @returns {Object} { language, detected_language, language_confidence } or {}
+ */
+export const languageDetectionFields = (requestedLanguage, result) => {
+  if (requestedLanguage !== AUTO_LANGUAGE) return {};
+
+  return {
+    language: result.language || AUTO_LANGUAGE,
+    detected_language: result.language || null,
+    language_confidence: result.language_confidence ?? null
+  };
+};
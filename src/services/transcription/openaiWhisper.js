@@ -0,0 +1,115 @@
+import { AUTO_LANGUAGE, buildSegments, normalizeWord } from './schema.js';
+
+/**
+ * OpenAI-compatible Whisper provider
+ *
+ * Works with any server implementing POST /v1/audio/transcriptions (OpenAI,
+ * Groq, self-hosted faster-whisper...). These APIs take the file itself, so the
+ * audio is downloaded first.
+ * Env: WHISPER_API_URL, WHISPER_API_KEY, WHISPER_MODEL (default whisper-1).
+ */
+
+const DEFAULT_WHISPER_MODEL = 'whisper-1';
+
+// Upload limit of the OpenAI transcription endpoint
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+const TOO_LARGE_MESSAGE = 'Audio file is too large for the Whisper provider (maximum 25 MB)';
+
+// verbose_json reports the detected language by name; map Whisper's names to ISO-639-1
+const WHISPER_LANGUAGE_CODES = {
+  afrikaans: 'af', arabic: 'ar', armenian: 'hy', azerbaijani: 'az', belarusian: 'be',
+  bosnian: 'bs', bulgarian: 'bg', catalan: 'ca', chinese: 'zh', croatian: 'hr',
+  czech: 'cs', danish: 'da', dutch: 'nl', english: 'en', estonian: 'et',
+  finnish: 'fi', french: 'fr', galician: 'gl', german: 'de', greek: 'el',
+  hebrew: 'he', hindi: 'hi', hungarian: 'hu', icelandic: 'is', indonesian: 'id',
+  italian: 'it', japanese: 'ja', kannada: 'kn', kazakh: 'kk', korean: 'ko',
+  latvian: 'lv', lithuanian: 'lt', macedonian: 'mk', malay: 'ms', maori: 'mi',
+  marathi: 'mr', nepali: 'ne', norwegian: 'no', persian: 'fa', polish: 'pl',
+  portuguese: 'pt', romanian: 'ro', russian: 'ru', serbian: 'sr', slovak: 'sk',
+  slovenian: 'sl', spanish: 'es', swahili: 'sw', swedish: 'sv', tagalog: 'tl',
+  tamil: 'ta', thai: 'th', turkish: 'tr', ukrainian: 'uk', urdu: 'ur',
+  vietnamese: 'vi', welsh: 'cy'
+};
+
+export const openaiWhisperProvider = {
+  name: 'openai-whisper',
+  timeoutMs: 120000,
+  supportsDiarization: false,
+  supportsCallbacks: false,
+
+  /**
+   * @param {Object} env - Environment variables
+   * @returns {boolean} Whether the provider can be used
+   */
+  isConfigured: (env) => Boolean(env.WHISPER_API_URL && env.WHISPER_API_KEY),
+
+  /**
+   * Transcribe an audio URL
+   * @param {Object} env - Environment variables
+   * @param {string} audioUrl - Public audio URL
+   * @param {Object} options - Options
+   * @param {string} options.language - BCP-47 language code (sent as ISO-639-1), or AUTO_LANGUAGE to detect it
+   * @param {AbortSignal} [options.signal] - Abort signal
+   * @returns {Promise<Object>} Result in the common schema
+   */
+  transcribe: async (env, audioUrl, { language, signal }) => {
+    const audioResponse = await fetch(audioUrl, { signal });
+    if (!audioResponse.ok) {
+      throw new Error(`Failed to download audio: ${audioResponse.status} ${audioResponse.statusText}`);
+    }
+
+    // Reject oversized files before buffering them; the size check after reading
+    // covers servers that send no Content-Length
+    const contentLength = Number(audioResponse.headers.get('Content-Length'));
+    if (contentLength > MAX_AUDIO_BYTES) {
+      await audioResponse.body?.cancel();
+      throw new Error(TOO_LARGE_MESSAGE);
+    }
+
+    const audio = await audioResponse.blob();
+    if (audio.size > MAX_AUDIO_BYTES) {
+      throw new Error(TOO_LARGE_MESSAGE);
+    }
+
+    const fileName = new URL(audioUrl).pathname.split('/').pop() || 'audio';
+    const form = new FormData();
+    form.append('file', audio, fileName);
+    form.append('model', env.WHISPER_MODEL || DEFAULT_WHISPER_MODEL);
+    form.append('response_format', 'verbose_json');
+    form.append('timestamp_granularities[]', 'word');
+    form.append('timestamp_granularities[]', 'segment');
+    if (language && language !== AUTO_LANGUAGE) {
+      form.append('language', language.split('-')[0].toLowerCase());
+    }
+
+    const response = await fetch(env.WHISPER_API_URL, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${env.WHISPER_API_KEY}` },
+      body: form,
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('Whisper API error:', response.status, response.statusText, errorText);
+      throw new Error(`Whisper API error: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    const data = await response.json();
+    const words = (data.words || []).map(normalizeWord);
+    const segments = data.segments?.length
+      ? data.segments.map(({ start, end, text }) => ({ start, end, text: text.trim(), speaker: null }))
+      : buildSegments(words);
+
+    return {
+      provider: 'openai-whisper',
+      transcription: (data.text || '').trim(),
+      words,
+      segments,
+      duration: data.duration ?? null,
+      language: data.language ? WHISPER_LANGUAGE_CODES[data.language.toLowerCase()] || data.language : null,
+      // Whisper does not report how sure it is of the language
+      language_confidence: null
+    };
+  }
+};
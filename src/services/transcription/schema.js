@@ -0,0 +1,88 @@
+/**
+ * Common transcription schema
+ *
+ * Every provider returns the same shape, so routes and storage never depend on
+ * a vendor's response format:
+ *
+ *   {
+ *     provider: 'deepgram',
+ *     transcription: 'Full transcript text',
+ *     words: [{ word, punctuated_word, start, end, confidence, speaker }],
+ *     segments: [{ start, end, text, speaker }],
+ *     duration: 12.5,      // seconds of audio processed, or null
+ *     language: 'en',      // language reported by the provider, or null
+ *     language_confidence: 0.98 // confidence of a detected language, or null
+ *   }
+ *
+ * Times are in seconds. `confidence` and `speaker` are null when the provider
+ * does not report them. Providers detect the language themselves when asked
+ * for AUTO_LANGUAGE.
+ */
+
+// Language value that asks the provider to detect the spoken language
+export const AUTO_LANGUAGE = 'auto';
+
+// A pause longer than this (in seconds) starts a new segment
+const SEGMENT_PAUSE_SECONDS = 1;
+
+// Segments are also split once they grow past this many seconds
+const MAX_SEGMENT_SECONDS = 30;
+
+/**
+ * Build a word in the common schema
+ * @param {Object} word - Word fields
+ * @param {string} word.word - Word as recognized
+ * @param {string} [word.punctuated_word] - Word with punctuation and casing
+ * @param {number} word.start - Start time in seconds
+ * @param {number} word.end - End time in seconds
+ * @param {number} [word.confidence] - Confidence between 0 and 1
+ * @param {number|string} [word.speaker] - Speaker label
+ * @returns {Object} Normalized word
+ */
+export const normalizeWord = ({ word, punctuated_word, start, end, confidence, speaker }) => {
+  const text = String(word ?? '').trim();
+
+  return {
+    word: text,
+    punctuated_word: punctuated_word ? String(punctuated_word).trim() : text,
+    start: Number(start) || 0,
+    end: Number(end) || 0,
+    confidence: confidence ?? null,
+    speaker: speaker ?? null
+  };
+};
+
+/**
+ * Group normalized words into segments
+ * A new segment starts on a speaker change, after sentence-ending punctuation,
+ * after a long pause, or when the current segment gets too long.
+ * @param {Array} words - Normalized words
+ * @returns {Array} Segments { start, end, text, speaker }
+ */
+export const buildSegments = (words) => {
+  const segments = [];
+  let current = null;
+
+  for (const word of words) {
+    const startsNew = !current
+      || word.speaker !== current.speaker
+      || word.start - current.end > SEGMENT_PAUSE_SECONDS
+      || word.end - current.start > MAX_SEGMENT_SECONDS
+      || /[.!?]$/.test(current.words[current.words.length - 1]);
+
+    if (startsNew) {
+      current = { start: word.start, end: word.end, speaker: word.speaker, words: [] };
+      segments.push(current);
+    }
+
+    current.words.push(word.punctuated_word || word.word);
+    current.end = word.end;
+  }
+
+  return segments.map(({ start, end, speaker, words: segmentWords }) => ({
+    start,
+    end,
+    text: segmentWords.join(' '),
+    speaker
+  }));
+};
@@ -0,0 +1,133 @@
+/**
+ * Client of the AudioTranscriptionProcessor Durable Object
+ *
+ * Every audio file's transcription is owned by the instance named after its
+ * audioid (src/durableObjects/AudioTranscriptionProcessor.js), reached through
+ * the AUDIO_TRANSCRIPTION_PROCESSOR binding.
+ */
+
+// Host of the requests sent to the Durable Object; only the path is read
+const PROCESSOR_ORIGIN = 'https://transcription-processor';
+
+/**
+ * Stub of the instance that owns an audio file's transcription
+ * @param {Object} env - Environment variables
+ * @param {string} audioid - Audio ID
+ * @returns {Object} Durable Object stub
+ * @throws {Error} If the binding is missing
+ */
+const processorFor = (env, audioid) => {
+  const namespace = env.AUDIO_TRANSCRIPTION_PROCESSOR;
+  if (!namespace) {
+    throw new Error('AUDIO_TRANSCRIPTION_PROCESSOR binding is not configured');
+  }
+
+  return namespace.get(namespace.idFromName(audioid));
+};
+
+/**
+ * Hand a transcription to its Durable Object
+ * Starting the same audioid twice returns the existing job.
+ * @param {Object} env - Environment variables
+ * @param {Object} payload - Job payload, see src/jobs/transcriptionJob.js
+ * @returns {Promise<Object>} Job as returned by /status
+ * @throws {Error} If the job could not be started
+ */
+export const startTranscription = async (env, payload) => {
+  const response = await processorFor(env, payload.audioid).fetch(`${PROCESSOR_ORIGIN}/start`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(`Failed to start transcription: ${body.error || response.status}`);
+  }
+
+  return body;
+};
+
+/**
+ * Progress of an audio file's transcription
+ * @param {Object} env - Environment variables
+ * @param {string} audioid - Audio ID
+ * @returns {Promise<Object|null>} Job, or null if it was never started
+ */
+export const getTranscriptionJob = async (env, audioid) => {
+  const response = await processorFor(env, audioid).fetch(`${PROCESSOR_ORIGIN}/status`);
+
+  if (response.status === 404) return null;
+
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(`Failed to load transcription job: ${body.error || response.status}`);
+  }
+
+  return body;
+};
+
+/**
+ * Cancel an audio file's transcription
+ * The audio is marked cancelled and refunded under the cancellation policy by
+ * the Durable Object.
+ * @param {Object} env - Environment variables
+ * @param {string} audioid - Audio ID
+ * @returns {Promise<Object>} { cancelled, job, refund?, error? } - cancelled is false if
+ *   the job is missing, finished or already saving its results; refund is
+ *   { refund_percent, refunded_coins, charged_coins }, or null if it could not be settled
+ */
+export const cancelTranscription = async (env, audioid) => {
+  const response = await processorFor(env, audioid).fetch(`${PROCESSOR_ORIGIN}/cancel`, { method: 'POST' });
+  const body = await response.json();
+
+  if (response.status === 404) {
+    return { cancelled: false, job: null, error: body.error };
+  }
+
+  if (response.status === 409) {
+    const { error, ...job } = body;
+    return { cancelled: false, job, error };
+  }
+
+  if (!response.ok) {
+    throw new Error(`Failed to cancel transcription: ${body.error || response.status}`);
+  }
+
+  const { refund, ...job } = body;
+  return { cancelled: true, job, refund };
+};
+
+/**
+ * Hand a provider's callback to the job waiting for it
+ * @param {Object} env - Environment variables
+ * @param {string} audioid - Audio ID from the callback URL
+ * @param {Object} callback - Callback
+ * @param {string} callback.requestId - Provider request ID the callback answers
+ * @param {Object} callback.result - Callback body
+ * @returns {Promise<Object>} { accepted, job, error? } - accepted is false if no
+ *   job is waiting for this request
+ */
+export const deliverTranscriptionCallback = async (env, audioid, { requestId, result }) => {
+  const response = await processorFor(env, audioid).fetch(`${PROCESSOR_ORIGIN}/callback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ requestId, result })
+  });
+  const body = await response.json();
+
+  if (response.status === 404) {
+    return { accepted: false, job: null, error: body.error };
+  }
+
+  if (response.status === 409) {
+    const { error, ...job } = body;
+    return { accepted: false, job, error };
+  }
+
+  if (!response.ok) {
+    throw new Error(`Failed to deliver transcription callback: ${body.error || response.status}`);
+  }
+
+  return { accepted: true, job: body };
+};
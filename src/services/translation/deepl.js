@@ -0,0 +1,62 @@
+/**
+ * DeepL translation provider
+ *
+ * Env: DEEPL_API_KEY, DEEPL_API_URL (defaults to the free API; use
+ * https://api.deepl.com/v2/translate for a Pro key).
+ */
+
+const DEFAULT_DEEPL_API_URL = 'https://api-free.deepl.com/v2/translate';
+
+export const deeplProvider = {
+  name: 'deepl',
+  timeoutMs: 60000,
+  // DeepL accepts up to 50 texts and 128 KiB per request
+  maxBatchChars: 30000,
+  maxBatchSize: 50,
+
+  /**
+   * @param {Object} env - Environment variables
+   * @returns {boolean} Whether the provider can be used
+   */
+  isConfigured: (env) => Boolean(env.DEEPL_API_KEY),
+
+  /**
+   * Translate one batch of texts
+   * @param {Object} env - Environment variables
+   * @param {Array<string>} texts - Source texts
+   * @param {Object} options - Options
+   * @param {string|null} options.source - Source language code
+   * @param {string} options.target - Target language code
+   * @param {AbortSignal} [options.signal] - Abort signal
+   * @returns {Promise<Object>} { texts, model }
+   */
+  translate: async (env, texts, { source, target, signal }) => {
+    const response = await fetch(env.DEEPL_API_URL || DEFAULT_DEEPL_API_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': `DeepL-Auth-Key ${env.DEEPL_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        text: texts,
+        target_lang: target.toUpperCase(),
+        // DeepL only takes the base language as the source
+        ...(source ? { source_lang: source.split('-')[0].toUpperCase() } : {})
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('DeepL API error:', response.status, response.statusText, errorText);
+      throw new Error(`DeepL API error: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    const data = await response.json();
+
+    return {
+      texts: (data.translations || []).map(translation => String(translation.text || '').trim()),
+      model: 'deepl'
+    };
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Fake translation provider for local development and tests
+ *
+ * Prefixes every text with the target language instead of translating it.
+ * Only available when ENVIRONMENT is `development`.
+ */
+
+export const fakeTranslationProvider = {
+  name: 'fake',
+  timeoutMs: 5000,
+  maxBatchChars: 2000,
+  maxBatchSize: 20,
+
+  /**
+   * @param {Object} env - Environment variables
+   * @returns {boolean} Whether the provider can be used
+   */
+  isConfigured: (env) => env.ENVIRONMENT === 'development',
+
+  /**
+   * Translate one batch of texts
+   * @param {Object} env - Environment variables
+   * @param {Array<string>} texts - Source texts
+   * @param {Object} options - Options
+   * @param {string} options.target - Target language code
+   * @returns {Promise<Object>} { texts, model }
+   */
+  translate: async (env, texts, { target }) => {
+    return { texts: texts.map(text => `[${target}] ${text}`), model: 'fake' };
+  }
+};
@@ -0,0 +1,118 @@
+import { AUTO_LANGUAGE } from '../transcription/schema.js';
+import { deeplProvider } from './deepl.js';
+import { fakeTranslationProvider } from './fake.js';
+import { openaiTranslationProvider, qwenTranslationProvider } from './llm.js';
+
+/**
+ * Translation service
+ *
+ * Providers share one interface - { name, timeoutMs, maxBatchChars, maxBatchSize,
+ * isConfigured(env), translate(env, texts, options) } - and return
+ * { texts, model } with one translation per input text. The provider is picked
+ * per request, falling back to TRANSLATION_PROVIDER and then Qwen.
+ */
+
+export const DEFAULT_TRANSLATION_PROVIDER = 'qwen';
+
+export const TRANSLATION_PROVIDERS = {
+  [qwenTranslationProvider.name]: qwenTranslationProvider,
+  [openaiTranslationProvider.name]: openaiTranslationProvider,
+  [deeplProvider.name]: deeplProvider,
+  [fakeTranslationProvider.name]: fakeTranslationProvider
+};
+
+/**
+ * Pick the translation provider for a job
+ * @param {Object} env - Environment variables
+ * @param {string} [requested] - Provider name sent by the client
+ * @returns {Object} Provider
+ * @throws {Error} ValidationError if the provider does not exist
+ */
+export const resolveTranslationProvider = (env, requested) => {
+  const name = requested || env.TRANSLATION_PROVIDER || DEFAULT_TRANSLATION_PROVIDER;
+  const provider = TRANSLATION_PROVIDERS[name];
+
+  if (!provider) {
+    const error = new Error(`Unknown translation provider: ${name}`);
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  return provider;
+};
+
+/**
+ * Split texts into batches within the provider's limits
+ * @param {Array<string>} texts - Source texts
+ * @param {Object} provider - Translation provider
+ * @returns {Array<Array<string>>} Batches
+ */
+const batchTexts = (texts, provider) => {
+  const batches = [];
+  let batch = [];
+  let length = 0;
+
+  for (const text of texts) {
+    if (batch.length > 0 && (batch.length >= provider.maxBatchSize || length + text.length > provider.maxBatchChars)) {
+      batches.push(batch);
+      batch = [];
+      length = 0;
+    }
+    batch.push(text);
+    length += text.length;
+  }
+
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+};
+
+/**
+ * Translate texts with a provider, batch by batch, enforcing its timeout per batch
+ * @param {Object} env - Environment variables
+ * @param {Object} provider - Provider from resolveTranslationProvider
+ * @param {Array<string>} texts - Source texts
+ * @param {Object} options - Options
+ * @param {string} [options.source] - Source language code; null or AUTO_LANGUAGE lets the provider detect it
+ * @param {string} options.target - Target language code
+ * @returns {Promise<Object>} { texts, model } with texts in input order
+ */
+export const translateTexts = async (env, provider, texts, { source = null, target }) => {
+  if (!provider.isConfigured(env)) {
+    throw new Error(`Translation provider ${provider.name} is not configured`);
+  }
+
+  // Providers get no source language rather than the literal "auto"
+  const sourceLanguage = source === AUTO_LANGUAGE ? null : source;
+
+  const batches = batchTexts(texts, provider);
+  const translated = [];
+  let model = null;
+
+  console.log(`Starting ${provider.name} translation into ${target}: ${texts.length} segments in ${batches.length} batches`);
+
+  for (const batch of batches) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), provider.timeoutMs);
+
+    try {
+      const result = await provider.translate(env, batch, { source: sourceLanguage, target, signal: controller.signal });
+
+      if (result.texts.length !== batch.length) {
+        throw new Error(`${provider.name} returned ${result.texts.length} translations for ${batch.length} segments`);
+      }
+
+      translated.push(...result.texts);
+      model = result.model;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.error(`${provider.name} translation timeout after ${provider.timeoutMs / 1000} seconds`);
+        throw new Error('Translation timeout - the translation service is slow');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  return { texts: translated, model };
+};
@@ -0,0 +1,78 @@
+import { openaiChatProvider, qwenProvider } from '../llm/openaiCompatible.js';
+import { parseJsonCompletion } from '../llm/prompts.js';
+
+/**
+ * LLM translation providers
+ *
+ * Wrap the chat providers from src/services/llm/ so `qwen` and `openai` can
+ * translate as well. Each batch is sent as a numbered JSON array and must come
+ * back as an array of the same length, so translations stay aligned with the
+ * segments they belong to.
+ */
+
+// Characters of source text per request
+const MAX_BATCH_CHARS = 6000;
+
+// Segments per request
+const MAX_BATCH_SIZE = 60;
+
+/**
+ * Build the system prompt for a batch
+ * @param {string|null} source - Source language code
+ * @param {string} target - Target language code
+ * @returns {string} Prompt
+ */
+const buildSystemPrompt = (source, target) => [
+  `You translate transcript segments of an audio recording${source ? ` from ${source}` : ''} into the language with the code ${target}.`,
+  'You receive a JSON object { "segments": [...] } with one string per segment.',
+  'Reply with a JSON object { "translations": [...] } holding exactly one translated string per segment, in the same order.',
+  'Never merge, split, drop or reorder segments. Keep names, numbers and speaker intent; do not add explanations.'
+].join(' ');
+
+/**
+ * Create a translation provider backed by a chat provider
+ * @param {Object} chatProvider - Provider from src/services/llm/
+ * @returns {Object} Translation provider
+ */
+const createLlmTranslationProvider = (chatProvider) => ({
+  name: chatProvider.name,
+  timeoutMs: chatProvider.timeoutMs,
+  maxBatchChars: MAX_BATCH_CHARS,
+  maxBatchSize: MAX_BATCH_SIZE,
+
+  /**
+   * @param {Object} env - Environment variables
+   * @returns {boolean} Whether the provider can be used
+   */
+  isConfigured: (env) => chatProvider.isConfigured(env),
+
+  /**
+   * Translate one batch of texts
+   * @param {Object} env - Environment variables
+   * @param {Array<string>} texts - Source texts
+   * @param {Object} options - Options
+   * @param {string|null} options.source - Source language code
+   * @param {string} options.target - Target language code
+   * @param {AbortSignal} [options.signal] - Abort signal
+   * @returns {Promise<Object>} { texts, model }
+   */
+  translate: async (env, texts, { source, target, signal }) => {
+    const completion = await chatProvider.complete(env, [
+      { role: 'system', content: buildSystemPrompt(source, target) },
+      { role: 'user', content: JSON.stringify({ segments: texts }) }
+    ], { json: true, signal });
+
+    const translations = parseJsonCompletion(completion.content)?.translations;
+    if (!Array.isArray(translations)) {
+      throw new Error(`${chatProvider.name} response is missing the translations`);
+    }
+
+    return {
+      texts: translations.map(text => (typeof text === 'string' ? text.trim() : '')),
+      model: completion.model
+    };
+  }
+});
+
+export const qwenTranslationProvider = createLlmTranslationProvider(qwenProvider);
+export const openaiTranslationProvider = createLlmTranslationProvider(openaiChatProvider);
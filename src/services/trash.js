@@ -0,0 +1,207 @@
+import { getSupabaseClient } from '../config/database.js';
+import { cancelAudioJobs, cancelVideoJobs } from '../jobs/cancellation.js';
+import { CANCELLABLE_AUDIO_STATUSES } from '../jobs/transcriptionJob.js';
+import { CANCELLABLE_VIDEO_STATUSES } from '../jobs/videoJob.js';
+import { deleteAudio, deleteVideo } from './mediaDeletion.js';
+
+/**
+ * Trash bin for audio files and videos
+ *
+ * Removing media only sets `deleted_at` (supabase/migrations/0016_soft_delete.sql).
+ * Trashed media are hidden from lists and search, can be restored, and are
+ * purged for good - metadata, derived rows and stored files, see
+ * mediaDeletion.js - by the user or by the scheduled sweep once they have been
+ * in the trash for TRASH_RETENTION_DAYS.
+ *
+ * Jobs still running on media are cancelled, and their coin holds settled,
+ * before it goes into the trash (src/jobs/cancellation.js). Media that is
+ * still unfinished anyway - a transcription already saving its results cannot
+ * be cancelled - is not purged until it has finished.
+ */
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Trashed media purged per media type and sweep
+const PURGE_SWEEP_LIMIT = 100;
+
+// Metadata table, id column, job cancellation, statuses of media still being
+// processed and permanent deletion of each media type
+export const TRASH_MEDIA = {
+  audio: {
+    table: 'audio_metadata',
+    idColumn: 'audioid',
+    cancelJobs: cancelAudioJobs,
+    unfinishedStatuses: CANCELLABLE_AUDIO_STATUSES,
+    deleteMedia: deleteAudio
+  },
+  video: {
+    table: 'video_metadata',
+    idColumn: 'video_id',
+    cancelJobs: cancelVideoJobs,
+    unfinishedStatuses: CANCELLABLE_VIDEO_STATUSES,
+    deleteMedia: deleteVideo
+  }
+};
+
+/**
+ * Only keep rows that are not being processed
+ * @param {Object} query - Supabase query
+ * @param {Array<string>} statuses - Unfinished statuses
+ * @returns {Object} Query
+ */
+const finishedOnly = (query, statuses) => query.or(`status.is.null,status.not.in.(${statuses.join(',')})`);
+
+/**
+ * Days trashed media are kept before they are purged
+ * @param {Object} env - Environment variables
+ * @returns {number} Retention in days
+ */
+export const getTrashRetentionDays = (env) => {
+  const days = Number(env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+};
+
+/**
+ * When trashed media will be purged
+ * @param {Object} env - Environment variables
+ * @param {string} deletedAt - deleted_at timestamp
+ * @returns {string} ISO timestamp
+ */
+export const purgeAfter = (env, deletedAt) => {
+  return new Date(new Date(deletedAt).getTime() + getTrashRetentionDays(env) * 24 * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * Set or clear deleted_at, only if the media is in the opposite state
+ * @param {Object} env - Environment variables
+ * @param {string} type - Key of TRASH_MEDIA
+ * @param {string} uid - User ID
+ * @param {string} id - Media ID
+ * @param {boolean} trashed - Whether to move it into the trash
+ * @returns {Promise<Object>} { found, changed, deleted_at }
+ */
+const setTrashed = async (env, type, uid, id, trashed) => {
+  const { table, idColumn } = TRASH_MEDIA[type];
+  const supabase = getSupabaseClient(env);
+
+  let query = supabase
+    .from(table)
+    .update({ deleted_at: trashed ? new Date().toISOString() : null })
+    .eq('uid', uid)
+    .eq(idColumn, id);
+  query = trashed ? query.is('deleted_at', null) : query.not('deleted_at', 'is', null);
+
+  const { data, error } = await query.select('deleted_at');
+
+  if (error) {
+    throw new Error(`Failed to update ${type} trash state: ${error.message}`);
+  }
+
+  if (data.length) {
+    return { found: true, changed: true, deleted_at: data[0].deleted_at };
+  }
+
+  // Nothing changed - tell a missing item from one already in the requested state
+  const { data: existing, error: lookupError } = await supabase
+    .from(table)
+    .select('deleted_at')
+    .eq('uid', uid)
+    .eq(idColumn, id)
+    .maybeSingle();
+
+  if (lookupError) {
+    throw new Error(`Failed to load ${type}: ${lookupError.message}`);
+  }
+
+  return { found: Boolean(existing), changed: false, deleted_at: existing?.deleted_at ?? null };
+};
+
+/**
+ * Cancel the jobs still running on media and move it into the trash
+ * @param {Object} env - Environment variables
+ * @param {string} type - 'audio' or 'video'
+ * @param {string} uid - User ID
+ * @param {string} id - Media ID
+ * @returns {Promise<Object>} { found, changed, deleted_at }; changed is false if it already was in the trash
+ */
+export const trashMedia = async (env, type, uid, id) => {
+  await TRASH_MEDIA[type].cancelJobs(env, uid, id);
+  return setTrashed(env, type, uid, id, true);
+};
+
+/**
+ * Take media out of the trash
+ * @param {Object} env - Environment variables
+ * @param {string} type - 'audio' or 'video'
+ * @param {string} uid - User ID
+ * @param {string} id - Media ID
+ * @returns {Promise<Object>} { found, changed, deleted_at }; changed is false if it was not in the trash
+ */
+export const restoreMedia = (env, type, uid, id) => setTrashed(env, type, uid, id, false);
+
+/**
+ * Permanently delete trashed media
+ * Media that is not in the trash is left alone, so a restore cannot race a
+ * purge, and so is media still being processed.
+ * @param {Object} env - Environment variables
+ * @param {string} type - 'audio' or 'video'
+ * @param {string} uid - User ID
+ * @param {string} id - Media ID
+ * @returns {Promise<Object|null>} { file_paths, files_deleted }, { unfinished: true } if it is
+ *   still being processed, or null if it is not in the trash
+ */
+export const purgeMedia = async (env, type, uid, id) => {
+  const { table, idColumn, unfinishedStatuses, deleteMedia } = TRASH_MEDIA[type];
+
+  const result = await deleteMedia(env, uid, id, (query) => finishedOnly(query.not('deleted_at', 'is', null), unfinishedStatuses));
+  if (result) return result;
+
+  // Nothing deleted - tell unfinished media from media not in the trash
+  const { data: trashed, error } = await getSupabaseClient(env)
+    .from(table)
+    .select('status')
+    .eq('uid', uid)
+    .eq(idColumn, id)
+    .not('deleted_at', 'is', null)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load ${type}: ${error.message}`);
+  }
+
+  return trashed && unfinishedStatuses.includes(trashed.status) ? { unfinished: true } : null;
+};
+
+/**
+ * Purge media that has been in the trash longer than the retention (scheduled sweep)
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Purged count per media type
+ */
+export const purgeExpiredTrash = async (env) => {
+  const supabase = getSupabaseClient(env);
+  const cutoff = new Date(Date.now() - getTrashRetentionDays(env) * 24 * 60 * 60 * 1000).toISOString();
+  const purged = {};
+
+  for (const [type, { table, idColumn, unfinishedStatuses, deleteMedia }] of Object.entries(TRASH_MEDIA)) {
+    // Unfinished media waits for the next sweep
+    const { data: expired, error } = await finishedOnly(supabase
+      .from(table)
+      .select(`uid, ${idColumn}`)
+      .lt('deleted_at', cutoff), unfinishedStatuses)
+      .order('deleted_at', { ascending: true })
+      .limit(PURGE_SWEEP_LIMIT);
+
+    if (error) {
+      throw new Error(`Failed to load expired ${type} trash: ${error.message}`);
+    }
+
+    purged[type] = 0;
+    for (const row of expired) {
+      // Checked again on delete in case it was restored in the meantime
+      const result = await deleteMedia(env, row.uid, row[idColumn], (query) => finishedOnly(query.lt('deleted_at', cutoff), unfinishedStatuses));
+      if (result) purged[type] += 1;
+    }
+  }
+
+  return purged;
+};
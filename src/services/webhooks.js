@@ -0,0 +1,47 @@
+import { createWebhookToken, verifyWebhookToken } from '../utils/webhookToken.js';
+
+/**
+ * Provider callbacks
+ *
+ * Providers that can post their results (Deepgram) are given a callback URL on
+ * /api/webhooks/<provider> instead of being waited on. Callback mode is on
+ * when WEBHOOK_BASE_URL (public origin of the API) and WEBHOOK_SECRET are set;
+ * the processor Worker needs both to hand out URLs and the Pages project needs
+ * WEBHOOK_SECRET to accept them.
+ */
+
+/**
+ * Whether providers should be asked to call back
+ * @param {Object} env - Environment variables
+ * @returns {boolean} True if callback URLs can be built
+ */
+export const isCallbackModeEnabled = (env) => Boolean(env.WEBHOOK_BASE_URL && env.WEBHOOK_SECRET);
+
+/**
+ * Callback URL for one resource, signed so it cannot be forged
+ * @param {Object} env - Environment variables
+ * @param {string} provider - Provider name, the last path segment
+ * @param {string} resourceId - Audio ID the result belongs to
+ * @returns {Promise<string|null>} URL, or null if callback mode is off
+ */
+export const buildCallbackUrl = async (env, provider, resourceId) => {
+  if (!isCallbackModeEnabled(env)) return null;
+
+  const url = new URL(`/api/webhooks/${provider}`, env.WEBHOOK_BASE_URL);
+  url.searchParams.set('id', resourceId);
+  url.searchParams.set('token', await createWebhookToken(env.WEBHOOK_SECRET, `${provider}:${resourceId}`));
+  return url.toString();
+};
+
+/**
+ * Check the token of an incoming callback
+ * @param {Object} env - Environment variables
+ * @param {string} provider - Provider name
+ * @param {string} resourceId - ID from the callback URL
+ * @param {string} token - Token from the callback URL
+ * @returns {Promise<boolean>} False if the URL was not issued by this server
+ */
+export const verifyCallback = async (env, provider, resourceId, token) => {
+  if (!env.WEBHOOK_SECRET || !resourceId || !token) return false;
+  return verifyWebhookToken(env.WEBHOOK_SECRET, `${provider}:${resourceId}`, token);
+};
@@ -0,0 +1,512 @@
+/**
+ * Audio duration probing
+ *
+ * Reads the container headers of a remote audio file with ranged requests and
+ * works out its duration without downloading or decoding the audio. Files
+ * already in memory (direct uploads) are measured the same way.
+ * Supported: WAV, MP3, M4A/MP4, OGG (Vorbis, Opus) and FLAC.
+ */
+
+// Bytes fetched from the start (and, for OGG, the end) of the file
+const PROBE_BYTES = 64 * 1024;
+
+// Upper bound on the time spent probing before falling back
+const PROBE_TIMEOUT_MS = 5000;
+
+// Top-level MP4 boxes walked while looking for `moov`
+const MAX_MP4_BOXES = 16;
+
+const MPEG_BITRATES = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  '2-3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+/**
+ * Read an ASCII tag from a byte array
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Start offset
+ * @param {number} length - Tag length
+ * @returns {string} Tag
+ */
+const readTag = (bytes, offset, length) => {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+};
+
+/**
+ * Create a DataView over a byte array
+ * @param {Uint8Array} bytes - Source bytes
+ * @returns {DataView} View
+ */
+const viewOf = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+/**
+ * Total file size from a ranged response
+ * @param {Response} response - Fetch response
+ * @returns {number|null} Size in bytes, or null if unknown
+ */
+const parseTotalSize = (response) => {
+  const contentRange = response.headers.get('Content-Range');
+  if (contentRange) {
+    const match = /\/(\d+)\s*$/.exec(contentRange);
+    return match ? Number(match[1]) : null;
+  }
+
+  const contentLength = response.headers.get('Content-Length');
+  return response.status === 200 && contentLength ? Number(contentLength) : null;
+};
+
+/**
+ * Read at most `limit` bytes of a response body, then stop the download
+ * @param {Response} response - Fetch response
+ * @param {number} limit - Maximum bytes to read
+ * @returns {Promise<Uint8Array>} Body bytes
+ */
+const readAtMost = async (response, limit) => {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+
+  while (received < limit) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.byteLength;
+  }
+
+  if (received >= limit) {
+    await reader.cancel().catch(() => {});
+  }
+
+  const bytes = new Uint8Array(Math.min(received, limit));
+  let offset = 0;
+  for (const chunk of chunks) {
+    const part = chunk.subarray(0, bytes.length - offset);
+    bytes.set(part, offset);
+    offset += part.length;
+    if (offset >= bytes.length) break;
+  }
+  return bytes;
+};
+
+/**
+ * Fetch a byte range of a remote file
+ * @param {string} url - File URL
+ * @param {string} range - Range header value without the `bytes=` prefix (`0-99`, `-100`)
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<Object>} { bytes, totalSize, partial } - partial is false when the
+ *   server ignored the range and sent the file from the start
+ */
+const fetchRange = async (url, range, signal) => {
+  const response = await fetch(url, { headers: { Range: `bytes=${range}` }, signal });
+
+  if (!response.ok) {
+    throw new Error(`Ranged fetch failed: ${response.status} ${response.statusText}`);
+  }
+
+  return {
+    bytes: await readAtMost(response, PROBE_BYTES),
+    totalSize: parseTotalSize(response),
+    partial: response.status === 206
+  };
+};
+
+/**
+ * Read a byte range of an in-memory file, shaped like fetchRange
+ * @param {Uint8Array} file - File bytes
+ * @param {string} range - Range without the `bytes=` prefix (`0-99`, `-100`)
+ * @returns {Object} { bytes, totalSize, partial }
+ */
+const sliceRange = (file, range) => {
+  const [first, last] = range.split('-');
+  const start = first === '' ? Math.max(file.length - Number(last), 0) : Number(first);
+  const end = first === '' ? file.length : Math.min(Number(last) + 1, file.length);
+
+  return { bytes: file.subarray(start, end), totalSize: file.length, partial: true };
+};
+
+/**
+ * Identify the container from its first bytes
+ * @param {Uint8Array} bytes - File head
+ * @returns {string|null} wav, mp3, mp4, ogg, flac or null
+ */
+export const detectAudioFormat = (bytes) => {
+  if (bytes.length < 12) return null;
+  if (readTag(bytes, 0, 4) === 'RIFF' && readTag(bytes, 8, 4) === 'WAVE') return 'wav';
+  if (readTag(bytes, 0, 4) === 'fLaC') return 'flac';
+  if (readTag(bytes, 0, 4) === 'OggS') return 'ogg';
+  if (readTag(bytes, 4, 4) === 'ftyp') return 'mp4';
+  if (readTag(bytes, 0, 3) === 'ID3' || parseMpegFrameHeader(bytes, 0)) return 'mp3';
+  return null;
+};
+
+/**
+ * WAV: data chunk size divided by the byte rate from the fmt chunk
+ * @param {Uint8Array} bytes - File head
+ * @param {number|null} totalSize - File size
+ * @returns {number|null} Duration in seconds
+ */
+const parseWavDuration = (bytes, totalSize) => {
+  const view = viewOf(bytes);
+  let byteRate = null;
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const chunkId = readTag(bytes, offset, 4);
+    const chunkSize = view.getUint32(offset + 4, true);
+
+    if (chunkId === 'fmt ' && offset + 20 <= bytes.length) {
+      byteRate = view.getUint32(offset + 16, true);
+    } else if (chunkId === 'data') {
+      if (!byteRate) return null;
+      // Streamed WAVs leave the size at 0 or 0xFFFFFFFF - use the file size instead
+      const dataSize = chunkSize === 0 || chunkSize === 0xFFFFFFFF
+        ? (totalSize ? totalSize - offset - 8 : null)
+        : chunkSize;
+      return dataSize ? dataSize / byteRate : null;
+    }
+
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return null;
+};
+
+/**
+ * FLAC: total samples and sample rate from the STREAMINFO block
+ * @param {Uint8Array} bytes - File head
+ * @returns {number|null} Duration in seconds
+ */
+const parseFlacDuration = (bytes) => {
+  // STREAMINFO is always the first metadata block: 'fLaC' + 4 byte block header
+  const info = 8;
+  if (bytes.length < info + 18 || (bytes[4] & 0x7F) !== 0) return null;
+
+  const sampleRate = (bytes[info + 10] << 12) | (bytes[info + 11] << 4) | (bytes[info + 12] >> 4);
+  const totalSamples = (bytes[info + 13] & 0x0F) * 2 ** 32 + viewOf(bytes).getUint32(info + 14);
+
+  return sampleRate && totalSamples ? totalSamples / sampleRate : null;
+};
+
+/**
+ * Parse an MPEG audio frame header
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Header offset
+ * @returns {Object|null} { version, layer, bitrate, sampleRate, samplesPerFrame, mono } or null
+ */
+const parseMpegFrameHeader = (bytes, offset) => {
+  if (offset + 4 > bytes.length) return null;
+  if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) return null;
+
+  const versionBits = (bytes[offset + 1] >> 3) & 0x03;
+  const layerBits = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  const bitrate = MPEG_BITRATES[`${version === 1 ? 1 : 2}-${layer}`][bitrateIndex];
+  const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+  const samplesPerFrame = layer === 1 ? 384 : layer === 2 || version === 1 ? 1152 : 576;
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    samplesPerFrame,
+    mono: (bytes[offset + 3] >> 6) === 3
+  };
+};
+
+/**
+ * Find the first MPEG audio frame at or after an offset
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} start - Search start
+ * @returns {Object|null} { offset, header } or null
+ */
+const findMpegFrame = (bytes, start) => {
+  for (let offset = start; offset + 4 <= bytes.length; offset++) {
+    const header = parseMpegFrameHeader(bytes, offset);
+    if (header) return { offset, header };
+  }
+  return null;
+};
+
+/**
+ * MP3: frame count from a Xing/Info or VBRI header, else the constant bitrate
+ * @param {Uint8Array} bytes - File head
+ * @param {number|null} totalSize - File size
+ * @returns {number|null} Duration in seconds
+ */
+const parseMp3Duration = (bytes, totalSize) => {
+  let start = 0;
+
+  if (readTag(bytes, 0, 3) === 'ID3' && bytes.length >= 10) {
+    // ID3v2 size is a 28-bit syncsafe integer, plus a 10 byte footer when flagged
+    const tagSize = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+    start = 10 + tagSize + (bytes[5] & 0x10 ? 10 : 0);
+  }
+
+  const frame = findMpegFrame(bytes, start);
+  if (!frame) return null;
+
+  const { offset, header } = frame;
+  const view = viewOf(bytes);
+  const sideInfoSize = header.version === 1 ? (header.mono ? 17 : 32) : (header.mono ? 9 : 17);
+  const xingOffset = offset + 4 + sideInfoSize;
+  const vbriOffset = offset + 4 + 32;
+
+  let frames = null;
+  if (xingOffset + 12 <= bytes.length && ['Xing', 'Info'].includes(readTag(bytes, xingOffset, 4))) {
+    const flags = view.getUint32(xingOffset + 4);
+    if (flags & 0x01) frames = view.getUint32(xingOffset + 8);
+  } else if (vbriOffset + 18 <= bytes.length && readTag(bytes, vbriOffset, 4) === 'VBRI') {
+    frames = view.getUint32(vbriOffset + 14);
+  }
+
+  if (frames) {
+    return (frames * header.samplesPerFrame) / header.sampleRate;
+  }
+
+  if (!totalSize) return null;
+  return ((totalSize - offset) * 8) / (header.bitrate * 1000);
+};
+
+/**
+ * Duration from the payload of an `mvhd` box
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Offset of the mvhd payload (after the box header)
+ * @returns {number|null} Duration in seconds
+ */
+const parseMvhd = (bytes, offset) => {
+  const view = viewOf(bytes);
+  const version = bytes[offset];
+
+  if (version === 1) {
+    if (offset + 32 > bytes.length) return null;
+    const timescale = view.getUint32(offset + 20);
+    const duration = Number(view.getBigUint64(offset + 24));
+    return timescale ? duration / timescale : null;
+  }
+
+  if (offset + 20 > bytes.length) return null;
+  const timescale = view.getUint32(offset + 12);
+  const duration = view.getUint32(offset + 16);
+  return timescale ? duration / timescale : null;
+};
+
+/**
+ * Find `mvhd` among the children of a `moov` box
+ * @param {Uint8Array} moov - moov payload
+ * @returns {number|null} Duration in seconds
+ */
+const parseMoovDuration = (moov) => {
+  const view = viewOf(moov);
+  let offset = 0;
+
+  while (offset + 8 <= moov.length) {
+    const size = view.getUint32(offset);
+    if (readTag(moov, offset + 4, 4) === 'mvhd') {
+      return parseMvhd(moov, offset + 8);
+    }
+    if (size < 8) return null;
+    offset += size;
+  }
+
+  return null;
+};
+
+/**
+ * MP4/M4A: walk the top-level boxes to `moov` and read the movie header
+ * `moov` may sit after `mdat`; box headers outside the head are read individually.
+ * @param {Function} readRange - Reads a byte range, like fetchRange
+ * @param {Uint8Array} head - File head
+ * @param {number|null} totalSize - File size
+ * @returns {Promise<number|null>} Duration in seconds
+ */
+const parseMp4Duration = async (readRange, head, totalSize) => {
+  let offset = 0;
+
+  for (let i = 0; i < MAX_MP4_BOXES; i++) {
+    if (totalSize && offset + 8 > totalSize) return null;
+
+    let header = offset + 16 <= head.length ? head.subarray(offset, offset + 16) : null;
+    if (!header) {
+      const { bytes, partial } = await readRange(`${offset}-${offset + 15}`);
+      if (!partial || bytes.length < 8) return null;
+      header = bytes;
+    }
+
+    const view = viewOf(header);
+    const type = readTag(header, 4, 4);
+    let size = view.getUint32(0);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(view.getBigUint64(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = totalSize ? totalSize - offset : Infinity;
+    }
+
+    if (type === 'moov') {
+      const payloadStart = offset + headerSize;
+      const payloadEnd = Math.min(offset + size, payloadStart + PROBE_BYTES);
+
+      if (payloadEnd <= head.length) {
+        return parseMoovDuration(head.subarray(payloadStart, payloadEnd));
+      }
+
+      const { bytes, partial } = await readRange(`${payloadStart}-${payloadEnd - 1}`);
+      return partial ? parseMoovDuration(bytes) : null;
+    }
+
+    if (size < headerSize || !Number.isFinite(size)) return null;
+    offset += size;
+  }
+
+  return null;
+};
+
+/**
+ * OGG: granule position of the last page divided by the stream's sample rate
+ * @param {Function} readRange - Reads a byte range, like fetchRange
+ * @param {Uint8Array} head - File head
+ * @param {number|null} totalSize - File size
+ * @returns {Promise<number|null>} Duration in seconds
+ */
+const parseOggDuration = async (readRange, head, totalSize) => {
+  // The identification packet follows the first page's segment table
+  const packet = 27 + head[26];
+  if (packet + 19 > head.length) return null;
+
+  const headView = viewOf(head);
+  let sampleRate;
+  let preSkip = 0;
+
+  if (readTag(head, packet, 8) === 'OpusHead') {
+    // Opus granule positions always count 48 kHz samples
+    sampleRate = 48000;
+    preSkip = headView.getUint16(packet + 10, true);
+  } else if (head[packet] === 0x01 && readTag(head, packet + 1, 6) === 'vorbis') {
+    sampleRate = headView.getUint32(packet + 12, true);
+  } else {
+    return null;
+  }
+
+  let tail = head;
+  if (!totalSize || totalSize > head.length) {
+    const result = await readRange(`-${PROBE_BYTES}`);
+    if (!result.partial) return null;
+    tail = result.bytes;
+  }
+
+  const tailView = viewOf(tail);
+  for (let offset = tail.length - 27; offset >= 0; offset--) {
+    if (tail[offset] !== 0x4F || readTag(tail, offset, 4) !== 'OggS' || tail[offset + 4] !== 0) continue;
+
+    const granule = tailView.getBigInt64(offset + 6, true);
+    // -1 marks a page on which no packet finishes
+    if (granule > 0n) {
+      return (Number(granule) - preSkip) / sampleRate;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Work out a duration from the file head, reading further ranges when the format needs them
+ * @param {Uint8Array} head - File head
+ * @param {number|null} totalSize - File size
+ * @param {Function} readRange - Reads a byte range, like fetchRange
+ * @param {string} label - File name for log messages
+ * @returns {Promise<Object|null>} { duration, format } or null
+ */
+const measureDuration = async (head, totalSize, readRange, label) => {
+  const format = detectAudioFormat(head);
+
+  let duration = null;
+  switch (format) {
+    case 'wav':
+      duration = parseWavDuration(head, totalSize);
+      break;
+    case 'flac':
+      duration = parseFlacDuration(head);
+      break;
+    case 'mp3':
+      duration = parseMp3Duration(head, totalSize);
+      break;
+    case 'mp4':
+      duration = await parseMp4Duration(readRange, head, totalSize);
+      break;
+    case 'ogg':
+      duration = await parseOggDuration(readRange, head, totalSize);
+      break;
+    default:
+      console.warn(`Could not probe duration: unrecognised audio format for ${label}`);
+      return null;
+  }
+
+  if (!Number.isFinite(duration) || duration <= 0) {
+    console.warn(`Could not probe duration: no usable ${format} header in ${label}`);
+    return null;
+  }
+
+  return { duration: Math.round(duration * 1000) / 1000, format };
+};
+
+/**
+ * Work out the duration of a remote audio file from its container headers
+ * Never throws: any failure (unreachable URL, unknown format, no range support
+ * where one is needed) returns null so callers can fall back.
+ * @param {string} audioUrl - Audio file URL
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeoutMs] - Give up after this long
+ * @returns {Promise<Object|null>} { duration, format } with duration in seconds, or null
+ */
+export const probeAudioDuration = async (audioUrl, { timeoutMs = PROBE_TIMEOUT_MS } = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const { bytes, totalSize } = await fetchRange(audioUrl, `0-${PROBE_BYTES - 1}`, controller.signal);
+    return await measureDuration(bytes, totalSize, (range) => fetchRange(audioUrl, range, controller.signal), audioUrl);
+  } catch (error) {
+    console.error('Error probing audio duration:', error.message || error);
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Work out the duration of an audio file held in memory
+ * Never throws; returns null when the duration cannot be read.
+ * @param {Uint8Array} bytes - File contents
+ * @param {string} [label] - File name for log messages
+ * @returns {Promise<Object|null>} { duration, format } with duration in seconds, or null
+ */
+export const measureAudioBuffer = async (bytes, label = 'uploaded file') => {
+  try {
+    const readRange = async (range) => sliceRange(bytes, range);
+    return await measureDuration(bytes.subarray(0, PROBE_BYTES), bytes.length, readRange, label);
+  } catch (error) {
+    console.error('Error measuring audio duration:', error.message || error);
+    return null;
+  }
+};
@@ -0,0 +1,193 @@
+/**
+ * JWT verification utilities for Supabase access tokens
+ *
+ * Supports both signing modes Supabase projects use:
+ * - HS256 with the project's shared JWT secret (SUPABASE_JWT_SECRET)
+ * - Asymmetric keys (RS256 / ES256) published as a JWKS document
+ *
+ * For offline development a JWKS document can be supplied inline through
+ * SUPABASE_JWKS instead of being fetched from the Supabase auth server.
+ */
+
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 30;
+
+// Audience Supabase issues user session tokens for
+const TOKEN_AUDIENCE = 'authenticated';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Cached JWKS documents keyed by URL
+const jwksCache = new Map();
+
+const ALGORITHMS = {
+  HS256: { name: 'HMAC', hash: 'SHA-256' },
+  RS256: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+  ES256: { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' }
+};
+
+/**
+ * Create an authentication error
+ * @param {string} message - Error message
+ * @returns {Error} Error with name AuthenticationError
+ */
+const authError = (message) => {
+  const error = new Error(message);
+  error.name = 'AuthenticationError';
+  return error;
+};
+
+/**
+ * Decode a base64url string into bytes
+ * @param {string} input - Base64url encoded string
+ * @returns {Uint8Array} Decoded bytes
+ */
+const base64UrlToBytes = (input) => {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Decode a JWT into its header, payload and signature parts without verifying it
+ * @param {string} token - Encoded JWT
+ * @returns {Object} Decoded header, payload, signature and signing input
+ */
+export const decodeJwt = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw authError('Malformed token');
+  }
+
+  try {
+    return {
+      header: JSON.parse(textDecoder.decode(base64UrlToBytes(parts[0]))),
+      payload: JSON.parse(textDecoder.decode(base64UrlToBytes(parts[1]))),
+      signature: base64UrlToBytes(parts[2]),
+      signingInput: textEncoder.encode(`${parts[0]}.${parts[1]}`)
+    };
+  } catch (error) {
+    throw authError('Malformed token');
+  }
+};
+
+/**
+ * Load the JWKS document for the project, either inline or from the auth server
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Array>} List of JSON Web Keys
+ */
+const loadJwks = async (env) => {
+  if (env.SUPABASE_JWKS) {
+    const jwks = typeof env.SUPABASE_JWKS === 'string' ? JSON.parse(env.SUPABASE_JWKS) : env.SUPABASE_JWKS;
+    return jwks.keys || [];
+  }
+
+  const jwksUrl = env.SUPABASE_JWKS_URL || (env.SUPABASE_URL && `${env.SUPABASE_URL}/auth/v1/.well-known/jwks.json`);
+  if (!jwksUrl) {
+    throw authError('No JWT verification key configured');
+  }
+
+  const cached = jwksCache.get(jwksUrl);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.keys;
+  }
+
+  const response = await fetch(jwksUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch JWKS: ${response.status} ${response.statusText}`);
+  }
+
+  const { keys = [] } = await response.json();
+  jwksCache.set(jwksUrl, { keys, expiresAt: Date.now() + JWKS_CACHE_TTL_MS });
+  return keys;
+};
+
+/**
+ * Import the key that should verify a token with the given header
+ * @param {Object} header - Decoded JWT header
+ * @param {Object} env - Environment variables
+ * @returns {Promise<CryptoKey>} Verification key
+ */
+const importVerificationKey = async (header, env) => {
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw authError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  if (header.alg === 'HS256') {
+    if (!env.SUPABASE_JWT_SECRET) {
+      throw authError('No JWT secret configured');
+    }
+    return crypto.subtle.importKey(
+      'raw',
+      textEncoder.encode(env.SUPABASE_JWT_SECRET),
+      algorithm,
+      false,
+      ['verify']
+    );
+  }
+
+  const keys = await loadJwks(env);
+  const jwk = keys.find(key => (header.kid ? key.kid === header.kid : key.alg === header.alg));
+  if (!jwk) {
+    throw authError('No matching signing key found');
+  }
+
+  return crypto.subtle.importKey('jwk', jwk, algorithm, false, ['verify']);
+};
+
+/**
+ * Verify a Supabase access token and return its claims
+ * @param {string} token - Encoded JWT from the Authorization header
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} Verified token payload
+ * @throws {Error} AuthenticationError if the token is invalid or expired, lacks an
+ *   expiry, or was not issued by this project's auth server for signed-in users
+ */
+export const verifySupabaseToken = async (token, env) => {
+  const { header, payload, signature, signingInput } = decodeJwt(token);
+
+  const key = await importVerificationKey(header, env);
+  const algorithm = ALGORITHMS[header.alg];
+  const valid = await crypto.subtle.verify(
+    { name: algorithm.name, hash: algorithm.hash },
+    key,
+    signature,
+    signingInput
+  );
+
+  if (!valid) {
+    throw authError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp !== 'number') {
+    throw authError('Token has no expiry');
+  }
+  if (payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw authError('Token has expired');
+  }
+  if (payload.nbf && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw authError('Token is not yet valid');
+  }
+  if (!env.SUPABASE_URL) {
+    throw authError('No token issuer configured');
+  }
+  if (payload.iss !== `${env.SUPABASE_URL.replace(/\/$/, '')}/auth/v1`) {
+    throw authError('Token issuer mismatch');
+  }
+  if (payload.aud !== TOKEN_AUDIENCE) {
+    throw authError('Token audience mismatch');
+  }
+  if (!payload.sub) {
+    throw authError('Token has no subject');
+  }
+
+  return payload;
+};
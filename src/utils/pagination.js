@@ -0,0 +1,243 @@
+/**
+ * List pagination
+ *
+ * Cursor (keyset) pagination shared by every list endpoint. Each route
+ * describes its table with a list spec:
+ *
+ *   {
+ *     idColumn: 'audioid',                       // unique tiebreaker
+ *     sortFields: { uploaded_at: 'uploaded_at' },// sort param -> column
+ *     defaultSort: '-uploaded_at',               // '-' prefix = descending
+ *     filters: { status: 'status' },             // filter param -> column
+ *     dateColumn: 'uploaded_at'                  // column for from / to
+ *   }
+ *
+ * Request params: limit, cursor, sort, includeTotal, from, to and the spec's
+ * filters (comma-separated values match any of them).
+ */
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * Create a pagination validation error
+ * @param {string} message - Error message
+ * @returns {Error} Error with name ValidationError
+ */
+const validationError = (message) => {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+};
+
+/**
+ * Encode a cursor as base64url JSON
+ * @param {Object} payload - Cursor fields
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (payload) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object} Cursor fields
+ * @throws {Error} ValidationError if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    const payload = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0))));
+    if (!payload || typeof payload.s !== 'string' || !('v' in payload) || payload.id === undefined) {
+      throw new Error('Incomplete cursor');
+    }
+    return payload;
+  } catch (error) {
+    throw validationError('Invalid cursor');
+  }
+};
+
+/**
+ * Parse an ISO date param
+ * @param {string} value - Date string
+ * @param {string} name - Param name for the error message
+ * @returns {string|null} ISO timestamp or null if absent
+ */
+const parseDateParam = (value, name) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw validationError(`${name} must be an ISO 8601 date`);
+  }
+  return date.toISOString();
+};
+
+/**
+ * Parse and validate list params against a spec
+ * @param {Object} input - Query params (GET) or request body (POST)
+ * @param {Object} spec - List spec
+ * @returns {Object} { limit, sortParam, sort: { column, ascending }, cursor, filters, from, to, includeTotal }
+ * @throws {Error} ValidationError on invalid params
+ */
+export const parseListParams = (input, spec) => {
+  const params = input || {};
+
+  const limit = params.limit === undefined || params.limit === '' ? DEFAULT_PAGE_SIZE : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw validationError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const sortParam = params.sort || spec.defaultSort;
+  const ascending = !sortParam.startsWith('-');
+  const column = spec.sortFields[sortParam.replace(/^-/, '')];
+  if (!column) {
+    throw validationError(`sort must be one of: ${Object.keys(spec.sortFields).join(', ')} (prefix with - for descending)`);
+  }
+
+  let cursor = null;
+  if (params.cursor) {
+    cursor = decodeCursor(String(params.cursor));
+    if (cursor.s !== sortParam) {
+      throw validationError('cursor was issued for a different sort');
+    }
+  }
+
+  const filters = [];
+  for (const [param, filterColumn] of Object.entries(spec.filters || {})) {
+    const value = params[param];
+    if (value === undefined || value === null || value === '') continue;
+    const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+    if (values.length) filters.push({ column: filterColumn, values });
+  }
+
+  const from = spec.dateColumn ? parseDateParam(params.from, 'from') : null;
+  const to = spec.dateColumn ? parseDateParam(params.to, 'to') : null;
+
+  return {
+    limit,
+    sortParam,
+    sort: { column, ascending },
+    cursor,
+    filters,
+    from,
+    to,
+    includeTotal: params.includeTotal === true || params.includeTotal === 'true'
+  };
+};
+
+/**
+ * Quote a value for a PostgREST logic tree (or / and)
+ * @param {*} value - Filter value
+ * @returns {string} Quoted value
+ */
+const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Apply the filter and date range params to a query
+ * @param {Object} query - Supabase query builder
+ * @param {Object} params - From parseListParams
+ * @param {Object} spec - List spec
+ * @returns {Object} Query builder
+ */
+const applyFilters = (query, params, spec) => {
+  for (const { column, values } of params.filters) {
+    query = values.length > 1 ? query.in(column, values) : query.eq(column, values[0]);
+  }
+  if (params.from) query = query.gte(spec.dateColumn, params.from);
+  if (params.to) query = query.lte(spec.dateColumn, params.to);
+  return query;
+};
+
+/**
+ * Restrict a query to the rows after the cursor
+ * Rows are ordered by (sort column, id) with nulls last in both directions.
+ * @param {Object} query - Supabase query builder
+ * @param {Object} params - From parseListParams
+ * @param {Object} spec - List spec
+ * @returns {Object} Query builder
+ */
+const applyCursor = (query, params, spec) => {
+  if (!params.cursor) return query;
+
+  const { column, ascending } = params.sort;
+  const op = ascending ? 'gt' : 'lt';
+  const { v: value, id } = params.cursor;
+
+  if (column === spec.idColumn) {
+    return query[op](column, id);
+  }
+
+  if (value === null) {
+    return query.is(column, null)[op](spec.idColumn, id);
+  }
+
+  const quotedValue = quoteFilterValue(value);
+  return query.or([
+    `${column}.${op}.${quotedValue}`,
+    `and(${column}.eq.${quotedValue},${spec.idColumn}.${op}.${quoteFilterValue(id)})`,
+    `${column}.is.null`
+  ].join(','));
+};
+
+/**
+ * Fetch one page of a list
+ * Returns the Supabase-style { data, error } so routes keep their usual error handling.
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options - Options
+ * @param {string} options.table - Table name
+ * @param {string} options.columns - Columns to select; must include the sort and id columns
+ * @param {Object} options.spec - List spec
+ * @param {Object} options.params - From parseListParams
+ * @param {Function} [options.scope] - Adds fixed conditions, e.g. q => q.eq('uid', uid)
+ * @returns {Promise<Object>} { data, error, nextCursor, total }
+ */
+export const fetchPage = async (supabase, { table, columns, spec, params, scope = (query) => query }) => {
+  const { column, ascending } = params.sort;
+
+  let query = applyCursor(applyFilters(scope(supabase.from(table).select(columns)), params, spec), params, spec)
+    .order(column, { ascending, nullsFirst: false });
+  if (column !== spec.idColumn) {
+    query = query.order(spec.idColumn, { ascending });
+  }
+
+  const { data, error } = await query.limit(params.limit + 1);
+  if (error) {
+    return { data: null, error, nextCursor: null };
+  }
+
+  let total;
+  if (params.includeTotal) {
+    const countQuery = applyFilters(
+      scope(supabase.from(table).select(spec.idColumn, { count: 'exact', head: true })),
+      params,
+      spec
+    );
+    const { count, error: countError } = await countQuery;
+    if (countError) {
+      return { data: null, error: countError, nextCursor: null };
+    }
+    total = count;
+  }
+
+  const items = data.slice(0, params.limit);
+  const last = items[items.length - 1];
+  const nextCursor = data.length > params.limit
+    ? encodeCursor({ s: params.sortParam, v: last[column] ?? null, id: last[spec.idColumn] })
+    : null;
+
+  return { data: items, error: null, nextCursor, total };
+};
+
+/**
+ * Pagination fields for a list response
+ * @param {Object} page - Result of fetchPage
+ * @param {Object} params - From parseListParams
+ * @returns {Object} { limit, nextCursor, total? }
+ */
+export const pageInfo = (page, params) => ({
+  limit: params.limit,
+  nextCursor: page.nextCursor,
+  ...(page.total !== undefined ? { total: page.total } : {})
+});
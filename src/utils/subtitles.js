@@ -0,0 +1,223 @@
+/**
+ * Subtitle utilities
+ *
+ * Turn word-level timestamps (the `words_data` schema written by transcription
+ * jobs) into timed cues and render them as SRT, WebVTT, plain text or JSON.
+ * Translations only have segment timing and go through segmentsToWords first.
+ */
+
+export const SUBTITLE_FORMATS = {
+  srt: { extension: 'srt', contentType: 'application/x-subrip; charset=utf-8' },
+  vtt: { extension: 'vtt', contentType: 'text/vtt; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+export const DEFAULT_MAX_CHARS_PER_LINE = 42;
+export const DEFAULT_MAX_CUE_DURATION = 7;
+
+// Lines per cue - the broadcast convention
+const MAX_LINES_PER_CUE = 2;
+
+// A pause longer than this (in seconds) always starts a new cue
+const CUE_PAUSE_SECONDS = 1.5;
+
+const SENTENCE_END = /[.!?…]["')\]]*$/;
+const CLAUSE_END = /[,;:–—]["')\]]*$/;
+
+/**
+ * Build timed cues from word timestamps
+ * Cues close at sentence ends, at clause punctuation once half full, on
+ * speaker changes and long pauses, and whenever the line or duration limits
+ * would be exceeded.
+ * @param {Array} words - Words with word/punctuated_word, start, end and optional speaker
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxCharsPerLine] - Maximum characters per line
+ * @param {number} [options.maxCueDuration] - Maximum cue length in seconds
+ * @returns {Array} Cues { start, end, speaker, lines }
+ */
+export const buildCues = (words, {
+  maxCharsPerLine = DEFAULT_MAX_CHARS_PER_LINE,
+  maxCueDuration = DEFAULT_MAX_CUE_DURATION
+} = {}) => {
+  const cues = [];
+  let cue = null;
+
+  const closeCue = () => {
+    if (cue) cues.push(cue);
+    cue = null;
+  };
+
+  for (const word of words || []) {
+    const text = String(word.punctuated_word || word.word || '').trim();
+    if (!text) continue;
+
+    const start = Number(word.start) || 0;
+    const end = Number(word.end) || start;
+    const speaker = word.speaker ?? null;
+
+    if (cue && (
+      speaker !== cue.speaker
+      || start - cue.end > CUE_PAUSE_SECONDS
+      || end - cue.start > maxCueDuration
+    )) {
+      closeCue();
+    }
+
+    if (cue) {
+      const line = cue.lines[cue.lines.length - 1];
+      if (line.length + 1 + text.length <= maxCharsPerLine) {
+        cue.lines[cue.lines.length - 1] = `${line} ${text}`;
+      } else if (cue.lines.length < MAX_LINES_PER_CUE) {
+        cue.lines.push(text);
+      } else {
+        closeCue();
+      }
+    }
+
+    if (!cue) {
+      cue = { start, end, speaker, lines: [text] };
+    }
+    cue.end = end;
+
+    const length = cue.lines.join(' ').length;
+    if (SENTENCE_END.test(text)
+      || (CLAUSE_END.test(text) && length >= (maxCharsPerLine * MAX_LINES_PER_CUE) / 2)) {
+      closeCue();
+    }
+  }
+
+  closeCue();
+  return cues;
+};
+
+/**
+ * Spread segment text over the segment's time as word timestamps
+ * Translated segments have no word-level timing; each word gets a share of
+ * its segment proportional to its length, so buildCues can split them.
+ * @param {Array} segments - Segments { start, end, text, speaker }
+ * @returns {Array} Words { word, punctuated_word, start, end, speaker }
+ */
+export const segmentsToWords = (segments) => {
+  const words = [];
+  const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+  for (const segment of segments || []) {
+    const tokens = String(segment.text || '').split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) continue;
+
+    const start = Number(segment.start) || 0;
+    const span = Math.max((Number(segment.end) || start) - start, 0);
+    const totalLength = tokens.reduce((sum, token) => sum + token.length, 0);
+    let offset = 0;
+
+    for (const token of tokens) {
+      const wordStart = start + (span * offset) / totalLength;
+      offset += token.length;
+      words.push({
+        word: token,
+        punctuated_word: token,
+        start: round(wordStart),
+        end: round(start + (span * offset) / totalLength),
+        speaker: segment.speaker ?? null
+      });
+    }
+  }
+
+  return words;
+};
+
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - ',' for SRT, '.' for WebVTT
+ * @returns {string} HH:MM:SS,mmm
+ */
+export const formatTimestamp = (seconds, separator = ',') => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, size = 2) => String(value).padStart(size, '0');
+
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+};
+
+/**
+ * Render cues as SubRip
+ * @param {Array} cues - Cues from buildCues
+ * @param {Function} [speakerName] - Maps a speaker id to a display name
+ * @returns {string} SRT document
+ */
+export const formatSrt = (cues, speakerName) => {
+  return cues.map((cue, index) => {
+    const lines = [...cue.lines];
+    if (speakerName && cue.speaker !== null) {
+      lines[0] = `${speakerName(cue.speaker)}: ${lines[0]}`;
+    }
+    return `${index + 1}\n${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${lines.join('\n')}\n`;
+  }).join('\n');
+};
+
+/**
+ * Render cues as WebVTT, with voice tags for speakers
+ * @param {Array} cues - Cues from buildCues
+ * @param {Function} [speakerName] - Maps a speaker id to a display name
+ * @returns {string} WebVTT document
+ */
+export const formatVtt = (cues, speakerName) => {
+  const body = cues.map((cue, index) => {
+    const lines = [...cue.lines];
+    if (speakerName && cue.speaker !== null) {
+      lines[0] = `<v ${speakerName(cue.speaker)}>${lines[0]}`;
+    }
+    return `${index + 1}\n${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${lines.join('\n')}\n`;
+  }).join('\n');
+
+  return `WEBVTT\n\n${body}`;
+};
+
+/**
+ * Render cues as plain text, one paragraph per speaker turn
+ * @param {Array} cues - Cues from buildCues
+ * @param {Function} [speakerName] - Maps a speaker id to a display name
+ * @returns {string} Text document
+ */
+export const formatTxt = (cues, speakerName) => {
+  const paragraphs = [];
+  let current = null;
+
+  for (const cue of cues) {
+    const text = cue.lines.join(' ');
+    if (current && current.speaker === cue.speaker) {
+      current.text += ` ${text}`;
+    } else {
+      current = { speaker: cue.speaker, text };
+      paragraphs.push(current);
+    }
+  }
+
+  return paragraphs.map(({ speaker, text }) => {
+    return speakerName && speaker !== null ? `${speakerName(speaker)}: ${text}` : text;
+  }).join('\n\n') + '\n';
+};
+
+/**
+ * Structured cues for document generators (e.g. DOCX)
+ * @param {Array} cues - Cues from buildCues
+ * @param {Function} [speakerName] - Maps a speaker id to a display name
+ * @returns {Array} Cues { index, start, end, start_timestamp, end_timestamp, speaker, text, lines }
+ */
+export const formatJsonCues = (cues, speakerName) => {
+  return cues.map((cue, index) => ({
+    index: index + 1,
+    start: cue.start,
+    end: cue.end,
+    start_timestamp: formatTimestamp(cue.start, '.'),
+    end_timestamp: formatTimestamp(cue.end, '.'),
+    speaker: speakerName && cue.speaker !== null ? speakerName(cue.speaker) : null,
+    text: cue.lines.join(' '),
+    lines: cue.lines
+  }));
+};
@@ -0,0 +1,94 @@
+/**
+ * Transcript search helpers
+ *
+ * Postgres ranks and highlights matches (`search_audio`); these helpers find
+ * where in the audio each match was said, using the word timestamps.
+ */
+
+// Highlight delimiters emitted by search_audio
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+// Hits returned per recording
+const MAX_HITS_PER_RESULT = 25;
+
+/**
+ * Normalize a word for matching: lowercase, letters and digits only
+ * @param {string} text - Word
+ * @returns {string} Normalized word
+ */
+const normalizeToken = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+/**
+ * Split a web-search style query into the phrases to look for
+ * Quoted text is one phrase, other words are single-word phrases; `OR` and
+ * `-excluded` words are skipped.
+ * @param {string} query - Search query
+ * @returns {Array<Array<string>>} Phrases as normalized token lists
+ */
+export const parseSearchPhrases = (query) => {
+  const phrases = [];
+  const pattern = /(-?)"([^"]*)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    if (match[2] !== undefined) {
+      if (match[1]) continue;
+      const tokens = match[2].split(/\s+/).map(normalizeToken).filter(Boolean);
+      if (tokens.length) phrases.push(tokens);
+    } else {
+      if (match[3] || match[4] === 'OR') continue;
+      const token = normalizeToken(match[4]);
+      if (token) phrases.push([token]);
+    }
+  }
+
+  return phrases;
+};
+
+/**
+ * Find where the query's phrases occur in timed words
+ * @param {Array} words - words_data
+ * @param {Array<Array<string>>} phrases - From parseSearchPhrases
+ * @returns {Object} { hits: [{ text, start, end, word_index }], total }
+ */
+export const findWordHits = (words, phrases) => {
+  if (!Array.isArray(words) || words.length === 0 || phrases.length === 0) {
+    return { hits: [], total: 0 };
+  }
+
+  const tokens = words.map(word => normalizeToken(word.word || word.punctuated_word));
+  const hits = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    for (const phrase of phrases) {
+      if (phrase.every((token, offset) => tokens[i + offset] === token)) {
+        const last = words[i + phrase.length - 1];
+        hits.push({
+          text: words.slice(i, i + phrase.length).map(word => word.punctuated_word || word.word).join(' '),
+          start: words[i].start,
+          end: last.end,
+          word_index: i
+        });
+        break;
+      }
+    }
+  }
+
+  return { hits: hits.slice(0, MAX_HITS_PER_RESULT), total: hits.length };
+};
+
+/**
+ * Escape a search_audio highlight and wrap the matches in <mark>
+ * @param {string} text - Text with highlight delimiters
+ * @returns {string} Safe HTML
+ */
+export const formatHighlight = (text) => {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_STOP).join('</mark>');
+};
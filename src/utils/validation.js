@@ -52,4 +52,32 @@ export const validateAudioID = (audioid) => {
 export const sanitizeString = (input) => {
   if (typeof input !== 'string') return '';
   return input.trim().replace(/[<>]/g, '');
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Normalize a BCP-47 style language code, e.g. "pt_br" -> "pt-BR", "zh-hans" -> "zh-Hans"
+ * @param {string} code - Language code
+ * @returns {string} Normalized code
+ * @throws {Error} If the code is not a language code
+ */
+export const normalizeLanguageCode = (code) => {
+  const match = typeof code === 'string' && code.trim().match(/^([a-z]{2,3})(?:[-_]([a-z0-9]{2,8}))?$/i);
+
+  if (!match) {
+    const error = new Error('Invalid language code');
+    error.name = 'ValidationError';
+    throw error;
+  }
+
+  const [, language, subtag] = match;
+  if (!subtag) return language.toLowerCase();
+
+  // Two letters are a region, four a script
+  const formatted = subtag.length === 2
+    ? subtag.toUpperCase()
+    : subtag.length === 4
+      ? subtag[0].toUpperCase() + subtag.slice(1).toLowerCase()
+      : subtag.toLowerCase();
+
+  return `${language.toLowerCase()}-${formatted}`;
+};
@@ -0,0 +1,74 @@
+/**
+ * Signed tokens for provider callback URLs
+ *
+ * A callback URL carries an HMAC-SHA256 of what it is for (e.g.
+ * "deepgram:<audioid>"), so only URLs this server handed out are accepted.
+ */
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Encode bytes as base64url
+ * @param {ArrayBuffer} buffer - Bytes
+ * @returns {string} Base64url string without padding
+ */
+const bytesToBase64Url = (buffer) => {
+  let binary = '';
+  for (const byte of new Uint8Array(buffer)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode a base64url string into bytes
+ * @param {string} input - Base64url encoded string
+ * @returns {Uint8Array|null} Decoded bytes, or null if the input is not base64url
+ */
+const base64UrlToBytes = (input) => {
+  if (!/^[A-Za-z0-9_-]+$/.test(input)) return null;
+
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Import the HMAC key for a secret
+ * @param {string} secret - Shared secret
+ * @param {Array<string>} usages - Key usages
+ * @returns {Promise<CryptoKey>} Key
+ */
+const importKey = (secret, usages) => {
+  return crypto.subtle.importKey('raw', textEncoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, usages);
+};
+
+/**
+ * Sign a callback subject
+ * @param {string} secret - Shared secret
+ * @param {string} subject - What the callback is for, e.g. "deepgram:<audioid>"
+ * @returns {Promise<string>} Base64url token
+ */
+export const createWebhookToken = async (secret, subject) => {
+  const key = await importKey(secret, ['sign']);
+  return bytesToBase64Url(await crypto.subtle.sign('HMAC', key, textEncoder.encode(subject)));
+};
+
+/**
+ * Check a callback token in constant time
+ * @param {string} secret - Shared secret
+ * @param {string} subject - Expected subject
+ * @param {string} token - Token from the callback URL
+ * @returns {Promise<boolean>} Whether the token was signed for the subject
+ */
+export const verifyWebhookToken = async (secret, subject, token) => {
+  const signature = typeof token === 'string' ? base64UrlToBytes(token) : null;
+  if (!signature) return false;
+
+  const key = await importKey(secret, ['verify']);
+  return crypto.subtle.verify('HMAC', key, signature, textEncoder.encode(subject));
+};
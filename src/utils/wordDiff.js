@@ -0,0 +1,251 @@
+/**
+ * Word-level diff utilities for transcript versions
+ */
+
+// Beyond this many differing words the middle of the transcript is treated as one replacement
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Display text of a stored word
+ * @param {Object} word - Word from words_data
+ * @returns {string} Punctuated word
+ */
+const wordText = (word) => String(word.punctuated_word || word.word || '');
+
+/**
+ * Shortest edit script between two token arrays (Myers' algorithm)
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @returns {Array|null} Ops { type: 'equal' | 'delete' | 'insert', aIndex, bIndex },
+ *   or null if the arrays differ by more than MAX_EDIT_DISTANCE
+ */
+const myersDiff = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, d, n, m);
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Walk the Myers trace back into an edit script
+ * @param {Array<Int32Array>} trace - V snapshots; trace[d] covers k in [-d-1, d+1]
+ * @param {number} distance - Edit distance found
+ * @param {number} n - Old length
+ * @param {number} m - New length
+ * @returns {Array} Ops in order
+ */
+const backtrack = (trace, distance, n, m) => {
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = distance; d > 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', aIndex: --x, bIndex: --y });
+    }
+    if (x === prevX) {
+      ops.push({ type: 'insert', aIndex: x, bIndex: --y });
+    } else {
+      ops.push({ type: 'delete', aIndex: --x, bIndex: y });
+    }
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'equal', aIndex: --x, bIndex: --y });
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Diff two token arrays
+ * Common prefix and suffix are matched first, so localized edits stay cheap.
+ * @param {Array<string>} a - Old tokens
+ * @param {Array<string>} b - New tokens
+ * @returns {Array} Ops { type, aIndex, bIndex }
+ */
+export const diffTokens = (a, b) => {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix
+    && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const aMiddle = a.slice(prefix, a.length - suffix);
+  const bMiddle = b.slice(prefix, b.length - suffix);
+
+  const middle = myersDiff(aMiddle, bMiddle) || [
+    ...aMiddle.map((_, i) => ({ type: 'delete', aIndex: i, bIndex: 0 })),
+    ...bMiddle.map((_, i) => ({ type: 'insert', aIndex: aMiddle.length, bIndex: i }))
+  ];
+
+  const ops = [];
+  for (let i = 0; i < prefix; i++) ops.push({ type: 'equal', aIndex: i, bIndex: i });
+  for (const op of middle) ops.push({ ...op, aIndex: op.aIndex + prefix, bIndex: op.bIndex + prefix });
+  for (let i = suffix; i > 0; i--) ops.push({ type: 'equal', aIndex: a.length - i, bIndex: b.length - i });
+  return ops;
+};
+
+/**
+ * Group diff ops into change hunks
+ * @param {Array} ops - Ops from diffTokens
+ * @returns {Array} Hunks { type: 'insert' | 'delete' | 'replace', aStart, aEnd, bStart, bEnd }
+ *   with end indexes exclusive
+ */
+const groupHunks = (ops) => {
+  const hunks = [];
+  let hunk = null;
+
+  for (const op of ops) {
+    if (op.type === 'equal') {
+      hunk = null;
+      continue;
+    }
+
+    if (!hunk) {
+      hunk = { aStart: op.aIndex, aEnd: op.aIndex, bStart: op.bIndex, bEnd: op.bIndex };
+      hunks.push(hunk);
+    }
+    if (op.type === 'delete') hunk.aEnd = op.aIndex + 1;
+    if (op.type === 'insert') hunk.bEnd = op.bIndex + 1;
+  }
+
+  return hunks.map(h => ({
+    ...h,
+    type: h.aEnd === h.aStart ? 'insert' : h.bEnd === h.bStart ? 'delete' : 'replace'
+  }));
+};
+
+/**
+ * Compare the words of two transcript versions
+ * @param {Array} fromWords - words_data of the older version
+ * @param {Array} toWords - words_data of the newer version
+ * @returns {Object} { changes, retimed, summary } - changes are text hunks with
+ *   word indexes and timestamps; retimed lists unchanged words whose timing moved
+ */
+export const diffWords = (fromWords, toWords) => {
+  const from = fromWords || [];
+  const to = toWords || [];
+  const ops = diffTokens(from.map(wordText), to.map(wordText));
+
+  const textOf = (words, start, end) => words.slice(start, end).map(wordText).join(' ');
+  const changes = groupHunks(ops).map(h => ({
+    type: h.type,
+    from_index: h.aStart,
+    to_index: h.bStart,
+    from_text: textOf(from, h.aStart, h.aEnd),
+    to_text: textOf(to, h.bStart, h.bEnd),
+    start: (from[h.aStart] || to[h.bStart] || {}).start ?? null
+  }));
+
+  const retimed = ops
+    .filter(op => op.type === 'equal')
+    .filter(op => from[op.aIndex].start !== to[op.bIndex].start || from[op.aIndex].end !== to[op.bIndex].end)
+    .map(op => ({
+      word: wordText(to[op.bIndex]),
+      from_index: op.aIndex,
+      to_index: op.bIndex,
+      from: { start: from[op.aIndex].start, end: from[op.aIndex].end },
+      to: { start: to[op.bIndex].start, end: to[op.bIndex].end }
+    }));
+
+  return {
+    changes,
+    retimed,
+    summary: {
+      inserted: ops.filter(op => op.type === 'insert').length,
+      deleted: ops.filter(op => op.type === 'delete').length,
+      retimed: retimed.length
+    }
+  };
+};
+
+/**
+ * Apply corrected transcript text to timed words
+ * Unchanged words keep their timestamps. Replaced words share the time span of
+ * the words they replace; inserted words get a zero-length slot at the gap
+ * they were inserted into. Speakers are inherited from the neighbouring word.
+ * @param {Array} words - Current words_data
+ * @param {string} text - Corrected transcript
+ * @returns {Array} New words_data
+ */
+export const realignWords = (words, text) => {
+  const tokens = text.split(/\s+/).filter(Boolean);
+  const ops = diffTokens(words.map(wordText), tokens);
+  const result = [];
+  let i = 0;
+
+  const makeWord = (token, start, end, template) => ({
+    word: token.replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, '').toLowerCase() || token,
+    punctuated_word: token,
+    start,
+    end,
+    confidence: null,
+    speaker: template?.speaker ?? null
+  });
+
+  while (i < ops.length) {
+    if (ops[i].type === 'equal') {
+      result.push(words[ops[i].aIndex]);
+      i++;
+      continue;
+    }
+
+    const deleted = [];
+    const inserted = [];
+    while (i < ops.length && ops[i].type !== 'equal') {
+      if (ops[i].type === 'delete') deleted.push(words[ops[i].aIndex]);
+      else inserted.push(tokens[ops[i].bIndex]);
+      i++;
+    }
+
+    if (inserted.length === 0) continue;
+
+    const previous = result[result.length - 1];
+    const next = i < ops.length ? words[ops[i].aIndex] : null;
+    const template = deleted[0] || previous || next;
+    const spanStart = deleted.length ? deleted[0].start : (previous ? previous.end : (next ? next.start : 0));
+    const spanEnd = deleted.length ? deleted[deleted.length - 1].end : spanStart;
+    const step = (spanEnd - spanStart) / inserted.length;
+
+    inserted.forEach((token, index) => {
+      const start = spanStart + step * index;
+      result.push(makeWord(token, start, start + step, template));
+    });
+  }
+
+  return result;
+};
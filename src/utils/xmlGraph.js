@@ -0,0 +1,389 @@
+/**
+ * XML graph (mind map) utilities
+ *
+ * Workers have no DOMParser, so this module carries a small strict XML parser
+ * (elements, attributes, text, CDATA and comments; DTDs are rejected) and
+ * validates documents against XML_GRAPH_SCHEMA:
+ *
+ *   <mindmap version="1">
+ *     <topic id="t1" title="Quarterly planning" start="0" end="600">
+ *       <note>Optional detail</note>
+ *       <topic id="t2" title="Budget" start="12.5" end="140"/>
+ *     </topic>
+ *   </mindmap>
+ */
+
+export const MAX_XML_GRAPH_BYTES = 256 * 1024;
+
+// Nesting depth of topics below the root topic
+const MAX_TOPIC_DEPTH = 8;
+
+const MAX_TOPICS = 500;
+
+// Element nesting the parser accepts, well above any valid graph
+const MAX_PARSE_DEPTH = 64;
+
+// Validation stops collecting errors after this many
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Allowed elements, their attributes and children
+ * Attribute rules: required, maxLength, pattern, values, type ('seconds').
+ * Child rules: min / max occurrences. Elements without `text` allow only whitespace.
+ */
+export const XML_GRAPH_SCHEMA = {
+  root: 'mindmap',
+  elements: {
+    mindmap: {
+      attributes: {
+        version: { required: true, values: ['1'] },
+        audioid: { maxLength: 100 },
+        generated_by: { maxLength: 50 }
+      },
+      children: { topic: { min: 1, max: 1 } }
+    },
+    topic: {
+      attributes: {
+        id: { required: true, pattern: /^[A-Za-z_][\w.-]{0,63}$/ },
+        title: { required: true, maxLength: 200 },
+        start: { type: 'seconds' },
+        end: { type: 'seconds' }
+      },
+      children: { note: { max: 1 }, topic: { max: 50 } }
+    },
+    note: {
+      attributes: {},
+      children: {},
+      text: { maxLength: 2000 }
+    }
+  }
+};
+
+const NAMED_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const NAME_PATTERN = /^[A-Za-z_][\w.-]*/;
+
+/**
+ * Create an XML validation error
+ * @param {string} message - Error message
+ * @returns {Error} Error with name ValidationError
+ */
+const xmlError = (message) => {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+};
+
+/**
+ * Replace entity and character references
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ * @throws {Error} ValidationError on an unknown entity or a bare '&'
+ */
+const decodeEntities = (text) => {
+  return text.replace(/&([^;&\s]*);?/g, (match, name) => {
+    if (!match.endsWith(';')) {
+      throw xmlError('Unescaped "&" in text or attribute value');
+    }
+    if (/^#x[0-9a-fA-F]+$/.test(name)) return String.fromCodePoint(parseInt(name.slice(2), 16));
+    if (/^#[0-9]+$/.test(name)) return String.fromCodePoint(parseInt(name.slice(1), 10));
+    if (NAMED_ENTITIES[name]) return NAMED_ENTITIES[name];
+    throw xmlError(`Unknown entity &${name};`);
+  });
+};
+
+/**
+ * Parse an XML document into an element tree
+ * @param {string} xml - XML document
+ * @returns {Object} Root element { name, attributes, children } where children are elements or { text }
+ * @throws {Error} ValidationError if the document is not well-formed
+ */
+export const parseXml = (xml) => {
+  let pos = 0;
+
+  const fail = (message) => {
+    throw xmlError(`${message} at position ${pos}`);
+  };
+
+  const skipWhitespace = () => {
+    while (pos < xml.length && /\s/.test(xml[pos])) pos++;
+  };
+
+  const skipPast = (terminator, what) => {
+    const end = xml.indexOf(terminator, pos);
+    if (end === -1) fail(`Unterminated ${what}`);
+    const content = xml.slice(pos, end);
+    pos = end + terminator.length;
+    return content;
+  };
+
+  // Comments and processing instructions outside the root element
+  const skipMisc = () => {
+    for (;;) {
+      skipWhitespace();
+      if (xml.startsWith('<!--', pos)) {
+        pos += 4;
+        skipPast('-->', 'comment');
+      } else if (xml.startsWith('<?', pos)) {
+        pos += 2;
+        skipPast('?>', 'processing instruction');
+      } else {
+        return;
+      }
+    }
+  };
+
+  const readName = () => {
+    const match = NAME_PATTERN.exec(xml.slice(pos, pos + 256));
+    if (!match) fail('Expected a name');
+    pos += match[0].length;
+    return match[0];
+  };
+
+  const parseElement = (depth) => {
+    if (xml[pos] !== '<') fail('Expected an element');
+    if (depth > MAX_PARSE_DEPTH) fail(`Elements are nested deeper than ${MAX_PARSE_DEPTH} levels`);
+    pos++;
+
+    const element = { name: readName(), attributes: {}, children: [] };
+
+    for (;;) {
+      const before = pos;
+      skipWhitespace();
+
+      if (xml.startsWith('/>', pos)) {
+        pos += 2;
+        return element;
+      }
+      if (xml[pos] === '>') {
+        pos++;
+        break;
+      }
+      if (pos === before) fail('Expected whitespace before attribute');
+
+      const name = readName();
+      skipWhitespace();
+      if (xml[pos] !== '=') fail(`Expected "=" after attribute ${name}`);
+      pos++;
+      skipWhitespace();
+
+      const quote = xml[pos];
+      if (quote !== '"' && quote !== "'") fail(`Expected a quoted value for attribute ${name}`);
+      pos++;
+      const value = skipPast(quote, 'attribute value');
+      if (value.includes('<')) fail(`"<" is not allowed in attribute ${name}`);
+      if (Object.prototype.hasOwnProperty.call(element.attributes, name)) fail(`Duplicate attribute ${name}`);
+      element.attributes[name] = decodeEntities(value);
+    }
+
+    for (;;) {
+      if (pos >= xml.length) fail(`Unclosed element <${element.name}>`);
+
+      if (xml.startsWith('</', pos)) {
+        pos += 2;
+        const name = readName();
+        if (name !== element.name) fail(`Expected </${element.name}> but found </${name}>`);
+        skipWhitespace();
+        if (xml[pos] !== '>') fail('Expected ">"');
+        pos++;
+        return element;
+      }
+
+      if (xml.startsWith('<!--', pos)) {
+        pos += 4;
+        skipPast('-->', 'comment');
+      } else if (xml.startsWith('<![CDATA[', pos)) {
+        pos += 9;
+        element.children.push({ text: skipPast(']]>', 'CDATA section') });
+      } else if (xml.startsWith('<?', pos)) {
+        pos += 2;
+        skipPast('?>', 'processing instruction');
+      } else if (xml.startsWith('<!', pos)) {
+        fail('Declarations are not allowed');
+      } else if (xml[pos] === '<') {
+        element.children.push(parseElement(depth + 1));
+      } else {
+        const end = xml.indexOf('<', pos);
+        const raw = xml.slice(pos, end === -1 ? xml.length : end);
+        pos += raw.length;
+        element.children.push({ text: decodeEntities(raw) });
+      }
+    }
+  };
+
+  if (xml.charCodeAt(0) === 0xFEFF) pos++;
+  skipMisc();
+  if (xml.startsWith('<!DOCTYPE', pos)) fail('DOCTYPE is not allowed');
+
+  const root = parseElement(1);
+
+  skipMisc();
+  if (pos < xml.length) fail('Unexpected content after the root element');
+
+  return root;
+};
+
+/**
+ * Check one attribute value against its rule
+ * @param {string} value - Attribute value
+ * @param {Object} rule - Attribute rule
+ * @returns {string|null} Problem description or null
+ */
+const checkAttribute = (value, rule) => {
+  if (rule.maxLength && value.length > rule.maxLength) return `is longer than ${rule.maxLength} characters`;
+  if (rule.values && !rule.values.includes(value)) return `must be one of: ${rule.values.join(', ')}`;
+  if (rule.pattern && !rule.pattern.test(value)) return 'has an invalid format';
+  if (rule.type === 'seconds' && !(/^\d+(\.\d+)?$/.test(value) && Number.isFinite(Number(value)))) {
+    return 'must be a non-negative number of seconds';
+  }
+  return null;
+};
+
+/**
+ * Validate an XML graph document against XML_GRAPH_SCHEMA
+ * Besides the schema, topic ids must be unique, start must not be after end,
+ * and depth and topic count are limited.
+ * @param {string} xml - XML document
+ * @returns {Object} { valid, errors, topicCount }
+ */
+export const validateXmlGraph = (xml) => {
+  if (typeof xml !== 'string' || !xml.trim()) {
+    return { valid: false, errors: ['XML document is empty'], topicCount: 0 };
+  }
+
+  if (new TextEncoder().encode(xml).length > MAX_XML_GRAPH_BYTES) {
+    return { valid: false, errors: [`XML document is larger than ${MAX_XML_GRAPH_BYTES / 1024} KB`], topicCount: 0 };
+  }
+
+  let root;
+  try {
+    root = parseXml(xml);
+  } catch (error) {
+    return { valid: false, errors: [error.message], topicCount: 0 };
+  }
+
+  const errors = [];
+  const ids = new Set();
+  let topicCount = 0;
+
+  const report = (message) => {
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(message);
+  };
+
+  const visit = (element, path, depth) => {
+    const rules = XML_GRAPH_SCHEMA.elements[element.name];
+    if (!rules) {
+      report(`${path}: element <${element.name}> is not allowed`);
+      return;
+    }
+
+    for (const [name, rule] of Object.entries(rules.attributes)) {
+      const value = element.attributes[name];
+      if (value === undefined) {
+        if (rule.required) report(`${path}: missing attribute ${name}`);
+        continue;
+      }
+      const problem = checkAttribute(value, rule);
+      if (problem) report(`${path}: attribute ${name} ${problem}`);
+    }
+    for (const name of Object.keys(element.attributes)) {
+      if (!rules.attributes[name]) report(`${path}: attribute ${name} is not allowed`);
+    }
+
+    const text = element.children.filter(child => 'text' in child).map(child => child.text).join('');
+    if (rules.text) {
+      if (text.length > rules.text.maxLength) report(`${path}: text is longer than ${rules.text.maxLength} characters`);
+    } else if (text.trim()) {
+      report(`${path}: text content is not allowed`);
+    }
+
+    const childElements = element.children.filter(child => !('text' in child));
+    for (const [name, rule] of Object.entries(rules.children)) {
+      const count = childElements.filter(child => child.name === name).length;
+      if (rule.min && count < rule.min) report(`${path}: expected at least ${rule.min} <${name}>`);
+      if (rule.max !== undefined && count > rule.max) report(`${path}: expected at most ${rule.max} <${name}>`);
+    }
+
+    if (element.name === 'topic') {
+      topicCount++;
+      const { id, start, end } = element.attributes;
+      if (id !== undefined) {
+        if (ids.has(id)) report(`${path}: duplicate topic id ${id}`);
+        ids.add(id);
+      }
+      if (start !== undefined && end !== undefined && Number(start) > Number(end)) {
+        report(`${path}: start is after end`);
+      }
+      if (depth > MAX_TOPIC_DEPTH) {
+        report(`${path}: topics are nested deeper than ${MAX_TOPIC_DEPTH} levels`);
+        return;
+      }
+    }
+
+    const seen = {};
+    for (const child of childElements) {
+      seen[child.name] = (seen[child.name] || 0) + 1;
+      if (!rules.children[child.name]) {
+        report(`${path}: child <${child.name}> is not allowed`);
+        continue;
+      }
+      visit(child, `${path}/${child.name}[${seen[child.name]}]`, element.name === 'topic' ? depth + 1 : depth);
+    }
+  };
+
+  if (root.name !== XML_GRAPH_SCHEMA.root) {
+    report(`Root element must be <${XML_GRAPH_SCHEMA.root}>`);
+  } else {
+    visit(root, `/${root.name}`, 0);
+  }
+
+  if (topicCount > MAX_TOPICS) {
+    report(`Graph has more than ${MAX_TOPICS} topics`);
+  }
+
+  return { valid: errors.length === 0, errors, topicCount };
+};
+
+/**
+ * Escape text for an XML attribute or text node
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Serialize a topic tree as an XML graph document
+ * Topic ids are assigned in document order (t1, t2...).
+ * @param {Object} tree - Root topic { title, start, end, note, children }
+ * @param {Object} [attributes] - Extra <mindmap> attributes (audioid, generated_by)
+ * @returns {string} XML document
+ */
+export const buildXmlGraph = (tree, attributes = {}) => {
+  let nextId = 1;
+
+  const renderTopic = (topic, indent) => {
+    const attrs = [`id="t${nextId++}"`, `title="${escapeXml(topic.title)}"`];
+    if (topic.start !== null && topic.start !== undefined) attrs.push(`start="${topic.start}"`);
+    if (topic.end !== null && topic.end !== undefined) attrs.push(`end="${topic.end}"`);
+
+    const inner = [];
+    if (topic.note) inner.push(`${indent}  <note>${escapeXml(topic.note)}</note>`);
+    for (const child of topic.children || []) inner.push(renderTopic(child, `${indent}  `));
+
+    return inner.length
+      ? `${indent}<topic ${attrs.join(' ')}>\n${inner.join('\n')}\n${indent}</topic>`
+      : `${indent}<topic ${attrs.join(' ')}/>`;
+  };
+
+  const rootAttrs = Object.entries({ version: '1', ...attributes })
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+    .join(' ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<mindmap ${rootAttrs}>\n${renderTopic(tree, '  ')}\n</mindmap>\n`;
+};
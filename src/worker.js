@@ -0,0 +1,33 @@
+import { AudioTranscriptionProcessor } from './durableObjects/AudioTranscriptionProcessor.js';
+import { processJobMessage } from './jobs/queue.js';
+import { runScheduledTasks } from './jobs/scheduledTasks.js';
+
+// Entry point of the matrixai-audio-processor Worker (wrangler.processor.toml).
+// It hosts the Durable Object bound by the Pages project, consumes the job
+// queue and runs cron tasks.
+
+export { AudioTranscriptionProcessor };
+
+export default {
+  async fetch() {
+    return new Response('Not found', { status: 404 });
+  },
+
+  // Job state lives in the jobs table; a message is only retried here when
+  // that table could not be read or written (see src/jobs/queue.js)
+  async queue(batch, env) {
+    for (const message of batch.messages) {
+      try {
+        await processJobMessage(env, message.body.jobId);
+        message.ack();
+      } catch (error) {
+        console.error(`Job message ${message.body?.jobId} could not be processed:`, error);
+        message.retry();
+      }
+    }
+  },
+
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledTasks(env));
+  }
+};
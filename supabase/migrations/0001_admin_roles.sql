@@ -0,0 +1,34 @@
+-- Admin role model and access audit log for /api/admin routes
+
+CREATE TABLE IF NOT EXISTS admin_users (
+  uid TEXT PRIMARY KEY,
+  role TEXT NOT NULL CHECK (role IN ('viewer', 'support', 'finance', 'superadmin')),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  granted_by TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  admin_uid TEXT NOT NULL,
+  role TEXT,
+  method TEXT NOT NULL,
+  path TEXT NOT NULL,
+  query TEXT,
+  allowed BOOLEAN NOT NULL,
+  status INTEGER,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_admin_uid ON admin_audit_log(admin_uid);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at);
+
+-- Only the server (service role) may read or change roles and the audit log
+ALTER TABLE admin_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE admin_audit_log ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON TABLE admin_users FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON TABLE admin_audit_log FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON SEQUENCE admin_audit_log_id_seq FROM PUBLIC, anon, authenticated;
+GRANT ALL ON TABLE admin_users TO service_role;
+GRANT ALL ON TABLE admin_audit_log TO service_role;
+GRANT ALL ON SEQUENCE admin_audit_log_id_seq TO service_role;
@@ -0,0 +1,128 @@
+-- Append-only coin ledger
+-- Every balance change goes through apply_coin_entry(), which updates
+-- users.user_coins with a single conditional UPDATE and appends the matching
+-- user_transaction row in the same database transaction.
+
+ALTER TABLE user_transaction ADD COLUMN IF NOT EXISTS entry_type TEXT;
+ALTER TABLE user_transaction ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+ALTER TABLE user_transaction ADD COLUMN IF NOT EXISTS reference_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_transaction_idempotency_key
+  ON user_transaction(idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_user_transaction_reference_id ON user_transaction(reference_id);
+
+-- Ledger rows are never rewritten: corrections are new entries
+CREATE OR REPLACE FUNCTION prevent_user_transaction_mutation()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'user_transaction is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS user_transaction_append_only ON user_transaction;
+CREATE TRIGGER user_transaction_append_only
+  BEFORE UPDATE OR DELETE ON user_transaction
+  FOR EACH ROW EXECUTE FUNCTION prevent_user_transaction_mutation();
+
+-- Apply one ledger entry
+--   debit:  subtract p_amount if the balance covers it
+--   credit: add p_amount
+--   reset:  set the balance to p_amount (subscription renewals)
+-- Replaying an idempotency key returns the original outcome without touching the balance.
+CREATE OR REPLACE FUNCTION apply_coin_entry(
+  p_uid TEXT,
+  p_entry_type TEXT,
+  p_amount INTEGER,
+  p_transaction_name TEXT,
+  p_idempotency_key TEXT DEFAULT NULL,
+  p_reference_id TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_existing user_transaction%ROWTYPE;
+  v_balance INTEGER;
+BEGIN
+  IF p_amount IS NULL OR p_amount < 0 THEN
+    RAISE EXCEPTION 'Coin amount must be a non-negative integer';
+  END IF;
+
+  IF p_entry_type NOT IN ('debit', 'credit', 'reset') THEN
+    RAISE EXCEPTION 'Unknown ledger entry type: %', p_entry_type;
+  END IF;
+
+  IF p_idempotency_key IS NOT NULL THEN
+    SELECT * INTO v_existing FROM user_transaction WHERE idempotency_key = p_idempotency_key;
+    IF FOUND THEN
+      RETURN jsonb_build_object(
+        'success', TRUE,
+        'duplicate', TRUE,
+        'remaining_coins', v_existing.remaining_coins
+      );
+    END IF;
+  END IF;
+
+  BEGIN
+    IF p_entry_type = 'debit' THEN
+      UPDATE users
+        SET user_coins = user_coins - p_amount
+        WHERE uid = p_uid AND COALESCE(user_coins, 0) >= p_amount
+        RETURNING user_coins INTO v_balance;
+    ELSIF p_entry_type = 'credit' THEN
+      UPDATE users
+        SET user_coins = COALESCE(user_coins, 0) + p_amount
+        WHERE uid = p_uid
+        RETURNING user_coins INTO v_balance;
+    ELSE
+      UPDATE users
+        SET user_coins = p_amount
+        WHERE uid = p_uid
+        RETURNING user_coins INTO v_balance;
+    END IF;
+
+    IF NOT FOUND THEN
+      SELECT user_coins INTO v_balance FROM users WHERE uid = p_uid;
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'User not found: %', p_uid;
+      END IF;
+
+      -- Failed attempts are logged without the idempotency key so a later retry can succeed
+      INSERT INTO user_transaction (uid, transaction_name, coin_amount, remaining_coins, status, time, entry_type, reference_id)
+      VALUES (p_uid, p_transaction_name, p_amount, v_balance, 'failed', NOW(), p_entry_type, p_reference_id);
+
+      RETURN jsonb_build_object(
+        'success', FALSE,
+        'duplicate', FALSE,
+        'remaining_coins', v_balance,
+        'message', 'Insufficient coins. Please buy more coins.'
+      );
+    END IF;
+
+    INSERT INTO user_transaction (uid, transaction_name, coin_amount, remaining_coins, status, time, entry_type, idempotency_key, reference_id)
+    VALUES (p_uid, p_transaction_name, p_amount, v_balance, 'success', NOW(), p_entry_type, p_idempotency_key, p_reference_id);
+  EXCEPTION WHEN unique_violation THEN
+    -- A concurrent call with the same key won; the balance change above is rolled back
+    SELECT * INTO v_existing FROM user_transaction WHERE idempotency_key = p_idempotency_key;
+    RETURN jsonb_build_object(
+      'success', TRUE,
+      'duplicate', TRUE,
+      'remaining_coins', v_existing.remaining_coins
+    );
+  END;
+
+  RETURN jsonb_build_object(
+    'success', TRUE,
+    'duplicate', FALSE,
+    'remaining_coins', v_balance
+  );
+END;
+$$;
+
+-- Only the server (service role) may move coins
+REVOKE EXECUTE ON FUNCTION apply_coin_entry(TEXT, TEXT, INTEGER, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_coin_entry(TEXT, TEXT, INTEGER, TEXT, TEXT, TEXT) TO service_role;
@@ -0,0 +1,76 @@
+-- Refunds for failed jobs
+-- refund_coin_entry() credits back exactly what a successful debit charged.
+-- The refund's idempotency key is derived from the original charge's key,
+-- so a charge can be refunded at most once no matter how often a job retries.
+
+CREATE OR REPLACE FUNCTION refund_coin_entry(
+  p_uid TEXT,
+  p_charge_key TEXT,
+  p_transaction_name TEXT,
+  p_reference_id TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_charge user_transaction%ROWTYPE;
+  v_existing user_transaction%ROWTYPE;
+  v_refund_key TEXT := 'refund:' || p_charge_key;
+  v_balance INTEGER;
+BEGIN
+  SELECT * INTO v_existing FROM user_transaction WHERE idempotency_key = v_refund_key;
+  IF FOUND THEN
+    RETURN jsonb_build_object(
+      'success', TRUE,
+      'duplicate', TRUE,
+      'refunded_coins', v_existing.coin_amount,
+      'remaining_coins', v_existing.remaining_coins
+    );
+  END IF;
+
+  SELECT * INTO v_charge
+    FROM user_transaction
+    WHERE idempotency_key = p_charge_key
+      AND uid = p_uid
+      AND entry_type = 'debit'
+      AND status = 'success';
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object(
+      'success', FALSE,
+      'duplicate', FALSE,
+      'refunded_coins', 0,
+      'message', 'No successful charge found for this key'
+    );
+  END IF;
+
+  BEGIN
+    UPDATE users
+      SET user_coins = COALESCE(user_coins, 0) + v_charge.coin_amount
+      WHERE uid = p_uid
+      RETURNING user_coins INTO v_balance;
+
+    INSERT INTO user_transaction (uid, transaction_name, coin_amount, remaining_coins, status, time, entry_type, idempotency_key, reference_id)
+    VALUES (p_uid, p_transaction_name, v_charge.coin_amount, v_balance, 'success', NOW(), 'refund', v_refund_key, COALESCE(p_reference_id, v_charge.reference_id));
+  EXCEPTION WHEN unique_violation THEN
+    SELECT * INTO v_existing FROM user_transaction WHERE idempotency_key = v_refund_key;
+    RETURN jsonb_build_object(
+      'success', TRUE,
+      'duplicate', TRUE,
+      'refunded_coins', v_existing.coin_amount,
+      'remaining_coins', v_existing.remaining_coins
+    );
+  END;
+
+  RETURN jsonb_build_object(
+    'success', TRUE,
+    'duplicate', FALSE,
+    'refunded_coins', v_charge.coin_amount,
+    'remaining_coins', v_balance
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION refund_coin_entry(TEXT, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION refund_coin_entry(TEXT, TEXT, TEXT, TEXT) TO service_role;
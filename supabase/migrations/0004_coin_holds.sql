@@ -0,0 +1,291 @@
+-- Two-phase billing for long-running jobs
+-- A hold reserves coins when a job is queued (users.held_coins), a capture
+-- turns it into a ledger debit for the final amount, and a release or expiry
+-- returns the reserved coins. Available balance = user_coins - held_coins.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS held_coins INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS coin_holds (
+  id BIGSERIAL PRIMARY KEY,
+  uid TEXT NOT NULL,
+  hold_key TEXT NOT NULL UNIQUE,
+  reference_id TEXT,
+  transaction_name TEXT NOT NULL,
+  amount INTEGER NOT NULL CHECK (amount >= 0),
+  captured_amount INTEGER,
+  status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'captured', 'released', 'expired')),
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  settled_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_coin_holds_uid ON coin_holds(uid);
+CREATE INDEX IF NOT EXISTS idx_coin_holds_status_expires_at ON coin_holds(status, expires_at);
+
+-- Reserve coins if the available balance covers them
+CREATE OR REPLACE FUNCTION create_coin_hold(
+  p_uid TEXT,
+  p_amount INTEGER,
+  p_transaction_name TEXT,
+  p_hold_key TEXT,
+  p_reference_id TEXT DEFAULT NULL,
+  p_ttl_seconds INTEGER DEFAULT 3600
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_existing coin_holds%ROWTYPE;
+  v_available INTEGER;
+BEGIN
+  IF p_amount IS NULL OR p_amount < 0 THEN
+    RAISE EXCEPTION 'Coin amount must be a non-negative integer';
+  END IF;
+
+  SELECT * INTO v_existing FROM coin_holds WHERE hold_key = p_hold_key;
+  IF FOUND THEN
+    RETURN jsonb_build_object('success', TRUE, 'duplicate', TRUE, 'status', v_existing.status);
+  END IF;
+
+  BEGIN
+    UPDATE users
+      SET held_coins = held_coins + p_amount
+      WHERE uid = p_uid AND COALESCE(user_coins, 0) - held_coins >= p_amount
+      RETURNING COALESCE(user_coins, 0) - held_coins INTO v_available;
+
+    IF NOT FOUND THEN
+      SELECT COALESCE(user_coins, 0) - held_coins INTO v_available FROM users WHERE uid = p_uid;
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'User not found: %', p_uid;
+      END IF;
+
+      RETURN jsonb_build_object(
+        'success', FALSE,
+        'duplicate', FALSE,
+        'available_coins', v_available,
+        'message', 'Insufficient coins. Please buy more coins.'
+      );
+    END IF;
+
+    INSERT INTO coin_holds (uid, hold_key, reference_id, transaction_name, amount, expires_at)
+    VALUES (p_uid, p_hold_key, p_reference_id, p_transaction_name, p_amount, NOW() + make_interval(secs => p_ttl_seconds));
+  EXCEPTION WHEN unique_violation THEN
+    SELECT * INTO v_existing FROM coin_holds WHERE hold_key = p_hold_key;
+    RETURN jsonb_build_object('success', TRUE, 'duplicate', TRUE, 'status', v_existing.status);
+  END;
+
+  RETURN jsonb_build_object('success', TRUE, 'duplicate', FALSE, 'status', 'held', 'available_coins', v_available);
+END;
+$$;
+
+-- Settle a hold as a ledger debit
+-- p_amount may differ from the held amount (e.g. the real audio duration).
+-- Anything above the hold is only charged as far as the available balance allows.
+-- The debit uses the hold key as its idempotency key, so refund_coin_entry() can refund it.
+CREATE OR REPLACE FUNCTION capture_coin_hold(
+  p_hold_key TEXT,
+  p_amount INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_hold coin_holds%ROWTYPE;
+  v_available INTEGER;
+  v_final INTEGER;
+  v_balance INTEGER;
+BEGIN
+  SELECT * INTO v_hold FROM coin_holds WHERE hold_key = p_hold_key FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', FALSE, 'message', 'Hold not found');
+  END IF;
+
+  IF v_hold.status = 'captured' THEN
+    RETURN jsonb_build_object('success', TRUE, 'duplicate', TRUE, 'captured_coins', v_hold.captured_amount);
+  END IF;
+
+  IF v_hold.status <> 'held' THEN
+    RETURN jsonb_build_object('success', FALSE, 'message', 'Hold is ' || v_hold.status);
+  END IF;
+
+  SELECT COALESCE(user_coins, 0) - held_coins INTO v_available FROM users WHERE uid = v_hold.uid FOR UPDATE;
+  v_final := LEAST(COALESCE(p_amount, v_hold.amount), v_hold.amount + GREATEST(v_available, 0));
+  v_final := GREATEST(v_final, 0);
+
+  UPDATE users
+    SET user_coins = COALESCE(user_coins, 0) - v_final,
+        held_coins = held_coins - v_hold.amount
+    WHERE uid = v_hold.uid
+    RETURNING user_coins INTO v_balance;
+
+  UPDATE coin_holds
+    SET status = 'captured', captured_amount = v_final, settled_at = NOW()
+    WHERE id = v_hold.id;
+
+  INSERT INTO user_transaction (uid, transaction_name, coin_amount, remaining_coins, status, time, entry_type, idempotency_key, reference_id)
+  VALUES (v_hold.uid, v_hold.transaction_name, v_final, v_balance, 'success', NOW(), 'debit', v_hold.hold_key, v_hold.reference_id);
+
+  RETURN jsonb_build_object(
+    'success', TRUE,
+    'duplicate', FALSE,
+    'captured_coins', v_final,
+    'remaining_coins', v_balance
+  );
+END;
+$$;
+
+-- Return held coins to the available balance
+CREATE OR REPLACE FUNCTION release_coin_hold(
+  p_hold_key TEXT,
+  p_status TEXT DEFAULT 'released'
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_hold coin_holds%ROWTYPE;
+BEGIN
+  IF p_status NOT IN ('released', 'expired') THEN
+    RAISE EXCEPTION 'Invalid release status: %', p_status;
+  END IF;
+
+  SELECT * INTO v_hold FROM coin_holds WHERE hold_key = p_hold_key FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', FALSE, 'status', NULL, 'message', 'Hold not found');
+  END IF;
+
+  IF v_hold.status <> 'held' THEN
+    RETURN jsonb_build_object('success', FALSE, 'status', v_hold.status, 'message', 'Hold is ' || v_hold.status);
+  END IF;
+
+  UPDATE users SET held_coins = GREATEST(held_coins - v_hold.amount, 0) WHERE uid = v_hold.uid;
+  UPDATE coin_holds SET status = p_status, settled_at = NOW() WHERE id = v_hold.id;
+
+  RETURN jsonb_build_object('success', TRUE, 'status', p_status, 'released_coins', v_hold.amount);
+END;
+$$;
+
+-- Release every hold past its expiry (scheduled sweep)
+CREATE OR REPLACE FUNCTION expire_coin_holds()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_key TEXT;
+  v_count INTEGER := 0;
+BEGIN
+  FOR v_key IN
+    SELECT hold_key FROM coin_holds WHERE status = 'held' AND expires_at < NOW()
+  LOOP
+    PERFORM release_coin_hold(v_key, 'expired');
+    v_count := v_count + 1;
+  END LOOP;
+
+  RETURN v_count;
+END;
+$$;
+
+-- Direct debits must not spend coins reserved by holds
+CREATE OR REPLACE FUNCTION apply_coin_entry(
+  p_uid TEXT,
+  p_entry_type TEXT,
+  p_amount INTEGER,
+  p_transaction_name TEXT,
+  p_idempotency_key TEXT DEFAULT NULL,
+  p_reference_id TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_existing user_transaction%ROWTYPE;
+  v_balance INTEGER;
+BEGIN
+  IF p_amount IS NULL OR p_amount < 0 THEN
+    RAISE EXCEPTION 'Coin amount must be a non-negative integer';
+  END IF;
+
+  IF p_entry_type NOT IN ('debit', 'credit', 'reset') THEN
+    RAISE EXCEPTION 'Unknown ledger entry type: %', p_entry_type;
+  END IF;
+
+  IF p_idempotency_key IS NOT NULL THEN
+    SELECT * INTO v_existing FROM user_transaction WHERE idempotency_key = p_idempotency_key;
+    IF FOUND THEN
+      RETURN jsonb_build_object(
+        'success', TRUE,
+        'duplicate', TRUE,
+        'remaining_coins', v_existing.remaining_coins
+      );
+    END IF;
+  END IF;
+
+  BEGIN
+    IF p_entry_type = 'debit' THEN
+      UPDATE users
+        SET user_coins = user_coins - p_amount
+        WHERE uid = p_uid AND COALESCE(user_coins, 0) - held_coins >= p_amount
+        RETURNING user_coins INTO v_balance;
+    ELSIF p_entry_type = 'credit' THEN
+      UPDATE users
+        SET user_coins = COALESCE(user_coins, 0) + p_amount
+        WHERE uid = p_uid
+        RETURNING user_coins INTO v_balance;
+    ELSE
+      UPDATE users
+        SET user_coins = p_amount
+        WHERE uid = p_uid
+        RETURNING user_coins INTO v_balance;
+    END IF;
+
+    IF NOT FOUND THEN
+      SELECT user_coins INTO v_balance FROM users WHERE uid = p_uid;
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'User not found: %', p_uid;
+      END IF;
+
+      -- Failed attempts are logged without the idempotency key so a later retry can succeed
+      INSERT INTO user_transaction (uid, transaction_name, coin_amount, remaining_coins, status, time, entry_type, reference_id)
+      VALUES (p_uid, p_transaction_name, p_amount, v_balance, 'failed', NOW(), p_entry_type, p_reference_id);
+
+      RETURN jsonb_build_object(
+        'success', FALSE,
+        'duplicate', FALSE,
+        'remaining_coins', v_balance,
+        'message', 'Insufficient coins. Please buy more coins.'
+      );
+    END IF;
+
+    INSERT INTO user_transaction (uid, transaction_name, coin_amount, remaining_coins, status, time, entry_type, idempotency_key, reference_id)
+    VALUES (p_uid, p_transaction_name, p_amount, v_balance, 'success', NOW(), p_entry_type, p_idempotency_key, p_reference_id);
+  EXCEPTION WHEN unique_violation THEN
+    -- A concurrent call with the same key won; the balance change above is rolled back
+    SELECT * INTO v_existing FROM user_transaction WHERE idempotency_key = p_idempotency_key;
+    RETURN jsonb_build_object(
+      'success', TRUE,
+      'duplicate', TRUE,
+      'remaining_coins', v_existing.remaining_coins
+    );
+  END;
+
+  RETURN jsonb_build_object(
+    'success', TRUE,
+    'duplicate', FALSE,
+    'remaining_coins', v_balance
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION create_coin_hold(TEXT, INTEGER, TEXT, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION capture_coin_hold(TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_coin_hold(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION expire_coin_holds() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_coin_hold(TEXT, INTEGER, TEXT, TEXT, TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION capture_coin_hold(TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION release_coin_hold(TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION expire_coin_holds() TO service_role;
@@ -0,0 +1,11 @@
+-- Claimed vs measured audio duration
+-- `duration` stays the billed value (whole seconds, rounded up). The client's
+-- claim and the server's measurement are kept side by side for auditing.
+--   duration_source: 'client'      - nothing could be measured, the claim was used
+--                    'header'      - read from the file's container headers
+--                    'transcriber' - reported by the transcription provider
+
+ALTER TABLE audio_metadata ADD COLUMN IF NOT EXISTS claimed_duration NUMERIC;
+ALTER TABLE audio_metadata ADD COLUMN IF NOT EXISTS measured_duration NUMERIC;
+ALTER TABLE audio_metadata ADD COLUMN IF NOT EXISTS duration_source TEXT
+  CHECK (duration_source IN ('client', 'header', 'transcriber'));
@@ -0,0 +1,6 @@
+-- Pluggable transcription providers
+-- words_data and segments_data hold the provider-independent schema
+-- described in src/services/transcription/schema.js.
+
+ALTER TABLE audio_metadata ADD COLUMN IF NOT EXISTS transcription_provider TEXT;
+ALTER TABLE audio_metadata ADD COLUMN IF NOT EXISTS segments_data JSONB;
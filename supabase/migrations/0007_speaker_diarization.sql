@@ -0,0 +1,6 @@
+-- Speaker diarization
+-- Diarized jobs store speaker ids on words_data and segments_data; custom
+-- display names live in speaker_names, e.g. {"0": "Alice", "1": "Bob"}.
+
+ALTER TABLE audio_metadata ADD COLUMN IF NOT EXISTS diarize BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE audio_metadata ADD COLUMN IF NOT EXISTS speaker_names JSONB NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,90 @@
+-- Transcript version history
+-- audio_metadata.transcription / words_data / segments_data always hold the
+-- current version; every version (including the original machine output,
+-- snapshotted as version 1 on the first edit) is kept in transcript_versions.
+
+ALTER TABLE audio_metadata ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS transcript_versions (
+  id BIGSERIAL PRIMARY KEY,
+  uid TEXT NOT NULL,
+  audioid TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  source TEXT NOT NULL CHECK (source IN ('machine', 'edit', 'rollback')),
+  based_on INTEGER,
+  note TEXT,
+  transcription TEXT,
+  words_data JSONB,
+  segments_data JSONB,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (uid, audioid, version)
+);
+
+-- Save a new current version
+-- Locks the audio row so concurrent edits are serialized; when p_base_version
+-- is given and no longer current the edit is rejected as a conflict.
+CREATE OR REPLACE FUNCTION save_transcript_version(
+  p_uid TEXT,
+  p_audioid TEXT,
+  p_transcription TEXT,
+  p_words_data JSONB,
+  p_segments_data JSONB,
+  p_source TEXT,
+  p_based_on INTEGER DEFAULT NULL,
+  p_note TEXT DEFAULT NULL,
+  p_base_version INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_meta audio_metadata%ROWTYPE;
+  v_version INTEGER;
+BEGIN
+  SELECT * INTO v_meta
+    FROM audio_metadata
+    WHERE uid = p_uid AND audioid = p_audioid
+    FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', FALSE, 'message', 'Audio not found');
+  END IF;
+
+  IF p_base_version IS NOT NULL AND p_base_version <> v_meta.current_version THEN
+    RETURN jsonb_build_object(
+      'success', FALSE,
+      'conflict', TRUE,
+      'current_version', v_meta.current_version,
+      'message', 'The transcript was changed by another edit'
+    );
+  END IF;
+
+  INSERT INTO transcript_versions (uid, audioid, version, source, transcription, words_data, segments_data, created_at)
+  VALUES (p_uid, p_audioid, 1, 'machine', v_meta.transcription, v_meta.words_data, v_meta.segments_data, COALESCE(v_meta.uploaded_at, NOW()))
+  ON CONFLICT (uid, audioid, version) DO NOTHING;
+
+  v_version := v_meta.current_version + 1;
+
+  INSERT INTO transcript_versions (uid, audioid, version, source, based_on, note, transcription, words_data, segments_data)
+  VALUES (p_uid, p_audioid, v_version, p_source, p_based_on, p_note, p_transcription, p_words_data, p_segments_data);
+
+  UPDATE audio_metadata
+    SET transcription = p_transcription,
+        words_data = p_words_data,
+        segments_data = p_segments_data,
+        current_version = v_version
+    WHERE uid = p_uid AND audioid = p_audioid;
+
+  RETURN jsonb_build_object('success', TRUE, 'version', v_version);
+END;
+$$;
+
+-- Only the server (service role) may read versions or save them; uid comes
+-- from the verified access token
+ALTER TABLE transcript_versions ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON TABLE transcript_versions FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON SEQUENCE transcript_versions_id_seq FROM PUBLIC, anon, authenticated;
+GRANT ALL ON TABLE transcript_versions TO service_role;
+GRANT ALL ON SEQUENCE transcript_versions_id_seq TO service_role;
+REVOKE EXECUTE ON FUNCTION save_transcript_version(TEXT, TEXT, TEXT, JSONB, JSONB, TEXT, INTEGER, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION save_transcript_version(TEXT, TEXT, TEXT, JSONB, JSONB, TEXT, INTEGER, TEXT, INTEGER) TO service_role;
@@ -0,0 +1,57 @@
+-- Full-text search over audio names and transcriptions
+-- The 'simple' configuration does no stemming, so it works for every
+-- transcription language. Names rank above transcript text.
+
+ALTER TABLE audio_metadata ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', COALESCE(audio_name, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(transcription, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_audio_metadata_search_vector ON audio_metadata USING GIN (search_vector);
+
+-- Ranked search of one user's audio
+-- p_query uses web search syntax: words, "quoted phrases", OR, -excluded.
+-- Highlights are delimited by chr(2) / chr(3) so callers can escape the text
+-- before turning them into markup.
+CREATE OR REPLACE FUNCTION search_audio(
+  p_uid TEXT,
+  p_query TEXT,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  audioid TEXT,
+  audio_name TEXT,
+  uploaded_at TIMESTAMPTZ,
+  duration NUMERIC,
+  language TEXT,
+  status TEXT,
+  rank REAL,
+  name_highlight TEXT,
+  snippet TEXT,
+  words_data JSONB
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    a.audioid,
+    a.audio_name,
+    a.uploaded_at::timestamptz,
+    a.duration::numeric,
+    a.language,
+    a.status,
+    ts_rank(a.search_vector, q.query),
+    ts_headline('simple', COALESCE(a.audio_name, ''), q.query,
+      format('StartSel=%s, StopSel=%s, HighlightAll=true', chr(2), chr(3))),
+    ts_headline('simple', COALESCE(a.transcription, ''), q.query,
+      format('StartSel=%s, StopSel=%s, MaxFragments=3, MinWords=8, MaxWords=20, FragmentDelimiter=" … "', chr(2), chr(3))),
+    a.words_data
+  FROM audio_metadata a, websearch_to_tsquery('simple', p_query) AS q(query)
+  WHERE a.uid = p_uid
+    AND a.search_vector @@ q.query
+  ORDER BY 7 DESC, a.uploaded_at DESC
+  LIMIT LEAST(GREATEST(p_limit, 1), 50)
+  OFFSET GREATEST(p_offset, 0);
+$$;
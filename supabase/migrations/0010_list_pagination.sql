@@ -0,0 +1,21 @@
+-- Indexes for cursor pagination of list endpoints
+-- Each matches a default (sort column, id) order so a page is an index range scan.
+
+CREATE INDEX IF NOT EXISTS idx_audio_metadata_uid_uploaded_at
+  ON audio_metadata(uid, uploaded_at DESC, audioid DESC);
+CREATE INDEX IF NOT EXISTS idx_audio_metadata_uploaded_at
+  ON audio_metadata(uploaded_at DESC, audioid DESC);
+
+CREATE INDEX IF NOT EXISTS idx_video_metadata_uid_created_at
+  ON video_metadata(uid, created_at DESC, video_id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_image_generate_created_at
+  ON image_generate(created_at DESC, image_id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_user_transaction_uid_time
+  ON user_transaction(uid, time DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_user_transaction_time
+  ON user_transaction(time DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at_id
+  ON admin_audit_log(created_at DESC, id DESC);
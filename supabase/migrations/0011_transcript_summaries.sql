@@ -0,0 +1,4 @@
+-- LLM summaries of transcripts: summary, key points, action items and chapters
+-- See src/services/transcriptSummary.js for the document shape.
+
+ALTER TABLE audio_metadata ADD COLUMN IF NOT EXISTS summary_data JSONB;
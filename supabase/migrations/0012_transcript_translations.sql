@@ -0,0 +1,21 @@
+-- Translations of transcripts, one row per audio file and target language
+-- segments_data keeps the timing of the source segments so translated
+-- subtitles can be exported. See src/services/transcriptTranslation.js.
+
+CREATE TABLE IF NOT EXISTS transcript_translations (
+  id BIGSERIAL PRIMARY KEY,
+  uid TEXT NOT NULL,
+  audioid TEXT NOT NULL,
+  language TEXT NOT NULL,
+  source_language TEXT,
+  status TEXT NOT NULL CHECK (status IN ('processing', 'completed', 'failed')),
+  provider TEXT,
+  model TEXT,
+  transcript_version INTEGER,
+  transcription TEXT,
+  segments_data JSONB,
+  error TEXT,
+  requested_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP,
+  UNIQUE (uid, audioid, language)
+);
@@ -0,0 +1,6 @@
+-- Automatic language detection for uploads
+-- Uploads with language "auto" store the language the provider detected, and
+-- its confidence when reported; `language` is then set to the detected one.
+
+ALTER TABLE audio_metadata ADD COLUMN IF NOT EXISTS detected_language TEXT;
+ALTER TABLE audio_metadata ADD COLUMN IF NOT EXISTS language_confidence REAL;
@@ -0,0 +1,23 @@
+-- Resumable direct uploads of audio files
+-- One row per upload session; the bytes go straight to storage under
+-- file_path and transcription starts once the client completes the session.
+-- See src/services/audioUploads.js.
+
+CREATE TABLE IF NOT EXISTS audio_uploads (
+  upload_id TEXT PRIMARY KEY,
+  uid TEXT NOT NULL,
+  audioid TEXT NOT NULL,
+  file_path TEXT NOT NULL,
+  audio_name TEXT,
+  content_type TEXT NOT NULL,
+  size BIGINT NOT NULL CHECK (size > 0),
+  received_bytes BIGINT NOT NULL DEFAULT 0,
+  storage_session TEXT NOT NULL,
+  options JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'uploading'
+    CHECK (status IN ('uploading', 'uploaded', 'processing', 'completed', 'aborted')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audio_uploads_uid ON audio_uploads(uid, created_at DESC);
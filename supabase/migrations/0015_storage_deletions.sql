@@ -0,0 +1,16 @@
+-- Stored files whose deletion failed and is retried by the scheduled sweep
+-- removeAudio deletes the audio_metadata row before its file, so metadata
+-- never points at a missing file; a file that could not be deleted right
+-- away is queued here instead of being orphaned. See src/services/audioDeletion.js.
+
+CREATE TABLE IF NOT EXISTS storage_deletions (
+  file_path TEXT PRIMARY KEY,
+  uid TEXT NOT NULL,
+  audioid TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  attempted_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_storage_deletions_created ON storage_deletions(created_at);
@@ -0,0 +1,59 @@
+-- Trash bin for audio and videos
+-- removeAudio / removeVideo only set deleted_at; trashed rows are hidden from
+-- lists and search, can be restored, and are purged (metadata, derived rows
+-- and stored files) after TRASH_RETENTION_DAYS. See src/services/trash.js.
+
+ALTER TABLE audio_metadata ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE video_metadata ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- Queued file deletions now come from videos too; src/services/audioDeletion.js
+-- (see 0015_storage_deletions.sql) became src/services/mediaDeletion.js
+ALTER TABLE storage_deletions RENAME COLUMN audioid TO media_id;
+
+-- Trash listings and the purge sweep only look at trashed rows
+CREATE INDEX IF NOT EXISTS idx_audio_metadata_deleted_at ON audio_metadata(uid, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_video_metadata_deleted_at ON video_metadata(uid, deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Same as 0009_transcript_search.sql, without trashed audio
+CREATE OR REPLACE FUNCTION search_audio(
+  p_uid TEXT,
+  p_query TEXT,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  audioid TEXT,
+  audio_name TEXT,
+  uploaded_at TIMESTAMPTZ,
+  duration NUMERIC,
+  language TEXT,
+  status TEXT,
+  rank REAL,
+  name_highlight TEXT,
+  snippet TEXT,
+  words_data JSONB
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    a.audioid,
+    a.audio_name,
+    a.uploaded_at::timestamptz,
+    a.duration::numeric,
+    a.language,
+    a.status,
+    ts_rank(a.search_vector, q.query),
+    ts_headline('simple', COALESCE(a.audio_name, ''), q.query,
+      format('StartSel=%s, StopSel=%s, HighlightAll=true', chr(2), chr(3))),
+    ts_headline('simple', COALESCE(a.transcription, ''), q.query,
+      format('StartSel=%s, StopSel=%s, MaxFragments=3, MinWords=8, MaxWords=20, FragmentDelimiter=" … "', chr(2), chr(3))),
+    a.words_data
+  FROM audio_metadata a, websearch_to_tsquery('simple', p_query) AS q(query)
+  WHERE a.uid = p_uid
+    AND a.deleted_at IS NULL
+    AND a.search_vector @@ q.query
+  ORDER BY 7 DESC, a.uploaded_at DESC
+  LIMIT LEAST(GREATEST(p_limit, 1), 50)
+  OFFSET GREATEST(p_offset, 0);
+$$;
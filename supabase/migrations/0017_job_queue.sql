@@ -0,0 +1,35 @@
+-- Durable background jobs (transcriptions, video generations)
+-- One row per job; the processor Worker claims a row before running it, so a
+-- job outlives the request that created it and an evicted isolate. Failed runs
+-- are retried with backoff; after max_attempts the job is dead-lettered.
+-- See src/jobs/queue.js.
+
+CREATE TABLE IF NOT EXISTS jobs (
+  job_id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  uid TEXT NOT NULL,
+  resource_id TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'retrying', 'succeeded', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL CHECK (max_attempts > 0),
+  run_after TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMP,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP
+);
+
+-- Requeue sweep: unfinished jobs by due time
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(status, run_after)
+  WHERE status IN ('queued', 'running', 'retrying');
+
+-- Admin listing, including the dead-letter view (?status=dead)
+CREATE INDEX IF NOT EXISTS idx_jobs_status_created ON jobs(status, created_at DESC, job_id);
+
+-- Jobs carry user IDs and payloads; only the server (service role) may read or change them
+ALTER TABLE jobs ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON TABLE jobs FROM PUBLIC, anon, authenticated;
+GRANT ALL ON TABLE jobs TO service_role;
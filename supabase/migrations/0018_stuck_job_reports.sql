@@ -0,0 +1,29 @@
+-- Reports of the stuck-job reaper
+-- One row per run of the `reap-stuck-jobs` scheduled task that settled or
+-- failed on at least one audio file or video: per-kind counts plus one item
+-- per row it looked at. Listed by GET /api/admin/stuckJobReports.
+-- See src/jobs/reaper.js.
+
+CREATE TABLE IF NOT EXISTS stuck_job_reports (
+  id BIGSERIAL PRIMARY KEY,
+  threshold_minutes INTEGER NOT NULL,
+  audio JSONB NOT NULL DEFAULT '{}'::jsonb,
+  video JSONB NOT NULL DEFAULT '{}'::jsonb,
+  items JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stuck_job_reports_created_at ON stuck_job_reports(created_at DESC, id);
+
+-- Only the server (service role) may read or write the reports
+ALTER TABLE stuck_job_reports ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON TABLE stuck_job_reports FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON SEQUENCE stuck_job_reports_id_seq FROM PUBLIC, anon, authenticated;
+GRANT ALL ON TABLE stuck_job_reports TO service_role;
+GRANT ALL ON SEQUENCE stuck_job_reports_id_seq TO service_role;
+
+-- The reaper looks for unfinished rows by age
+CREATE INDEX IF NOT EXISTS idx_audio_metadata_unfinished ON audio_metadata(uploaded_at)
+  WHERE status IN ('pending', 'processing') AND deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_video_metadata_unfinished ON video_metadata(updated_at)
+  WHERE status IN ('pending', 'processing', 'generating') AND deleted_at IS NULL;
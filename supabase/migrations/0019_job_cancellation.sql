@@ -0,0 +1,9 @@
+-- Job cancellation
+-- Users can cancel transcriptions and video generations that have not
+-- finished (POST /api/audio/cancel, POST /api/video/cancel). The audio or
+-- video row gets status 'cancelled' and the queue job is settled as
+-- 'cancelled', so neither is picked up again. See src/jobs/queue.js.
+
+ALTER TABLE jobs DROP CONSTRAINT IF EXISTS jobs_status_check;
+ALTER TABLE jobs ADD CONSTRAINT jobs_status_check
+  CHECK (status IN ('queued', 'running', 'retrying', 'succeeded', 'dead', 'cancelled'));
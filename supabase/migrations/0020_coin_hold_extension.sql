@@ -0,0 +1,39 @@
+-- Coin hold extension
+-- Holds are created with the lifetime of the job they pay for (holdJobCoins).
+-- The stuck-job reaper resubmits a transcription that never started; before it
+-- does, extend_coin_hold() pushes the hold's expiry out by another job
+-- lifetime, so the resubmitted job is not captured against an expired hold.
+-- See src/jobs/reaper.js.
+
+CREATE OR REPLACE FUNCTION extend_coin_hold(
+  p_hold_key TEXT,
+  p_ttl_seconds INTEGER
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+  v_hold coin_holds%ROWTYPE;
+BEGIN
+  SELECT * INTO v_hold FROM coin_holds WHERE hold_key = p_hold_key FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('success', FALSE, 'status', NULL, 'message', 'Hold not found');
+  END IF;
+
+  -- Only a hold the sweep has not expired yet can be kept
+  IF v_hold.status <> 'held' OR v_hold.expires_at < NOW() THEN
+    RETURN jsonb_build_object('success', FALSE, 'status', v_hold.status, 'message', 'Hold is ' || v_hold.status);
+  END IF;
+
+  UPDATE coin_holds
+    SET expires_at = GREATEST(expires_at, NOW() + make_interval(secs => p_ttl_seconds))
+    WHERE id = v_hold.id
+    RETURNING * INTO v_hold;
+
+  RETURN jsonb_build_object('success', TRUE, 'status', v_hold.status, 'expires_at', v_hold.expires_at);
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION extend_coin_hold(TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION extend_coin_hold(TEXT, INTEGER) TO service_role;
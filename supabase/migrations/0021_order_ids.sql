@@ -0,0 +1,9 @@
+-- Payment order IDs on subscription orders
+-- BuySubscription records the order as `pending` under the payment's order ID
+-- before granting coins and marks it `active` once the plan is applied, so a
+-- retry finds the order and finishes the missing steps. The coin grant's
+-- ledger entry carries the same ID as its reference_id.
+
+ALTER TABLE user_order ADD COLUMN IF NOT EXISTS order_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_order_order_id ON user_order(order_id);
@@ -3,6 +3,7 @@
 
 const BASE_URL = 'http://localhost:8787'; // Change to your deployed URL
 const TEST_UID = '0a147ebe-af99-481b-bcaf-ae70c9aeb8d8';
+const TEST_ACCESS_TOKEN = process.env.TEST_ACCESS_TOKEN || ''; // Supabase access token for TEST_UID
 const TEST_AUDIO_URL = 'https://ddtgdhehxhgarkonvpfq.supabase.co/storage/v1/object/public/user-uploads/users/0a147ebe-af99-481b-bcaf-ae70c9aeb8d8/audioFile/14bed0e6-17d6-41c5-950d-1238fcdddfcc.wav'; // Free test audio
 
 // ===== AUDIO TESTS =====
@@ -15,6 +16,7 @@ async function testUploadAudioUrl() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${TEST_ACCESS_TOKEN}`,
       },
       body: JSON.stringify({
         uid: TEST_UID,
@@ -49,6 +51,7 @@ async function testGetAudioStatus(audioid) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${TEST_ACCESS_TOKEN}`,
       },
       body: JSON.stringify({
         uid: TEST_UID,
@@ -95,6 +98,7 @@ async function testCreateVideo() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${TEST_ACCESS_TOKEN}`,
       },
       body: JSON.stringify({
         uid: TEST_UID,
@@ -127,6 +131,7 @@ async function testGetVideoStatus(videoId) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${TEST_ACCESS_TOKEN}`,
       },
       body: JSON.stringify({
         uid: TEST_UID,
@@ -152,6 +157,7 @@ async function testGetVideo(videoId) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${TEST_ACCESS_TOKEN}`,
       },
       body: JSON.stringify({
         uid: TEST_UID,
@@ -177,6 +183,7 @@ async function testGetAllVideos() {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${TEST_ACCESS_TOKEN}`,
       }
     });
 
@@ -219,6 +226,7 @@ async function testEditVideo(videoId) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${TEST_ACCESS_TOKEN}`,
       },
       body: JSON.stringify({
         uid: TEST_UID,
@@ -279,7 +287,7 @@ async function runTests() {
   }
   
   console.log('\n✨ Tests completed!');
-  console.log('\n💡 Usage: node test-new-apis.js [audio|video|both]');
+  console.log('\n💡 Usage: TEST_ACCESS_TOKEN=<token> node test-new-apis.js [audio|video|both]');
 }
 
 // Run the tests
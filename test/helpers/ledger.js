@@ -0,0 +1,58 @@
+/**
+ * Coin hold RPCs for createSupabaseStub
+ *
+ * Keeps holds in the stub's `coin_holds` table, so getHold reads them like any
+ * other row, and answers create, capture, release and extend the way
+ * supabase/migrations/0004_coin_holds.sql and 0020_coin_hold_extension.sql do. Refunds of captured holds are
+ * recorded in `refunds` instead of touching a balance.
+ */
+
+/**
+ * Create the hold RPCs
+ * @param {Object} tables - The stub's tables
+ * @returns {Object} { rpc, refunds } - pass rpc to createSupabaseStub
+ */
+export const createHoldLedger = (tables) => {
+  const refunds = [];
+  tables.coin_holds ??= [];
+  const findHold = (holdKey) => tables.coin_holds.find(hold => hold.hold_key === holdKey);
+
+  const rpc = {
+    create_coin_hold: ({ p_uid, p_amount, p_hold_key, p_reference_id }) => {
+      if (findHold(p_hold_key)) return { success: true, duplicate: true, status: findHold(p_hold_key).status };
+      tables.coin_holds.push({ hold_key: p_hold_key, uid: p_uid, amount: p_amount, status: 'held', captured_amount: null, reference_id: p_reference_id });
+      return { success: true, duplicate: false, status: 'held' };
+    },
+    capture_coin_hold: ({ p_hold_key, p_amount }) => {
+      const hold = findHold(p_hold_key);
+      if (!hold) return { success: false, message: 'Hold not found' };
+      if (hold.status === 'captured') return { success: true, duplicate: true, captured_coins: hold.captured_amount };
+      if (hold.status !== 'held') return { success: false, message: `Hold is ${hold.status}` };
+      hold.status = 'captured';
+      hold.captured_amount = Math.min(p_amount ?? hold.amount, hold.amount);
+      return { success: true, duplicate: false, captured_coins: hold.captured_amount };
+    },
+    release_coin_hold: ({ p_hold_key, p_status }) => {
+      const hold = findHold(p_hold_key);
+      if (!hold) return { success: false, status: null, message: 'Hold not found' };
+      if (hold.status !== 'held') return { success: false, status: hold.status, message: `Hold is ${hold.status}` };
+      hold.status = p_status;
+      return { success: true, status: p_status, released_coins: hold.amount };
+    },
+    extend_coin_hold: ({ p_hold_key }) => {
+      const hold = findHold(p_hold_key);
+      if (!hold) return { success: false, status: null, message: 'Hold not found' };
+      if (hold.status !== 'held') return { success: false, status: hold.status, message: `Hold is ${hold.status}` };
+      return { success: true, status: 'held' };
+    },
+    refund_coin_entry: ({ p_charge_key }) => {
+      const hold = findHold(p_charge_key);
+      if (!hold || hold.status !== 'captured') return { success: false, message: 'Charge not found' };
+      if (refunds.includes(p_charge_key)) return { success: true, duplicate: true, refunded_coins: 0 };
+      refunds.push(p_charge_key);
+      return { success: true, duplicate: false, refunded_coins: hold.captured_amount };
+    }
+  };
+
+  return { rpc, refunds };
+};
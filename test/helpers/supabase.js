@@ -0,0 +1,201 @@
+import { SUPABASE_URL } from './tokens.js';
+
+/**
+ * In-memory stand-in for the Supabase REST API
+ *
+ * Answers the PostgREST requests supabase-js sends to SUPABASE_URL - select,
+ * insert, update and delete with eq/neq/lt/lte/gt/gte/in/is filters and
+ * their not. forms, or(...)/and(...) groups, order and limit - from plain arrays of rows, and
+ * RPC calls from functions the test provides. Install it with
+ * mock.method(globalThis, 'fetch', stub.fetch).
+ */
+
+/**
+ * Split a filter list on its top-level commas
+ * @param {string} list - e.g. "a.eq.1,and(b.eq.2,c.eq.3)"
+ * @returns {Array<string>} Conditions
+ */
+const splitConditions = (list) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of list) {
+    if (char === '(') depth += 1;
+    if (char === ')') depth -= 1;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+};
+
+/**
+ * Value of a column, following ->> and -> into JSON columns
+ * @param {Object} row - Row
+ * @param {string} column - Column, e.g. "summary_data->>status"
+ * @returns {*} Value
+ */
+const columnValue = (row, column) => {
+  const [name, ...path] = column.split(/->>?/);
+  return path.reduce((value, key) => (value == null ? undefined : value[key]), row[name]);
+};
+
+/**
+ * Compare a stored value with a filter operand
+ * @param {*} value - Stored value
+ * @param {string} operand - Filter operand
+ * @returns {number} Negative, zero or positive
+ */
+const compare = (value, operand) => {
+  if (typeof value === 'number') return value - Number(operand);
+  return String(value) < operand ? -1 : String(value) > operand ? 1 : 0;
+};
+
+/**
+ * Whether a row matches one filter
+ * @param {Object} row - Row
+ * @param {string} column - Column
+ * @param {string} filter - Operator and operand, e.g. "eq.1"
+ * @returns {boolean} Match
+ */
+const matchesFilter = (row, column, filter) => {
+  if (column === 'or' || column === 'and') {
+    const conditions = splitConditions(filter.slice(1, -1));
+    const check = (condition) => matchesCondition(row, condition);
+    return column === 'or' ? conditions.some(check) : conditions.every(check);
+  }
+
+  if (filter.startsWith('not.')) {
+    // As in SQL, negating a comparison with NULL still does not match
+    const negated = filter.slice(4);
+    return (negated.startsWith('is.') || columnValue(row, column) != null) && !matchesFilter(row, column, negated);
+  }
+
+  const dot = filter.indexOf('.');
+  const operator = filter.slice(0, dot);
+  const operand = filter.slice(dot + 1);
+  const value = columnValue(row, column);
+
+  switch (operator) {
+    case 'eq': return value != null && String(value) === operand;
+    case 'neq': return value != null && String(value) !== operand;
+    case 'lt': return value != null && compare(value, operand) < 0;
+    case 'lte': return value != null && compare(value, operand) <= 0;
+    case 'gt': return value != null && compare(value, operand) > 0;
+    case 'gte': return value != null && compare(value, operand) >= 0;
+    case 'in': return value != null && splitConditions(operand.slice(1, -1)).map(item => item.replace(/^"|"$/g, '')).includes(String(value));
+    case 'is': return operand === 'null' ? value == null : String(value) === operand;
+    default: throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+};
+
+/**
+ * Whether a row matches a condition inside or(...) / and(...)
+ * @param {Object} row - Row
+ * @param {string} condition - e.g. "status.eq.queued" or "and(a.eq.1,b.eq.2)"
+ * @returns {boolean} Match
+ */
+const matchesCondition = (row, condition) => {
+  const group = condition.match(/^(or|and)(\(.*\))$/);
+  if (group) return matchesFilter(row, group[1], group[2]);
+
+  const dot = condition.indexOf('.');
+  return matchesFilter(row, condition.slice(0, dot), condition.slice(dot + 1));
+};
+
+// Query parameters that are not filters
+const MODIFIERS = ['select', 'order', 'limit', 'offset', 'columns', 'on_conflict'];
+
+/**
+ * Create a stand-in Supabase project
+ * @param {Object} [options] - Options
+ * @param {Object} [options.tables] - Initial rows by table name
+ * @param {Object} [options.primaryKeys] - Unique columns by table name; inserting a duplicate fails with 23505
+ * @param {Object} [options.rpc] - RPC functions by name, (params) => result
+ * @returns {Object} { tables, rpcCalls, fetch }
+ */
+export const createSupabaseStub = ({ tables = {}, primaryKeys = {}, rpc = {} } = {}) => {
+  const rpcCalls = [];
+
+  const json = (body, status = 200) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  const fetch = async (input, init = {}) => {
+    const url = new URL(String(input));
+    if (url.origin !== SUPABASE_URL) {
+      throw new Error(`Unexpected request to ${url.href}`);
+    }
+
+    const method = init.method || 'GET';
+    const headers = new Headers(init.headers);
+    const body = init.body ? JSON.parse(init.body) : null;
+    const name = url.pathname.split('/').pop();
+
+    if (url.pathname.startsWith('/rest/v1/rpc/')) {
+      rpcCalls.push({ name, params: body });
+      if (!rpc[name]) {
+        return json({ code: 'PGRST202', message: `Could not find the function public.${name}` }, 404);
+      }
+      return json(await rpc[name](body));
+    }
+
+    tables[name] ??= [];
+    const rows = tables[name];
+    const filters = [...url.searchParams].filter(([key]) => !MODIFIERS.includes(key));
+    const matches = (row) => filters.every(([column, filter]) => matchesFilter(row, column, filter));
+    const wantsRows = (headers.get('Prefer') || '').includes('return=representation');
+    const respond = (result) => {
+      if (method !== 'GET' && !wantsRows) return new Response(null, { status: 204 });
+      if ((headers.get('Accept') || '').includes('vnd.pgrst.object')) {
+        return result.length === 1
+          ? json(result[0])
+          : json({ code: 'PGRST116', details: `The result contains ${result.length} rows`, message: 'JSON object requested, multiple (or no) rows returned' }, 406);
+      }
+      return json(result);
+    };
+
+    if (method === 'POST') {
+      const keys = primaryKeys[name] || [];
+      const inserted = [];
+      for (const row of [].concat(body)) {
+        if (keys.length && rows.some(existing => keys.every(key => existing[key] === row[key]))) {
+          return json({ code: '23505', message: `duplicate key value violates unique constraint "${name}_pkey"` }, 409);
+        }
+        inserted.push(structuredClone(row));
+      }
+      rows.push(...inserted);
+      return respond(structuredClone(inserted));
+    }
+
+    if (method === 'PATCH') {
+      const updated = rows.filter(matches);
+      updated.forEach(row => Object.assign(row, structuredClone(body)));
+      return respond(structuredClone(updated));
+    }
+
+    if (method === 'DELETE') {
+      const deleted = rows.filter(matches);
+      tables[name] = rows.filter(row => !deleted.includes(row));
+      return respond(deleted);
+    }
+
+    let result = rows.filter(matches);
+    const order = url.searchParams.get('order');
+    if (order) {
+      const [column, direction] = order.split(',')[0].split('.');
+      result = [...result].sort((a, b) => (direction === 'desc' ? -1 : 1) * compare(a[column], String(b[column])));
+    }
+    const offset = Number(url.searchParams.get('offset')) || 0;
+    const limit = url.searchParams.get('limit');
+    result = result.slice(offset, limit ? offset + Number(limit) : undefined);
+    return respond(structuredClone(result));
+  };
+
+  return { tables, rpcCalls, fetch };
+};
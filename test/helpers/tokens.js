@@ -0,0 +1,69 @@
+/**
+ * Locally signed Supabase access tokens for offline tests
+ *
+ * Tokens are signed with an inline HS256 secret or with an ES256 key published
+ * through SUPABASE_JWKS, so verification never reaches the auth server.
+ */
+
+export const SUPABASE_URL = 'https://project.supabase.test';
+export const JWT_SECRET = 'test-jwt-secret';
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Encode bytes or JSON as base64url
+ * @param {ArrayBuffer|Object} input - Bytes, or an object to serialize
+ * @returns {string} Base64url string without padding
+ */
+const base64Url = (input) => {
+  const bytes = input instanceof ArrayBuffer ? new Uint8Array(input) : textEncoder.encode(JSON.stringify(input));
+  return Buffer.from(bytes).toString('base64url');
+};
+
+/**
+ * Claims of a valid session token, overridable per test
+ * @param {Object} [claims] - Claims to add or replace
+ * @returns {Object} Token payload
+ */
+export const sessionClaims = (claims = {}) => ({
+  sub: 'user-1',
+  aud: 'authenticated',
+  iss: `${SUPABASE_URL}/auth/v1`,
+  exp: Math.floor(Date.now() / 1000) + 3600,
+  ...claims
+});
+
+/**
+ * Sign an HS256 token
+ * @param {Object} payload - Token claims
+ * @param {string} [secret] - Signing secret
+ * @returns {Promise<string>} Encoded JWT
+ */
+export const signHs256 = async (payload, secret = JWT_SECRET) => {
+  const signingInput = `${base64Url({ alg: 'HS256', typ: 'JWT' })}.${base64Url(payload)}`;
+  const key = await crypto.subtle.importKey('raw', textEncoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return `${signingInput}.${base64Url(await crypto.subtle.sign('HMAC', key, textEncoder.encode(signingInput)))}`;
+};
+
+/**
+ * Create an ES256 signing key and the JWKS document that publishes it
+ * @param {string} [kid] - Key ID
+ * @returns {Promise<Object>} { kid, privateKey, jwks }
+ */
+export const createJwksKey = async (kid = 'test-key') => {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+  const jwk = await crypto.subtle.exportKey('jwk', publicKey);
+  return { kid, privateKey, jwks: { keys: [{ ...jwk, kid, alg: 'ES256', use: 'sig' }] } };
+};
+
+/**
+ * Sign an ES256 token with a key from createJwksKey
+ * @param {Object} payload - Token claims
+ * @param {Object} signingKey - { kid, privateKey }
+ * @returns {Promise<string>} Encoded JWT
+ */
+export const signEs256 = async (payload, { kid, privateKey }) => {
+  const signingInput = `${base64Url({ alg: 'ES256', typ: 'JWT', kid })}.${base64Url(payload)}`;
+  const signature = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, textEncoder.encode(signingInput));
+  return `${signingInput}.${base64Url(signature)}`;
+};
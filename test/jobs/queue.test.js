@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { JOB_HANDLERS } from '../../src/jobs/handlers.js';
+import { enqueueJob, JOB_STATUSES, retryDelaySeconds } from '../../src/jobs/queue.js';
+import { memoryJobQueue } from '../../src/services/jobQueue/memory.js';
+import { createSupabaseStub } from '../helpers/supabase.js';
+import { SUPABASE_URL } from '../helpers/tokens.js';
+
+const env = {
+  SUPABASE_URL,
+  SUPABASE_ANON_KEY: 'anon-key',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-key',
+  ENVIRONMENT: 'development',
+  JOB_QUEUE_PROVIDER: 'memory'
+};
+
+/**
+ * Register a job handler for the test
+ * @param {Function} run - Handler run(env, job)
+ * @returns {Object} Handler; onDeadLetter is a mock
+ */
+const registerHandler = (run) => {
+  const handler = {
+    type: 'test',
+    maxAttempts: 3,
+    timeoutMs: 1000,
+    run: mock.fn(run),
+    onDeadLetter: mock.fn(async () => null)
+  };
+  JOB_HANDLERS[handler.type] = handler;
+  return handler;
+};
+
+/**
+ * Seconds until a pending message is delivered
+ * @returns {Array<number>} Rounded delays of the pending messages
+ */
+const pendingDelays = () => memoryJobQueue.pendingMessages()
+  .map(({ dueAt }) => Math.round((dueAt - Date.now()) / 1000));
+
+describe('job queue on the memory transport', () => {
+  let supabase;
+
+  beforeEach(() => {
+    // Deliveries only happen through drain()
+    mock.timers.enable({ apis: ['setTimeout'] });
+    supabase = createSupabaseStub({ primaryKeys: { jobs: ['job_id'] } });
+    mock.method(globalThis, 'fetch', supabase.fetch);
+  });
+
+  afterEach(async () => {
+    await memoryJobQueue.drain();
+    delete JOB_HANDLERS.test;
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  const job = () => supabase.tables.jobs[0];
+
+  it('claims a job once, so a duplicate message does not run it again', async () => {
+    const handler = registerHandler(async () => undefined);
+    await enqueueJob(env, { type: 'test', uid: 'user-1', resourceId: 'r1', payload: { n: 1 } });
+    await memoryJobQueue.send(env, { jobId: 'test:r1' });
+
+    assert.equal(await memoryJobQueue.drain(), 2);
+    assert.equal(handler.run.mock.callCount(), 1);
+
+    const [, claimed] = handler.run.mock.calls[0].arguments;
+    assert.equal(claimed.status, JOB_STATUSES.RUNNING);
+    assert.equal(claimed.attempts, 1);
+    assert.deepEqual(claimed.payload, { n: 1 });
+    assert.equal(job().status, JOB_STATUSES.SUCCEEDED);
+  });
+
+  it('retries a failed run after the backoff delay', async () => {
+    const handler = registerHandler(async (_, { attempts }) => {
+      if (attempts === 1) throw new Error('provider unavailable');
+    });
+    await enqueueJob(env, { type: 'test', uid: 'user-1', resourceId: 'r1', payload: {} });
+
+    await memoryJobQueue.drain({ maxRounds: 1 });
+    assert.equal(job().status, JOB_STATUSES.RETRYING);
+    assert.equal(job().last_error, 'provider unavailable');
+    assert.deepEqual(pendingDelays(), [retryDelaySeconds(1)]);
+    assert.ok(Math.abs(new Date(job().run_after) - Date.now() - retryDelaySeconds(1) * 1000) < 1000);
+
+    await memoryJobQueue.drain();
+    assert.equal(handler.run.mock.callCount(), 2);
+    assert.equal(job().status, JOB_STATUSES.SUCCEEDED);
+    assert.equal(job().attempts, 2);
+    assert.equal(handler.onDeadLetter.mock.callCount(), 0);
+  });
+
+  it('backs off exponentially', () => {
+    assert.deepEqual([1, 2, 3, 4].map(retryDelaySeconds), [30, 60, 120, 240]);
+    assert.equal(retryDelaySeconds(20), 15 * 60);
+  });
+
+  it('dead-letters a job after maxAttempts and calls onDeadLetter once', async () => {
+    const handler = registerHandler(async () => {
+      throw new Error('still failing');
+    });
+    await enqueueJob(env, { type: 'test', uid: 'user-1', resourceId: 'r1', payload: {} });
+
+    await memoryJobQueue.drain();
+    assert.equal(handler.run.mock.callCount(), 3);
+    assert.equal(job().status, JOB_STATUSES.DEAD);
+    assert.equal(job().attempts, 3);
+    assert.equal(job().last_error, 'still failing');
+    assert.deepEqual(memoryJobQueue.pendingMessages(), []);
+
+    assert.equal(handler.onDeadLetter.mock.callCount(), 1);
+    const [, deadJob, error] = handler.onDeadLetter.mock.calls[0].arguments;
+    assert.equal(deadJob.job_id, 'test:r1');
+    assert.equal(error.message, 'still failing');
+  });
+
+  it('dead-letters a PermanentJobError without retrying', async () => {
+    const handler = registerHandler(async () => {
+      throw Object.assign(new Error('bad input'), { name: 'PermanentJobError' });
+    });
+    await enqueueJob(env, { type: 'test', uid: 'user-1', resourceId: 'r1', payload: {} });
+
+    await memoryJobQueue.drain();
+    assert.equal(handler.run.mock.callCount(), 1);
+    assert.equal(job().status, JOB_STATUSES.DEAD);
+    assert.equal(handler.onDeadLetter.mock.callCount(), 1);
+  });
+
+  it('runs again after continueAfterSeconds with the new payload, without using an attempt', async () => {
+    const handler = registerHandler(async (_, { payload }) => {
+      if (payload.step === 1) return { continueAfterSeconds: 10, payload: { step: 2 } };
+      return undefined;
+    });
+    await enqueueJob(env, { type: 'test', uid: 'user-1', resourceId: 'r1', payload: { step: 1 } });
+
+    await memoryJobQueue.drain({ maxRounds: 1 });
+    assert.equal(job().status, JOB_STATUSES.QUEUED);
+    assert.equal(job().attempts, 0);
+    assert.deepEqual(job().payload, { step: 2 });
+    assert.deepEqual(pendingDelays(), [10]);
+
+    await memoryJobQueue.drain();
+    assert.equal(handler.run.mock.callCount(), 2);
+    assert.deepEqual(handler.run.mock.calls[1].arguments[1].payload, { step: 2 });
+    assert.equal(job().status, JOB_STATUSES.SUCCEEDED);
+  });
+});
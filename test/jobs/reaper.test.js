@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { reapStuckJobs } from '../../src/jobs/reaper.js';
+import { createHoldLedger } from '../helpers/ledger.js';
+import { createSupabaseStub } from '../helpers/supabase.js';
+import { SUPABASE_URL } from '../helpers/tokens.js';
+
+/**
+ * Stand-in AUDIO_TRANSCRIPTION_PROCESSOR binding answering /status
+ * @param {Object|null} job - Job the processor reports, or null if it has none
+ * @returns {Object} Durable Object namespace
+ */
+const processorNamespace = (job) => ({
+  idFromName: (name) => name,
+  get: () => ({
+    fetch: async () => (job ? Response.json(job) : Response.json({ error: 'Transcription job not found' }, { status: 404 }))
+  })
+});
+
+const STALE = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+
+describe('stuck-job reaper refunds', () => {
+  let supabase;
+  let ledger;
+  let env;
+
+  const setup = ({ job, hold }) => {
+    const tables = {
+      audio_metadata: [{ uid: 'user-1', audioid: 'audio-1', status: 'processing', deleted_at: null, uploaded_at: STALE }],
+      video_metadata: [],
+      coin_holds: [{ hold_key: 'audio:audio-1', uid: 'user-1', amount: 20, ...hold }]
+    };
+    ledger = createHoldLedger(tables);
+    supabase = createSupabaseStub({ tables, rpc: ledger.rpc });
+    mock.method(globalThis, 'fetch', supabase.fetch);
+    env = {
+      SUPABASE_URL,
+      SUPABASE_ANON_KEY: 'anon-key',
+      SUPABASE_SERVICE_ROLE_KEY: 'service-key',
+      AUDIO_TRANSCRIPTION_PROCESSOR: processorNamespace(job)
+    };
+  };
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const audio = () => supabase.tables.audio_metadata[0];
+  const report = () => supabase.tables.stuck_job_reports[0];
+
+  it('fails the audio of a completed job without refunding its captured charge', async () => {
+    setup({ job: { audioid: 'audio-1', status: 'completed', attempts: 1, max_attempts: 4 }, hold: { status: 'captured', captured_amount: 20 } });
+
+    const result = await reapStuckJobs(env);
+
+    assert.equal(audio().status, 'failed');
+    assert.deepEqual(ledger.refunds, []);
+    assert.equal(supabase.rpcCalls.length, 0);
+    assert.equal(result.audio.refunded, 0);
+    assert.equal(report().items[0].refunded, false);
+  });
+
+  it('keeps the charged share of a cancelled job', async () => {
+    setup({ job: { audioid: 'audio-1', status: 'cancelled', attempts: 1, max_attempts: 4 }, hold: { status: 'captured', captured_amount: 10 } });
+
+    await reapStuckJobs(env);
+
+    assert.equal(audio().status, 'failed');
+    assert.deepEqual(ledger.refunds, []);
+  });
+
+  it('releases the hold of a job that failed before capturing', async () => {
+    setup({ job: { audioid: 'audio-1', status: 'failed', attempts: 4, max_attempts: 4, last_error: 'Provider down' }, hold: { status: 'held' } });
+
+    const result = await reapStuckJobs(env);
+
+    assert.equal(audio().status, 'failed');
+    assert.equal(audio().error_message, 'Provider down');
+    assert.equal(supabase.tables.coin_holds[0].status, 'released');
+    assert.equal(result.audio.refunded, 1);
+  });
+
+  it('fails a job that was never started once its hold expired', async () => {
+    setup({ job: null, hold: { status: 'expired' } });
+
+    const result = await reapStuckJobs(env);
+
+    assert.equal(audio().status, 'failed');
+    assert.deepEqual(ledger.refunds, []);
+    assert.equal(result.audio.refunded, 0);
+  });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { Hono } from 'hono';
+import { requireAdminRole } from '../../src/middleware/adminAuth.js';
+import { createSupabaseStub } from '../helpers/supabase.js';
+import { SUPABASE_URL } from '../helpers/tokens.js';
+
+const env = {
+  SUPABASE_URL,
+  SUPABASE_ANON_KEY: 'anon-key',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-role-key'
+};
+
+/**
+ * App with one finance-only endpoint, called as the given uid
+ * @returns {Hono} App
+ */
+const financeApp = () => {
+  const app = new Hono();
+  app.use('*', async (c, next) => {
+    c.set('uid', c.req.header('X-Test-Uid'));
+    await next();
+  });
+  app.get('/orders', requireAdminRole('finance'), (c) => c.json({ role: c.get('adminRole') }));
+  return app;
+};
+
+describe('requireAdminRole', () => {
+  let supabase;
+  let apiKeys;
+
+  beforeEach(() => {
+    apiKeys = [];
+    supabase = createSupabaseStub({
+      tables: {
+        admin_users: [
+          { uid: 'finance-1', role: 'finance', active: true },
+          { uid: 'viewer-1', role: 'viewer', active: true },
+          { uid: 'former-1', role: 'finance', active: false },
+          { uid: 'root-1', role: 'superadmin', active: true }
+        ]
+      }
+    });
+    mock.method(globalThis, 'fetch', (input, init = {}) => {
+      apiKeys.push(new Headers(init.headers).get('apikey'));
+      return supabase.fetch(input, init);
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const request = (uid) => financeApp().request('/orders?page=2', { headers: { 'X-Test-Uid': uid } }, env);
+  const auditLog = () => supabase.tables.admin_audit_log;
+
+  it('allows a role the endpoint lists and audits the access', async () => {
+    const response = await request('finance-1');
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { role: 'finance' });
+
+    assert.equal(auditLog().length, 1);
+    assert.equal(auditLog()[0].admin_uid, 'finance-1');
+    assert.equal(auditLog()[0].allowed, true);
+    assert.equal(auditLog()[0].status, 200);
+    assert.equal(auditLog()[0].query, '?page=2');
+  });
+
+  it('always allows a superadmin', async () => {
+    assert.equal((await request('root-1')).status, 200);
+  });
+
+  it('denies another role, an inactive admin and a user without a role, and audits each', async () => {
+    for (const uid of ['viewer-1', 'former-1', 'user-1']) {
+      const response = await request(uid);
+      assert.equal(response.status, 403, uid);
+    }
+
+    assert.deepEqual(auditLog().map(({ admin_uid, role, allowed, status }) => ({ admin_uid, role, allowed, status })), [
+      { admin_uid: 'viewer-1', role: 'viewer', allowed: false, status: 403 },
+      { admin_uid: 'former-1', role: null, allowed: false, status: 403 },
+      { admin_uid: 'user-1', role: null, allowed: false, status: 403 }
+    ]);
+  });
+
+  it('reads roles and writes the audit log with the service role key', async () => {
+    await request('finance-1');
+    await request('user-1');
+    assert.ok(apiKeys.length > 0);
+    assert.ok(apiKeys.every(key => key === 'service-role-key'));
+  });
+});
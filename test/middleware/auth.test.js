@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import app from '../../src/app.js';
+import { createJwksKey, JWT_SECRET, sessionClaims, signEs256, signHs256, SUPABASE_URL } from '../helpers/tokens.js';
+
+const baseEnv = { SUPABASE_URL, SUPABASE_ANON_KEY: 'anon-key' };
+
+/**
+ * Call an authenticated route
+ * @param {Object} env - Environment variables
+ * @param {string} token - Bearer token
+ * @param {Object} [options] - { path, body }
+ * @returns {Promise<Response>} Response
+ */
+const request = (env, token, { path = '/api/user/profile/user-1', body } = {}) => {
+  return app.request(path, {
+    method: body ? 'POST' : 'GET',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  }, env);
+};
+
+describe('authMiddleware with an HS256 secret', () => {
+  const env = { ...baseEnv, SUPABASE_JWT_SECRET: JWT_SECRET };
+
+  it('accepts a valid token and acts on its subject', async () => {
+    const response = await request(env, await signHs256(sessionClaims()));
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).uid, 'user-1');
+  });
+
+  it('rejects a missing bearer token', async () => {
+    const response = await app.request('/api/user/profile/user-1', {}, env);
+    assert.equal(response.status, 401);
+  });
+
+  it('rejects an expired token', async () => {
+    const token = await signHs256(sessionClaims({ exp: Math.floor(Date.now() / 1000) - 3600 }));
+    assert.equal((await request(env, token)).status, 401);
+  });
+
+  it('rejects a token signed with another secret', async () => {
+    const token = await signHs256(sessionClaims(), 'another-secret');
+    assert.equal((await request(env, token)).status, 401);
+  });
+
+  it('rejects a token without an expiry', async () => {
+    const token = await signHs256(sessionClaims({ exp: undefined }));
+    assert.equal((await request(env, token)).status, 401);
+  });
+
+  it('rejects a token from another issuer or for another audience', async () => {
+    assert.equal((await request(env, await signHs256(sessionClaims({ iss: 'https://other.supabase.test/auth/v1' })))).status, 401);
+    assert.equal((await request(env, await signHs256(sessionClaims({ iss: undefined })))).status, 401);
+    assert.equal((await request(env, await signHs256(sessionClaims({ aud: 'anon' })))).status, 401);
+  });
+
+  it('returns 403 when the body names another uid', async () => {
+    const response = await request(env, await signHs256(sessionClaims()), {
+      path: '/api/user/profile/update',
+      body: { uid: 'user-2', name: 'Mallory' }
+    });
+    assert.equal(response.status, 403);
+  });
+});
+
+describe('authMiddleware with an inline JWKS', async () => {
+  const signingKey = await createJwksKey();
+  const env = { ...baseEnv, SUPABASE_JWKS: JSON.stringify(signingKey.jwks) };
+
+  it('accepts a token signed by a published key', async () => {
+    const response = await request(env, await signEs256(sessionClaims(), signingKey));
+    assert.equal(response.status, 200);
+  });
+
+  it('rejects a token signed by an unpublished key', async () => {
+    const otherKey = await createJwksKey(signingKey.kid);
+    assert.equal((await request(env, await signEs256(sessionClaims(), otherKey))).status, 401);
+  });
+
+  it('rejects an expired token', async () => {
+    const token = await signEs256(sessionClaims({ exp: Math.floor(Date.now() / 1000) - 3600 }), signingKey);
+    assert.equal((await request(env, token)).status, 401);
+  });
+
+  it('returns 403 when the body names another uid', async () => {
+    const response = await request(env, await signEs256(sessionClaims(), signingKey), {
+      path: '/api/user/profile/update',
+      body: { uid: 'user-2' }
+    });
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,231 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import app from '../../src/app.js';
+import { memoryStorage } from '../../src/services/storage/memory.js';
+import { createSupabaseStub } from '../helpers/supabase.js';
+import { JWT_SECRET, sessionClaims, signHs256, SUPABASE_URL } from '../helpers/tokens.js';
+
+/**
+ * Build a silent 16-bit mono PCM WAV file
+ * @param {number} dataBytes - Size of the sample data
+ * @returns {Uint8Array} File contents
+ */
+const wavFile = (dataBytes) => {
+  const bytes = new Uint8Array(44 + dataBytes);
+  const view = new DataView(bytes.buffer);
+  const ascii = (offset, text) => [...text].forEach((char, i) => { bytes[offset + i] = char.charCodeAt(0); });
+
+  ascii(0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  ascii(8, 'WAVE');
+  ascii(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, 8000, true);
+  view.setUint32(28, 16000, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  ascii(36, 'data');
+  view.setUint32(40, dataBytes, true);
+  return bytes;
+};
+
+describe('audio uploads on the memory storage provider', () => {
+  let supabase;
+  let holdResult;
+  let starts;
+  let env;
+  let token;
+
+  beforeEach(async () => {
+    starts = [];
+    holdResult = { success: true, available_coins: 100 };
+    supabase = createSupabaseStub({
+      rpc: {
+        create_coin_hold: () => holdResult,
+        release_coin_hold: () => ({ success: true, status: 'released', released_coins: 10 })
+      }
+    });
+    mock.method(globalThis, 'fetch', supabase.fetch);
+    mock.method(console, 'log', () => {});
+
+    env = {
+      SUPABASE_URL,
+      SUPABASE_ANON_KEY: 'anon-key',
+      SUPABASE_SERVICE_ROLE_KEY: 'service-role-key',
+      SUPABASE_JWT_SECRET: JWT_SECRET,
+      ENVIRONMENT: 'development',
+      STORAGE_PROVIDER: 'memory',
+      // Stand-in for the AudioTranscriptionProcessor binding: records each start
+      AUDIO_TRANSCRIPTION_PROCESSOR: {
+        idFromName: (name) => name,
+        get: () => ({
+          fetch: async (url, init) => {
+            starts.push(JSON.parse(init.body));
+            return Response.json({ status: 'queued' });
+          }
+        })
+      }
+    };
+    token = await signHs256(sessionClaims());
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * Call an audio route as user-1
+   * @param {string} path - Path below /api/audio
+   * @param {Object} init - Request init
+   * @returns {Promise<Response>} Response
+   */
+  const request = (path, init) => app.request(`/api/audio${path}`, {
+    ...init,
+    headers: { Authorization: `Bearer ${token}`, ...init.headers }
+  }, env);
+
+  /**
+   * Send a multipart upload
+   * @param {Uint8Array} bytes - File contents
+   * @returns {Promise<Response>} Response
+   */
+  const uploadMultipart = (bytes) => {
+    const form = new FormData();
+    form.append('file', new Blob([bytes], { type: 'audio/wav' }), 'meeting.wav');
+    form.append('provider', 'fake');
+    return request('/upload', { method: 'POST', body: form });
+  };
+
+  describe('multipart', () => {
+    it('stores the file and starts its transcription', async () => {
+      const response = await uploadMultipart(wavFile(32000));
+      assert.equal(response.status, 200);
+
+      const { audioid, duration } = await response.json();
+      assert.equal(duration, 2);
+      assert.equal(memoryStorage.getObject(`user-1/audio/${audioid}`).contentType, 'audio/wav');
+      assert.equal(supabase.tables.audio_metadata[0].status, 'pending');
+      assert.equal(starts.length, 1);
+      assert.equal(starts[0].audioUrl, `memory://user-uploads/user-1/audio/${audioid}`);
+    });
+
+    it('deletes the file when the transcription is refused', async () => {
+      holdResult = { success: false, message: 'Insufficient coins' };
+      const putObject = mock.method(memoryStorage, 'putObject');
+
+      const response = await uploadMultipart(wavFile(32000));
+      assert.equal(response.status, 400);
+      assert.equal(putObject.mock.callCount(), 1);
+      assert.equal(memoryStorage.getObject(putObject.mock.calls[0].arguments[1]), null);
+      assert.equal(starts.length, 0);
+    });
+
+    it('deletes the file when starting the transcription throws', async () => {
+      // Only the job needs Supabase, so this fails after the file was stored
+      delete env.SUPABASE_ANON_KEY;
+      mock.method(console, 'error', () => {});
+      const putObject = mock.method(memoryStorage, 'putObject');
+
+      const response = await uploadMultipart(wavFile(32000));
+      assert.equal(response.status, 500);
+      assert.equal(putObject.mock.callCount(), 1);
+      assert.equal(memoryStorage.getObject(putObject.mock.calls[0].arguments[1]), null);
+    });
+
+    it('rejects a file that is not the declared type', async () => {
+      const putObject = mock.method(memoryStorage, 'putObject');
+
+      const response = await uploadMultipart(new Uint8Array(64));
+      assert.equal(response.status, 415);
+      assert.equal(putObject.mock.callCount(), 0);
+    });
+  });
+
+  describe('resumable', () => {
+    /**
+     * Start a resumable upload
+     * @param {Uint8Array} bytes - File to upload
+     * @returns {Promise<Object>} Session response
+     */
+    const start = async (bytes) => {
+      const response = await request('/upload/resumable', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ size: bytes.length, contentType: 'audio/wav', audioName: 'Long meeting', provider: 'fake', duration: 20 })
+      });
+      assert.equal(response.status, 201);
+      return response.json();
+    };
+
+    /**
+     * Send one chunk
+     * @param {string} uploadId - Upload ID
+     * @param {Uint8Array} bytes - Whole file
+     * @param {number} offset - Chunk start
+     * @param {number} length - Chunk length
+     * @returns {Promise<Response>} Response
+     */
+    const sendChunk = (uploadId, bytes, offset, length) => request(`/upload/resumable/${uploadId}`, {
+      method: 'PUT',
+      headers: { 'Upload-Offset': String(offset) },
+      body: bytes.slice(offset, offset + length)
+    });
+
+    it('stores the file in chunks and starts its transcription on completion', async () => {
+      const bytes = wavFile(memoryStorage.resumableChunkBytes + 1000);
+      const session = await start(bytes);
+      assert.equal(session.chunk_size, memoryStorage.resumableChunkBytes);
+
+      let response = await sendChunk(session.upload_id, bytes, 0, session.chunk_size);
+      assert.equal(response.status, 200);
+      assert.deepEqual(await response.json(), { upload_id: session.upload_id, received_bytes: session.chunk_size, status: 'uploading' });
+
+      response = await request(`/upload/resumable/${session.upload_id}/complete`, { method: 'POST' });
+      assert.equal(response.status, 409);
+
+      response = await sendChunk(session.upload_id, bytes, session.chunk_size, bytes.length);
+      assert.equal((await response.json()).status, 'uploaded');
+
+      response = await request(`/upload/resumable/${session.upload_id}/complete`, { method: 'POST' });
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).audioid, session.audioid);
+
+      assert.deepEqual(memoryStorage.getObject(`user-1/audio/${session.audioid}`).bytes, bytes);
+      assert.equal(supabase.tables.audio_uploads[0].status, 'completed');
+      assert.equal(supabase.tables.audio_metadata[0].audio_name, 'Long meeting');
+      assert.equal(starts.length, 1);
+    });
+
+    it('resumes from the bytes received after a chunk at the wrong offset', async () => {
+      const bytes = wavFile(memoryStorage.resumableChunkBytes + 1000);
+      const session = await start(bytes);
+      await sendChunk(session.upload_id, bytes, 0, session.chunk_size);
+
+      const response = await sendChunk(session.upload_id, bytes, 0, session.chunk_size);
+      assert.equal(response.status, 409);
+      assert.equal((await response.json()).received_bytes, session.chunk_size);
+
+      const progress = await request(`/upload/resumable/${session.upload_id}`, { method: 'GET' });
+      assert.equal((await progress.json()).received_bytes, session.chunk_size);
+    });
+
+    it('keeps the file and lets completion be retried when the transcription is refused', async () => {
+      const bytes = wavFile(1000);
+      const session = await start(bytes);
+      await sendChunk(session.upload_id, bytes, 0, bytes.length);
+
+      holdResult = { success: false, message: 'Insufficient coins' };
+      let response = await request(`/upload/resumable/${session.upload_id}/complete`, { method: 'POST' });
+      assert.equal(response.status, 400);
+      assert.equal(supabase.tables.audio_uploads[0].status, 'uploaded');
+      assert.ok(memoryStorage.getObject(`user-1/audio/${session.audioid}`));
+
+      holdResult = { success: true, available_coins: 100 };
+      response = await request(`/upload/resumable/${session.upload_id}/complete`, { method: 'POST' });
+      assert.equal(response.status, 200);
+      assert.equal(supabase.tables.audio_uploads[0].status, 'completed');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import app from '../../src/app.js';
+import { createSupabaseStub } from '../helpers/supabase.js';
+import { JWT_SECRET, sessionClaims, signHs256, SUPABASE_URL } from '../helpers/tokens.js';
+
+const env = {
+  SUPABASE_URL,
+  SUPABASE_ANON_KEY: 'anon-key',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-role-key',
+  SUPABASE_JWT_SECRET: JWT_SECRET
+};
+
+describe('POST /api/user/BuySubscription', () => {
+  let supabase;
+  let grants;
+  let failUserUpdate;
+  let token;
+
+  beforeEach(async () => {
+    grants = new Map();
+    failUserUpdate = false;
+    supabase = createSupabaseStub({
+      tables: {
+        subscription_plans: [{ plan_name: 'Monthly', coins: 500, plan_period: 30 * 24 * 60 * 60 }],
+        users: [{ uid: 'user-1', subscription_active: false, user_plan: null, plan_valid_till: null }]
+      },
+      primaryKeys: { user_order: ['order_id'] },
+      rpc: {
+        // Keyed like apply_coin_entry: a replayed key is not applied again
+        apply_coin_entry: (params) => {
+          const duplicate = grants.has(params.p_idempotency_key);
+          if (!duplicate) grants.set(params.p_idempotency_key, params);
+          return { success: true, duplicate, remaining_coins: 500 };
+        }
+      }
+    });
+    mock.method(globalThis, 'fetch', (input, init = {}) => {
+      if (failUserUpdate && init.method === 'PATCH' && String(input).includes('/rest/v1/users')) {
+        return Promise.resolve(Response.json({ code: '57014', message: 'canceling statement due to statement timeout' }, { status: 500 }));
+      }
+      return supabase.fetch(input, init);
+    });
+    mock.method(console, 'error', () => {});
+    token = await signHs256(sessionClaims());
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const buy = (body) => app.request('/api/user/BuySubscription', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ plan: 'Monthly', totalPrice: 9.99, orderId: 'pay-123', ...body })
+  }, env);
+
+  it('records the order under its orderId and grants the coins once', async () => {
+    assert.equal((await buy()).status, 200);
+
+    const [order] = supabase.tables.user_order;
+    assert.equal(order.order_id, 'pay-123');
+    assert.equal(order.status, 'active');
+    assert.equal(supabase.tables.users[0].user_plan, 'Monthly');
+    assert.deepEqual([...grants.values()].map(grant => grant.p_reference_id), ['pay-123']);
+
+    const replay = await buy();
+    assert.equal(replay.status, 200);
+    assert.equal((await replay.json()).duplicate, true);
+    assert.equal(supabase.tables.user_order.length, 1);
+    assert.equal(grants.size, 1);
+  });
+
+  it('finishes the plan on a retry after a failed step without granting twice', async () => {
+    failUserUpdate = true;
+    assert.equal((await buy()).status, 500);
+    assert.equal(supabase.tables.user_order[0].status, 'pending');
+    assert.equal(supabase.tables.users[0].subscription_active, false);
+
+    failUserUpdate = false;
+    const retry = await buy();
+    assert.equal(retry.status, 200);
+    assert.equal((await retry.json()).duplicate, undefined);
+    assert.equal(supabase.tables.user_order.length, 1);
+    assert.equal(supabase.tables.user_order[0].status, 'active');
+    assert.equal(supabase.tables.users[0].subscription_active, true);
+    assert.equal(supabase.rpcCalls.length, 2);
+    assert.equal(grants.size, 1);
+  });
+
+  it('rejects an orderId already used for another plan', async () => {
+    supabase.tables.subscription_plans.push({ plan_name: 'Yearly', coins: 6000, plan_period: 365 * 24 * 60 * 60 });
+    await buy();
+
+    const response = await buy({ plan: 'Yearly' });
+    assert.equal(response.status, 409);
+    assert.equal(grants.size, 1);
+  });
+});
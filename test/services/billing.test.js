@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import {
+  calculateAudioCoins,
+  calculateSummaryCoins,
+  CANCEL_PROGRESS,
+  captureJobCoins,
+  getCancelRefundPercent,
+  holdJobCoins,
+  refundFailedJob,
+  settleCancelledJob
+} from '../../src/services/billing.js';
+import { createHoldLedger } from '../helpers/ledger.js';
+import { createSupabaseStub } from '../helpers/supabase.js';
+import { SUPABASE_URL } from '../helpers/tokens.js';
+
+const env = { SUPABASE_URL, SUPABASE_ANON_KEY: 'anon-key', SUPABASE_SERVICE_ROLE_KEY: 'service-key' };
+
+describe('billing prices', () => {
+  it('charges 2 coins per started minute of audio, minimum 2', () => {
+    assert.equal(calculateAudioCoins(600), 20);
+    assert.equal(calculateAudioCoins(61), 4);
+    assert.equal(calculateAudioCoins(60), 2);
+    assert.equal(calculateAudioCoins(1), 2);
+    assert.equal(calculateAudioCoins(0.2), 2);
+  });
+
+  it('charges 1 coin per started minute for a summary, minimum 5', () => {
+    assert.equal(calculateSummaryCoins(600), 10);
+    assert.equal(calculateSummaryCoins(120), 5);
+  });
+});
+
+describe('job coin holds', () => {
+  let supabase;
+  let ledger;
+
+  beforeEach(() => {
+    const tables = {};
+    ledger = createHoldLedger(tables);
+    supabase = createSupabaseStub({ tables, rpc: ledger.rpc });
+    mock.method(globalThis, 'fetch', supabase.fetch);
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const hold = () => supabase.tables.coin_holds[0];
+  const holdAudio = () => holdJobCoins(env, { uid: 'user-1', jobType: 'audio', jobId: 'audio-1', amount: 20, transactionName: 'Audio Transcription' });
+
+  it('holds coins under the job charge key', async () => {
+    await holdAudio();
+
+    assert.equal(hold().hold_key, 'audio:audio-1');
+    assert.equal(hold().status, 'held');
+    assert.ok(supabase.rpcCalls[0].params.p_ttl_seconds >= 60 * 60);
+  });
+
+  it('throws InsufficientCoinsError when the balance does not cover the hold', async () => {
+    ledger.rpc.create_coin_hold = () => ({ success: false, message: 'Insufficient coins' });
+
+    await assert.rejects(holdAudio(), { name: 'InsufficientCoinsError' });
+  });
+
+  it('captures the measured price instead of the held amount', async () => {
+    await holdAudio();
+
+    const result = await captureJobCoins(env, { jobType: 'audio', jobId: 'audio-1', amount: 14 });
+
+    assert.equal(result.capturedCoins, 14);
+    assert.equal(hold().status, 'captured');
+  });
+
+  it('releases a held job without refunding anything', async () => {
+    await holdAudio();
+
+    const result = await refundFailedJob(env, { uid: 'user-1', jobType: 'audio', jobId: 'audio-1', transactionName: 'Audio Transcription Refund' });
+
+    assert.equal(result.releasedCoins, 20);
+    assert.equal(hold().status, 'released');
+    assert.deepEqual(ledger.refunds, []);
+  });
+
+  it('refunds a captured job once', async () => {
+    await holdAudio();
+    await captureJobCoins(env, { jobType: 'audio', jobId: 'audio-1' });
+
+    const refund = { uid: 'user-1', jobType: 'audio', jobId: 'audio-1', transactionName: 'Audio Transcription Refund' };
+    assert.equal((await refundFailedJob(env, refund)).refundedCoins, 20);
+    assert.equal((await refundFailedJob(env, refund)).duplicate, true);
+    assert.deepEqual(ledger.refunds, ['audio:audio-1']);
+  });
+
+  it('leaves an expired hold alone', async () => {
+    await holdAudio();
+    hold().status = 'expired';
+
+    const result = await refundFailedJob(env, { uid: 'user-1', jobType: 'audio', jobId: 'audio-1', transactionName: 'Audio Transcription Refund' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.status, 'expired');
+    assert.deepEqual(ledger.refunds, []);
+  });
+});
+
+describe('cancellation refund policy', () => {
+  let supabase;
+
+  beforeEach(() => {
+    const tables = { coin_holds: [{ hold_key: 'video:video-1', uid: 'user-1', amount: 25, status: 'held' }] };
+    supabase = createSupabaseStub({ tables, rpc: createHoldLedger(tables).rpc });
+    mock.method(globalThis, 'fetch', supabase.fetch);
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const hold = () => supabase.tables.coin_holds[0];
+  const cancelVideo = (cancelEnv, progress) => settleCancelledJob(cancelEnv, {
+    uid: 'user-1',
+    jobType: 'video',
+    jobId: 'video-1',
+    progress,
+    transactionName: 'Video Generation Refund'
+  });
+
+  it('refunds everything before work started and half after by default', () => {
+    assert.equal(getCancelRefundPercent({}, CANCEL_PROGRESS.QUEUED), 100);
+    assert.equal(getCancelRefundPercent({}, CANCEL_PROGRESS.STARTED), 50);
+  });
+
+  it('reads the percentages from the environment, clamped to 0-100', () => {
+    assert.equal(getCancelRefundPercent({ CANCEL_REFUND_STARTED_PERCENT: '20' }, CANCEL_PROGRESS.STARTED), 20);
+    assert.equal(getCancelRefundPercent({ CANCEL_REFUND_QUEUED_PERCENT: '150' }, CANCEL_PROGRESS.QUEUED), 100);
+    assert.equal(getCancelRefundPercent({ CANCEL_REFUND_STARTED_PERCENT: '-5' }, CANCEL_PROGRESS.STARTED), 0);
+    assert.equal(getCancelRefundPercent({ CANCEL_REFUND_STARTED_PERCENT: 'none' }, CANCEL_PROGRESS.STARTED), 50);
+  });
+
+  it('releases the whole hold of a job cancelled while queued', async () => {
+    const settled = await cancelVideo(env, CANCEL_PROGRESS.QUEUED);
+
+    assert.deepEqual(settled, { refundPercent: 100, refundedCoins: 25, chargedCoins: 0 });
+    assert.equal(hold().status, 'released');
+  });
+
+  it('charges the unrefunded share of a started job, rounded in the user\'s favour', async () => {
+    const settled = await cancelVideo(env, CANCEL_PROGRESS.STARTED);
+
+    assert.deepEqual(settled, { refundPercent: 50, refundedCoins: 13, chargedCoins: 12 });
+    assert.equal(hold().captured_amount, 12);
+  });
+
+  it('keeps the charge of a job that finished before it was cancelled', async () => {
+    hold().status = 'captured';
+    hold().captured_amount = 25;
+
+    const settled = await cancelVideo(env, CANCEL_PROGRESS.STARTED);
+
+    assert.deepEqual(settled, { refundPercent: 50, refundedCoins: 0, chargedCoins: 0 });
+    assert.equal(hold().captured_amount, 25);
+  });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { openaiWhisperProvider } from '../../src/services/transcription/openaiWhisper.js';
+
+const env = { WHISPER_API_URL: 'https://whisper.test/v1/audio/transcriptions', WHISPER_API_KEY: 'key' };
+const AUDIO_URL = 'https://files.test/audio/talk.mp3';
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Audio body that records whether it was read
+ * @param {number} size - Bytes to serve
+ * @returns {Object} { body, reads } - reads counts pulled chunks
+ */
+const trackedBody = (size) => {
+  const state = { reads: 0 };
+  const body = new ReadableStream({
+    pull(controller) {
+      state.reads += 1;
+      controller.enqueue(new Uint8Array(size));
+      controller.close();
+    }
+  }, { highWaterMark: 0 });
+  return { body, state };
+};
+
+/**
+ * Stub fetch with the audio download and a Whisper response
+ * @param {Response} audioResponse - Response for the audio URL
+ * @returns {Object} Mocked fetch
+ */
+const stubFetch = (audioResponse) => mock.method(globalThis, 'fetch', async (url) => {
+  if (String(url) === AUDIO_URL) return audioResponse;
+  return Response.json({ text: 'hello', duration: 1, language: 'english', words: [] });
+});
+
+describe('openaiWhisperProvider size limit', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('rejects an oversized file from its Content-Length without reading it', async () => {
+    const { body, state } = trackedBody(1);
+    const fetchMock = stubFetch(new Response(body, { headers: { 'Content-Length': String(MAX_AUDIO_BYTES + 1) } }));
+
+    await assert.rejects(openaiWhisperProvider.transcribe(env, AUDIO_URL, { language: 'en' }), /too large/);
+    assert.equal(state.reads, 0);
+    assert.equal(fetchMock.mock.callCount(), 1);
+  });
+
+  it('still rejects an oversized file sent without Content-Length', async () => {
+    const { body } = trackedBody(MAX_AUDIO_BYTES + 1);
+    const fetchMock = stubFetch(new Response(body));
+
+    await assert.rejects(openaiWhisperProvider.transcribe(env, AUDIO_URL, { language: 'en' }), /too large/);
+    assert.equal(fetchMock.mock.callCount(), 1);
+  });
+
+  it('transcribes a file within the limit', async () => {
+    stubFetch(new Response(new Uint8Array(1024), { headers: { 'Content-Length': '1024' } }));
+
+    const result = await openaiWhisperProvider.transcribe(env, AUDIO_URL, { language: 'en' });
+    assert.equal(result.transcription, 'hello');
+    assert.equal(result.language, 'en');
+  });
+});
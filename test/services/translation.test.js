@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { deeplProvider } from '../../src/services/translation/deepl.js';
+import { translateTexts } from '../../src/services/translation/index.js';
+
+const env = { DEEPL_API_KEY: 'key' };
+
+describe('translateTexts with DeepL', () => {
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+    mock.method(globalThis, 'fetch', async (url, init) => {
+      const body = JSON.parse(init.body);
+      requests.push(body);
+      return Response.json({ translations: body.text.map(text => ({ text: `[${body.target_lang}] ${text}` })) });
+    });
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sends the base source language', async () => {
+    const result = await translateTexts(env, deeplProvider, ['Hello'], { source: 'en-GB', target: 'de' });
+    assert.deepEqual(result.texts, ['[DE] Hello']);
+    assert.equal(requests[0].source_lang, 'EN');
+  });
+
+  it('omits the source language for auto so DeepL detects it', async () => {
+    await translateTexts(env, deeplProvider, ['Hello'], { source: 'auto', target: 'de' });
+    assert.equal('source_lang' in requests[0], false);
+  });
+});
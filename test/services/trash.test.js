@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { purgeMedia, trashMedia } from '../../src/services/trash.js';
+import { createHoldLedger } from '../helpers/ledger.js';
+import { createSupabaseStub } from '../helpers/supabase.js';
+import { SUPABASE_URL } from '../helpers/tokens.js';
+
+const env = {
+  SUPABASE_URL,
+  SUPABASE_ANON_KEY: 'anon-key',
+  SUPABASE_SERVICE_ROLE_KEY: 'service-key',
+  ENVIRONMENT: 'development',
+  STORAGE_PROVIDER: 'memory'
+};
+
+describe('trash bin with jobs still running', () => {
+  let supabase;
+  let tables;
+
+  beforeEach(() => {
+    tables = {
+      audio_metadata: [{ uid: 'user-1', audioid: 'audio-1', status: 'completed', deleted_at: null, summary_data: { status: 'processing' } }],
+      video_metadata: [{ uid: 'user-1', video_id: 'video-1', status: 'pending', task_id: null, deleted_at: null }],
+      transcript_translations: [{ uid: 'user-1', audioid: 'audio-1', language: 'de', status: 'processing' }],
+      jobs: [
+        { job_id: 'summary:hold-1', type: 'summary', resource_id: 'hold-1', uid: 'user-1', status: 'queued', payload: { uid: 'user-1', audioid: 'audio-1', provider: 'fake' } },
+        { job_id: 'translation:hold-2', type: 'translation', resource_id: 'hold-2', uid: 'user-1', status: 'running', payload: { uid: 'user-1', audioid: 'audio-1', language: 'de' } },
+        { job_id: 'video:video-1', type: 'video', resource_id: 'video-1', uid: 'user-1', status: 'queued', payload: { uid: 'user-1', videoId: 'video-1' } }
+      ],
+      coin_holds: [
+        { hold_key: 'summary:hold-1', uid: 'user-1', amount: 5, status: 'held' },
+        { hold_key: 'translation:hold-2', uid: 'user-1', amount: 10, status: 'held' },
+        { hold_key: 'video:video-1', uid: 'user-1', amount: 50, status: 'held' }
+      ]
+    };
+    supabase = createSupabaseStub({ tables, rpc: createHoldLedger(tables).rpc });
+    mock.method(globalThis, 'fetch', supabase.fetch);
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const hold = (key) => supabase.tables.coin_holds.find(row => row.hold_key === key);
+  const job = (jobId) => supabase.tables.jobs.find(row => row.job_id === jobId);
+
+  it('cancels the summary and translation jobs of an audio file and settles their holds', async () => {
+    const result = await trashMedia(env, 'audio', 'user-1', 'audio-1');
+
+    assert.equal(result.changed, true);
+    assert.equal(job('summary:hold-1').status, 'cancelled');
+    assert.equal(job('translation:hold-2').status, 'cancelled');
+    // Queued: full refund; running: half charged by default
+    assert.equal(hold('summary:hold-1').status, 'released');
+    assert.equal(hold('translation:hold-2').status, 'captured');
+    assert.equal(hold('translation:hold-2').captured_amount, 5);
+    assert.equal(supabase.tables.audio_metadata[0].summary_data.status, 'failed');
+    assert.equal(supabase.tables.transcript_translations[0].status, 'failed');
+  });
+
+  it('cancels a pending video before trashing it, so it can be purged', async () => {
+    await trashMedia(env, 'video', 'user-1', 'video-1');
+
+    assert.equal(job('video:video-1').status, 'cancelled');
+    assert.equal(hold('video:video-1').status, 'released');
+    assert.equal(supabase.tables.video_metadata[0].status, 'cancelled');
+
+    const purged = await purgeMedia(env, 'video', 'user-1', 'video-1');
+    assert.ok(purged.file_paths);
+    assert.equal(supabase.tables.video_metadata.length, 0);
+  });
+
+  it('does not purge media that is still being processed', async () => {
+    supabase.tables.video_metadata[0].deleted_at = new Date().toISOString();
+
+    assert.deepEqual(await purgeMedia(env, 'video', 'user-1', 'video-1'), { unfinished: true });
+    assert.equal(supabase.tables.video_metadata.length, 1);
+  });
+
+  it('tells media that is not in the trash from unfinished media', async () => {
+    assert.equal(await purgeMedia(env, 'video', 'user-1', 'video-1'), null);
+  });
+});